@@ -15,7 +15,7 @@ export default [
     }
   },
   {
-    ignores: ['admin.js', 'node_modules/**', 'js/vendor/**', 'netlify/functions/**']
+    ignores: ['admin.js', 'node_modules/**', 'js/vendor/**', 'modules/vendor/**', 'netlify/functions/**']
   },
   pluginJs.configs.recommended,
   {
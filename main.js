@@ -1,5 +1,6 @@
 import {
   loadTheme,
+  resolveThemeReference,
   applyTheme,
   getCurrentTheme,
   setCurrentTheme,
@@ -13,8 +14,10 @@ import {
   cleanupAllSlideAssets,
   handleImageModalTrigger,
 } from './modules/image-render.js';
-import { handleGlobalPaste } from './modules/image-upload.js';
-import { flushAssetDeletions } from './modules/image-utils.js';
+import { handleGlobalPaste, registerAssetUploadQueue } from './modules/image-upload.js';
+import { flushAssetDeletions, retainSlideAssets } from './modules/image-utils.js';
+import { registerMediaHooks } from './modules/media-render.js';
+import { handleMediaUpload, setMediaSource } from './modules/media-upload.js';
 import {
   renderers,
   createSlide,
@@ -25,7 +28,14 @@ import { validateSlides } from './modules/validation.js';
 import { showHudStatus, hideHudStatus } from './modules/hud.js';
 
 
-import { renderEditForm } from './modules/edit-drawer.js';
+import { renderEditForm, syncEditForm, syncDeckDetailsForm } from './modules/edit-drawer.js';
+import {
+  initCanvasEditor,
+  registerCanvasEditorHooks,
+  setCanvasEditing,
+  isCanvasEditorTarget,
+} from './modules/canvas-editor.js';
+import { initInlineEditing, registerInlineEditHooks } from './modules/inline-edit.js';
 import {
   createDrawer,
   openDrawer,
@@ -42,22 +52,50 @@ import {
   showApiKeyStatus,
 } from './modules/settings-modal.js';
 import {
+  initSlideIndex,
   toggleSlideIndex,
 } from './modules/slide-index.js';
+import { initPointerReorder } from './modules/slide-reorder.js';
+import {
+  handleSelectionClick,
+  handleOverviewSelectionChange,
+  extendSlideSelection,
+  selectAllSlides,
+  clearSlideSelection,
+  hasSlideSelection,
+  deleteSelectedSlides,
+} from './modules/overview-selection.js';
 import { initCheatConsole } from './modules/cheat-codes.js';
 import {
   loadSlides,
   generateDeckId,
   registerDeckPersistenceHooks,
+  updateDeckMeta,
+  flushPersistedSlides,
 } from './modules/deck-persistence.js';
+import { getDeckTitle, getDeckDetails, normalizeDeckMeta } from './modules/deck-format.js';
+import { registerVersionHistoryHooks } from './modules/version-history.js';
+import { registerCompareModalHooks, openCompareModal } from './modules/compare-modal.js';
+import { registerServiceWorker, initOfflineMode } from './modules/offline.js';
 import { slidesRoot, initDomRefs } from './modules/dom-refs.js';
 import {
   insertSlideAt,
   replaceSlideAt,
   downloadDeck,
+  downloadDeckMarkdown,
   handleDeckUpload,
+  moveSlide,
+  restoreDeckSnapshot,
   registerSlideActionHooks,
 } from './modules/slide-actions.js';
+import {
+  registerHistoryHooks,
+  commitHistory,
+  resetHistory,
+  undo,
+  redo,
+  getHistoryStatus,
+} from './modules/history.js';
 import {
   initThemeDrawer,
   toggleThemeDrawer,
@@ -77,9 +115,10 @@ import {
   overviewCursor,
   setOverviewCursor,
   themeDrawerInstance,
-  DECK_STORAGE_PREFIX,
   setDeckStorageKey,
   activeDeckId,
+  deckMeta,
+  setDeckMeta,
   setActiveDeckId,
   setNewDeckRequest,
   setEditDrawerOpen,
@@ -95,9 +134,11 @@ import {
   moveOverviewCursorBy,
   handleResize,
   setActiveSlide,
+  advanceSlide,
   updateTotalCounter,
   handleSlideClick,
   navigateToDeckHome,
+  isColumnOverview,
 } from './modules/navigation.js';
 import { initTouchNav } from './modules/touch-nav.js';
 import { initShareModal } from './modules/share-modal.js';
@@ -108,6 +149,11 @@ import {
   openKeyboardHelp,
 } from './modules/onboarding.js';
 import { toggleSpeakerNotes, initSpeakerNotes } from './modules/speaker-notes.js';
+import {
+  initPresenterView,
+  openPresenterView,
+  broadcastPresenterState,
+} from './modules/presenter-view.js';
 import { getSlideTemplate } from './modules/slide-templates.js';
 
 
@@ -149,6 +195,8 @@ registerNavigationHooks({
   getEditDrawerContext,
   renderEditForm,
   toggleSpeakerNotes,
+  onSlideChange: broadcastPresenterState,
+  onOverviewChange: handleOverviewSelectionChange,
 });
 
 registerSlideActionHooks({
@@ -161,9 +209,98 @@ registerSlideActionHooks({
   getCurrentTheme,
   applyTheme,
   setCurrentTheme,
+  loadTheme: (reference) => loadTheme(resolveThemeReference(reference)),
   deriveDeckName,
+  retainSlideAssets,
 });
 
+registerMediaHooks({
+  uploadMedia: handleMediaUpload,
+  setMediaSource,
+});
+
+// On-slide edits (canvas drags, inline text) keep the open drawer in sync.
+function syncEditDrawer(slideIndex) {
+  if (slideIndex === currentIndex) syncEditForm(slides[slideIndex]);
+}
+
+registerCanvasEditorHooks({ onChange: syncEditDrawer });
+registerInlineEditHooks({ onChange: syncEditDrawer });
+
+registerHistoryHooks({
+  getCurrentTheme,
+  restoreSnapshot: restoreHistorySnapshot,
+  onHistoryChange: updateHistoryIndicator,
+});
+
+function restoreHistorySnapshot(snapshot) {
+  restoreDeckSnapshot(snapshot);
+  syncThemeSelectUI();
+}
+
+registerVersionHistoryHooks({
+  restoreVersion: restoreDeckVersion,
+  compareVersion: (versionId) => {
+    closeSettingsModal();
+    openCompareModal({ versionId });
+  },
+});
+
+// Swap in a version from the settings modal's history. The deck keeps its id,
+// star and folder; the details come from the version. Undo brings the
+// previous slides back.
+function restoreDeckVersion(deck) {
+  const { deckId, starred, folder, createdAt } = deckMeta;
+  setDeckMeta(normalizeDeckMeta({ ...getDeckDetails(deck.meta), deckId, starred, folder, createdAt }));
+  restoreDeckSnapshot({ slides: deck.slides, index: 0 });
+  commitHistory('Restore version');
+  syncDeckDetailsForm(deckMeta);
+  updateDeckNameDisplay();
+}
+
+registerCompareModalHooks({ applySlides: applyMergedSlides });
+
+// Take slides merged in the Compare Decks modal. Each merge is one undo step.
+function applyMergedSlides(mergedSlides, label) {
+  restoreDeckSnapshot({ slides: mergedSlides });
+  commitHistory(label);
+}
+
+function handleUndo() {
+  const label = undo();
+  if (!label) {
+    showHudStatus('Nothing to undo', 'info');
+    setTimeout(hideHudStatus, 1200);
+    return;
+  }
+  showHudStatus(`↩️ Undo: ${label}`, 'success');
+  setTimeout(hideHudStatus, 1400);
+}
+
+function handleRedo() {
+  const label = redo();
+  if (!label) {
+    showHudStatus('Nothing to redo', 'info');
+    setTimeout(hideHudStatus, 1200);
+    return;
+  }
+  showHudStatus(`↪️ Redo: ${label}`, 'success');
+  setTimeout(hideHudStatus, 1400);
+}
+
+function updateHistoryIndicator(status = getHistoryStatus()) {
+  const undoBtn = document.getElementById('hud-undo-btn');
+  const redoBtn = document.getElementById('hud-redo-btn');
+  if (undoBtn) {
+    undoBtn.disabled = !status.canUndo;
+    undoBtn.title = status.canUndo ? `Undo ${status.undoLabel} (Ctrl/Cmd+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !status.canRedo;
+    redoBtn.title = status.canRedo ? `Redo ${status.redoLabel} (Shift+Ctrl/Cmd+Z)` : 'Nothing to redo';
+  }
+}
+
 function applySharedThemeFromShare(themeData) {
   if (!themeData || typeof themeData !== 'object') return;
   try {
@@ -180,6 +317,16 @@ document.addEventListener('paste', handleGlobalPaste);
 window.addEventListener('beforeunload', () => {
   flushAssetDeletions();
 });
+// Deck saves are queued IndexedDB writes; get the last ones going before the
+// page is hidden or unloaded.
+window.addEventListener('pagehide', () => {
+  flushPersistedSlides();
+});
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    flushPersistedSlides();
+  }
+});
 
 
 
@@ -252,15 +399,7 @@ async function loadAndApplyTheme() {
 }
 
 function resolveThemePath() {
-  const themeParam = getParam('theme');
-  if (!themeParam) return 'theme.json';
-  if (themeParam.endsWith('.json')) {
-    return themeParam;
-  }
-  if (themeParam.includes('/')) {
-    return `${themeParam}.json`;
-  }
-  return `themes/${themeParam}.json`;
+  return resolveThemeReference(getParam('theme'));
 }
 
 function initDeckName() {
@@ -280,20 +419,7 @@ function updateDeckNameDisplay() {
   const deckNameText = document.getElementById('deck-name-text');
   if (!deckNameText || !deckNameEl) return;
 
-  let name = 'Untitled deck';
-
-  if (activeDeckId) {
-    // Get name from localStorage
-    try {
-      const key = `${DECK_STORAGE_PREFIX}${encodeURIComponent(activeDeckId)}`;
-      const payload = JSON.parse(localStorage.getItem(key) || '{}');
-      name = payload.meta?.name || deriveDeckName(slides);
-    } catch {
-      name = deriveDeckName(slides);
-    }
-  } else {
-    name = deriveDeckName(slides);
-  }
+  const name = getDeckTitle(deckMeta, slides);
 
   // Hide deck name if it's untitled
   if (name === 'Untitled deck') {
@@ -304,34 +430,29 @@ function updateDeckNameDisplay() {
   }
 
   document.title = `${name} — Slide-o-Matic`;
+  document.documentElement.lang = deckMeta.language || 'en';
+  if (deckMeta.description) {
+    document.querySelector('meta[name="description"]')?.setAttribute('content', deckMeta.description);
+  }
 }
 
-function renameDeck() {
+async function renameDeck() {
   if (!activeDeckId) {
     showHudStatus('Save as copy first to rename', 'info');
     setTimeout(hideHudStatus, 2000);
     return;
   }
 
-  const currentName = document.getElementById('deck-name-text')?.textContent || 'Untitled deck';
+  const currentName = getDeckTitle(deckMeta, slides);
   const newName = window.prompt('Rename deck:', currentName);
 
   if (!newName || newName.trim() === '' || newName === currentName) return;
 
-  try {
-    const key = `${DECK_STORAGE_PREFIX}${encodeURIComponent(activeDeckId)}`;
-    const payload = JSON.parse(localStorage.getItem(key) || '{}');
-    payload.meta = {
-      ...(payload.meta || {}),
-      name: newName.trim(),
-      updatedAt: Date.now(),
-    };
-    localStorage.setItem(key, JSON.stringify(payload));
-    updateDeckNameDisplay();
+  if (await updateDeckMeta({ title: newName })) {
+    syncDeckDetailsForm(deckMeta);
     showHudStatus('✓ Deck renamed', 'success');
     setTimeout(hideHudStatus, 1500);
-  } catch (error) {
-    console.error('Failed to rename deck:', error);
+  } else {
     showHudStatus('⚠️ Unable to rename', 'error');
     setTimeout(hideHudStatus, 2000);
   }
@@ -365,8 +486,6 @@ function showSaveStatus(state = 'saved') {
   }
 }
 
-// deriveDeckName() now imported from utils.js
-
 async function loadAutoLinks() {
   try {
     const response = await fetch('autolinks.json', { cache: 'no-store' });
@@ -426,7 +545,11 @@ function getEditDrawerContext() {
     replaceSlideAt: (index, options) => replaceSlideAt(index, options),
     insertSlideAt: (index, slideData, options) => insertSlideAt(index, slideData, options),
     downloadDeck,
+    downloadDeckMarkdown,
+    openCompareModal: () => openCompareModal(),
     getSlideTemplate,
+    getDeckMeta: () => deckMeta,
+    updateDeckMeta,
     showHudStatus,
     hideHudStatus,
     closeDrawer: () => closeDrawer(editDrawerInstance),
@@ -437,12 +560,23 @@ function getKeyboardContext() {
   return {
     isOverview: () => isOverview,
     moveOverviewCursorBy,
+    moveOverviewSlideBy: (delta) => moveSlide(overviewCursor, overviewCursor + delta),
+    extendSelectionBy: extendSlideSelection,
+    selectAllSlides,
+    clearSelection: clearSlideSelection,
+    hasSelection: hasSlideSelection,
+    deleteSelection: deleteSelectedSlides,
     exitOverview,
     getOverviewCursor: () => overviewCursor,
     toggleOverview,
     downloadDeck,
+    downloadDeckMarkdown,
     toggleSpeakerNotes,
+    openPresenterView,
+    undo: handleUndo,
+    redo: handleRedo,
     setActiveSlide,
+    advanceSlide,
     getCurrentIndex: () => currentIndex,
     getSlideCount: () => slideElements.length,
     toggleEditDrawer,
@@ -460,8 +594,11 @@ function getKeyboardContext() {
 }
 const createdEditDrawer = createDrawer({
   id: 'edit-drawer',
+  // Canvas slides are edited on the slide itself while the drawer is open.
+  isInsideClick: (event) => isCanvasEditorTarget(event.target),
   onOpen: () => {
     setEditDrawerOpen(true);
+    setCanvasEditing(true);
     // renderEditForm is now called before opening for smooth animation
     const closeBtn = editDrawerInstance.element.querySelector('.edit-drawer__close');
     if (closeBtn && !closeBtn.dataset.listenerAttached) {
@@ -471,6 +608,7 @@ const createdEditDrawer = createDrawer({
   },
   onClose: () => {
     setEditDrawerOpen(false);
+    setCanvasEditing(false);
   },
 });
 setEditDrawerInstance(createdEditDrawer);
@@ -484,6 +622,7 @@ setEditDrawerInstance(createdEditDrawer);
 async function initDeckWithTheme() {
   // Initialize DOM references first
   initDomRefs();
+  registerServiceWorker({ onUpdate: showAppUpdateReady, beforeReload: flushPersistedSlides });
   
   await loadAndApplyTheme();
   await loadAutoLinks();
@@ -539,10 +678,29 @@ async function initDeckWithTheme() {
   initKeyboardNav(getKeyboardContext());
   initTouchNav({
     setActiveSlide,
+    advanceSlide,
     getCurrentIndex: () => currentIndex,
     isOverview: () => isOverview,
     toggleOverview,
+    isGestureBlocked: isCanvasEditorTarget,
   }, slidesRoot);
+  initCanvasEditor();
+  initInlineEditing(slidesRoot);
+  initPointerReorder({
+    container: slidesRoot,
+    itemSelector: '.slide',
+    getIndex: (slide) => Number.parseInt(slide.dataset.index, 10),
+    onDrop: (fromIndex, toIndex) => moveSlide(fromIndex, toIndex),
+    isEnabled: () => isOverview,
+    getAxis: () => (isColumnOverview() ? 'y' : 'x'),
+  });
+  initSlideIndex({
+    getSlides: () => slides,
+    getCurrentIndex: () => currentIndex,
+    setActiveSlide,
+    moveSlide,
+  });
+  slidesRoot.addEventListener('click', handleSelectionClick, true);
   slidesRoot.addEventListener('click', handleSlideClick);
   document.addEventListener('click', handleImageModalTrigger);
   document.addEventListener('paste', handleGlobalPaste);
@@ -603,12 +761,25 @@ async function initDeckWithTheme() {
   // Initialize share modal
   initShareModal();
 
+  // Offline indicator, and uploads/shares queued while offline
+  registerAssetUploadQueue();
+  initOfflineMode();
+
   // Initialize speaker notes
   initSpeakerNotes();
+  initPresenterView({
+    setActiveSlide,
+    advanceSlide,
+    getCurrentIndex: () => currentIndex,
+    getDeckName: () => getDeckTitle(deckMeta, slides),
+    showHudStatus,
+    hideHudStatus,
+  });
 
   setActiveSlide(0);
   updateOverviewButton();
   setOverviewCursor(currentIndex);
+  resetHistory();
   handleInitialIntent();
 
   // Mark initialization as complete
@@ -626,6 +797,12 @@ async function initDeckWithTheme() {
   }
 }
 
+function showAppUpdateReady(applyUpdate) {
+  showHudStatus('✨ A new version of Slideomatic is ready.', 'info', {
+    action: { label: 'Reload', onClick: applyUpdate },
+  });
+}
+
 function handleInitialIntent() {
   const openIntent = getParam('open');
   if (!openIntent) return;
@@ -671,7 +848,7 @@ function initHudControls() {
   const prevBtn = document.getElementById('hud-prev-btn');
   if (prevBtn) {
     prevBtn.addEventListener('click', () => {
-      setActiveSlide(currentIndex - 1);
+      advanceSlide(-1);
       revealHud();
     });
   }
@@ -679,11 +856,15 @@ function initHudControls() {
   const nextBtn = document.getElementById('hud-next-btn');
   if (nextBtn) {
     nextBtn.addEventListener('click', () => {
-      setActiveSlide(currentIndex + 1);
+      advanceSlide(1);
       revealHud();
     });
   }
 
+  document.getElementById('hud-undo-btn')?.addEventListener('click', handleUndo);
+  document.getElementById('hud-redo-btn')?.addEventListener('click', handleRedo);
+  updateHistoryIndicator();
+
   const handleInteraction = () => {
     if (!autoHideQuery.matches) return;
     const now = Date.now();
@@ -0,0 +1,459 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Canvas Editor Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// On-slide editing for `canvas` slides while the edit drawer is open.
+// - Drag an element to move it; corner handles resize (Shift keeps the
+//   proportions) and the round handle rotates (Shift steps by 15°)
+// - Edges and centres snap to the canvas and to other elements, with guide
+//   lines while dragging; hold Alt to place freely
+// - Arrow keys nudge the selection (Shift for bigger steps), Delete removes it
+// - Each finished gesture is written back to the slide JSON, saved and
+//   recorded in history; the onChange hook lets the drawer refresh its JSON
+//
+// Dependencies: state.js, canvas-layout.js, deck-persistence.js, history.js,
+//               slide-actions.js, image-utils.js, hud.js
+// Used by: main.js, edit-drawer.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { slides, slideElements, currentIndex, isOverview } from './state.js';
+import {
+  createCanvasElementData,
+  getCanvasBox,
+  applyCanvasBox,
+  getCanvasSnapTargets,
+  findCanvasSnap,
+  resizeCanvasBox,
+  snapCanvasRotation,
+  roundCanvasBox,
+} from './canvas-layout.js';
+import { persistSlides } from './deck-persistence.js';
+import { commitHistory } from './history.js';
+import { replaceSlideAt } from './slide-actions.js';
+import { maybeScheduleAssetCleanup } from './image-utils.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
+
+const DRAG_THRESHOLD_PX = 3;
+const SNAP_DISTANCE_PX = 6;
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 5;
+const NUDGE_HISTORY_DELAY_MS = 500;
+const HANDLES = ['nw', 'ne', 'sw', 'se', 'rotate'];
+const GESTURE_LABELS = { move: 'Move element', resize: 'Resize element', rotate: 'Rotate element' };
+
+let isEditing = false;
+let selectedNode = null;
+let gesture = null;
+let suppressNextClick = false;
+let nudgeHistoryTimer = null;
+let onChangeHook = (_slideIndex) => {};
+
+export function registerCanvasEditorHooks(hooks = {}) {
+  if (typeof hooks.onChange === 'function') {
+    onChangeHook = hooks.onChange;
+  }
+}
+
+export function initCanvasEditor() {
+  document.addEventListener('pointerdown', handlePointerDown);
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('keydown', handleKeydown, true);
+}
+
+/**
+ * Turn on-slide editing on or off (follows the edit drawer).
+ * @param {boolean} enabled
+ */
+export function setCanvasEditing(enabled) {
+  isEditing = Boolean(enabled);
+  document.body.classList.toggle('canvas-editing', isEditing);
+  if (!isEditing) {
+    finishGesture(false);
+    selectNode(null);
+  }
+}
+
+/**
+ * Whether a pointer/touch target belongs to the canvas editor, so other
+ * gestures (swipe navigation, drawer click-outside) can leave it alone.
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+export function isCanvasEditorTarget(target) {
+  return isEditing && target instanceof Element && Boolean(target.closest('.slide.is-active .canvas'));
+}
+
+/**
+ * Add a new element to the current canvas slide and select it.
+ * @param {string} type - One of CANVAS_ELEMENT_TYPES
+ * @returns {boolean} True if the slide changed
+ */
+export function addCanvasElement(type) {
+  const slideIndex = getEditableSlideIndex();
+  const element = createCanvasElementData(type);
+  if (slideIndex === -1 || !element) return false;
+
+  const slide = slides[slideIndex];
+  slide.elements = [...(Array.isArray(slide.elements) ? slide.elements : []), element];
+  replaceSlideAt(slideIndex, { focus: false, historyLabel: 'Add element' });
+  selectElementAt(slideIndex, slide.elements.length - 1);
+  onChangeHook(slideIndex);
+  return true;
+}
+
+/**
+ * Remove the selected element from its canvas slide.
+ * @returns {boolean} True if an element was removed
+ */
+export function removeSelectedCanvasElement() {
+  const target = getSelection();
+  if (!target) {
+    showHudStatus('👆 Select an element on the slide first', 'info');
+    setTimeout(hideHudStatus, 1600);
+    return false;
+  }
+
+  const { slideIndex, elementIndex } = target;
+  const slide = slides[slideIndex];
+  const [removed] = slide.elements.splice(elementIndex, 1);
+  if (removed?.image) {
+    maybeScheduleAssetCleanup(removed.image);
+  }
+  selectNode(null);
+  replaceSlideAt(slideIndex, { focus: false, historyLabel: 'Delete element' });
+  onChangeHook(slideIndex);
+  return true;
+}
+
+function getEditableSlideIndex() {
+  if (isOverview || slides[currentIndex]?.type !== 'canvas') return -1;
+  return currentIndex;
+}
+
+function getActiveCanvas() {
+  if (getEditableSlideIndex() === -1) return null;
+  return slideElements[currentIndex]?.querySelector('.canvas') ?? null;
+}
+
+function getSelection() {
+  if (!selectedNode?.isConnected || !selectedNode.closest('.slide.is-active')) return null;
+  const slideIndex = getEditableSlideIndex();
+  const elementIndex = Number.parseInt(selectedNode.dataset.canvasIndex, 10);
+  const element = slides[slideIndex]?.elements?.[elementIndex];
+  if (!element) return null;
+  return { slideIndex, elementIndex, element, node: selectedNode };
+}
+
+function selectElementAt(slideIndex, elementIndex) {
+  const canvas = slideElements[slideIndex]?.querySelector('.canvas');
+  selectNode(canvas?.querySelector(`[data-canvas-index="${elementIndex}"]`) ?? null);
+}
+
+function selectNode(node) {
+  if (selectedNode === node && node?.querySelector('[data-canvas-handle]')) return;
+  if (selectedNode) {
+    selectedNode.classList.remove('is-selected');
+    selectedNode.querySelectorAll('[data-editor-ui]').forEach((handle) => handle.remove());
+  }
+  selectedNode = node;
+  if (!node) return;
+
+  node.classList.add('is-selected');
+  const body = node.querySelector(':scope > .canvas__body');
+  HANDLES.forEach((handle) => {
+    const grip = document.createElement('span');
+    grip.className = `canvas__handle canvas__handle--${handle}`;
+    grip.dataset.canvasHandle = handle;
+    grip.dataset.editorUi = '';
+    body?.appendChild(grip);
+  });
+}
+
+function getOtherBoxes(slideIndex, elementIndex) {
+  const elements = slides[slideIndex]?.elements ?? [];
+  return elements
+    .filter((element, index) => index !== elementIndex && element && typeof element === 'object')
+    .map(getCanvasBox);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Pointer gestures
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handlePointerDown(event) {
+  suppressNextClick = false;
+  if (!isEditing || event.button !== 0 || gesture) return;
+  const canvas = getActiveCanvas();
+  if (!canvas || !(event.target instanceof Element) || !canvas.contains(event.target)) return;
+  // Text being edited in place (inline-edit.js) needs normal caret handling.
+  if (event.target.closest('.is-inline-editing')) return;
+
+  const node = event.target.closest('.canvas__element');
+  if (!node) {
+    selectNode(null);
+    return;
+  }
+
+  // A press without movement still clicks through, so placeholders open
+  // their upload picker; handleClick swallows the click after a real drag.
+  const handle = event.target.closest('[data-canvas-handle]')?.dataset.canvasHandle ?? null;
+  selectNode(node);
+  const target = getSelection();
+  if (!target) return;
+
+  event.preventDefault();
+  const nodeRect = node.getBoundingClientRect();
+  gesture = {
+    mode: handle === 'rotate' ? 'rotate' : handle ? 'resize' : 'move',
+    handle,
+    node,
+    canvas,
+    slideIndex: target.slideIndex,
+    elementIndex: target.elementIndex,
+    pointerId: event.pointerId,
+    startX: event.clientX,
+    startY: event.clientY,
+    rect: canvas.getBoundingClientRect(),
+    center: { x: nodeRect.left + nodeRect.width / 2, y: nodeRect.top + nodeRect.height / 2 },
+    start: getCanvasBox(target.element),
+    box: getCanvasBox(target.element),
+    others: getOtherBoxes(target.slideIndex, target.elementIndex),
+    moved: false,
+  };
+
+  document.addEventListener('pointermove', handlePointerMove);
+  document.addEventListener('pointerup', handlePointerUp);
+  document.addEventListener('pointercancel', handlePointerCancel);
+}
+
+function handlePointerMove(event) {
+  if (!gesture || event.pointerId !== gesture.pointerId) return;
+  const dx = event.clientX - gesture.startX;
+  const dy = event.clientY - gesture.startY;
+  if (!gesture.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+  gesture.moved = true;
+  event.preventDefault();
+
+  const snap = !event.altKey;
+  if (gesture.mode === 'move') {
+    gesture.box = moveBox(gesture, dx, dy, snap);
+  } else if (gesture.mode === 'resize') {
+    gesture.box = resizeBox(gesture, dx, dy, snap, event.shiftKey);
+  } else {
+    const angle = (Math.atan2(event.clientY - gesture.center.y, event.clientX - gesture.center.x) * 180) / Math.PI + 90;
+    gesture.box = { ...gesture.start, rotation: snapCanvasRotation(angle, event.shiftKey ? 15 : undefined) };
+  }
+  applyCanvasBox(gesture.node, gesture.box);
+}
+
+function handlePointerUp(event) {
+  if (!gesture || event.pointerId !== gesture.pointerId) return;
+  finishGesture(gesture.moved);
+}
+
+function handlePointerCancel(event) {
+  if (!gesture || event.pointerId !== gesture.pointerId) return;
+  finishGesture(false);
+}
+
+function finishGesture(commit) {
+  if (!gesture) return;
+  const { node, canvas, slideIndex, elementIndex, start, box, mode, moved } = gesture;
+  gesture = null;
+  document.removeEventListener('pointermove', handlePointerMove);
+  document.removeEventListener('pointerup', handlePointerUp);
+  document.removeEventListener('pointercancel', handlePointerCancel);
+  showGuides(canvas, []);
+
+  // A real drag shouldn't also count as a click (placeholders, image zoom).
+  suppressNextClick = commit && moved;
+
+  if (commit) {
+    writeBox(slideIndex, elementIndex, box, GESTURE_LABELS[mode]);
+  } else {
+    applyCanvasBox(node, start);
+  }
+}
+
+function handleClick(event) {
+  if (suppressNextClick) {
+    // Also keeps the drawer open when the drag was released off the canvas.
+    suppressNextClick = false;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    return;
+  }
+  // While editing, a click on a slide image selects it instead of zooming it.
+  if (isCanvasEditorTarget(event.target) && event.target.closest('img')) {
+    event.stopPropagation();
+  }
+}
+
+function moveBox(state, dx, dy, snap) {
+  const { rect, start, others, canvas } = state;
+  const box = { ...start, x: start.x + (dx / rect.width) * 100, y: start.y + (dy / rect.height) * 100 };
+  const guides = [];
+
+  if (snap) {
+    const snapX = findCanvasSnap(
+      [box.x, box.x + box.width / 2, box.x + box.width],
+      getCanvasSnapTargets(others, 'x'),
+      (SNAP_DISTANCE_PX / rect.width) * 100
+    );
+    if (snapX) {
+      box.x += snapX.offset;
+      guides.push({ axis: 'x', at: snapX.at });
+    }
+    const snapY = findCanvasSnap(
+      [box.y, box.y + box.height / 2, box.y + box.height],
+      getCanvasSnapTargets(others, 'y'),
+      (SNAP_DISTANCE_PX / rect.height) * 100
+    );
+    if (snapY) {
+      box.y += snapY.offset;
+      guides.push({ axis: 'y', at: snapY.at });
+    }
+  }
+
+  showGuides(canvas, guides);
+  return box;
+}
+
+function resizeBox(state, dx, dy, snap, keepRatio) {
+  const { rect, start, others, canvas, handle } = state;
+  const toPx = (value, size) => (value / 100) * size;
+  const toPct = (value, size) => (value / size) * 100;
+
+  const resized = resizeCanvasBox(
+    {
+      x: toPx(start.x, rect.width),
+      y: toPx(start.y, rect.height),
+      width: toPx(start.width, rect.width),
+      height: toPx(start.height, rect.height),
+    },
+    handle,
+    dx,
+    dy,
+    start.rotation,
+    { keepRatio }
+  );
+  const box = {
+    x: toPct(resized.x, rect.width),
+    y: toPct(resized.y, rect.height),
+    width: toPct(resized.width, rect.width),
+    height: toPct(resized.height, rect.height),
+    rotation: start.rotation,
+  };
+  const guides = [];
+
+  // Edge snapping only makes sense while the box is axis-aligned and free to
+  // change shape.
+  if (snap && !start.rotation && !keepRatio) {
+    const snapEdge = (axis, size, fromStart) => {
+      const edge = fromStart ? box[axis] : box[axis] + box[size];
+      const span = axis === 'x' ? rect.width : rect.height;
+      const match = findCanvasSnap([edge], getCanvasSnapTargets(others, axis), (SNAP_DISTANCE_PX / span) * 100);
+      if (!match || box[size] + (fromStart ? -match.offset : match.offset) < 1) return;
+      if (fromStart) {
+        box[axis] += match.offset;
+        box[size] -= match.offset;
+      } else {
+        box[size] += match.offset;
+      }
+      guides.push({ axis, at: match.at });
+    };
+    snapEdge('x', 'width', handle.includes('w'));
+    snapEdge('y', 'height', handle.includes('n'));
+  }
+
+  showGuides(canvas, guides);
+  return box;
+}
+
+function showGuides(canvas, guides) {
+  if (!canvas) return;
+  canvas.querySelectorAll(':scope > .canvas__guide').forEach((guide) => guide.remove());
+  guides.forEach(({ axis, at }) => {
+    const guide = document.createElement('div');
+    guide.className = `canvas__guide canvas__guide--${axis}`;
+    guide.dataset.editorUi = '';
+    guide.style[axis === 'x' ? 'left' : 'top'] = `${at}%`;
+    canvas.appendChild(guide);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Keyboard
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleKeydown(event) {
+  if (!isEditing || gesture) return;
+  const target = event.target;
+  if (target instanceof HTMLElement && (target.isContentEditable || target.closest('input, textarea, select'))) {
+    return;
+  }
+  const selection = getSelection();
+  if (!selection) return;
+
+  if (event.key === 'Escape') {
+    // Deselect first; the drawer's own Escape handler closes it next time.
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    selectNode(null);
+    return;
+  }
+
+  if (event.key === 'Delete' || event.key === 'Backspace') {
+    event.preventDefault();
+    event.stopPropagation();
+    removeSelectedCanvasElement();
+    return;
+  }
+
+  const offsets = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+  };
+  const offset = offsets[event.key];
+  if (!offset || event.metaKey || event.ctrlKey || event.altKey) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+  const box = getCanvasBox(selection.element);
+  box.x += offset[0] * step;
+  box.y += offset[1] * step;
+  applyCanvasBox(selection.node, box);
+
+  // Held arrow keys become one undo step.
+  writeBox(selection.slideIndex, selection.elementIndex, box, null);
+  clearTimeout(nudgeHistoryTimer);
+  nudgeHistoryTimer = setTimeout(() => commitHistory('Nudge element'), NUDGE_HISTORY_DELAY_MS);
+}
+
+/**
+ * Store a box on the slide JSON and save.
+ * @param {number} slideIndex
+ * @param {number} elementIndex
+ * @param {object} box
+ * @param {string|null} historyLabel - Null skips the history entry
+ */
+function writeBox(slideIndex, elementIndex, box, historyLabel) {
+  const element = slides[slideIndex]?.elements?.[elementIndex];
+  if (!element) return;
+
+  const rounded = roundCanvasBox(box);
+  Object.assign(element, rounded);
+  if (rounded.rotation === undefined) {
+    delete element.rotation;
+  }
+
+  persistSlides();
+  if (historyLabel) {
+    commitHistory(historyLabel);
+  }
+  onChangeHook(slideIndex);
+}
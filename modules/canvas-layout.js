@@ -0,0 +1,193 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Canvas Layout Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Geometry for freeform `canvas` slides. Every element has a box in
+// percentages of the canvas (`x`, `y`, `width`, `height`) plus `rotation` in
+// degrees around its centre.
+// - applyCanvasBox() positions a rendered element (shared by the renderer and
+//   the on-slide editor)
+// - Snapping and resize maths for canvas-editor.js; resizing works in pixels
+//   so rotated boxes keep their opposite corner pinned
+//
+// Dependencies: None
+// Used by: slide-rendering.js, canvas-editor.js, deck-schema.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const CANVAS_ELEMENT_TYPES = ['text', 'image', 'shape', 'arrow'];
+export const CANVAS_SHAPES = ['rect', 'ellipse', 'triangle'];
+export const CANVAS_ARROW_HEADS = ['end', 'start', 'both', 'none'];
+
+/** Theme colour names usable for `color` / `fill`; anything else is used as CSS. */
+export const CANVAS_COLOR_TOKENS = ['bg', 'ink', 'muted', 'surface', 'surface-alt', 'accent'];
+
+const MIN_SIZE = 1;
+
+const ELEMENT_DEFAULTS = {
+    text: { type: 'text', x: 30, y: 40, width: 40, height: 16, text: 'New text' },
+    image: { type: 'image', x: 35, y: 20, width: 30, height: 60, image: { src: '', alt: '' } },
+    shape: { type: 'shape', x: 40, y: 35, width: 20, height: 30, shape: 'rect', fill: 'accent' },
+    arrow: { type: 'arrow', x: 35, y: 45, width: 30, height: 10 },
+};
+
+/**
+ * A fresh element of the given type, centred-ish on the canvas.
+ * @param {string} type - One of CANVAS_ELEMENT_TYPES
+ * @returns {object|null}
+ */
+export function createCanvasElementData(type) {
+    const defaults = ELEMENT_DEFAULTS[type];
+    return defaults ? JSON.parse(JSON.stringify(defaults)) : null;
+}
+
+/**
+ * An element's box with defaults filled in.
+ * @param {object} element
+ * @returns {{ x: number, y: number, width: number, height: number, rotation: number }}
+ */
+export function getCanvasBox(element) {
+    const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+    return {
+        x: number(element?.x, 0),
+        y: number(element?.y, 0),
+        width: Math.max(MIN_SIZE, number(element?.width, 20)),
+        height: Math.max(MIN_SIZE, number(element?.height, 20)),
+        rotation: number(element?.rotation, 0),
+    };
+}
+
+/**
+ * Position a rendered canvas element. Rotation goes on the inner body so it
+ * doesn't fight the transform that build steps put on the element itself.
+ * @param {HTMLElement} node - `.canvas__element`
+ * @param {{ x: number, y: number, width: number, height: number, rotation: number }} box
+ */
+export function applyCanvasBox(node, box) {
+    node.style.left = `${box.x}%`;
+    node.style.top = `${box.y}%`;
+    node.style.width = `${box.width}%`;
+    node.style.height = `${box.height}%`;
+    const body = node.querySelector(':scope > .canvas__body');
+    if (body) {
+        body.style.transform = box.rotation ? `rotate(${box.rotation}deg)` : '';
+    }
+}
+
+/**
+ * CSS colour for a `color` / `fill` value.
+ * @param {string} value - Theme colour name or any CSS colour
+ * @returns {string|null}
+ */
+export function resolveCanvasColor(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const name = value.trim();
+    return CANVAS_COLOR_TOKENS.includes(name) ? `var(--color-${name})` : name;
+}
+
+/**
+ * Snap lines along one axis: the canvas edges and centre, plus the edges and
+ * centres of the other elements.
+ * @param {Array<{ x: number, y: number, width: number, height: number }>} boxes
+ * @param {'x'|'y'} axis
+ * @returns {number[]}
+ */
+export function getCanvasSnapTargets(boxes, axis) {
+    const size = axis === 'x' ? 'width' : 'height';
+    const targets = [0, 50, 100];
+    boxes.forEach((box) => {
+        targets.push(box[axis], box[axis] + box[size] / 2, box[axis] + box[size]);
+    });
+    return targets;
+}
+
+/**
+ * Closest snap between any of `values` and any target, within `threshold`.
+ * @param {number[]} values - Positions on the moving box (e.g. left, centre, right)
+ * @param {number[]} targets
+ * @param {number} threshold - Same units as the values
+ * @returns {{ offset: number, at: number }|null} Shift to apply, and the guide position
+ */
+export function findCanvasSnap(values, targets, threshold) {
+    let best = null;
+    values.forEach((value) => {
+        targets.forEach((target) => {
+            const distance = Math.abs(target - value);
+            if (distance <= threshold && (!best || distance < Math.abs(best.offset))) {
+                best = { offset: target - value, at: target };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Resize a box (in pixels) by dragging one corner, keeping the opposite
+ * corner where it is even when the box is rotated.
+ * @param {{ x: number, y: number, width: number, height: number }} box - Unrotated box in px
+ * @param {'nw'|'ne'|'sw'|'se'} handle
+ * @param {number} dx - Pointer movement in px
+ * @param {number} dy
+ * @param {number} rotation - Degrees
+ * @param {object} [options]
+ * @param {boolean} [options.keepRatio=false]
+ * @param {number} [options.minSize=8] - Smallest width/height in px
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function resizeCanvasBox(box, handle, dx, dy, rotation, { keepRatio = false, minSize = 8 } = {}) {
+    const angle = (rotation * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const signX = handle.includes('e') ? 1 : -1;
+    const signY = handle.includes('s') ? 1 : -1;
+
+    // Pointer movement in the box's own (unrotated) axes.
+    const localX = dx * cos + dy * sin;
+    const localY = -dx * sin + dy * cos;
+
+    let width = Math.max(minSize, box.width + signX * localX);
+    let height = Math.max(minSize, box.height + signY * localY);
+    if (keepRatio) {
+        const scale = Math.max(width / box.width, height / box.height);
+        width = Math.max(minSize, box.width * scale);
+        height = Math.max(minSize, box.height * scale);
+    }
+
+    const shiftX = (signX * (width - box.width)) / 2;
+    const shiftY = (signY * (height - box.height)) / 2;
+    const centerX = box.x + box.width / 2 + shiftX * cos - shiftY * sin;
+    const centerY = box.y + box.height / 2 + shiftX * sin + shiftY * cos;
+
+    return { x: centerX - width / 2, y: centerY - height / 2, width, height };
+}
+
+/**
+ * Rotation for a pointer angle: free, but sticky near multiples of 45°, or in
+ * fixed steps (e.g. 15° while Shift is held).
+ * @param {number} degrees
+ * @param {number} [step] - Snap increment; omit for free rotation
+ * @returns {number} Normalised to -180..180
+ */
+export function snapCanvasRotation(degrees, step) {
+    let angle = degrees;
+    if (step) {
+        angle = Math.round(angle / step) * step;
+    } else {
+        const nearest = Math.round(angle / 45) * 45;
+        if (Math.abs(nearest - angle) <= 4) angle = nearest;
+    }
+    angle = ((angle + 180) % 360 + 360) % 360 - 180;
+    return Math.round(angle * 10) / 10;
+}
+
+/**
+ * Round a box for storage in slide JSON.
+ * @param {{ x: number, y: number, width: number, height: number, rotation?: number }} box
+ * @returns {{ x: number, y: number, width: number, height: number, rotation?: number }}
+ */
+export function roundCanvasBox(box) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const rounded = { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) };
+    if (box.rotation) rounded.rotation = round(box.rotation);
+    return rounded;
+}
@@ -0,0 +1,445 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Chart Rendering Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Deterministic SVG charts for `chart` slides (no AI, works offline).
+// - Kinds: bar, line, pie, donut, scatter
+// - Reads `data` from the slide JSON:
+//     bar/line/pie/donut → [{ label, value }] or [{ label, values: [...] }] + `series`
+//     scatter            → [{ x, y, label? }]
+// - Colors come from CSS custom properties (.chart --chart-1…5), which default
+//   to the active theme tokens, so charts follow theme changes without re-rendering
+//
+// Dependencies: None
+// Used by: slide-rendering.js, deck-schema.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const VIEW_WIDTH = 800;
+const VIEW_HEIGHT = 450;
+const PADDING = { top: 28, right: 24, bottom: 56, left: 72 };
+const PALETTE_SIZE = 5;
+const MAX_LABEL_LENGTH = 14;
+
+export const CHART_KINDS = ['bar', 'line', 'pie', 'donut', 'scatter'];
+
+/**
+ * Build the chart figure for a slide.
+ * @param {object} slide - Slide data with `chart`, `data`, optional `series`, `unit`, `caption`
+ * @returns {HTMLElement}
+ */
+export function createChart(slide) {
+    const kind = CHART_KINDS.includes(slide.chart) ? slide.chart : 'bar';
+    const figure = document.createElement('figure');
+    figure.className = `chart chart--${kind}`;
+
+    const model = kind === 'scatter' ? normalizePoints(slide.data) : normalizeSeries(slide);
+    const isEmpty = kind === 'scatter' ? model.points.length === 0 : model.labels.length === 0;
+
+    if (isEmpty) {
+        const empty = document.createElement('p');
+        empty.className = 'chart__empty';
+        empty.textContent = 'Add a "data" array to draw this chart.';
+        figure.appendChild(empty);
+        return figure;
+    }
+
+    const svg = svgElement('svg', {
+        class: 'chart__svg',
+        viewBox: `0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`,
+        role: 'img',
+        preserveAspectRatio: 'xMidYMid meet',
+    });
+    const summary = slide.description || slide.headline || `${kind} chart`;
+    svg.setAttribute('aria-label', summary);
+    svg.appendChild(svgElement('title', {}, summary));
+
+    const unit = typeof slide.unit === 'string' ? slide.unit : '';
+    if (kind === 'pie' || kind === 'donut') {
+        drawPie(svg, model, { unit, donut: kind === 'donut' });
+    } else if (kind === 'scatter') {
+        drawScatter(svg, model, { unit });
+    } else {
+        drawCartesian(svg, model, { unit, kind });
+    }
+    figure.appendChild(svg);
+
+    const legendEntries = getLegendEntries(kind, model, unit);
+    if (legendEntries.length) {
+        figure.appendChild(createLegend(legendEntries));
+    }
+
+    if (slide.caption) {
+        const caption = document.createElement('figcaption');
+        caption.className = 'chart__caption';
+        caption.textContent = slide.caption;
+        figure.appendChild(caption);
+    }
+
+    return figure;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Data normalization
+// ═══════════════════════════════════════════════════════════════════════════
+
+function toNumber(value) {
+    const number = typeof value === 'number' ? value : Number.parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function normalizeSeries(slide) {
+    const rows = Array.isArray(slide.data) ? slide.data.filter((row) => row && typeof row === 'object') : [];
+    const seriesCount = Math.max(1, ...rows.map((row) => (Array.isArray(row.values) ? row.values.length : 1)));
+    const names = Array.isArray(slide.series) ? slide.series : [];
+
+    const series = Array.from({ length: seriesCount }, (_, seriesIndex) => ({
+        name: names[seriesIndex] != null ? String(names[seriesIndex]) : (seriesCount > 1 ? `Series ${seriesIndex + 1}` : ''),
+        values: rows.map((row) => {
+            const raw = Array.isArray(row.values) ? row.values[seriesIndex] : (seriesIndex === 0 ? row.value : null);
+            return toNumber(raw);
+        }),
+    }));
+
+    return {
+        labels: rows.map((row, index) => (row.label != null ? String(row.label) : String(index + 1))),
+        series,
+    };
+}
+
+function normalizePoints(data) {
+    const points = (Array.isArray(data) ? data : [])
+        .map((point) => ({
+            x: toNumber(point?.x),
+            y: toNumber(point?.y),
+            label: point?.label != null ? String(point.label) : '',
+        }))
+        .filter((point) => point.x !== null && point.y !== null);
+    return { points };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Drawing
+// ═══════════════════════════════════════════════════════════════════════════
+
+function drawCartesian(svg, model, { unit, kind }) {
+    const plot = getPlotArea();
+    const values = model.series.flatMap((series) => series.values).filter((value) => value !== null);
+    const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+    const scaleY = linearScale(ticks[0], ticks[ticks.length - 1], plot.bottom, plot.top);
+
+    drawYAxis(svg, plot, ticks, scaleY, unit);
+
+    const band = (plot.right - plot.left) / model.labels.length;
+    const axis = svgElement('g', { class: 'chart__axis chart__axis--x' });
+    model.labels.forEach((label, index) => {
+        const center = plot.left + band * (index + 0.5);
+        axis.appendChild(createAxisLabel(label, center, plot.bottom + 24, 'middle'));
+    });
+    svg.appendChild(axis);
+
+    if (kind === 'line') {
+        model.series.forEach((series, seriesIndex) => {
+            const group = svgElement('g', { class: `chart__series chart__series--${seriesColorIndex(seriesIndex)}` });
+            const coords = series.values
+                .map((value, index) => (value === null ? null : [plot.left + band * (index + 0.5), scaleY(value)]))
+                .filter(Boolean);
+            group.appendChild(svgElement('polyline', {
+                class: 'chart__line',
+                points: coords.map(([x, y]) => `${round(x)},${round(y)}`).join(' '),
+            }));
+            coords.forEach(([x, y], pointIndex) => {
+                group.appendChild(svgElement('circle', { class: 'chart__dot', cx: round(x), cy: round(y), r: 7 }));
+                if (coords.length <= 12 && model.series.length === 1) {
+                    const value = series.values.filter((entry) => entry !== null)[pointIndex];
+                    group.appendChild(svgElement('text', {
+                        class: 'chart__value',
+                        x: round(x),
+                        y: round(y - 16),
+                        'text-anchor': 'middle',
+                    }, formatValue(value, unit)));
+                }
+            });
+            svg.appendChild(group);
+        });
+        return;
+    }
+
+    const zeroY = scaleY(0);
+    const groupWidth = band * 0.7;
+    const barWidth = groupWidth / model.series.length;
+    const showValues = model.labels.length * model.series.length <= 16;
+
+    model.series.forEach((series, seriesIndex) => {
+        const group = svgElement('g', { class: `chart__series chart__series--${seriesColorIndex(seriesIndex)}` });
+        series.values.forEach((value, index) => {
+            if (value === null) return;
+            const x = plot.left + band * index + (band - groupWidth) / 2 + barWidth * seriesIndex;
+            const y = scaleY(value);
+            const rect = svgElement('rect', {
+                class: 'chart__bar',
+                x: round(x),
+                y: round(Math.min(y, zeroY)),
+                width: round(Math.max(barWidth - 4, 2)),
+                height: round(Math.abs(zeroY - y)),
+            });
+            rect.appendChild(svgElement('title', {}, `${model.labels[index]}: ${formatValue(value, unit)}`));
+            group.appendChild(rect);
+
+            if (showValues) {
+                group.appendChild(svgElement('text', {
+                    class: 'chart__value',
+                    x: round(x + (barWidth - 4) / 2),
+                    y: round(value >= 0 ? y - 10 : y + 26),
+                    'text-anchor': 'middle',
+                }, formatValue(value, unit)));
+            }
+        });
+        svg.appendChild(group);
+    });
+}
+
+function drawScatter(svg, model, { unit }) {
+    const plot = getPlotArea();
+    const xs = model.points.map((point) => point.x);
+    const ys = model.points.map((point) => point.y);
+    const xTicks = niceTicks(Math.min(...xs), Math.max(...xs));
+    const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+    const scaleX = linearScale(xTicks[0], xTicks[xTicks.length - 1], plot.left, plot.right);
+    const scaleY = linearScale(yTicks[0], yTicks[yTicks.length - 1], plot.bottom, plot.top);
+
+    drawYAxis(svg, plot, yTicks, scaleY, unit);
+
+    const axis = svgElement('g', { class: 'chart__axis chart__axis--x' });
+    xTicks.forEach((tick) => {
+        axis.appendChild(createAxisLabel(formatValue(tick), scaleX(tick), plot.bottom + 24, 'middle'));
+    });
+    svg.appendChild(axis);
+
+    const group = svgElement('g', { class: 'chart__series chart__series--1' });
+    model.points.forEach((point) => {
+        const cx = round(scaleX(point.x));
+        const cy = round(scaleY(point.y));
+        const dot = svgElement('circle', { class: 'chart__dot', cx, cy, r: 9 });
+        const tooltip = `${point.label ? `${point.label}: ` : ''}(${formatValue(point.x)}, ${formatValue(point.y, unit)})`;
+        dot.appendChild(svgElement('title', {}, tooltip));
+        group.appendChild(dot);
+        if (point.label && model.points.length <= 12) {
+            group.appendChild(svgElement('text', { class: 'chart__value', x: cx + 14, y: cy + 5 }, truncateLabel(point.label)));
+        }
+    });
+    svg.appendChild(group);
+}
+
+function drawPie(svg, model, { unit, donut }) {
+    const values = model.series[0].values.map((value) => (value !== null && value > 0 ? value : 0));
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const cx = VIEW_WIDTH / 2;
+    const cy = VIEW_HEIGHT / 2;
+    const radius = VIEW_HEIGHT / 2 - 24;
+    const innerRadius = donut ? radius * 0.55 : 0;
+
+    if (!total) {
+        svg.appendChild(svgElement('circle', { class: 'chart__slice chart__slice--empty', cx, cy, r: radius }));
+        return;
+    }
+
+    let angle = -Math.PI / 2;
+    values.forEach((value, index) => {
+        if (!value) return;
+        const sweep = (value / total) * Math.PI * 2;
+        const slice = svgElement('path', {
+            class: `chart__slice chart__series--${seriesColorIndex(index)}`,
+            d: describeArc(cx, cy, radius, innerRadius, angle, angle + sweep),
+        });
+        slice.appendChild(svgElement('title', {}, `${model.labels[index]}: ${formatValue(value, unit)} (${formatPercent(value / total)})`));
+        svg.appendChild(slice);
+
+        if (sweep > 0.35) {
+            const mid = angle + sweep / 2;
+            const labelRadius = donut ? (radius + innerRadius) / 2 : radius * 0.62;
+            svg.appendChild(svgElement('text', {
+                class: 'chart__slice-label',
+                x: round(cx + Math.cos(mid) * labelRadius),
+                y: round(cy + Math.sin(mid) * labelRadius + 6),
+                'text-anchor': 'middle',
+            }, formatPercent(value / total)));
+        }
+        angle += sweep;
+    });
+
+    if (donut) {
+        svg.appendChild(svgElement('text', {
+            class: 'chart__total',
+            x: cx,
+            y: cy + 10,
+            'text-anchor': 'middle',
+        }, formatValue(total, unit)));
+    }
+}
+
+function describeArc(cx, cy, radius, innerRadius, start, end) {
+    // A single full-circle arc collapses to nothing, so split it in two.
+    if (end - start >= Math.PI * 2 - 1e-6) {
+        const middle = start + Math.PI;
+        return `${describeArc(cx, cy, radius, innerRadius, start, middle)} ${describeArc(cx, cy, radius, innerRadius, middle, end)}`;
+    }
+    const largeArc = end - start > Math.PI ? 1 : 0;
+    const point = (r, theta) => `${round(cx + Math.cos(theta) * r)} ${round(cy + Math.sin(theta) * r)}`;
+
+    if (!innerRadius) {
+        return `M ${cx} ${cy} L ${point(radius, start)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(radius, end)} Z`;
+    }
+    return [
+        `M ${point(radius, start)}`,
+        `A ${radius} ${radius} 0 ${largeArc} 1 ${point(radius, end)}`,
+        `L ${point(innerRadius, end)}`,
+        `A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${point(innerRadius, start)}`,
+        'Z',
+    ].join(' ');
+}
+
+function drawYAxis(svg, plot, ticks, scaleY, unit) {
+    const axis = svgElement('g', { class: 'chart__axis chart__axis--y' });
+    ticks.forEach((tick) => {
+        const y = round(scaleY(tick));
+        axis.appendChild(svgElement('line', {
+            class: tick === 0 ? 'chart__grid chart__grid--zero' : 'chart__grid',
+            x1: plot.left,
+            x2: plot.right,
+            y1: y,
+            y2: y,
+        }));
+        axis.appendChild(createAxisLabel(formatValue(tick, unit), plot.left - 12, y + 6, 'end'));
+    });
+    svg.appendChild(axis);
+}
+
+function createAxisLabel(text, x, y, anchor) {
+    const label = svgElement('text', {
+        class: 'chart__label',
+        x: round(x),
+        y: round(y),
+        'text-anchor': anchor,
+    }, truncateLabel(text));
+    if (text.length > MAX_LABEL_LENGTH) {
+        label.appendChild(svgElement('title', {}, text));
+    }
+    return label;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Legend
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getLegendEntries(kind, model, unit) {
+    if (kind === 'pie' || kind === 'donut') {
+        return model.labels.map((label, index) => ({
+            label,
+            detail: formatValue(model.series[0].values[index] ?? 0, unit),
+            colorIndex: seriesColorIndex(index),
+        }));
+    }
+    if (kind !== 'scatter' && model.series.length > 1) {
+        return model.series.map((series, index) => ({
+            label: series.name,
+            detail: '',
+            colorIndex: seriesColorIndex(index),
+        }));
+    }
+    return [];
+}
+
+function createLegend(entries) {
+    const list = document.createElement('ul');
+    list.className = 'chart__legend';
+    entries.forEach(({ label, detail, colorIndex }) => {
+        const item = document.createElement('li');
+        item.className = `chart__legend-item chart__series--${colorIndex}`;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'chart__swatch';
+        swatch.setAttribute('aria-hidden', 'true');
+        item.appendChild(swatch);
+
+        const text = document.createElement('span');
+        text.textContent = detail ? `${label} · ${detail}` : label;
+        item.appendChild(text);
+
+        list.appendChild(item);
+    });
+    return list;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════
+
+function svgElement(tag, attributes = {}, text = null) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        element.setAttribute(name, String(value));
+    });
+    if (text != null) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function getPlotArea() {
+    return {
+        left: PADDING.left,
+        right: VIEW_WIDTH - PADDING.right,
+        top: PADDING.top,
+        bottom: VIEW_HEIGHT - PADDING.bottom,
+    };
+}
+
+function seriesColorIndex(index) {
+    return (index % PALETTE_SIZE) + 1;
+}
+
+function linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+    const span = domainMax - domainMin || 1;
+    return (value) => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+}
+
+// Round-number axis ticks covering [min, max] in roughly `count` intervals.
+function niceTicks(min, max, count = 5) {
+    if (min === max) {
+        const pad = Math.abs(min) || 1;
+        min -= pad;
+        max += pad;
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let tick = start; tick <= end + step / 2; tick += step) {
+        // Strip floating-point noise (0.30000000000000004 → 0.3).
+        ticks.push(Number.parseFloat(tick.toPrecision(12)));
+    }
+    return ticks;
+}
+
+function formatValue(value, unit = '') {
+    const number = Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return unit ? `${number}${unit}` : number;
+}
+
+function formatPercent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+function truncateLabel(text) {
+    return text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
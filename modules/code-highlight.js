@@ -0,0 +1,242 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Code Highlight Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Small regex tokenizer for `code` slides (no external highlighter).
+// - Languages: JavaScript, TypeScript, Python, JSON, shell, HTML, CSS
+// - tokenizeCode() returns tokens grouped per line so the renderer can add
+//   line numbers and per-line highlight/focus classes
+// - Token types map to `.code-token--<type>` classes styled from theme tokens
+//
+// Dependencies: None
+// Used by: slide-rendering.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const JS_KEYWORDS = new Set([
+    'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally',
+    'for', 'from', 'function', 'get', 'if', 'import', 'in', 'instanceof', 'let',
+    'new', 'of', 'return', 'set', 'static', 'super', 'switch', 'throw', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+const TS_KEYWORDS = new Set([
+    ...JS_KEYWORDS,
+    'abstract', 'declare', 'enum', 'implements', 'interface', 'keyof', 'namespace',
+    'private', 'protected', 'public', 'readonly', 'satisfies', 'type',
+    'any', 'boolean', 'never', 'number', 'object', 'string', 'symbol', 'unknown',
+]);
+
+const JS_LITERALS = new Set(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity', 'this']);
+
+const PY_KEYWORDS = new Set([
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+    'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if',
+    'import', 'in', 'is', 'lambda', 'match', 'case', 'nonlocal', 'not', 'or',
+    'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+]);
+
+const PY_LITERALS = new Set(['True', 'False', 'None', 'self', 'cls']);
+
+const SHELL_KEYWORDS = new Set([
+    'if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while',
+    'until', 'case', 'esac', 'function', 'return', 'export', 'local', 'sudo',
+]);
+
+const NUMBER = /(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y;
+
+function classifyWord(keywords, literals) {
+    return (word, source, end) => {
+        if (keywords.has(word)) return 'keyword';
+        if (literals.has(word)) return 'literal';
+        if (/^\s*\(/.test(source.slice(end, end + 8))) return 'function';
+        if (/^[A-Z]/.test(word)) return 'type';
+        return null;
+    };
+}
+
+function scriptRules(keywords) {
+    return [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        ['number', NUMBER],
+        ['word', /[A-Za-z_$][\w$]*/y, classifyWord(keywords, JS_LITERALS)],
+        ['operator', /=>|[=+\-*/%!<>&|^~?:]+/y],
+        ['punctuation', /[{}[\]();,.]/y],
+    ];
+}
+
+const LANGUAGES = {
+    javascript: scriptRules(JS_KEYWORDS),
+    typescript: scriptRules(TS_KEYWORDS),
+    python: [
+        ['comment', /#[^\n]*/y],
+        ['string', /[rbfuRBFU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y],
+        ['decorator', /@[\w.]+/y],
+        ['number', NUMBER],
+        ['word', /[A-Za-z_]\w*/y, classifyWord(PY_KEYWORDS, PY_LITERALS)],
+        ['operator', /[=+\-*/%!<>&|^~:@]+/y],
+        ['punctuation', /[{}[\]();,.]/y],
+    ],
+    json: [
+        ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?/y],
+        ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+        ['literal', /\b(?:true|false|null)\b/y],
+        ['punctuation', /[{}[\]:,]/y],
+    ],
+    shell: [
+        ['comment', /(?:^|(?<=\s))#[^\n]*/y],
+        ['string', /"(?:\\.|[^\\"])*"?|'[^']*'?/y],
+        ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9])/y],
+        ['attribute', /(?<=\s)--?[\w-]+/y],
+        ['number', /\b\d+\b/y],
+        ['word', /[\w./-]+/y, (word, source, end, start) => {
+            if (SHELL_KEYWORDS.has(word)) return 'keyword';
+            // First word of a command (line start or after a pipe/chain operator).
+            const before = source.slice(0, start).replace(/[ \t]+$/, '');
+            if (!before || /[\n|;&(]$/.test(before) || /(?:^|\n)\s*\$$/.test(before)) return 'function';
+            return null;
+        }],
+        ['operator', /[|&;<>]+|\$(?=\s)/y],
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+        ['tag', /<\/?[A-Za-z][\w:-]*|\/?>/y],
+        ['attribute', /[A-Za-z_:][\w:.-]*(?=\s*=)/y],
+        ['string', /"[^"]*"?|'[^']*'?/y],
+        ['literal', /&[#\w]+;/y],
+        ['operator', /=/y],
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        ['keyword', /@[\w-]+/y],
+        ['property', /-{0,2}[A-Za-z][\w-]*(?=\s*:[^{};]*(?:;|}|$))/y],
+        ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d*\.)?\d+(?:%|[a-z]+)?/y],
+        ['function', /[\w-]+(?=\()/y],
+        ['tag', /[.#]?-?[A-Za-z_][\w-]*|::?[\w-]+|\*/y],
+        ['literal', /!important\b/y],
+        ['punctuation', /[{}();:,>+~[\]=]/y],
+    ],
+};
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    javascript: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    typescript: 'typescript',
+    py: 'python',
+    python: 'python',
+    json: 'json',
+    sh: 'shell',
+    bash: 'shell',
+    zsh: 'shell',
+    shell: 'shell',
+    console: 'shell',
+    html: 'html',
+    xml: 'html',
+    svg: 'html',
+    css: 'css',
+};
+
+const LANGUAGE_LABELS = {
+    javascript: 'JavaScript',
+    typescript: 'TypeScript',
+    python: 'Python',
+    json: 'JSON',
+    shell: 'Shell',
+    html: 'HTML',
+    css: 'CSS',
+};
+
+/**
+ * @param {string} language - Language name or alias ("js", "py", "bash", …)
+ * @returns {string|null} Canonical language id, or null if unsupported
+ */
+export function resolveLanguage(language) {
+    if (typeof language !== 'string') return null;
+    return LANGUAGE_ALIASES[language.trim().toLowerCase()] ?? null;
+}
+
+export function getLanguageLabel(language) {
+    const resolved = resolveLanguage(language);
+    return resolved ? LANGUAGE_LABELS[resolved] : (language || '');
+}
+
+/**
+ * Split source into highlighted lines.
+ * @param {string} source
+ * @param {string} [language]
+ * @returns {Array<Array<{ type: string|null, text: string }>>} One token list per line
+ */
+export function tokenizeCode(source, language) {
+    const text = String(source ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ');
+    const rules = LANGUAGES[resolveLanguage(language)] ?? [];
+    const tokens = [];
+    let plain = '';
+    let position = 0;
+
+    const flushPlain = () => {
+        if (plain) tokens.push({ type: null, text: plain });
+        plain = '';
+    };
+
+    while (position < text.length) {
+        let matched = false;
+        for (const [type, pattern, classify] of rules) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match || !match[0]) continue;
+
+            const value = match[0];
+            const end = position + value.length;
+            const tokenType = classify ? classify(value, text, end, position) : type;
+            flushPlain();
+            tokens.push({ type: tokenType, text: value });
+            position = end;
+            matched = true;
+            break;
+        }
+        if (!matched) {
+            plain += text[position];
+            position += 1;
+        }
+    }
+    flushPlain();
+
+    // Tokens such as block comments can span lines; split them at newlines.
+    const lines = [[]];
+    tokens.forEach(({ type, text: value }) => {
+        value.split('\n').forEach((segment, index) => {
+            if (index > 0) lines.push([]);
+            if (segment) lines[lines.length - 1].push({ type, text: segment });
+        });
+    });
+    return lines;
+}
+
+/**
+ * Parse line ranges such as "1-3, 7" or [2, "5-6"] into a set of line numbers.
+ * @param {string|number|Array<string|number>} ranges
+ * @returns {Set<number>}
+ */
+export function parseLineRanges(ranges) {
+    const lines = new Set();
+    const parts = Array.isArray(ranges) ? ranges : String(ranges ?? '').split(',');
+    parts.forEach((part) => {
+        const match = String(part).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) return;
+        const start = Number.parseInt(match[1], 10);
+        const end = match[2] ? Number.parseInt(match[2], 10) : start;
+        for (let line = Math.min(start, end); line <= Math.max(start, end); line += 1) {
+            lines.add(line);
+        }
+    });
+    return lines;
+}
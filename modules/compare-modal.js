@@ -0,0 +1,425 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Compare Modal Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The Compare Decks modal: what changed between two decks, slide by slide.
+// - Either side can be the deck being edited or one of its saved versions;
+//   the right side can also be a deck file (e.g. a teammate's updated JSON)
+// - Changes come from deck-diff.js: added, removed and moved slides, and
+//   modified slides with word-level text diffs and before/after images
+// - When the left side is the current deck, each change can be applied on its
+//   own (or all at once). Every apply is one undo step
+//
+// Dependencies: deck-diff.js, deck-persistence.js, deck-store.js,
+//               deck-library.js, slide-actions.js, validation.js, state.js,
+//               utils.js
+// Used by: main.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { diffDecks, summarizeChanges, applySlideChange } from './deck-diff.js';
+import { listDeckVersions, readDeckVersion } from './deck-persistence.js';
+import { getStoredImageUrl } from './deck-store.js';
+import { getSlideThumbnail } from './deck-library.js';
+import { readDeckFile } from './slide-actions.js';
+import { validateSlides } from './validation.js';
+import { slides } from './state.js';
+import { trapFocus, focusFirstElement, deepClone } from './utils.js';
+
+const CURRENT_DECK = 'current';
+const UPLOADED_FILE = 'file';
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  modified: 'Modified',
+  unchanged: 'Unchanged',
+};
+const APPLY_LABELS = {
+  added: 'Add',
+  removed: 'Remove',
+  moved: 'Move',
+  modified: 'Apply',
+};
+const APPLIED_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  modified: 'Updated',
+};
+
+/** @type {(slides: object[], label: string) => void} */
+let applySlidesHook = () => {};
+
+let previousFocus = null;
+let keydownHandler = null;
+let uploadedDeck = null;
+let comparison = null;
+let renderToken = 0;
+
+export function registerCompareModalHooks(hooks = {}) {
+  if (typeof hooks.applySlides === 'function') applySlidesHook = hooks.applySlides;
+}
+
+/**
+ * Open the modal.
+ * @param {object} [options]
+ * @param {number} [options.versionId] - Compare the current deck with this version
+ */
+export async function openCompareModal({ versionId } = {}) {
+  const modal = document.getElementById('compare-modal');
+  if (!modal) return;
+
+  previousFocus = document.activeElement;
+  modal.classList.add('is-open');
+  modal.setAttribute('aria-hidden', 'false');
+  setupCompareModalListeners();
+
+  if (keydownHandler) document.removeEventListener('keydown', keydownHandler);
+  keydownHandler = (e) => {
+    if (e.key === 'Escape') {
+      closeCompareModal();
+    } else if (e.key === 'Tab') {
+      trapFocus(e, modal);
+    }
+  };
+  document.addEventListener('keydown', keydownHandler);
+
+  await fillSourcePickers(versionId);
+  focusFirstElement(modal);
+  await renderComparison();
+}
+
+export function closeCompareModal() {
+  const modal = document.getElementById('compare-modal');
+  if (!modal) return;
+
+  if (previousFocus && typeof previousFocus.focus === 'function') {
+    previousFocus.focus();
+    previousFocus = null;
+  }
+
+  modal.classList.remove('is-open');
+  modal.setAttribute('aria-hidden', 'true');
+  comparison = null;
+
+  if (keydownHandler) {
+    document.removeEventListener('keydown', keydownHandler);
+    keydownHandler = null;
+  }
+}
+
+function setupCompareModalListeners() {
+  const modal = document.getElementById('compare-modal');
+  if (!modal || modal.dataset.listenerAttached) return;
+
+  modal.querySelectorAll('[data-compare-close]').forEach((element) => {
+    element.addEventListener('click', closeCompareModal);
+  });
+
+  ['compare-base', 'compare-other', 'compare-show-unchanged'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', () => renderComparison());
+  });
+
+  const fileInput = /** @type {HTMLInputElement} */ (document.getElementById('compare-upload'));
+  document.getElementById('compare-upload-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (file) loadComparisonFile(file);
+  });
+
+  document.getElementById('compare-apply-all')?.addEventListener('click', applyAllChanges);
+
+  document.getElementById('compare-list')?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-compare-change]');
+    if (button) applyChange(Number(button.dataset.compareChange));
+  });
+
+  modal.dataset.listenerAttached = 'true';
+}
+
+// Left: the current deck or a version. Right: versions, plus the last file.
+async function fillSourcePickers(versionId) {
+  const basePicker = /** @type {HTMLSelectElement} */ (document.getElementById('compare-base'));
+  const otherPicker = /** @type {HTMLSelectElement} */ (document.getElementById('compare-other'));
+  if (!basePicker || !otherPicker) return;
+
+  let versions;
+  try {
+    versions = await listDeckVersions();
+  } catch (error) {
+    console.warn('Unable to read version history:', error);
+    versions = [];
+  }
+
+  const versionOptions = () => versions.map((version) => createOption(
+    `version:${version.id}`,
+    `${version.auto ? '🕒' : '📌'} ${version.name || 'Autosave'} (${formatTimestamp(version.createdAt)})`
+  ));
+
+  const previousBase = basePicker.value;
+  basePicker.replaceChildren(createOption(CURRENT_DECK, 'Current deck'), ...versionOptions());
+  basePicker.value = [...basePicker.options].some((option) => option.value === previousBase) ? previousBase : CURRENT_DECK;
+
+  const previousOther = otherPicker.value;
+  otherPicker.replaceChildren(...versionOptions());
+  if (uploadedDeck) {
+    otherPicker.prepend(createOption(UPLOADED_FILE, `📄 ${uploadedDeck.name}`));
+  }
+
+  if (versionId !== undefined) {
+    basePicker.value = CURRENT_DECK;
+    otherPicker.value = `version:${versionId}`;
+  } else if ([...otherPicker.options].some((option) => option.value === previousOther)) {
+    otherPicker.value = previousOther;
+  }
+}
+
+async function loadComparisonFile(file) {
+  try {
+    const deck = await readDeckFile(file, await readFileText(file));
+    if (!deck.slides) {
+      throw new Error('File must contain a JSON array of slides or a Markdown deck.');
+    }
+    validateSlides(deck.slides);
+    uploadedDeck = { name: file.name, slides: deck.slides };
+    await fillSourcePickers();
+    const otherPicker = /** @type {HTMLSelectElement} */ (document.getElementById('compare-other'));
+    if (otherPicker) otherPicker.value = UPLOADED_FILE;
+    await renderComparison();
+    if (deck.warnings.length) {
+      showCompareStatus('info', `Parts of ${file.name} could not be read. ${deck.warnings.join('. ')}`);
+    }
+  } catch (error) {
+    console.error('Failed to read comparison file:', error);
+    showCompareStatus('error', `Unable to read ${file.name}: ${error.message}`);
+  }
+}
+
+async function readDeckSource(source) {
+  if (source === CURRENT_DECK) return slides;
+  if (source === UPLOADED_FILE) return uploadedDeck?.slides ?? null;
+  if (source?.startsWith('version:')) {
+    const deck = await readDeckVersion(Number(source.slice('version:'.length)));
+    return deck?.slides ?? null;
+  }
+  return null;
+}
+
+async function renderComparison() {
+  const list = document.getElementById('compare-list');
+  if (!list) return;
+
+  const token = ++renderToken;
+  const baseSource = /** @type {HTMLSelectElement} */ (document.getElementById('compare-base'))?.value;
+  const otherSource = /** @type {HTMLSelectElement} */ (document.getElementById('compare-other'))?.value;
+  const showUnchanged = /** @type {HTMLInputElement} */ (document.getElementById('compare-show-unchanged'))?.checked;
+
+  let baseSlides;
+  let otherSlides;
+  try {
+    [baseSlides, otherSlides] = await Promise.all([readDeckSource(baseSource), readDeckSource(otherSource)]);
+  } catch (error) {
+    console.error('Failed to read decks to compare:', error);
+    showCompareStatus('error', 'One of those decks could not be read.');
+    return;
+  }
+  if (token !== renderToken) return;
+
+  if (!baseSlides || !otherSlides) {
+    comparison = null;
+    list.replaceChildren();
+    setSummary('Choose a deck file or a saved version to compare with.');
+    setApplyAllVisible(false);
+    return;
+  }
+
+  const changes = diffDecks(baseSlides, otherSlides);
+  const canApply = baseSource === CURRENT_DECK;
+  comparison = { baseSlides, otherSlides, changes, canApply };
+
+  const summary = summarizeChanges(changes);
+  const changeCount = changes.length - summary.unchanged;
+  setSummary(changeCount
+    ? ['added', 'removed', 'moved', 'modified', 'unchanged']
+      .filter((kind) => summary[kind])
+      .map((kind) => `${summary[kind]} ${CHANGE_LABELS[kind].toLowerCase()}`)
+      .join(' · ')
+    : 'These decks have the same slides.');
+  setApplyAllVisible(canApply && changeCount > 0);
+
+  list.replaceChildren(...changes
+    .map((change, index) => ({ change, index }))
+    .filter(({ change }) => showUnchanged || change.kind !== 'unchanged')
+    .map(({ change, index }) => createChangeItem(change, index, canApply)));
+}
+
+function applyChange(index) {
+  const change = comparison?.changes[index];
+  if (!comparison?.canApply || !change) return;
+  // The deck changed since this list was drawn; draw it again instead.
+  if (comparison.baseSlides !== slides) {
+    renderComparison();
+    return;
+  }
+
+  applySlidesHook(applySlideChange(slides, comparison.changes, change), 'Merge slide change');
+  showCompareStatus('success', `✓ ${APPLIED_LABELS[change.kind]} ${describePosition(change)}. Undo takes it back.`);
+  renderComparison();
+}
+
+function applyAllChanges() {
+  if (!comparison?.canApply) return;
+  applySlidesHook(deepClone(comparison.otherSlides), 'Merge all slide changes');
+  showCompareStatus('success', '✓ Applied every change. Undo takes them back.');
+  renderComparison();
+}
+
+function createChangeItem(change, index, canApply) {
+  const item = document.createElement('li');
+  item.className = `compare-change compare-change--${change.kind}`;
+
+  const header = document.createElement('div');
+  header.className = 'compare-change__header';
+
+  const badge = document.createElement('span');
+  badge.className = 'compare-change__badge';
+  badge.textContent = change.kind === 'modified' && change.moved ? 'Modified · Moved' : CHANGE_LABELS[change.kind];
+
+  const slide = change.other ?? change.base;
+  const title = document.createElement('span');
+  title.className = 'compare-change__title';
+  title.textContent = `${describePosition(change)} · ${getSlideThumbnail(slide).title || 'Untitled'}`;
+
+  header.append(badge, title);
+  if (canApply && change.kind !== 'unchanged') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-btn settings-btn--secondary';
+    button.dataset.compareChange = String(index);
+    button.textContent = APPLY_LABELS[change.kind];
+    header.append(button);
+  }
+  item.append(header);
+
+  if (change.kind === 'added' || change.kind === 'removed') {
+    const image = getSlideThumbnail(slide).image;
+    if (image) item.append(createThumbnail(image, change.kind === 'added' ? 'after' : 'before'));
+  }
+  if (change.fields.length) {
+    const fields = document.createElement('dl');
+    fields.className = 'compare-change__fields';
+    change.fields.forEach((field) => {
+      const name = document.createElement('dt');
+      name.textContent = field.path;
+      fields.append(name, createFieldDiff(field));
+    });
+    item.append(fields);
+  }
+  return item;
+}
+
+function createFieldDiff(field) {
+  const value = document.createElement('dd');
+  value.className = `compare-change__field compare-change__field--${field.kind}`;
+
+  if (field.kind === 'text') {
+    value.append(...field.parts.map((part) => {
+      const tag = { added: 'ins', removed: 'del', same: 'span' }[part.type];
+      const element = document.createElement(tag);
+      element.textContent = part.text;
+      return element;
+    }));
+  } else if (field.kind === 'image') {
+    const label = document.createElement('span');
+    label.className = 'compare-change__image-label';
+    label.textContent = field.before === undefined ? '🖼️ Image added' : field.after === undefined ? '🖼️ Image removed' : '🖼️ Image changed';
+    value.append(label);
+    if (typeof field.before === 'string') value.append(createThumbnail(field.before, 'before'));
+    if (typeof field.after === 'string') value.append(createThumbnail(field.after, 'after'));
+  } else {
+    const before = document.createElement('del');
+    before.textContent = formatValue(field.before);
+    const after = document.createElement('ins');
+    after.textContent = formatValue(field.after);
+    value.append(before, ' → ', after);
+  }
+  return value;
+}
+
+function createThumbnail(src, side) {
+  const image = document.createElement('img');
+  image.className = `compare-change__image compare-change__image--${side}`;
+  image.alt = side === 'before' ? 'Before' : 'After';
+  image.loading = 'lazy';
+  image.addEventListener('error', () => image.remove());
+  getStoredImageUrl(src)
+    .then((url) => {
+      if (url) {
+        image.src = url;
+      } else {
+        image.remove();
+      }
+    })
+    .catch(() => image.remove());
+  return image;
+}
+
+function describePosition(change) {
+  if (change.kind === 'added') return `Slide ${change.otherIndex + 1}`;
+  if (change.kind === 'removed') return `Slide ${change.baseIndex + 1}`;
+  return change.moved
+    ? `Slide ${change.baseIndex + 1} → ${change.otherIndex + 1}`
+    : `Slide ${change.otherIndex + 1}`;
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function createOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+function setSummary(message) {
+  const summary = document.getElementById('compare-summary');
+  if (summary) summary.textContent = message;
+}
+
+function setApplyAllVisible(visible) {
+  const button = document.getElementById('compare-apply-all');
+  if (button) button.hidden = !visible;
+}
+
+function showCompareStatus(type, message) {
+  const status = document.getElementById('compare-status');
+  if (!status) return;
+
+  status.className = `settings-field__status is-visible is-${type}`;
+  status.textContent = message;
+
+  if (type !== 'error') {
+    setTimeout(() => {
+      status.classList.remove('is-visible');
+    }, 3000);
+  }
+}
+
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
@@ -14,6 +14,12 @@ export const CONFIG = {
         SETTLE_WINDOW_MS: 10_000,
     },
 
+    // Video/audio handling (uploaded as-is, no transcoding)
+    MEDIA: {
+        MAX_BYTES: 4 * 1024 * 1024,        // Upload ceiling; stays under the function payload limit
+        INLINE_MAX_BYTES: 1024 * 1024,     // Largest clip kept inline when uploads are unavailable
+    },
+
     // Auto-save (handled in edit-drawer module)
     AUTO_SAVE_DELAY_MS: 3000,
 
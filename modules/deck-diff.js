@@ -0,0 +1,350 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Deck Diff Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Works out what changed between two decks (no DOM).
+// - diffDecks() pairs each slide of one deck with its counterpart in the
+//   other: identical slides first, then the most similar slide of any kind.
+//   Unpaired slides are added or removed; paired slides out of order are moved
+// - Changed pairs list their fields: text gets a word diff, image sources are
+//   only flagged as changed, and other values show before and after
+// - applySlideChange() merges one change into the base deck, so changes can be
+//   taken one at a time
+//
+// Dependencies: utils.js
+// Used by: compare-modal.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { deepClone } from './utils.js';
+
+// Pairs of changed slides need at least this much in common (0–1).
+const SIMILARITY_THRESHOLD = 0.4;
+// Word diffs of longer texts than this (tokens before × tokens after) just
+// show the whole text as replaced.
+const MAX_WORD_DIFF_CELLS = 250000;
+const IMAGE_FIELD_KEYS = new Set(['src', 'poster']);
+const IMAGE_VALUE_PATTERN = /^(?:data:image\/|data:video\/|blob:|idb-image:)/;
+
+/**
+ * @typedef {Object} SlideChange
+ * @property {'added'|'removed'|'moved'|'modified'|'unchanged'} kind
+ * @property {boolean} moved - The slide changed position (modified slides can move too)
+ * @property {number|null} baseIndex - Position in the base deck
+ * @property {number|null} otherIndex - Position in the other deck
+ * @property {object|null} base - The base deck's slide (the same object)
+ * @property {object|null} other - The other deck's slide
+ * @property {FieldChange[]} fields - What changed, for modified slides
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - Dotted field path, e.g. `title` or `left.image.src`
+ * @property {'text'|'image'|'value'} kind
+ * @property {*} before - Missing fields are `undefined`
+ * @property {*} after
+ * @property {Array<{ type: 'same'|'added'|'removed', text: string }>} [parts] - Word diff, for text
+ */
+
+/**
+ * Every slide of both decks, in the other deck's order with removed slides
+ * next to the slides they used to follow.
+ * @param {object[]} baseSlides - Usually the deck being edited
+ * @param {object[]} otherSlides - The deck to compare it with
+ * @returns {SlideChange[]}
+ */
+export function diffDecks(baseSlides, otherSlides) {
+  const base = baseSlides.map((slide, index) => ({ slide, index, key: stableStringify(slide), words: getSlideWords(slide) }));
+  const other = otherSlides.map((slide, index) => ({ slide, index, key: stableStringify(slide), words: getSlideWords(slide) }));
+  const pairOf = new Map();
+  const pairedBase = new Set();
+
+  // Identical slides: the nearest unpaired copy.
+  other.forEach((entry) => {
+    let match = null;
+    base.forEach((candidate) => {
+      if (pairedBase.has(candidate.index) || candidate.key !== entry.key) return;
+      if (!match || Math.abs(candidate.index - entry.index) < Math.abs(match.index - entry.index)) {
+        match = candidate;
+      }
+    });
+    if (match) {
+      pairOf.set(entry.index, match);
+      pairedBase.add(match.index);
+    }
+  });
+
+  // Changed slides: the most similar pairs first.
+  const candidates = [];
+  other.forEach((entry) => {
+    if (pairOf.has(entry.index)) return;
+    base.forEach((candidate) => {
+      if (pairedBase.has(candidate.index)) return;
+      const score = getSimilarity(candidate, entry);
+      if (score >= SIMILARITY_THRESHOLD) candidates.push({ entry, candidate, score });
+    });
+  });
+  candidates
+    .sort((a, b) => b.score - a.score || Math.abs(a.entry.index - a.candidate.index) - Math.abs(b.entry.index - b.candidate.index))
+    .forEach(({ entry, candidate }) => {
+      if (pairOf.has(entry.index) || pairedBase.has(candidate.index)) return;
+      pairOf.set(entry.index, candidate);
+      pairedBase.add(candidate.index);
+    });
+
+  // Paired slides outside the longest run in the original order have moved.
+  const pairedOther = other.filter((entry) => pairOf.has(entry.index));
+  const inOrder = new Set(longestIncreasingRun(pairedOther.map((entry) => pairOf.get(entry.index).index)));
+
+  const changes = other.map((entry) => {
+    const match = pairOf.get(entry.index);
+    if (!match) {
+      return createChange('added', { otherIndex: entry.index, other: entry.slide });
+    }
+    const moved = !inOrder.has(match.index);
+    const identical = match.key === entry.key;
+    return createChange(identical ? (moved ? 'moved' : 'unchanged') : 'modified', {
+      moved,
+      baseIndex: match.index,
+      otherIndex: entry.index,
+      base: match.slide,
+      other: entry.slide,
+      fields: identical ? [] : diffSlideFields(match.slide, entry.slide),
+    });
+  });
+
+  base.filter((entry) => !pairedBase.has(entry.index)).forEach((entry) => {
+    const removed = createChange('removed', { baseIndex: entry.index, base: entry.slide });
+    const before = changes.findIndex((change) => change.baseIndex !== null && change.baseIndex > entry.index);
+    changes.splice(before === -1 ? changes.length : before, 0, removed);
+  });
+
+  return changes;
+}
+
+/**
+ * How many slides of each kind of change; `moved` also counts modified slides
+ * that moved.
+ * @param {SlideChange[]} changes
+ * @returns {{ added: number, removed: number, moved: number, modified: number, unchanged: number }}
+ */
+export function summarizeChanges(changes) {
+  const summary = { added: 0, removed: 0, moved: 0, modified: 0, unchanged: 0 };
+  changes.forEach((change) => {
+    summary[change.kind] += 1;
+    if (change.kind === 'modified' && change.moved) summary.moved += 1;
+  });
+  return summary;
+}
+
+/**
+ * Field-by-field differences between two versions of a slide.
+ * @param {object} before
+ * @param {object} after
+ * @returns {FieldChange[]}
+ */
+export function diffSlideFields(before, after) {
+  const beforeFields = flattenFields(before);
+  const afterFields = flattenFields(after);
+  const paths = [...new Set([...beforeFields.keys(), ...afterFields.keys()])];
+
+  return paths
+    .filter((path) => stableStringify(beforeFields.get(path)) !== stableStringify(afterFields.get(path)))
+    .map((path) => {
+      const previous = beforeFields.get(path);
+      const next = afterFields.get(path);
+      if (isImageField(path, previous) || isImageField(path, next)) {
+        return { path, kind: 'image', before: previous, after: next };
+      }
+      if ((typeof previous === 'string' || previous === undefined) && (typeof next === 'string' || next === undefined)) {
+        return { path, kind: 'text', before: previous, after: next, parts: diffWords(previous ?? '', next ?? '') };
+      }
+      return { path, kind: 'value', before: previous, after: next };
+    });
+}
+
+/**
+ * Word-level diff of two strings.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+    return mergeParts([{ type: 'removed', text: before }, { type: 'added', text: after }]);
+  }
+
+  // Longest common subsequence table, filled from the end.
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'same', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      parts.push({ type: 'removed', text: a[i] });
+      i += 1;
+    } else {
+      parts.push({ type: 'added', text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((text) => parts.push({ type: 'removed', text }));
+  b.slice(j).forEach((text) => parts.push({ type: 'added', text }));
+  return mergeParts(parts);
+}
+
+/**
+ * Take one change from the other deck into the base deck: add, remove or move
+ * the slide, or replace it with the other version. The base slides must be
+ * the ones diffDecks() was given.
+ * @param {object[]} baseSlides
+ * @param {SlideChange[]} changes - The full result of diffDecks()
+ * @param {SlideChange} change - One of `changes`
+ * @returns {object[]} A new slides array (unchanged slides are shared)
+ */
+export function applySlideChange(baseSlides, changes, change) {
+  const next = [...baseSlides];
+  const currentIndex = change.base ? next.indexOf(change.base) : -1;
+
+  if (change.kind === 'removed') {
+    if (currentIndex !== -1) next.splice(currentIndex, 1);
+    return next;
+  }
+
+  const slide = change.kind === 'moved' ? change.base : deepClone(change.other);
+  if (change.kind === 'modified' && !change.moved) {
+    next[currentIndex] = slide;
+    return next;
+  }
+  if (change.kind === 'unchanged') {
+    return next;
+  }
+
+  // Added or moved: place it after the slide it follows in the other deck.
+  if (currentIndex !== -1) next.splice(currentIndex, 1);
+  const position = changes.indexOf(change);
+  const anchor = changes
+    .slice(0, position)
+    .reverse()
+    .find((candidate) => candidate.otherIndex !== null && candidate.base && next.includes(candidate.base));
+  next.splice(anchor ? next.indexOf(anchor.base) + 1 : 0, 0, slide);
+  return next;
+}
+
+function createChange(kind, fields) {
+  return {
+    kind,
+    moved: false,
+    baseIndex: null,
+    otherIndex: null,
+    base: null,
+    other: null,
+    fields: [],
+    ...fields,
+  };
+}
+
+function getSimilarity(a, b) {
+  const sameType = (a.slide?.type ?? 'standard') === (b.slide?.type ?? 'standard');
+  const union = new Set([...a.words, ...b.words]);
+  if (!union.size) return sameType ? 1 : 0;
+  let shared = 0;
+  a.words.forEach((word) => {
+    if (b.words.has(word)) shared += 1;
+  });
+  return 0.8 * (shared / union.size) + (sameType ? 0.2 : 0);
+}
+
+function getSlideWords(slide) {
+  const words = new Set();
+  flattenFields(slide).forEach((value, path) => {
+    if (isImageField(path, value)) {
+      words.add(`${path}:${String(value).length}:${String(value).slice(-32)}`);
+    } else {
+      String(value).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach((word) => words.add(word));
+    }
+  });
+  return words;
+}
+
+// Leaf values by dotted path. Lists of plain values (bullet points, tags)
+// stay whole, so an inserted bullet reads as one text change.
+function flattenFields(value, path = '', fields = new Map()) {
+  if (Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object')) {
+    fields.set(path, value.every((item) => typeof item === 'string') ? value.join('\n') : value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenFields(item, path ? `${path}.${index}` : String(index), fields));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => flattenFields(child, path ? `${path}.${key}` : key, fields));
+  } else if (path) {
+    fields.set(path, value);
+  }
+  return fields;
+}
+
+function isImageField(path, value) {
+  if (typeof value !== 'string') return false;
+  return IMAGE_FIELD_KEYS.has(path.split('.').pop()) || IMAGE_VALUE_PATTERN.test(value);
+}
+
+function tokenize(text) {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+function mergeParts(parts) {
+  return parts.reduce((merged, part) => {
+    if (!part.text) return merged;
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type) {
+      last.text += part.text;
+    } else {
+      merged.push({ ...part });
+    }
+    return merged;
+  }, []);
+}
+
+// Indices (values) of the longest strictly increasing run in `values`.
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+
+  const run = [];
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index]) {
+    run.unshift(values[index]);
+  }
+  return run;
+}
+
+// JSON with object keys sorted, so key order doesn't count as a change.
+function stableStringify(value) {
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
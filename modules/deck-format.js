@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Deck Format Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The versioned deck envelope: `{ version, meta, theme, slides }`. Everything
+// that writes a deck (local saves, downloads, share links) writes this shape,
+// and everything that reads one goes through readDeckEnvelope().
+// - Older decks are upgraded one version at a time by MIGRATIONS, so a bare
+//   slides array (version 0) still opens
+// - Decks from a newer format are rejected rather than half-loaded
+// - Renaming or reshaping a field means appending a migration;
+//   DECK_FORMAT_VERSION follows the length of the chain
+// - `meta` holds the deck details people edit (DECK_META_FIELDS: title,
+//   author, event, date, description, tags, language) next to bookkeeping
+//   such as deckId, timestamps, starred and folder
+//
+// Dependencies: utils.js
+// Used by: deck-persistence.js, slide-actions.js, share-modal.js, index.html,
+//          main.js, edit-drawer.js, pdf-export.js, deck-library.js,
+//          markdown-deck.js, overview-selection.js, scripts/validate.mjs,
+//          netlify/functions/share.js, netlify/functions/share-page.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { deriveDeckName } from './utils.js';
+
+// MIGRATIONS[n] upgrades a version-n deck to version n + 1.
+const MIGRATIONS = [
+  // 0 → 1: a bare array of slides gets the envelope.
+  (slides) => ({ version: 1, meta: {}, theme: null, slides }),
+
+  // 1 → 2: `speaker_notes` becomes `notes`, and the deck's name becomes
+  // `meta.title`. Older saves rewrote `meta.name` (share records:
+  // `meta.title`) from the first slide on every save, so it only becomes a
+  // title when it differs from that, i.e. when someone renamed the deck;
+  // otherwise the title keeps following the first slide.
+  (deck) => {
+    const { name, title, ...meta } = deck.meta ?? {};
+    const recorded = [title, name].find((value) => typeof value === 'string' && value.trim());
+    if (recorded && recorded.trim() !== deriveDeckName(deck.slides)) meta.title = recorded.trim();
+    const slides = deck.slides.map((slide) => {
+      if (!slide || typeof slide !== 'object' || slide.speaker_notes === undefined) return slide;
+      const { speaker_notes: speakerNotes, ...rest } = slide;
+      return rest.notes === undefined ? { ...rest, notes: speakerNotes } : rest;
+    });
+    return { ...deck, version: 2, meta, slides };
+  },
+];
+
+/** Deck details edited in the Deck Details panel, in display order. */
+export const DECK_META_FIELDS = ['title', 'author', 'event', 'date', 'description', 'tags', 'language'];
+
+export const DECK_FORMAT_VERSION = MIGRATIONS.length;
+
+/**
+ * Wrap slides in a current-version envelope.
+ * @param {object[]} slides
+ * @param {object} [options]
+ * @param {object} [options.meta] - Deck details, timestamps, deck id...
+ * @param {object|null} [options.theme] - Theme tokens that travel with the deck
+ * @returns {{ version: number, meta: object, theme: object|null, slides: object[] }}
+ */
+export function createDeckEnvelope(slides, { meta = {}, theme = null } = {}) {
+  return { version: DECK_FORMAT_VERSION, meta, theme, slides };
+}
+
+/**
+ * Read any deck shape (bare array, older envelope, current envelope) and
+ * upgrade it to the current envelope. Extra top-level fields are kept. The
+ * input is not modified.
+ * @param {*} data - Parsed deck JSON
+ * @returns {{ version: number, meta: object, theme: object|null, slides: object[] }}
+ * @throws {Error} When there are no slides or the deck is from a newer format
+ */
+export function readDeckEnvelope(data) {
+  let deck;
+  let version;
+  if (Array.isArray(data)) {
+    deck = data;
+    version = 0;
+  } else if (data && typeof data === 'object' && Array.isArray(data.slides)) {
+    deck = data;
+    // Envelopes written before versioning was enforced count as version 1.
+    version = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+  } else {
+    throw new Error('Deck must be an array of slides or an object with a "slides" array.');
+  }
+
+  if (version > DECK_FORMAT_VERSION) {
+    throw new Error(`This deck uses format version ${version}, which is newer than this Slideomatic supports (${DECK_FORMAT_VERSION}). Update and try again.`);
+  }
+
+  for (let step = version; step < DECK_FORMAT_VERSION; step += 1) {
+    deck = MIGRATIONS[step](deck);
+  }
+
+  return {
+    ...deck,
+    meta: deck.meta && typeof deck.meta === 'object' ? deck.meta : {},
+    theme: deck.theme && typeof deck.theme === 'object' ? deck.theme : null,
+  };
+}
+
+/**
+ * Tidy the deck details in a meta object: strings are trimmed, blank details
+ * are dropped, and tags become a list of unique strings (a comma-separated
+ * string is split). Other meta fields pass through untouched.
+ * @param {object} [meta]
+ * @returns {object}
+ */
+export function normalizeDeckMeta(meta = {}) {
+  const normalized = { ...(meta && typeof meta === 'object' ? meta : {}) };
+  DECK_META_FIELDS.forEach((field) => {
+    const value = field === 'tags' ? normalizeTags(normalized.tags) : normalizeText(normalized[field]);
+    if (value === null) {
+      delete normalized[field];
+    } else {
+      normalized[field] = value;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Just the deck details from a meta object (no ids, timestamps or flags), for
+ * records that leave this browser: downloads, share links, document tags.
+ * @param {object} [meta]
+ * @returns {{ title?: string, author?: string, event?: string, date?: string,
+ *   description?: string, tags?: string[], language?: string }}
+ */
+export function getDeckDetails(meta = {}) {
+  const normalized = normalizeDeckMeta(meta);
+  return Object.fromEntries(
+    DECK_META_FIELDS.filter((field) => normalized[field] !== undefined).map((field) => [field, normalized[field]])
+  );
+}
+
+/**
+ * The title to show for a deck: its own, or one derived from the first slide.
+ * @param {object} [meta]
+ * @param {object[]} [slides]
+ * @returns {string}
+ */
+export function getDeckTitle(meta = {}, slides = []) {
+  return normalizeText(meta?.title) ?? deriveDeckName(slides);
+}
+
+function normalizeText(value) {
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return null;
+  return value.trim() || null;
+}
+
+function normalizeTags(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) return null;
+  const tags = [...new Set(list.map(normalizeText).filter(Boolean))];
+  return tags.length ? tags : null;
+}
@@ -0,0 +1,184 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Deck Library Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The data side of the index page's deck library (no DOM, no storage).
+// - summarizeDeck() turns a stored deck into a library entry: title, details,
+//   folder, dates, slide count, the first slide and theme (for the card's
+//   thumbnail) and a text summary of that slide
+// - filterLibrary() matches a search over titles, details and slide text,
+//   plus a folder and a tag; sortLibrary() orders by modified, created or name
+//   with starred decks first
+// - Folders are local organisation (`meta.folder`, like `meta.starred`), so
+//   they never travel with downloads or share links
+//
+// Dependencies: deck-format.js
+// Used by: index.html, version-history.js, compare-modal.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getDeckDetails, getDeckTitle } from './deck-format.js';
+
+export const LIBRARY_SORTS = {
+  modified: 'Last modified',
+  created: 'Date created',
+  name: 'Name',
+};
+
+// Slide fields that hold layout, links or asset data rather than readable text.
+const NON_TEXT_KEYS = new Set([
+  'type', 'layout', 'variant', 'transition', 'build', 'font', 'src', 'poster',
+  'aspectRatio', 'objectFit', 'objectPosition', 'orientation', 'fit', 'color',
+  'fill', 'shape', 'head', 'status', 'align', 'start', 'end',
+]);
+const NON_TEXT_VALUE_PATTERN = /^(?:data:|https?:\/\/|blob:|idb-image:|\/\.netlify\/)/i;
+
+/**
+ * A library entry for one stored deck.
+ * @param {string} id - Deck id (`deck-…`)
+ * @param {{ meta: object, theme?: object|null, slides: object[], updatedAt?: number }} deck - Envelope from readDeckEnvelope()
+ * @returns {object}
+ */
+export function summarizeDeck(id, deck) {
+  const meta = deck.meta ?? {};
+  const details = getDeckDetails(meta);
+  const slides = Array.isArray(deck.slides) ? deck.slides : [];
+  const updatedAt = meta.updatedAt || deck.updatedAt || 0;
+  const name = getDeckTitle(details, slides);
+  const folder = normalizeFolderName(meta.folder);
+  const firstSlide = slides.find((slide) => slide?.type !== '_schema');
+
+  return {
+    id,
+    name,
+    byline: [details.author, details.event, details.date].filter(Boolean).join(' · '),
+    description: details.description ?? '',
+    tags: details.tags ?? [],
+    folder,
+    starred: meta.starred === true,
+    createdAt: meta.createdAt || updatedAt,
+    updatedAt,
+    slideCount: slides.length,
+    thumbnail: getSlideThumbnail(firstSlide),
+    firstSlide: firstSlide ?? null,
+    theme: deck.theme ?? null,
+    searchText: [name, folder, ...Object.values(details).flat(), ...slides.map((slide) => getSlideText(slide))]
+      .join('\n')
+      .toLowerCase(),
+  };
+}
+
+/**
+ * Entries matching every word of the query (in the title, details or slide
+ * text), the folder and the tag. A `null` folder means all folders and `''`
+ * means decks without one.
+ * @param {object[]} entries
+ * @param {{ query?: string, folder?: string|null, tag?: string|null }} [filters]
+ * @returns {object[]}
+ */
+export function filterLibrary(entries, { query = '', folder = null, tag = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter((entry) => {
+    if (folder !== null && entry.folder !== folder) return false;
+    if (tag && !entry.tags.includes(tag)) return false;
+    return words.every((word) => entry.searchText.includes(word));
+  });
+}
+
+/**
+ * Starred decks first, then by the chosen order (newest first for dates).
+ * @param {object[]} entries
+ * @param {keyof LIBRARY_SORTS} [sort='modified']
+ * @returns {object[]} A sorted copy
+ */
+export function sortLibrary(entries, sort = 'modified') {
+  const compare = {
+    modified: (a, b) => b.updatedAt - a.updatedAt,
+    created: (a, b) => b.createdAt - a.createdAt,
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }),
+  }[sort] ?? ((a, b) => b.updatedAt - a.updatedAt);
+
+  return [...entries].sort((a, b) => Number(b.starred) - Number(a.starred) || compare(a, b));
+}
+
+/**
+ * Folders in use, alphabetically, with how many decks each holds.
+ * @param {object[]} entries
+ * @returns {Array<{ name: string, count: number }>}
+ */
+export function listLibraryFolders(entries) {
+  return countValues(entries.map((entry) => entry.folder).filter(Boolean));
+}
+
+/**
+ * Tags in use, alphabetically, with how many decks carry each.
+ * @param {object[]} entries
+ * @returns {Array<{ name: string, count: number }>}
+ */
+export function listLibraryTags(entries) {
+  return countValues(entries.flatMap((entry) => entry.tags));
+}
+
+/**
+ * Trim a folder name; blank means no folder.
+ * @param {*} name
+ * @returns {string}
+ */
+export function normalizeFolderName(name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * A text summary of a slide: its main line, a second line and the first
+ * image, if any. Version lists and the index page (until the real slide has
+ * rendered) show it.
+ * @param {object} [slide]
+ * @returns {{ type: string, title: string, subtitle: string, image: string|null }}
+ */
+export function getSlideThumbnail(slide) {
+  if (!slide || typeof slide !== 'object') {
+    return { type: 'standard', title: '', subtitle: '', image: null };
+  }
+  const body = Array.isArray(slide.body) ? slide.body[0] : slide.body;
+  const title = firstText(slide.title, slide.headline, slide.quote, slide.left?.headline, slide.eyebrow, body);
+  const subtitle = firstText(slide.subtitle, slide.attribution, slide.eyebrow, body);
+  const image = firstText(
+    slide.image?.src,
+    ...[slide.items, slide.media, slide.elements]
+      .filter(Array.isArray)
+      .map((list) => list.find((item) => item?.image?.src)?.image.src),
+    slide.left?.image?.src,
+    slide.right?.image?.src,
+    slide.video?.poster
+  );
+
+  return {
+    type: slide.type ?? 'standard',
+    title,
+    subtitle: subtitle === title ? '' : subtitle,
+    image: image || null,
+  };
+}
+
+function getSlideText(value, key = '') {
+  if (NON_TEXT_KEYS.has(key)) return '';
+  if (typeof value === 'string') return NON_TEXT_VALUE_PATTERN.test(value) ? '' : value;
+  if (Array.isArray(value)) return value.map((item) => getSlideText(item)).join('\n');
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([childKey, child]) => getSlideText(child, childKey)).join('\n');
+  }
+  return '';
+}
+
+function firstText(...candidates) {
+  const match = candidates.find((candidate) => typeof candidate === 'string' && candidate.trim());
+  return match ? match.trim() : '';
+}
+
+function countValues(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) ?? 0) + 1));
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
@@ -3,12 +3,24 @@
 // ═══════════════════════════════════════════════════════════════════════════
 //
 // Handles all slide deck loading and persistence responsibilities:
-// - Loading slides from URL params, localStorage, or bundled JSON
-// - Persisting edits to localStorage and managing deck metadata
+// - Loading slides from URL params, the deck store, or bundled JSON
+// - Every source is read through readDeckEnvelope(), so older decks are
+//   migrated on the way in
+// - Persisting edits to the deck store (IndexedDB, see deck-store.js) and
+//   managing deck metadata; the loaded deck's meta lives in state.deckMeta and
+//   is written back on every save
+// - Saves are asynchronous: persistSlides() queues the write and only the
+//   newest snapshot is written once the previous write finishes. It returns a
+//   promise of whether the deck reached storage; flushPersistedSlides() waits
+//   for every queued write (navigation.js and main.js call it before leaving)
+// - Version history for saved decks: the deck as loaded is kept before the
+//   first save of a visit overwrites it, then one autosnapshot every
+//   AUTO_SNAPSHOT_INTERVAL_MS of editing; named checkpoints on request
 // - Generating deck IDs and saving copies
 //
-// Dependencies: state.js, utils.js
-// Used by: main.js (orchestrator)
+// Dependencies: state.js, utils.js, deck-format.js, deck-store.js
+// Used by: main.js (orchestrator), version-history.js, compare-modal.js,
+//          navigation.js
 //
 // ═══════════════════════════════════════════════════════════════════════════
 
@@ -16,6 +28,8 @@ import {
   slides,
   setSlides,
   activeDeckId,
+  deckMeta,
+  setDeckMeta,
   deckStorageKey,
   setDeckStorageKey,
   deckPersistFailureNotified,
@@ -23,10 +37,35 @@ import {
   DECK_STORAGE_PREFIX,
   LAST_DECK_KEY,
 } from './state.js';
-import { deriveDeckName } from './utils.js';
+import {
+  createDeckEnvelope,
+  readDeckEnvelope,
+  normalizeDeckMeta,
+  getDeckDetails,
+} from './deck-format.js';
+import {
+  getDeckStoreKey,
+  readStoredDeck,
+  writeStoredDeck,
+  deleteStoredDeck,
+  saveStoredVersion,
+  listStoredVersions,
+  readStoredVersion,
+  deleteStoredVersion,
+} from './deck-store.js';
 
 const noop = () => {};
 
+const AUTO_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+// The write waiting for the one in flight; a newer save replaces it.
+let queuedDeckWrite = null;
+/** @type {Promise<void> | null} */
+let deckWriteInFlight = null;
+// The saved deck as it was loaded, kept as a version before the first save.
+let loadedDeckPayload = null;
+let lastAutoSnapshotAt = 0;
+
 /** @type {(param: string) => string | null} */
 let getParamHook = () => null;
 /** @type {(message: string, type?: string) => void} */
@@ -68,16 +107,14 @@ export async function loadSlides() {
       if (!response.ok) {
         throw new Error(`Failed to fetch shared deck (${response.status})`);
       }
-      const data = await response.json();
-      if (Array.isArray(data?.slides)) {
-        if (data.theme) {
-          applySharedThemeHook(data.theme);
-        }
-        showHudStatusHook('✓ Loaded shared deck', 'success');
-        setTimeout(hideHudStatusHook, 2000);
-        return data.slides;
+      const deck = readDeckEnvelope(await response.json());
+      if (deck.theme) {
+        applySharedThemeHook(deck.theme);
       }
-      throw new Error('Malformed shared deck payload');
+      setDeckMeta(normalizeDeckMeta(deck.meta));
+      showHudStatusHook('✓ Loaded shared deck', 'success');
+      setTimeout(hideHudStatusHook, 2000);
+      return deck.slides;
     } catch (error) {
       console.error('Failed to load shared deck', error);
       showHudStatusHook('⚠️ Failed to load shared deck', 'error');
@@ -92,12 +129,14 @@ export async function loadSlides() {
       if (!response.ok) {
         throw new Error(`Failed to fetch from URL: ${urlParam}`);
       }
-      const data = await response.json();
-      if (Array.isArray(data)) {
-        showHudStatusHook('✓ Loaded deck from URL', 'success');
-        setTimeout(hideHudStatusHook, 2000);
-        return data;
+      const deck = readDeckEnvelope(await response.json());
+      if (deck.theme) {
+        applySharedThemeHook(deck.theme);
       }
+      setDeckMeta(normalizeDeckMeta(deck.meta));
+      showHudStatusHook('✓ Loaded deck from URL', 'success');
+      setTimeout(hideHudStatusHook, 2000);
+      return deck.slides;
     } catch (error) {
       console.error('Failed to load deck from URL', error);
       showHudStatusHook('⚠️ Failed to load deck from URL', 'error');
@@ -109,12 +148,14 @@ export async function loadSlides() {
   if (dataParam) {
     try {
       const decoded = decodeURIComponent(escape(atob(dataParam)));
-      const data = JSON.parse(decoded);
-      if (Array.isArray(data)) {
-        showHudStatusHook('✓ Loaded deck from share link', 'success');
-        setTimeout(hideHudStatusHook, 2000);
-        return data;
+      const deck = readDeckEnvelope(JSON.parse(decoded));
+      if (deck.theme) {
+        applySharedThemeHook(deck.theme);
       }
+      setDeckMeta(normalizeDeckMeta(deck.meta));
+      showHudStatusHook('✓ Loaded deck from share link', 'success');
+      setTimeout(hideHudStatusHook, 2000);
+      return deck.slides;
     } catch (error) {
       console.error('Failed to load deck from data parameter', error);
       showHudStatusHook('⚠️ Failed to load shared deck', 'error');
@@ -123,14 +164,15 @@ export async function loadSlides() {
   }
 
   if (activeDeckId) {
-    console.log('[loadSlides] Priority 3: Loading deck from localStorage, activeDeckId:', activeDeckId);
-    const stored = loadPersistedDeck();
+    console.log('[loadSlides] Priority 3: Loading deck from the deck store, activeDeckId:', activeDeckId);
+    const stored = await loadPersistedDeck();
     if (Array.isArray(stored)) {
       console.log('[loadSlides] Successfully loaded deck with', stored.length, 'slides');
       return stored.slice();
     }
     console.warn('[loadSlides] No stored deck found, creating blank template');
     setSlides([getSlideTemplateHook('title')]);
+    setDeckMeta({ createdAt: Date.now() });
     persistSlides({ suppressWarning: true });
     return slides.slice();
   }
@@ -139,10 +181,9 @@ export async function loadSlides() {
   try {
     const response = await fetch(slidesPath, { cache: 'no-store' });
     if (response.ok) {
-      const data = await response.json();
-      if (Array.isArray(data)) {
-        return data;
-      }
+      const deck = readDeckEnvelope(await response.json());
+      setDeckMeta(normalizeDeckMeta(deck.meta));
+      return deck.slides;
     }
   } catch (error) {
     console.warn(`Unable to load slides from ${slidesPath}, starting with blank deck`, error);
@@ -162,13 +203,18 @@ export function resolveSlidesPath() {
   return `${slidesParam}.json`;
 }
 
-function getDeckStorageKey() {
+/**
+ * The open deck's key in the deck store. Decks without an id (bundled or
+ * loaded from a path) get one from their source, so it is never empty.
+ * @returns {string}
+ */
+export function getDeckStorageKey() {
   if (deckStorageKey) {
     console.log('[getDeckStorageKey] Using cached key:', deckStorageKey);
     return deckStorageKey;
   }
   if (activeDeckId) {
-    setDeckStorageKey(`${DECK_STORAGE_PREFIX}${encodeURIComponent(activeDeckId)}`);
+    setDeckStorageKey(getDeckStoreKey(activeDeckId));
     console.log('[getDeckStorageKey] Built key from activeDeckId:', activeDeckId, '→', deckStorageKey);
     return deckStorageKey;
   }
@@ -185,41 +231,37 @@ function getDeckStorageKey() {
   return deckStorageKey;
 }
 
-function loadPersistedDeck() {
-  try {
-    const key = getDeckStorageKey();
-    console.log('[loadPersistedDeck] Looking for deck with key:', key);
-    const stored = localStorage.getItem(key);
-    if (!stored) {
-      console.log('[loadPersistedDeck] No deck found in localStorage for key:', key);
-      return null;
-    }
-    console.log('[loadPersistedDeck] Found deck in localStorage, parsing...');
-    const payload = JSON.parse(stored);
-    if (!payload || typeof payload !== 'object') {
-      console.warn('[loadPersistedDeck] Invalid payload structure');
-      return null;
-    }
-    if (!Array.isArray(payload.slides)) {
-      console.warn('[loadPersistedDeck] payload.slides is not an array');
-      return null;
-    }
-    console.log('[loadPersistedDeck] Successfully loaded', payload.slides.length, 'slides');
-    return payload.slides;
-  } catch (error) {
-    console.warn('Failed to load deck overrides from localStorage:', error);
-    try {
-      localStorage.removeItem(getDeckStorageKey());
-    } catch {
-      // Ignore cleanup failure – nothing else we can do.
-    }
+// Storage errors propagate so the deck page shows them instead of starting a
+// blank deck over the saved one.
+async function loadPersistedDeck() {
+  const key = getDeckStorageKey();
+  console.log('[loadPersistedDeck] Looking for deck with key:', key);
+  const payload = await readStoredDeck(key);
+  if (!payload) {
+    console.log('[loadPersistedDeck] No deck found in the deck store for key:', key);
+    return null;
+  }
+  if (typeof payload !== 'object' || !Array.isArray(payload.slides)) {
+    console.warn('[loadPersistedDeck] Invalid payload structure');
     return null;
   }
+  const { slides: storedSlides, meta } = readDeckEnvelope(payload);
+  setDeckMeta(normalizeDeckMeta(meta));
+  loadedDeckPayload = payload;
+  console.log('[loadPersistedDeck] Successfully loaded', storedSlides.length, 'slides');
+  return storedSlides;
 }
 
+/**
+ * Save the loaded deck. Callers that don't care when the write lands can
+ * ignore the result.
+ * @param {{ suppressWarning?: boolean, silent?: boolean }} [options]
+ * @returns {Promise<boolean>} Whether the deck was written (false for the
+ *   bundled decks, which are never saved, and for failed writes)
+ */
 export function persistSlides(options = {}) {
   const { suppressWarning = false, silent = false } = options;
-  if (!Array.isArray(slides)) return false;
+  if (!Array.isArray(slides)) return Promise.resolve(false);
 
   const slidesPath = resolveSlidesPath();
   const isBuiltInDeck =
@@ -228,7 +270,7 @@ export function persistSlides(options = {}) {
       slidesPath === 'design-resources.json' ||
       slidesPath === 'demo-deck.json');
   if (isBuiltInDeck) {
-    return false;
+    return Promise.resolve(false);
   }
 
   console.log('[persistSlides] Saving deck, activeDeckId:', activeDeckId);
@@ -237,53 +279,161 @@ export function persistSlides(options = {}) {
     showSaveStatusHook('saving');
   }
 
-  try {
-    const updatedAt = Date.now();
-    const source = activeDeckId ? `local:${activeDeckId}` : resolveSlidesPath();
-    const storageKey = getDeckStorageKey();
-    console.log('[persistSlides] Using storage key:', storageKey);
-    const payload = {
-      version: 1,
-      updatedAt,
-      source,
-      slides,
+  const storageKey = getDeckStorageKey();
+  console.log('[persistSlides] Using storage key:', storageKey);
+  const written = queueDeckWrite(storageKey, buildDeckPayload(), { silent, suppressWarning });
+  markDeckAsRecent();
+  updateDeckNameDisplayHook();
+  return written;
+}
+
+function buildDeckPayload() {
+  const updatedAt = Date.now();
+  return {
+    ...createDeckEnvelope(slides, {
       meta: {
-        name: deriveDeckName(slides),
+        ...deckMeta,
         updatedAt,
         deckId: activeDeckId ?? null,
       },
+    }),
+    updatedAt,
+    source: activeDeckId ? `local:${activeDeckId}` : resolveSlidesPath(),
+  };
+}
+
+/**
+ * Wait for queued deck saves to reach storage (before leaving the page, say).
+ * @returns {Promise<void>}
+ */
+export function flushPersistedSlides() {
+  return deckWriteInFlight ?? Promise.resolve();
+}
+
+// A replaced write's callers hear back when the newer payload (which
+// includes their change) is written.
+function queueDeckWrite(key, payload, options) {
+  const previous = queuedDeckWrite;
+  const written = new Promise((resolve) => {
+    queuedDeckWrite = {
+      key,
+      payload,
+      silent: options.silent && (previous?.silent ?? true),
+      suppressWarning: options.suppressWarning && (previous?.suppressWarning ?? true),
+      settle: [...(previous?.settle ?? []), resolve],
     };
-    localStorage.setItem(getDeckStorageKey(), JSON.stringify(payload));
-    setDeckPersistFailureNotified(false);
-    markDeckAsRecent();
-    updateDeckNameDisplayHook();
+  });
+  if (!deckWriteInFlight) {
+    deckWriteInFlight = writeQueuedDecks();
+  }
+  return written;
+}
 
-    if (!silent && activeDeckId) {
-      showSaveStatusHook('saved');
+async function writeQueuedDecks() {
+  while (queuedDeckWrite) {
+    const { key, payload, silent, suppressWarning, settle } = queuedDeckWrite;
+    queuedDeckWrite = null;
+    let written = false;
+    try {
+      if (loadedDeckPayload && activeDeckId) {
+        await keepAutoSnapshot(key, loadedDeckPayload);
+      }
+      loadedDeckPayload = null;
+      await writeStoredDeck(key, payload);
+      if (activeDeckId && Date.now() - lastAutoSnapshotAt >= AUTO_SNAPSHOT_INTERVAL_MS) {
+        await keepAutoSnapshot(key, payload);
+      }
+      written = true;
+      setDeckPersistFailureNotified(false);
+      if (!silent && activeDeckId) {
+        showSaveStatusHook('saved');
+      }
+    } catch (error) {
+      console.warn('Unable to persist deck edits:', error);
+      if (!deckPersistFailureNotified && !suppressWarning) {
+        try {
+          showHudStatusHook('⚠️ Unable to save edits locally', 'warning');
+          setTimeout(hideHudStatusHook, 2400);
+        } catch {
+          // HUD not available; ignore.
+        }
+        setDeckPersistFailureNotified(true);
+      }
     }
+    settle.forEach((resolve) => resolve(written));
+  }
+  deckWriteInFlight = null;
+}
 
-    return true;
+// Version history is a bonus: failing to keep a snapshot never stops a save.
+async function keepAutoSnapshot(key, payload) {
+  lastAutoSnapshotAt = Date.now();
+  try {
+    await saveStoredVersion(key, payload);
   } catch (error) {
-    console.warn('Unable to persist deck edits to localStorage:', error);
-    if (!deckPersistFailureNotified && !suppressWarning) {
-      try {
-        showHudStatusHook('⚠️ Unable to save edits locally', 'warning');
-        setTimeout(hideHudStatusHook, 2400);
-      } catch {
-        // HUD not available; ignore.
-      }
-      setDeckPersistFailureNotified(true);
-    }
-    return false;
+    console.warn('Unable to keep a version of the deck:', error);
   }
 }
 
-export function clearPersistedDeck() {
+/**
+ * Keep the current deck in its version history.
+ * @param {object} [options]
+ * @param {string} [options.name] - Label shown in the history
+ * @param {boolean} [options.auto=false] - Named checkpoints (`false`) are kept
+ *   until deleted; autosnapshots roll off after MAX_AUTO_VERSIONS
+ * @returns {Promise<number|null>} The version id, or null if nothing was kept
+ *   (unsaved deck, unchanged autosnapshot, or no IndexedDB)
+ */
+export async function saveDeckVersion({ name = '', auto = false } = {}) {
+  if (!activeDeckId || !Array.isArray(slides)) return null;
+  await flushPersistedSlides();
+  return saveStoredVersion(getDeckStorageKey(), buildDeckPayload(), { name, auto });
+}
+
+/**
+ * The loaded deck's version history, newest first. Only saved decks (with a
+ * deck id) have one.
+ * @returns {Promise<Array<{ id: number, name: string, auto: boolean, createdAt: number, payload: object }>>}
+ */
+export async function listDeckVersions() {
+  if (!activeDeckId) return [];
+  return listStoredVersions(getDeckStorageKey());
+}
+
+/**
+ * One version as a current-format envelope, images restored.
+ * @param {number} id
+ * @returns {Promise<{ version: number, meta: object, theme: object|null, slides: object[] } | null>}
+ */
+export async function readDeckVersion(id) {
+  const payload = await readStoredVersion(id);
+  return payload ? readDeckEnvelope(payload) : null;
+}
+
+export function deleteDeckVersion(id) {
+  return deleteStoredVersion(id);
+}
+
+/**
+ * Merge changed deck details (title, author, tags...) into the loaded deck's
+ * meta and save. Blank values clear a detail.
+ * @param {object} changes
+ * @returns {Promise<boolean>} Whether the deck was saved
+ */
+export function updateDeckMeta(changes = {}) {
+  setDeckMeta(normalizeDeckMeta({ ...deckMeta, ...changes }));
+  const persisted = persistSlides({ silent: true });
+  updateDeckNameDisplayHook();
+  return persisted;
+}
+
+export async function clearPersistedDeck() {
   try {
-    localStorage.removeItem(getDeckStorageKey());
+    await flushPersistedSlides();
+    await deleteStoredDeck(getDeckStorageKey());
     setDeckPersistFailureNotified(false);
   } catch (error) {
-    console.warn('Failed to clear deck overrides from localStorage:', error);
+    console.warn('Failed to clear deck overrides from the deck store:', error);
   }
 }
 
@@ -295,8 +445,16 @@ export function generateDeckId() {
   return `deck-${Date.now().toString(36)}-${randomPart}`;
 }
 
-export function saveAsNewDeck() {
-  if (!Array.isArray(slides) || slides.length === 0) {
+/**
+ * Save a copy as a new deck and open it. Copies the loaded deck unless other
+ * slides and details are given (restoring a version as a new deck, say).
+ * @param {object} [source]
+ * @param {object[]} [source.slides]
+ * @param {object} [source.meta] - Only the deck details are copied
+ * @param {string} [source.title] - Title for the copy
+ */
+export async function saveAsNewDeck({ slides: sourceSlides = slides, meta = deckMeta, title } = {}) {
+  if (!Array.isArray(sourceSlides) || sourceSlides.length === 0) {
     showHudStatusHook('⚠️ No slides to save', 'warning');
     setTimeout(hideHudStatusHook, 2000);
     return;
@@ -304,20 +462,21 @@ export function saveAsNewDeck() {
 
   const newDeckId = generateDeckId();
   const payload = {
-    version: 1,
+    ...createDeckEnvelope(sourceSlides.slice(), {
+      meta: {
+        ...getDeckDetails(meta),
+        ...(title ? { title } : {}),
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        deckId: newDeckId,
+      },
+    }),
     updatedAt: Date.now(),
     source: `saved:${resolveSlidesPath()}`,
-    slides: slides.slice(),
-    meta: {
-      name: deriveDeckName(slides),
-      updatedAt: Date.now(),
-      deckId: newDeckId,
-    },
   };
 
   try {
-    const key = `${DECK_STORAGE_PREFIX}${encodeURIComponent(newDeckId)}`;
-    localStorage.setItem(key, JSON.stringify(payload));
+    await writeStoredDeck(getDeckStoreKey(newDeckId), payload);
     showHudStatusHook('✓ Deck saved!', 'success');
 
     setTimeout(() => {
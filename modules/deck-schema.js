@@ -0,0 +1,420 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Deck Schema Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The JSON Schema (draft 2020-12) for slide decks and themes. This is the one
+// place slide types, their fields, and theme tokens are declared.
+// - The root schema describes a deck: the versioned envelope from
+//   deck-format.js or a bare array of slides; themes live at `#/$defs/theme`
+// - Enums come from the modules that render them, so new chart kinds,
+//   transitions, etc. show up here without a second edit
+// - `npm run schema` writes it to slideomatic.schema.json for editors and
+//   other tools; `npm run check` fails when that file is out of date
+// - Two custom formats, `media-time` and `timeline-date`, are checked by
+//   validation.js (other validators treat them as annotations)
+//
+// Dependencies: chart-render.js, diagram-render.js, media-render.js,
+//               table-data.js, timeline-data.js, canvas-layout.js,
+//               slide-steps.js, slide-transitions.js, deck-format.js
+// Used by: validation.js, scripts/validate.mjs, scripts/write-schema.mjs
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { CHART_KINDS } from './chart-render.js';
+import { DIAGRAM_KINDS, DIAGRAM_DIRECTIONS } from './diagram-render.js';
+import { MEDIA_KINDS } from './media-render.js';
+import { TABLE_ALIGNMENTS } from './table-data.js';
+import { TIMELINE_ORIENTATIONS, TIMELINE_STATUSES } from './timeline-data.js';
+import { CANVAS_ELEMENT_TYPES, CANVAS_SHAPES, CANVAS_ARROW_HEADS } from './canvas-layout.js';
+import { BUILD_MODES } from './slide-steps.js';
+import { TRANSITION_NAMES } from './slide-transitions.js';
+import { DECK_FORMAT_VERSION } from './deck-format.js';
+
+export const SLIDE_TYPES = [
+  'title',
+  'standard',
+  'quote',
+  'split',
+  'grid',
+  'pillars',
+  'gallery',
+  'image',
+  'typeface',
+  'graph',
+  'chart',
+  'code',
+  'diagram',
+  'table',
+  'timeline',
+  'canvas',
+  ...MEDIA_KINDS,
+  '_schema',
+];
+
+/** Theme tokens and what they style. Any other token is passed through as a CSS variable. */
+export const THEME_TOKENS = {
+  'color-bg': 'Base canvas colour (also used when the slide background is solid).',
+  'background-surface': 'Global gradient/mesh behind the slides.',
+  'background-overlay': 'Grain/noise overlay (gradients or url(...)).',
+  'background-opacity': 'Opacity of the overlay layer (0–1).',
+  'slide-bg': 'Slide card fill (colours or gradients).',
+  'slide-border-color': 'Frame colour of each slide.',
+  'slide-border-width': 'Frame weight of each slide.',
+  'slide-shadow': 'Box-shadow applied to slides.',
+  'color-surface': 'Primary surface accent.',
+  'color-surface-alt': 'Secondary surface accent.',
+  'color-accent': 'Main accent colour.',
+  'color-accent-secondary': 'Second accent colour.',
+  'color-accent-tertiary': 'Third accent colour.',
+  'badge-bg': 'Badge fill.',
+  'badge-color': 'Badge text colour.',
+  'color-ink': 'Text and line colour.',
+  'color-muted': 'Secondary text colour.',
+  'border-width': 'Frame weight for cards and images.',
+  gutter: 'Slide padding.',
+  radius: 'Corner radius for cards and images.',
+  'radius-sm': 'Small corner radius.',
+  'radius-lg': 'Large corner radius.',
+  'font-sans': 'Font stack for body copy and headings.',
+  'font-mono': 'Font stack for monospace accents and code.',
+  'font-serif': 'Font stack for serif accents.',
+  'shadow-sm': 'Small shadow.',
+  'shadow-md': 'Medium shadow.',
+  'shadow-lg': 'Large shadow.',
+  'shadow-xl': 'Extra-large shadow.',
+  'table-header-bg': 'Table header fill (defaults to color-accent).',
+  'table-header-color': 'Table header text (defaults to color-ink).',
+  'table-row-bg': 'Table row fill (defaults to color-bg).',
+  'table-stripe': 'Table zebra stripe (defaults to color-surface-alt).',
+  'timeline-done': 'Dot colour for done milestones (defaults to color-surface-alt).',
+  'timeline-active': 'Dot colour for active milestones (defaults to color-accent).',
+  'timeline-planned': 'Dot colour for planned milestones (defaults to color-surface).',
+  'timeline-today': 'Colour of the timeline "today" marker (defaults to color-accent).',
+  'slide-transition': 'Deck-wide slide transition.',
+  'slide-transition-duration': 'Transition length, e.g. "600ms" (default 400ms).',
+};
+
+const text = { type: 'string' };
+const label = { type: ['string', 'number'] };
+const lines = {
+  anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+  description: 'A string, or an array of lines/paragraphs.',
+};
+// Chart numbers may be numeric strings ("12.5"); null leaves a gap.
+const chartValue = { type: ['number', 'string', 'null'] };
+const ref = (name) => ({ $ref: `#/$defs/${name}` });
+const nonEmptyArray = (items) => ({ type: 'array', minItems: 1, items });
+
+const commonSlideProperties = {
+  type: { enum: SLIDE_TYPES, description: 'Slide type. Defaults to "standard".' },
+  badge: label,
+  autoBadge: { type: 'boolean', description: 'Set to false to hide the automatic badge.' },
+  headline: text,
+  body: lines,
+  footnote: text,
+  notes: { ...lines, description: 'Speaker notes.' },
+  font: { type: 'string', description: 'Font preset (sans, mono, grotesk, jetbrains, pixel) or any font name.' },
+  image: ref('image'),
+  build: {
+    anyOf: [{ type: 'boolean' }, { enum: BUILD_MODES }],
+    description: 'Reveal bullets or items one step at a time.',
+  },
+  transition: { enum: TRANSITION_NAMES, description: 'Transition into this slide.' },
+};
+
+// Fields specific to each slide type, applied when `type` matches.
+const slideTypeSchemas = {
+  title: {
+    properties: {
+      eyebrow: text,
+      title: text,
+      subtitle: text,
+      media: { type: 'array', items: ref('gridItem') },
+    },
+  },
+  standard: {
+    properties: {
+      layout: text,
+    },
+  },
+  quote: {
+    properties: {
+      quote: text,
+      attribution: text,
+      variant: text,
+    },
+  },
+  split: {
+    required: ['left', 'right'],
+    properties: {
+      left: ref('column'),
+      right: ref('column'),
+      variant: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+    },
+  },
+  grid: {
+    properties: {
+      items: { type: 'array', items: ref('gridItem') },
+    },
+  },
+  pillars: {
+    required: ['pillars'],
+    properties: {
+      pillars: nonEmptyArray(ref('pillar')),
+    },
+  },
+  gallery: {
+    required: ['items'],
+    properties: {
+      items: nonEmptyArray(ref('gridItem')),
+    },
+  },
+  image: {
+    required: ['image'],
+    properties: {
+      image: { $ref: '#/$defs/image', required: ['src'], properties: { src: { type: 'string', minLength: 1 } } },
+      caption: text,
+    },
+  },
+  typeface: {
+    properties: {
+      fonts: { type: 'array', items: { type: 'object' } },
+      samples: { type: 'array', items: { type: 'object' } },
+    },
+  },
+  graph: {
+    properties: {
+      description: text,
+      orientation: text,
+    },
+  },
+  chart: {
+    required: ['data'],
+    properties: {
+      chart: { enum: CHART_KINDS, description: 'Defaults to "bar".' },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            label,
+            value: chartValue,
+            values: { type: 'array', items: chartValue },
+            x: chartValue,
+            y: chartValue,
+          },
+        },
+      },
+      series: { type: 'array', items: label },
+      unit: text,
+      caption: text,
+    },
+  },
+  code: {
+    required: ['code'],
+    properties: {
+      code: lines,
+      language: text,
+      highlight: label,
+      steps: { type: 'array', items: label, description: 'Line ranges to focus one at a time, e.g. "2-4".' },
+      lineNumbers: { type: 'boolean' },
+      startLine: { type: 'integer' },
+    },
+  },
+  diagram: {
+    required: ['source'],
+    properties: {
+      source: { ...lines, description: 'Mermaid-style flowchart or sequence source.' },
+      diagram: { enum: DIAGRAM_KINDS, description: 'Detected from the source when omitted.' },
+      direction: { enum: DIAGRAM_DIRECTIONS },
+      caption: text,
+    },
+  },
+  table: {
+    required: ['rows'],
+    properties: {
+      header: {
+        type: 'array',
+        description: 'One row of column titles, or an array of header rows.',
+      },
+      rows: { type: 'array', items: { type: 'array', items: ref('cell') } },
+      align: { type: 'array', items: { enum: TABLE_ALIGNMENTS } },
+      striped: { type: 'boolean' },
+      rowHeaders: { type: 'boolean' },
+      caption: text,
+    },
+  },
+  timeline: {
+    required: ['milestones'],
+    properties: {
+      milestones: nonEmptyArray(ref('milestone')),
+      orientation: { enum: TIMELINE_ORIENTATIONS },
+      today: {
+        anyOf: [{ type: 'boolean' }, { type: ['string', 'number'], format: 'timeline-date' }],
+        description: 'true for the current date, or a fixed date like "2026-05-01".',
+      },
+      todayLabel: text,
+      caption: text,
+    },
+  },
+  canvas: {
+    properties: {
+      elements: { type: 'array', items: ref('canvasElement') },
+    },
+  },
+  ...Object.fromEntries(MEDIA_KINDS.map((kind) => [kind, {
+    properties: {
+      [kind]: ref('media'),
+      caption: text,
+    },
+  }])),
+};
+
+const definitions = {
+  deck: {
+    type: 'object',
+    required: ['slides'],
+    properties: {
+      version: { type: 'integer', minimum: 1, maximum: DECK_FORMAT_VERSION, description: 'Deck format version; older decks are migrated on load.' },
+      meta: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Deck title; without one the first slide names the deck.' },
+          author: text,
+          event: { type: 'string', description: 'Conference, meetup or occasion the deck is for.' },
+          date: { type: 'string', description: 'When the deck is presented, e.g. "2026-03-14".' },
+          description: { type: 'string', description: 'One or two sentences, used for share previews and PDF properties.' },
+          tags: { type: 'array', items: text },
+          language: { type: 'string', description: 'BCP 47 language tag, e.g. "en" or "pt-BR".' },
+          deckId: { type: ['string', 'null'] },
+          starred: { type: 'boolean' },
+          folder: { type: 'string', description: 'Library folder on this device; not included in downloads or share links.' },
+          createdAt: { type: 'number' },
+          updatedAt: { type: 'number' },
+          exportedAt: { type: 'number' },
+        },
+      },
+      theme: { anyOf: [ref('theme'), { type: 'null' }] },
+      slides: ref('slides'),
+    },
+  },
+  slides: { type: 'array', items: ref('slide') },
+  slide: {
+    type: 'object',
+    // `_schema` slides document the deck format and are never rendered.
+    if: { required: ['type'], properties: { type: { const: '_schema' } } },
+    else: {
+      properties: commonSlideProperties,
+      allOf: Object.entries(slideTypeSchemas).map(([type, schema]) => ({
+        if: { required: ['type'], properties: { type: { const: type } } },
+        then: schema,
+      })),
+    },
+  },
+  image: {
+    type: 'object',
+    properties: {
+      src: text,
+      alt: text,
+      aspectRatio: text,
+      objectFit: text,
+      objectPosition: text,
+      border: { type: 'boolean' },
+      orientation: { enum: ['portrait', 'landscape', 'square'] },
+    },
+  },
+  cell: { type: ['string', 'number', 'boolean', 'null'] },
+  column: {
+    type: 'object',
+    properties: {
+      headline: text,
+      body: lines,
+      image: ref('image'),
+    },
+  },
+  gridItem: {
+    type: 'object',
+    properties: {
+      image: ref('image'),
+      color: text,
+      label: text,
+      copy: lines,
+      step: { type: 'integer' },
+    },
+  },
+  pillar: {
+    type: 'object',
+    properties: {
+      title: text,
+      image: { anyOf: [{ type: 'string' }, ref('image')] },
+      copy: lines,
+      text: lines,
+      body: lines,
+      description: lines,
+      step: { type: 'integer' },
+    },
+  },
+  milestone: {
+    type: 'object',
+    properties: {
+      date: { ...label, description: 'Shown as written; readable dates place the "today" marker.' },
+      label: text,
+      copy: lines,
+      status: { enum: TIMELINE_STATUSES },
+      step: { type: 'integer' },
+    },
+  },
+  canvasElement: {
+    type: 'object',
+    properties: {
+      type: { enum: CANVAS_ELEMENT_TYPES },
+      x: { type: 'number', description: 'Percent of the canvas width.' },
+      y: { type: 'number', description: 'Percent of the canvas height.' },
+      width: { type: 'number' },
+      height: { type: 'number' },
+      rotation: { type: 'number', description: 'Degrees around the element centre.' },
+      text,
+      size: { type: 'number' },
+      align: { enum: TABLE_ALIGNMENTS },
+      shape: { enum: CANVAS_SHAPES },
+      head: { enum: CANVAS_ARROW_HEADS },
+      thickness: { type: 'number' },
+      color: text,
+      fill: text,
+      image: ref('image'),
+      fit: text,
+      step: { type: 'integer' },
+    },
+  },
+  media: {
+    type: 'object',
+    properties: {
+      src: text,
+      poster: text,
+      start: { type: ['number', 'string'], format: 'media-time' },
+      end: { type: ['number', 'string'], format: 'media-time' },
+      autoplay: { type: 'boolean' },
+      muted: { type: 'boolean' },
+      loop: { type: 'boolean' },
+      controls: { type: 'boolean' },
+    },
+  },
+  theme: {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries(Object.entries(THEME_TOKENS).map(([token, description]) => [token, { type: 'string', description }])),
+      'background-opacity': { type: ['string', 'number'], description: THEME_TOKENS['background-opacity'] },
+      'slide-transition': { enum: TRANSITION_NAMES, description: THEME_TOKENS['slide-transition'] },
+    },
+    additionalProperties: { type: ['string', 'number'] },
+  },
+};
+
+export const DECK_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'slideomatic.schema.json',
+  title: 'Slideomatic deck',
+  description: 'A deck envelope ({ version, meta, theme, slides }) or a bare array of slides. Themes are described by #/$defs/theme.',
+  anyOf: [ref('deck'), ref('slides')],
+  $defs: definitions,
+};
@@ -0,0 +1,688 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Deck Store Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Where saved decks live: an IndexedDB database with four stores.
+// - `decks` holds one record per storage key (the same
+//   `slideomatic_deck_overrides:…` keys localStorage used) with the deck
+//   envelope and the ids of the images it uses
+// - `versions` holds earlier copies of decks: timed autosnapshots (the newest
+//   MAX_AUTO_VERSIONS per deck are kept) and named checkpoints (kept until
+//   deleted)
+// - `images` holds embedded images as Blobs, keyed by a hash of their data, so
+//   a picture used in several decks, versions or saves is stored once. Decks
+//   and versions index the ids they use, so an image is deleted once nothing
+//   counts it, without reading every record
+// - `outbox` holds requests made while offline (share links, asset uploads)
+//   until offline.js can send them
+// - Slide JSON in the store points at images with `idb-image:<id>`; decks are
+//   read back with their data URLs restored, so the rest of the app never sees
+//   the references (the index page asks for object URLs for thumbnails)
+// - Decks still in localStorage move across the first time the store opens
+// - Without IndexedDB (some private modes) decks fall back to localStorage
+//   with images kept inline, as before, and there is no version history;
+//   the outbox only lasts until the page closes
+//
+// Dependencies: state.js
+// Used by: deck-persistence.js, settings-modal.js, version-history.js,
+//          compare-modal.js, offline.js, index.html
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { DECK_STORAGE_PREFIX } from './state.js';
+
+const DB_NAME = 'slideomatic';
+const DB_VERSION = 4;
+const DECKS_STORE = 'decks';
+const IMAGES_STORE = 'images';
+const VERSIONS_STORE = 'versions';
+const OUTBOX_STORE = 'outbox';
+const IMAGE_IDS_INDEX = 'imageIds';
+
+export const MAX_AUTO_VERSIONS = 30;
+
+export const IMAGE_REF_PREFIX = 'idb-image:';
+
+// Base64 data URLs shorter than this stay inline; a record per tiny icon
+// costs more than it saves.
+const MIN_STORED_IMAGE_LENGTH = 2048;
+const DATA_URL_PATTERN = /^data:([^,]*?);base64,/;
+const MAX_CACHED_IMAGE_IDS = 200;
+
+let dbPromise = null;
+// data URL → image id, so re-saving an unchanged deck skips hashing.
+const imageIdCache = new Map();
+const imageObjectUrls = new Map();
+// The outbox without IndexedDB.
+const memoryOutbox = [];
+let nextMemoryOutboxId = 1;
+
+/**
+ * The storage key for a saved deck id.
+ * @param {string} deckId
+ * @returns {string}
+ */
+export function getDeckStoreKey(deckId) {
+  return `${DECK_STORAGE_PREFIX}${encodeURIComponent(deckId)}`;
+}
+
+/**
+ * The deck id in a saved deck's storage key, or null for keys the deck page
+ * made from a slides path.
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function getDeckIdFromStoreKey(key) {
+  if (!key.startsWith(DECK_STORAGE_PREFIX)) return null;
+  const deckId = decodeURIComponent(key.slice(DECK_STORAGE_PREFIX.length));
+  return deckId.startsWith('deck-') ? deckId : null;
+}
+
+/**
+ * Read one deck with its images restored to data URLs.
+ * @param {string} key - Storage key from getDeckStoreKey() or the deck page
+ * @returns {Promise<object|null>} The stored payload, or null if there is none
+ */
+export async function readStoredDeck(key) {
+  const db = await openDeckDb();
+  if (!db) return readLocalDeck(key);
+
+  const record = await request(db.transaction(DECKS_STORE).objectStore(DECKS_STORE).get(key));
+  if (!record) return null;
+  return restoreImages(db, record.payload);
+}
+
+/**
+ * Save a deck. Embedded base64 images are moved into the image store.
+ * @param {string} key
+ * @param {object} payload - Deck envelope plus bookkeeping (updatedAt, source)
+ * @returns {Promise<void>}
+ * @throws When storage is full or unavailable
+ */
+export async function writeStoredDeck(key, payload) {
+  const db = await openDeckDb();
+  if (!db) {
+    localStorage.setItem(key, JSON.stringify(payload));
+    return;
+  }
+  await putDeck(db, key, payload);
+}
+
+/**
+ * Change a stored deck without loading its images: `update` gets the payload
+ * as stored (image references intact) and returns the new one.
+ * @param {string} key
+ * @param {(payload: object) => object} update
+ * @returns {Promise<object|null>} The new payload, or null if there is no deck
+ */
+export async function updateStoredDeck(key, update) {
+  const db = await openDeckDb();
+  if (!db) {
+    const payload = readLocalDeck(key);
+    if (!payload) return null;
+    const next = update(payload);
+    localStorage.setItem(key, JSON.stringify(next));
+    return next;
+  }
+
+  const tx = db.transaction(DECKS_STORE, 'readwrite');
+  const decks = tx.objectStore(DECKS_STORE);
+  const record = await request(decks.get(key));
+  if (!record) return null;
+  const next = update(record.payload);
+  decks.put({ ...record, payload: next, updatedAt: next.updatedAt ?? Date.now() });
+  await transactionDone(tx);
+  return next;
+}
+
+/**
+ * Copy a stored deck to a new key, sharing its images.
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {(payload: object) => object} [update] - Adjust the copy (new id, title...)
+ * @returns {Promise<object|null>} The copy's payload, or null if there is no deck
+ */
+export async function copyStoredDeck(fromKey, toKey, update = (payload) => payload) {
+  const db = await openDeckDb();
+  if (!db) {
+    const payload = readLocalDeck(fromKey);
+    if (!payload) return null;
+    const copy = update(payload);
+    localStorage.setItem(toKey, JSON.stringify(copy));
+    return copy;
+  }
+
+  const tx = db.transaction(DECKS_STORE, 'readwrite');
+  const decks = tx.objectStore(DECKS_STORE);
+  const record = await request(decks.get(fromKey));
+  if (!record) return null;
+  const copy = update(structuredClone(record.payload));
+  decks.put({ key: toKey, payload: copy, imageIds: record.imageIds, updatedAt: copy.updatedAt ?? Date.now() });
+  await transactionDone(tx);
+  return copy;
+}
+
+/**
+ * Delete a deck and any images no other deck uses.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredDeck(key) {
+  const db = await openDeckDb();
+  if (!db) {
+    localStorage.removeItem(key);
+    return;
+  }
+
+  const tx = db.transaction([DECKS_STORE, VERSIONS_STORE, IMAGES_STORE], 'readwrite');
+  const decks = tx.objectStore(DECKS_STORE);
+  const versions = tx.objectStore(VERSIONS_STORE);
+  const record = await request(decks.get(key));
+  const deckVersions = await request(versions.index('key').getAll(key));
+  decks.delete(key);
+  deckVersions.forEach((version) => versions.delete(version.id));
+  const imageIds = [record, ...deckVersions].flatMap((entry) => entry?.imageIds ?? []);
+  if (imageIds.length) {
+    await deleteUnusedImages(tx, imageIds);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Every stored deck as saved: image references are left in place, which keeps
+ * the list cheap. Use getStoredImageUrl() to show one.
+ * @returns {Promise<Array<{ key: string, payload: object }>>}
+ */
+export async function listStoredDecks() {
+  const db = await openDeckDb();
+  if (!db) {
+    const entries = [];
+    for (let index = 0; index < localStorage.length; index += 1) {
+      const key = localStorage.key(index);
+      if (!key?.startsWith(DECK_STORAGE_PREFIX)) continue;
+      const payload = readLocalDeck(key);
+      if (payload) entries.push({ key, payload });
+    }
+    return entries;
+  }
+
+  const records = await request(db.transaction(DECKS_STORE).objectStore(DECKS_STORE).getAll());
+  return records.map(({ key, payload }) => ({ key, payload }));
+}
+
+/**
+ * Keep a copy of a deck in its version history. Autosnapshots identical to
+ * the deck's newest version are skipped, and only the newest
+ * MAX_AUTO_VERSIONS of them are kept.
+ * @param {string} key - The deck's storage key
+ * @param {object} payload - Deck envelope to keep
+ * @param {{ name?: string, auto?: boolean }} [options] - Named checkpoints
+ *   have `auto: false`; autosnapshots may still carry a label such as
+ *   "Before restore"
+ * @returns {Promise<number|null>} The version id, or null when nothing was
+ *   saved (unchanged, or no IndexedDB)
+ */
+export async function saveStoredVersion(key, payload, { name = '', auto = true } = {}) {
+  const db = await openDeckDb();
+  if (!db) return null;
+
+  const images = new Map();
+  const stored = extractImages(payload, images);
+  const tx = db.transaction([DECKS_STORE, VERSIONS_STORE, IMAGES_STORE], 'readwrite');
+  const versions = tx.objectStore(VERSIONS_STORE);
+  const deckVersions = await request(versions.index('key').getAll(key));
+  const latest = deckVersions.at(-1);
+  if (auto && latest && JSON.stringify(latest.payload.slides) === JSON.stringify(stored.slides)) {
+    return null;
+  }
+
+  await storeImages(tx.objectStore(IMAGES_STORE), images);
+  const id = await request(versions.add({
+    key,
+    name: typeof name === 'string' ? name.trim() : '',
+    auto,
+    createdAt: Date.now(),
+    payload: stored,
+    imageIds: [...images.keys()],
+  }));
+
+  const autoVersions = deckVersions.filter((version) => version.auto);
+  if (auto && autoVersions.length >= MAX_AUTO_VERSIONS) {
+    const expired = autoVersions.slice(0, autoVersions.length - MAX_AUTO_VERSIONS + 1);
+    expired.forEach((version) => versions.delete(version.id));
+    await deleteUnusedImages(tx, expired.flatMap((version) => version.imageIds ?? []));
+  }
+  await transactionDone(tx);
+  return id;
+}
+
+/**
+ * A deck's version history, newest first, as stored (image references left
+ * in; see getStoredImageUrl()).
+ * @param {string} key
+ * @returns {Promise<Array<{ id: number, name: string, auto: boolean,
+ *   createdAt: number, payload: object }>>}
+ */
+export async function listStoredVersions(key) {
+  const db = await openDeckDb();
+  if (!db) return [];
+  const store = db.transaction(VERSIONS_STORE).objectStore(VERSIONS_STORE);
+  const records = await request(store.index('key').getAll(key));
+  return records
+    .map(({ id, name, auto, createdAt, payload }) => ({ id, name, auto, createdAt, payload }))
+    .reverse();
+}
+
+/**
+ * One version with its images restored to data URLs.
+ * @param {number} id
+ * @returns {Promise<object|null>} The version's payload
+ */
+export async function readStoredVersion(id) {
+  const db = await openDeckDb();
+  if (!db) return null;
+  const record = await request(db.transaction(VERSIONS_STORE).objectStore(VERSIONS_STORE).get(id));
+  return record ? restoreImages(db, record.payload) : null;
+}
+
+/**
+ * Delete one version (and images nothing else uses).
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredVersion(id) {
+  const db = await openDeckDb();
+  if (!db) return;
+  const tx = db.transaction([DECKS_STORE, VERSIONS_STORE, IMAGES_STORE], 'readwrite');
+  const versions = tx.objectStore(VERSIONS_STORE);
+  const record = await request(versions.get(id));
+  versions.delete(id);
+  if (record?.imageIds?.length) {
+    await deleteUnusedImages(tx, record.imageIds);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Whether a value is an `idb-image:` reference.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStoredImageRef(value) {
+  return typeof value === 'string' && value.startsWith(IMAGE_REF_PREFIX);
+}
+
+/**
+ * An object URL for a stored image reference. URLs are cached for the page's
+ * lifetime; other values are returned as they are.
+ * @param {string} src
+ * @returns {Promise<string|null>}
+ */
+export async function getStoredImageUrl(src) {
+  if (!isStoredImageRef(src)) return src;
+  const id = src.slice(IMAGE_REF_PREFIX.length);
+  if (imageObjectUrls.has(id)) return imageObjectUrls.get(id);
+
+  const db = await openDeckDb();
+  if (!db) return null;
+  const image = await request(db.transaction(IMAGES_STORE).objectStore(IMAGES_STORE).get(id));
+  if (!image) return null;
+  const url = URL.createObjectURL(image.blob);
+  imageObjectUrls.set(id, url);
+  return url;
+}
+
+/**
+ * How much room saved decks take, for the settings panel.
+ * @returns {Promise<{ backend: 'indexeddb'|'localstorage', decks: number,
+ *   versions: number, images: number, imageBytes: number, usage: number|null,
+ *   quota: number|null }>}
+ */
+export async function getStorageUsage() {
+  const estimate = typeof navigator !== 'undefined' && navigator.storage?.estimate
+    ? await navigator.storage.estimate().catch(() => ({}))
+    : {};
+  const db = await openDeckDb();
+
+  if (!db) {
+    const decks = await listStoredDecks();
+    const bytes = decks.reduce((total, { key }) => total + (key.length + (localStorage.getItem(key)?.length ?? 0)) * 2, 0);
+    return { backend: 'localstorage', decks: decks.length, versions: 0, images: 0, imageBytes: 0, usage: bytes, quota: null };
+  }
+
+  const tx = db.transaction([DECKS_STORE, VERSIONS_STORE, IMAGES_STORE]);
+  const [decks, versions, images] = await Promise.all([
+    request(tx.objectStore(DECKS_STORE).count()),
+    request(tx.objectStore(VERSIONS_STORE).count()),
+    request(tx.objectStore(IMAGES_STORE).getAll()),
+  ]);
+  return {
+    backend: 'indexeddb',
+    decks,
+    versions,
+    images: images.length,
+    imageBytes: images.reduce((total, image) => total + (image.blob?.size ?? 0), 0),
+    usage: Number.isFinite(estimate.usage) ? estimate.usage : null,
+    quota: Number.isFinite(estimate.quota) ? estimate.quota : null,
+  };
+}
+
+/**
+ * Keep a request until it can be sent.
+ * @param {{ kind: string, body: object, details?: object }} entry
+ * @returns {Promise<number>} The entry's id
+ */
+export async function addOutboxEntry({ kind, body, details = {} }) {
+  const entry = { kind, body, details, createdAt: Date.now() };
+  const db = await openDeckDb();
+  if (!db) {
+    const id = nextMemoryOutboxId++;
+    memoryOutbox.push({ ...entry, id });
+    return id;
+  }
+  return request(db.transaction(OUTBOX_STORE, 'readwrite').objectStore(OUTBOX_STORE).add(entry));
+}
+
+/**
+ * Waiting requests, oldest first.
+ * @returns {Promise<Array<{ id: number, kind: string, body: object,
+ *   details: object, createdAt: number }>>}
+ */
+export async function listOutboxEntries() {
+  const db = await openDeckDb();
+  if (!db) return memoryOutbox.slice();
+  return request(db.transaction(OUTBOX_STORE).objectStore(OUTBOX_STORE).getAll());
+}
+
+/**
+ * Forget a request (sent, or no longer wanted).
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteOutboxEntry(id) {
+  const db = await openDeckDb();
+  if (!db) {
+    const index = memoryOutbox.findIndex((entry) => entry.id === id);
+    if (index !== -1) memoryOutbox.splice(index, 1);
+    return;
+  }
+  const tx = db.transaction(OUTBOX_STORE, 'readwrite');
+  tx.objectStore(OUTBOX_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+// Resolves to the database, or null when IndexedDB can't be used.
+function openDeckDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    let open;
+    try {
+      open = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      console.warn('[DeckStore] IndexedDB unavailable, using localStorage:', error);
+      resolve(null);
+      return;
+    }
+    open.onupgradeneeded = () => {
+      const db = open.result;
+      if (!db.objectStoreNames.contains(DECKS_STORE)) {
+        db.createObjectStore(DECKS_STORE, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+        db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+      }
+      // Version 2: version history.
+      if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+        db.createObjectStore(VERSIONS_STORE, { keyPath: 'id', autoIncrement: true })
+          .createIndex('key', 'key');
+      }
+      // Version 3: requests waiting for the network.
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      // Version 4: which decks and versions use each image.
+      [DECKS_STORE, VERSIONS_STORE].forEach((name) => {
+        const store = open.transaction.objectStore(name);
+        if (!store.indexNames.contains(IMAGE_IDS_INDEX)) {
+          store.createIndex(IMAGE_IDS_INDEX, 'imageIds', { multiEntry: true });
+        }
+      });
+    };
+    open.onsuccess = () => {
+      const db = open.result;
+      // Let a newer tab upgrade the database instead of waiting on this one.
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    open.onerror = () => {
+      console.warn('[DeckStore] IndexedDB unavailable, using localStorage:', open.error);
+      resolve(null);
+    };
+  }).then(async (db) => {
+    if (db) {
+      await migrateLocalStorageDecks(db);
+    }
+    return db;
+  });
+  return dbPromise;
+}
+
+// Move decks saved before the IndexedDB store. A key is only removed once its
+// deck is safely written, so a failed move is retried on the next visit.
+async function migrateLocalStorageDecks(db) {
+  const keys = [];
+  try {
+    for (let index = 0; index < localStorage.length; index += 1) {
+      const key = localStorage.key(index);
+      if (key?.startsWith(DECK_STORAGE_PREFIX)) keys.push(key);
+    }
+  } catch {
+    return;
+  }
+  if (!keys.length) return;
+
+  let moved = 0;
+  for (const key of keys) {
+    const payload = readLocalDeck(key);
+    try {
+      if (payload) {
+        const existing = await request(db.transaction(DECKS_STORE).objectStore(DECKS_STORE).getKey(key));
+        // A copy already in IndexedDB is newer than one left behind in localStorage.
+        if (existing === undefined) {
+          await putDeck(db, key, payload);
+          moved += 1;
+        }
+      }
+      localStorage.removeItem(key);
+    } catch (error) {
+      console.warn('[DeckStore] Could not move deck out of localStorage:', key, error);
+    }
+  }
+  if (moved) {
+    console.log(`[DeckStore] Moved ${moved} deck${moved === 1 ? '' : 's'} from localStorage to IndexedDB`);
+  }
+}
+
+async function putDeck(db, key, payload) {
+  const images = new Map();
+  const stored = extractImages(payload, images);
+  const tx = db.transaction([DECKS_STORE, VERSIONS_STORE, IMAGES_STORE], 'readwrite');
+  const decks = tx.objectStore(DECKS_STORE);
+
+  const previous = await request(decks.get(key));
+  await storeImages(tx.objectStore(IMAGES_STORE), images);
+  decks.put({ key, payload: stored, imageIds: [...images.keys()], updatedAt: payload.updatedAt ?? Date.now() });
+
+  const dropped = (previous?.imageIds ?? []).filter((id) => !images.has(id));
+  if (dropped.length) {
+    await deleteUnusedImages(tx, dropped);
+  }
+  await transactionDone(tx);
+}
+
+// Add the images from extractImages() that the store doesn't have yet.
+async function storeImages(imageStore, images) {
+  for (const [id, { header, base64 }] of images) {
+    if ((await request(imageStore.count(id))) === 0) {
+      imageStore.put({ id, header, blob: base64ToBlob(base64, header) });
+    }
+  }
+}
+
+function readLocalDeck(key) {
+  try {
+    const payload = JSON.parse(localStorage.getItem(key) ?? 'null');
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    console.warn('[DeckStore] Ignoring unreadable deck:', key, error);
+    return null;
+  }
+}
+
+// Copy of `value` with large base64 data URLs swapped for references; the
+// images found are added to `images` (id → header and data).
+function extractImages(value, images) {
+  if (typeof value === 'string') {
+    if (value.length < MIN_STORED_IMAGE_LENGTH) return value;
+    const match = DATA_URL_PATTERN.exec(value);
+    if (!match) return value;
+    const id = getImageId(value);
+    images.set(id, { header: match[1], base64: value.slice(match[0].length) });
+    return `${IMAGE_REF_PREFIX}${id}`;
+  }
+  if (Array.isArray(value)) return value.map((item) => extractImages(item, images));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, extractImages(child, images)]));
+  }
+  return value;
+}
+
+async function restoreImages(db, payload) {
+  const ids = new Set();
+  collectImageRefs(payload, ids);
+  if (!ids.size) return payload;
+
+  const store = db.transaction(IMAGES_STORE).objectStore(IMAGES_STORE);
+  const records = await Promise.all([...ids].map((id) => request(store.get(id))));
+  const dataUrls = new Map();
+  await Promise.all(records.map(async (record) => {
+    if (!record) return;
+    const dataUrl = `data:${record.header};base64,${await blobToBase64(record.blob)}`;
+    dataUrls.set(record.id, dataUrl);
+    rememberImageId(dataUrl, record.id);
+  }));
+
+  return replaceImageRefs(payload, dataUrls);
+}
+
+function collectImageRefs(value, ids) {
+  if (isStoredImageRef(value)) {
+    ids.add(value.slice(IMAGE_REF_PREFIX.length));
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectImageRefs(item, ids));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((child) => collectImageRefs(child, ids));
+  }
+}
+
+function replaceImageRefs(value, dataUrls) {
+  if (isStoredImageRef(value)) {
+    const id = value.slice(IMAGE_REF_PREFIX.length);
+    if (!dataUrls.has(id)) console.warn('[DeckStore] Missing stored image:', id);
+    return dataUrls.get(id) ?? '';
+  }
+  if (Array.isArray(value)) return value.map((item) => replaceImageRefs(item, dataUrls));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, replaceImageRefs(child, dataUrls)]));
+  }
+  return value;
+}
+
+// Delete the images in `ids` that no deck or version uses any more. Runs
+// inside the transaction that changed them, so it sees those changes; the
+// imageIds indexes answer per image instead of reading every record.
+async function deleteUnusedImages(tx, ids) {
+  const deckIndex = tx.objectStore(DECKS_STORE).index(IMAGE_IDS_INDEX);
+  const versionIndex = tx.objectStore(VERSIONS_STORE).index(IMAGE_IDS_INDEX);
+  const imageStore = tx.objectStore(IMAGES_STORE);
+  await Promise.all([...new Set(ids)].map(async (id) => {
+    const [deckUses, versionUses] = await Promise.all([
+      request(deckIndex.count(id)),
+      request(versionIndex.count(id)),
+    ]);
+    if (deckUses || versionUses) return;
+    imageStore.delete(id);
+    const url = imageObjectUrls.get(id);
+    if (url) {
+      URL.revokeObjectURL(url);
+      imageObjectUrls.delete(id);
+    }
+  }));
+}
+
+function getImageId(dataUrl) {
+  const cached = imageIdCache.get(dataUrl);
+  if (cached) return cached;
+  const id = `${hashString(dataUrl)}-${dataUrl.length.toString(36)}`;
+  rememberImageId(dataUrl, id);
+  return id;
+}
+
+function rememberImageId(dataUrl, id) {
+  if (imageIdCache.size >= MAX_CACHED_IMAGE_IDS) {
+    imageIdCache.delete(imageIdCache.keys().next().value);
+  }
+  imageIdCache.set(dataUrl, id);
+}
+
+// cyrb53: a fast 53-bit string hash; with the length in the id, collisions
+// between different images are not a practical concern.
+function hashString(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < value.length; index += 1) {
+    const code = value.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function base64ToBlob(base64, header) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return new Blob([bytes], { type: header.split(';')[0] });
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).slice(String(reader.result).indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
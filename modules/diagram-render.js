@@ -0,0 +1,703 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Diagram Rendering Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Text → SVG diagrams for `diagram` slides (no AI, no network, works offline).
+// - Kinds: flowchart, sequence (a small Mermaid-style subset)
+//     flowchart → `A[Box] --> B{Decision}`, `B -->|yes| C((Done))`, `A -.-> B`
+//     sequence  → `participant A as Alice`, `A -> B: hello`, `B --> A: reply`,
+//                 `note over A,B: text`
+// - Layout is computed here (layered ranks for flowcharts, columns/rows for
+//   sequences); colors come from CSS custom properties (.diagram --diagram-*),
+//   so diagrams follow theme changes without re-rendering
+//
+// Dependencies: None
+// Used by: slide-rendering.js, deck-schema.js, scripts/validate.mjs
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_SIZE = 20;
+const CHAR_WIDTH = 12;
+const LINE_HEIGHT = 26;
+const MAX_LINE_CHARS = 18;
+const MARGIN = 24;
+const ARROW_SIZE = 14;
+const SELF_LOOP_ROOM = 80;
+
+const NODE_PADDING = { x: 22, y: 16 };
+const NODE_MIN_WIDTH = 120;
+const NODE_GAP = 48;
+const RANK_GAP = 80;
+
+const PARTICIPANT_MIN_WIDTH = 140;
+const PARTICIPANT_GAP = 60;
+const MESSAGE_ROW = 64;
+
+export const DIAGRAM_KINDS = ['flowchart', 'sequence'];
+export const DIAGRAM_DIRECTIONS = ['TD', 'LR'];
+
+const NODE_PATTERN = /^\s*(\w+(?:-\w+)*)\s*(?:\(\((.+?)\)\)|\[(.+?)\]|\{(.+?)\}|\((.+?)\))?/;
+const EDGE_PATTERN = /^\s*(?:--\s*([^\s>|-][^|]*?)\s*(-->|---)|(-\.+->|-{2,}>|={2,}>|-{3,}))\s*(?:\|([^|]*)\|)?/;
+const PARTICIPANT_PATTERN = /^\s*(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?\s*$/i;
+const MESSAGE_PATTERN = /^\s*(.+?)\s*(-->>|->>|-->|->)\s*(.+?)\s*:\s*(.*)$/;
+const NOTE_PATTERN = /^\s*note\s+(left of|right of|over)\s+([^,:]+?)(?:\s*,\s*([^:]+?))?\s*:\s*(.*)$/i;
+
+/**
+ * Build the diagram figure for a slide.
+ * @param {object} slide - Slide data with `source`, optional `diagram`, `direction`, `caption`
+ * @returns {HTMLElement}
+ */
+export function createDiagram(slide) {
+    const model = parseDiagram(slide.source, slide.diagram);
+    const figure = document.createElement('figure');
+    figure.className = `diagram diagram--${model.kind}`;
+
+    const isEmpty = model.kind === 'sequence'
+        ? model.participants.length === 0
+        : model.nodes.length === 0;
+
+    if (isEmpty) {
+        const empty = document.createElement('p');
+        empty.className = 'diagram__empty';
+        empty.textContent = 'Add a "source" (e.g. "A[Start] --> B[Finish]") to draw this diagram.';
+        figure.appendChild(empty);
+        return figure;
+    }
+
+    const direction = DIAGRAM_DIRECTIONS.includes(slide.direction) ? slide.direction : model.direction;
+    const svg = model.kind === 'sequence' ? drawSequence(model) : drawFlowchart(model, direction);
+    const summary = slide.description || slide.headline || `${model.kind} diagram`;
+    svg.setAttribute('aria-label', summary);
+    svg.insertBefore(svgElement('title', {}, summary), svg.firstChild);
+    figure.appendChild(svg);
+
+    if (slide.caption) {
+        const caption = document.createElement('figcaption');
+        caption.className = 'diagram__caption';
+        caption.textContent = slide.caption;
+        figure.appendChild(caption);
+    }
+
+    return figure;
+}
+
+/**
+ * Parse diagram text. The kind comes from `kind`, else a `flowchart`/`graph`/
+ * `sequence` header line, else the shape of the statements.
+ * @param {string|string[]} source
+ * @param {string} [kind]
+ * @returns {object} Model with `kind`, nodes/edges or participants/events, and `skipped` lines
+ */
+export function parseDiagram(source, kind) {
+    const lines = (Array.isArray(source) ? source.join('\n') : String(source ?? ''))
+        .split(/\r?\n/)
+        .map((line) => line.replace(/%%.*$/, '').trim())
+        .filter(Boolean);
+
+    let resolvedKind = DIAGRAM_KINDS.includes(kind) ? kind : null;
+    let direction = 'TD';
+
+    const header = lines[0]?.match(/^(flowchart|graph|sequence(?:Diagram)?)\b\s*(\w+)?/i);
+    if (header) {
+        lines.shift();
+        resolvedKind ??= /^seq/i.test(header[1]) ? 'sequence' : 'flowchart';
+        const headerDirection = header[2]?.toUpperCase();
+        if (headerDirection === 'LR' || headerDirection === 'RL') direction = 'LR';
+    }
+
+    if (!resolvedKind) {
+        const looksLikeSequence = lines.some((line) => PARTICIPANT_PATTERN.test(line) || /^[^[\]{}()|]+-{1,2}>>?[^:|]+:/.test(line));
+        resolvedKind = looksLikeSequence ? 'sequence' : 'flowchart';
+    }
+
+    return resolvedKind === 'sequence'
+        ? parseSequence(lines)
+        : parseFlowchart(lines, direction);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Flowcharts
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseFlowchart(lines, direction) {
+    const nodes = new Map();
+    const edges = [];
+    const skipped = [];
+
+    const addNode = (match) => {
+        const [, id, circle, box, decision, round] = match;
+        const label = circle ?? box ?? decision ?? round;
+        const shape = circle ? 'circle' : decision ? 'decision' : round ? 'round' : 'box';
+        const existing = nodes.get(id);
+        if (!existing) {
+            nodes.set(id, { id, label: label ?? id, shape });
+        } else if (label) {
+            existing.label = label;
+            existing.shape = shape;
+        }
+        return id;
+    };
+
+    lines.forEach((line) => {
+        if (/^(direction|style|classDef|class|linkStyle|click|subgraph|end)\b/.test(line)) return;
+
+        // Match the whole chain first so a half-readable line adds nothing.
+        const first = line.match(NODE_PATTERN);
+        if (!first) {
+            skipped.push(line);
+            return;
+        }
+        const links = [];
+        let rest = line.slice(first[0].length);
+        while (rest.trim()) {
+            const edge = rest.match(EDGE_PATTERN);
+            const target = edge && rest.slice(edge[0].length).match(NODE_PATTERN);
+            if (!target) {
+                skipped.push(line);
+                return;
+            }
+            links.push({ edge, target });
+            rest = rest.slice(edge[0].length + target[0].length);
+        }
+
+        let from = addNode(first);
+        links.forEach(({ edge, target }) => {
+            const arrow = edge[2] ?? edge[3];
+            const to = addNode(target);
+            edges.push({
+                from,
+                to,
+                label: (edge[1] ?? edge[4] ?? '').trim(),
+                style: arrow.startsWith('-.') ? 'dashed' : arrow.startsWith('=') ? 'thick' : 'solid',
+                arrow: arrow.endsWith('>'),
+            });
+            from = to;
+        });
+    });
+
+    return { kind: 'flowchart', direction, nodes: Array.from(nodes.values()), edges, skipped };
+}
+
+function drawFlowchart(model, direction) {
+    const horizontal = direction === 'LR';
+    const nodes = new Map(model.nodes.map((node) => [node.id, { ...node, ...measureNode(node) }]));
+    const layers = orderLayers(model, assignRanks(model));
+
+    // Place ranks along the main axis and nodes across it, centering each layer.
+    const mainSize = (node) => (horizontal ? node.width : node.height);
+    const crossSize = (node) => (horizontal ? node.height : node.width);
+    const layerCross = layers.map((layer) =>
+        layer.reduce((sum, id) => sum + crossSize(nodes.get(id)), 0) + NODE_GAP * (layer.length - 1)
+    );
+    const totalCross = Math.max(...layerCross);
+
+    let main = MARGIN;
+    layers.forEach((layer, rank) => {
+        const depth = Math.max(...layer.map((id) => mainSize(nodes.get(id))));
+        let cross = MARGIN + (totalCross - layerCross[rank]) / 2;
+        layer.forEach((id) => {
+            const node = nodes.get(id);
+            const mainCenter = main + depth / 2;
+            const crossCenter = cross + crossSize(node) / 2;
+            node.x = horizontal ? mainCenter : crossCenter;
+            node.y = horizontal ? crossCenter : mainCenter;
+            cross += crossSize(node) + NODE_GAP;
+        });
+        main += depth + RANK_GAP;
+    });
+
+    const mainTotal = main - RANK_GAP + MARGIN;
+    const crossTotal = totalCross + MARGIN * 2;
+    // Self loops bulge out to the right of their node.
+    const loopRoom = model.edges.some(({ from, to }) => from === to) ? SELF_LOOP_ROOM : 0;
+    const svg = createSvg((horizontal ? mainTotal : crossTotal) + loopRoom, horizontal ? crossTotal : mainTotal);
+
+    const edgeGroup = svgElement('g', { class: 'diagram__edges' });
+    const pairs = new Set(model.edges.map(({ from, to }) => `${from}\u0001${to}`));
+    model.edges.forEach((edge) => {
+        const hasTwin = edge.from !== edge.to && pairs.has(`${edge.to}\u0001${edge.from}`);
+        edgeGroup.appendChild(drawEdge(nodes.get(edge.from), nodes.get(edge.to), edge, hasTwin));
+    });
+
+    const nodeGroup = svgElement('g', { class: 'diagram__nodes' });
+    nodes.forEach((node) => nodeGroup.appendChild(drawNode(node)));
+
+    svg.appendChild(edgeGroup);
+    svg.appendChild(nodeGroup);
+    return svg;
+}
+
+function measureNode(node) {
+    const lines = wrapText(node.label);
+    const textWidth = Math.max(...lines.map((line) => line.length)) * CHAR_WIDTH;
+    let width = Math.max(NODE_MIN_WIDTH, textWidth + NODE_PADDING.x * 2);
+    let height = lines.length * LINE_HEIGHT + NODE_PADDING.y * 2;
+
+    if (node.shape === 'decision') {
+        // A diamond needs roughly double the box to fit the same text.
+        width = Math.round(width * 1.5);
+        height = Math.round(height * 1.6);
+    } else if (node.shape === 'circle') {
+        width = Math.max(width, height);
+        height = width;
+    }
+
+    return { lines, width, height };
+}
+
+// Longest-path ranks; edges that close a cycle are ignored for ranking.
+function assignRanks(model) {
+    const outgoing = new Map(model.nodes.map(({ id }) => [id, []]));
+    model.edges.forEach((edge) => outgoing.get(edge.from).push(edge));
+
+    const backEdges = new Set();
+    const state = new Map();
+    const visit = (id) => {
+        state.set(id, 'active');
+        outgoing.get(id).forEach((edge) => {
+            const next = state.get(edge.to);
+            if (next === 'active') {
+                backEdges.add(edge);
+            } else if (!next) {
+                visit(edge.to);
+            }
+        });
+        state.set(id, 'done');
+    };
+    model.nodes.forEach(({ id }) => {
+        if (!state.has(id)) visit(id);
+    });
+
+    const ranks = new Map(model.nodes.map(({ id }) => [id, 0]));
+    const forward = model.edges.filter((edge) => !backEdges.has(edge) && edge.from !== edge.to);
+    // A DAG settles in at most |nodes| passes.
+    for (let pass = 0; pass < model.nodes.length; pass += 1) {
+        let changed = false;
+        forward.forEach(({ from, to }) => {
+            if (ranks.get(to) < ranks.get(from) + 1) {
+                ranks.set(to, ranks.get(from) + 1);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+    return ranks;
+}
+
+// Group nodes per rank, then a few barycenter sweeps to reduce crossings.
+function orderLayers(model, ranks) {
+    const layers = [];
+    model.nodes.forEach(({ id }) => {
+        const rank = ranks.get(id);
+        (layers[rank] ??= []).push(id);
+    });
+    const filled = layers.filter(Boolean);
+
+    const neighbors = new Map(model.nodes.map(({ id }) => [id, []]));
+    model.edges.forEach(({ from, to }) => {
+        if (from === to) return;
+        neighbors.get(from).push(to);
+        neighbors.get(to).push(from);
+    });
+
+    const position = new Map();
+    const indexLayer = (layer) => layer.forEach((id, index) => position.set(id, index));
+    filled.forEach(indexLayer);
+
+    const sweep = (layer, reference) => {
+        const inReference = new Set(reference);
+        const weight = (id) => {
+            const linked = neighbors.get(id).filter((other) => inReference.has(other));
+            if (!linked.length) return position.get(id);
+            return linked.reduce((sum, other) => sum + position.get(other), 0) / linked.length;
+        };
+        const weights = new Map(layer.map((id) => [id, weight(id)]));
+        layer.sort((a, b) => weights.get(a) - weights.get(b));
+        indexLayer(layer);
+    };
+
+    for (let iteration = 0; iteration < 4; iteration += 1) {
+        for (let rank = 1; rank < filled.length; rank += 1) sweep(filled[rank], filled[rank - 1]);
+        for (let rank = filled.length - 2; rank >= 0; rank -= 1) sweep(filled[rank], filled[rank + 1]);
+    }
+    return filled;
+}
+
+function drawNode(node) {
+    const group = svgElement('g', { class: `diagram__node diagram__node--${node.shape}` });
+    const halfWidth = node.width / 2;
+    const halfHeight = node.height / 2;
+
+    if (node.shape === 'decision') {
+        const points = [
+            [node.x, node.y - halfHeight],
+            [node.x + halfWidth, node.y],
+            [node.x, node.y + halfHeight],
+            [node.x - halfWidth, node.y],
+        ];
+        group.appendChild(svgElement('polygon', { class: 'diagram__shape', points: formatPoints(points) }));
+    } else if (node.shape === 'circle') {
+        group.appendChild(svgElement('circle', { class: 'diagram__shape', cx: round(node.x), cy: round(node.y), r: round(halfWidth) }));
+    } else {
+        group.appendChild(svgElement('rect', {
+            class: 'diagram__shape',
+            x: round(node.x - halfWidth),
+            y: round(node.y - halfHeight),
+            width: round(node.width),
+            height: round(node.height),
+            rx: node.shape === 'round' ? round(halfHeight) : 6,
+        }));
+    }
+
+    group.appendChild(createText(node.lines, node.x, node.y, 'diagram__label'));
+    return group;
+}
+
+function drawEdge(source, target, edge, hasTwin) {
+    const group = svgElement('g', { class: `diagram__edge diagram__edge--${edge.style}` });
+    let start;
+    let end;
+    let control = null;
+    let labelPoint;
+
+    if (source === target) {
+        // Self loop: a bulge off the right-hand side of the node.
+        const right = source.x + source.width / 2;
+        start = { x: right, y: source.y - source.height / 4 };
+        end = { x: right, y: source.y + source.height / 4 };
+        group.appendChild(svgElement('path', {
+            class: 'diagram__line',
+            d: `M ${round(start.x)} ${round(start.y)} C ${round(right + 60)} ${round(start.y - 30)} ${round(right + 60)} ${round(end.y + 30)} ${round(end.x)} ${round(end.y)}`,
+        }));
+        control = { x: right + 60, y: end.y + 30 };
+        labelPoint = { x: right + 56, y: source.y };
+    } else {
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        if (hasTwin) {
+            // Bend edges that run both ways between two nodes so they don't overlap.
+            const length = Math.hypot(dx, dy) || 1;
+            control = {
+                x: (source.x + target.x) / 2 - (dy / length) * 36,
+                y: (source.y + target.y) / 2 + (dx / length) * 36,
+            };
+        }
+        start = clipToNode(source, control ?? target);
+        end = clipToNode(target, control ?? source);
+        const d = control
+            ? `M ${round(start.x)} ${round(start.y)} Q ${round(control.x)} ${round(control.y)} ${round(end.x)} ${round(end.y)}`
+            : `M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)}`;
+        group.appendChild(svgElement('path', { class: 'diagram__line', d }));
+        labelPoint = control
+            ? { x: (start.x + 2 * control.x + end.x) / 4, y: (start.y + 2 * control.y + end.y) / 4 }
+            : { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    }
+
+    if (edge.arrow) {
+        group.appendChild(createArrowhead(control ?? start, end));
+    }
+    if (edge.label) {
+        group.appendChild(createEdgeLabel(edge.label, labelPoint.x, labelPoint.y));
+    }
+    return group;
+}
+
+// Point where the segment from the node center toward `toward` leaves the shape.
+function clipToNode(node, toward) {
+    const dx = toward.x - node.x;
+    const dy = toward.y - node.y;
+    if (!dx && !dy) return { x: node.x, y: node.y };
+
+    const halfWidth = node.width / 2;
+    const halfHeight = node.height / 2;
+    let scale;
+    if (node.shape === 'circle') {
+        scale = halfWidth / Math.hypot(dx, dy);
+    } else if (node.shape === 'decision') {
+        scale = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+    } else {
+        scale = Math.min(dx ? halfWidth / Math.abs(dx) : Infinity, dy ? halfHeight / Math.abs(dy) : Infinity);
+    }
+    return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Sequence Diagrams
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseSequence(lines) {
+    const participants = new Map();
+    const events = [];
+    const skipped = [];
+
+    const addParticipant = (id, label, actor = false) => {
+        const key = id.trim();
+        if (!participants.has(key)) {
+            participants.set(key, { id: key, label: key, actor, index: participants.size });
+        }
+        const participant = participants.get(key);
+        if (label) participant.label = label.trim();
+        if (actor) participant.actor = true;
+        return key;
+    };
+
+    lines.forEach((line) => {
+        if (/^(autonumber|activate|deactivate|end)\b/i.test(line)) return;
+
+        const declaration = line.match(PARTICIPANT_PATTERN);
+        if (declaration) {
+            addParticipant(declaration[2], declaration[3], declaration[1].toLowerCase() === 'actor');
+            return;
+        }
+
+        const note = line.match(NOTE_PATTERN);
+        if (note) {
+            const first = addParticipant(note[2]);
+            const last = note[3] ? addParticipant(note[3]) : first;
+            events.push({ type: 'note', placement: note[1].toLowerCase(), from: first, to: last, text: note[4].trim() });
+            return;
+        }
+
+        const message = line.match(MESSAGE_PATTERN);
+        if (message) {
+            events.push({
+                type: 'message',
+                from: addParticipant(message[1]),
+                to: addParticipant(message[3]),
+                text: message[4].trim(),
+                dashed: message[2].startsWith('--'),
+            });
+            return;
+        }
+
+        skipped.push(line);
+    });
+
+    return { kind: 'sequence', participants: Array.from(participants.values()), events, skipped };
+}
+
+function drawSequence(model) {
+    const { participants, events } = model;
+    const columnOf = new Map(participants.map((participant) => [participant.id, participant.index]));
+    const widths = participants.map((participant) =>
+        Math.max(PARTICIPANT_MIN_WIDTH, participant.label.length * CHAR_WIDTH + NODE_PADDING.x * 2)
+    );
+
+    // Gap i sits between columns i and i + 1; widen it until every message label fits.
+    const gaps = participants.slice(1).map((_, index) => (widths[index] + widths[index + 1]) / 2 + PARTICIPANT_GAP);
+    const centersFor = () => gaps.reduce((centers, gap) => [...centers, centers[centers.length - 1] + gap], [MARGIN + widths[0] / 2]);
+    events.forEach((event) => {
+        if (event.type !== 'message' || event.from === event.to) return;
+        const left = Math.min(columnOf.get(event.from), columnOf.get(event.to));
+        const right = Math.max(columnOf.get(event.from), columnOf.get(event.to));
+        const centers = centersFor();
+        const needed = event.text.length * CHAR_WIDTH + 40;
+        if (centers[right] - centers[left] < needed) {
+            gaps[right - 1] += needed - (centers[right] - centers[left]);
+        }
+    });
+    const centers = centersFor();
+    const selfLoopRoom = Math.max(0, ...events
+        .filter((event) => event.type === 'message' && event.from === event.to)
+        .map((event) => SELF_LOOP_ROOM + event.text.length * CHAR_WIDTH - widths[columnOf.get(event.from)] / 2));
+    const notes = new Map(events
+        .filter((event) => event.type === 'note')
+        .map((event) => [event, measureNote(event, centers, widths, columnOf)]));
+    const noteBoxes = Array.from(notes.values());
+    const minX = Math.min(0, ...noteBoxes.map((note) => note.left - MARGIN));
+    const maxX = Math.max(
+        centers[centers.length - 1] + widths[widths.length - 1] / 2 + MARGIN + selfLoopRoom,
+        ...noteBoxes.map((note) => note.left + note.width + MARGIN)
+    );
+
+    const headerHeight = LINE_HEIGHT + NODE_PADDING.y * 2;
+    const rows = events.map((event) => (event.type === 'note'
+        ? wrapText(event.text).length * LINE_HEIGHT + NODE_PADDING.y * 2 + 16
+        : event.from === event.to ? MESSAGE_ROW + 24 : MESSAGE_ROW));
+    const bodyHeight = rows.reduce((sum, row) => sum + row, 0) + 24;
+    const height = MARGIN * 2 + headerHeight + bodyHeight;
+    const svg = createSvg(maxX - minX, height, minX);
+
+    const lifelineTop = MARGIN + headerHeight;
+    const lifelineBottom = height - MARGIN;
+    const lifelines = svgElement('g', { class: 'diagram__lifelines' });
+    const heads = svgElement('g', { class: 'diagram__participants' });
+    participants.forEach((participant, index) => {
+        const x = centers[index];
+        lifelines.appendChild(svgElement('line', {
+            class: 'diagram__lifeline',
+            x1: round(x), y1: lifelineTop, x2: round(x), y2: lifelineBottom,
+        }));
+        const group = svgElement('g', { class: `diagram__node diagram__node--${participant.actor ? 'actor' : 'participant'}` });
+        group.appendChild(svgElement('rect', {
+            class: 'diagram__shape',
+            x: round(x - widths[index] / 2),
+            y: MARGIN,
+            width: round(widths[index]),
+            height: headerHeight,
+            rx: participant.actor ? round(headerHeight / 2) : 6,
+        }));
+        group.appendChild(createText([participant.label], x, MARGIN + headerHeight / 2, 'diagram__label'));
+        heads.appendChild(group);
+    });
+    svg.appendChild(lifelines);
+    svg.appendChild(heads);
+
+    const body = svgElement('g', { class: 'diagram__events' });
+    let y = lifelineTop + 24;
+    events.forEach((event, index) => {
+        const row = rows[index];
+        body.appendChild(event.type === 'note'
+            ? drawNote(notes.get(event), y, row)
+            : drawMessage(event, centers, columnOf, y, row));
+        y += row;
+    });
+    svg.appendChild(body);
+    return svg;
+}
+
+function drawMessage(event, centers, columnOf, top, row) {
+    const group = svgElement('g', { class: `diagram__edge diagram__edge--${event.dashed ? 'dashed' : 'solid'}` });
+    const fromX = centers[columnOf.get(event.from)];
+    const toX = centers[columnOf.get(event.to)];
+    const lineY = top + row - 20;
+
+    if (event.from === event.to) {
+        const loopTop = lineY - 28;
+        group.appendChild(svgElement('path', {
+            class: 'diagram__line',
+            d: `M ${round(fromX)} ${round(loopTop)} H ${round(fromX + 56)} V ${round(lineY)} H ${round(fromX + 4)}`,
+        }));
+        group.appendChild(createArrowhead({ x: fromX + 56, y: lineY }, { x: fromX + 4, y: lineY }));
+        group.appendChild(createText([event.text], fromX + 68, loopTop + 14, 'diagram__message', 'start'));
+        return group;
+    }
+
+    const direction = Math.sign(toX - fromX);
+    const endX = toX - direction * 4;
+    group.appendChild(svgElement('line', {
+        class: 'diagram__line',
+        x1: round(fromX), y1: round(lineY), x2: round(endX), y2: round(lineY),
+    }));
+    group.appendChild(createArrowhead({ x: fromX, y: lineY }, { x: endX, y: lineY }));
+    if (event.text) {
+        group.appendChild(createText([event.text], (fromX + toX) / 2, lineY - 18, 'diagram__message'));
+    }
+    return group;
+}
+
+// Horizontal extent of a note: over one or more lifelines, or beside one.
+function measureNote(event, centers, widths, columnOf) {
+    const lines = wrapText(event.text);
+    const first = columnOf.get(event.from);
+    const last = columnOf.get(event.to);
+    const textWidth = Math.max(...lines.map((line) => line.length)) * CHAR_WIDTH + NODE_PADDING.x * 2;
+
+    if (event.placement === 'over') {
+        const spanLeft = centers[Math.min(first, last)] - 30;
+        const spanRight = centers[Math.max(first, last)] + 30;
+        const width = Math.max(textWidth, spanRight - spanLeft);
+        return { lines, left: (spanLeft + spanRight) / 2 - width / 2, width };
+    }
+    const left = event.placement === 'left of'
+        ? centers[first] - widths[first] / 2 - textWidth + 40
+        : centers[first] + widths[first] / 2 - 40;
+    return { lines, left, width: textWidth };
+}
+
+function drawNote({ lines, left, width }, top, row) {
+    const group = svgElement('g', { class: 'diagram__note' });
+    const height = row - 16;
+    group.appendChild(svgElement('rect', {
+        class: 'diagram__note-shape',
+        x: round(left), y: round(top), width: round(width), height: round(height), rx: 4,
+    }));
+    group.appendChild(createText(lines, left + width / 2, top + height / 2, 'diagram__label'));
+    return group;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createSvg(width, height, minX = 0) {
+    return svgElement('svg', {
+        class: 'diagram__svg',
+        viewBox: `${round(minX)} 0 ${round(width)} ${round(height)}`,
+        role: 'img',
+        preserveAspectRatio: 'xMidYMid meet',
+        'font-size': FONT_SIZE,
+    });
+}
+
+function createArrowhead(from, to) {
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+    const spread = Math.PI / 7;
+    const points = [
+        [to.x, to.y],
+        [to.x - ARROW_SIZE * Math.cos(angle - spread), to.y - ARROW_SIZE * Math.sin(angle - spread)],
+        [to.x - ARROW_SIZE * Math.cos(angle + spread), to.y - ARROW_SIZE * Math.sin(angle + spread)],
+    ];
+    return svgElement('polygon', { class: 'diagram__arrow', points: formatPoints(points) });
+}
+
+function createEdgeLabel(label, x, y) {
+    const group = svgElement('g', { class: 'diagram__edge-label' });
+    const width = label.length * CHAR_WIDTH + 16;
+    group.appendChild(svgElement('rect', {
+        class: 'diagram__edge-label-bg',
+        x: round(x - width / 2),
+        y: round(y - LINE_HEIGHT / 2),
+        width: round(width),
+        height: LINE_HEIGHT,
+        rx: 4,
+    }));
+    group.appendChild(createText([label], x, y, 'diagram__message'));
+    return group;
+}
+
+// Multi-line text centered on (x, y).
+function createText(lines, x, y, className, anchor = 'middle') {
+    const text = svgElement('text', { class: className, x: round(x), 'text-anchor': anchor });
+    const firstBaseline = y - ((lines.length - 1) * LINE_HEIGHT) / 2 + FONT_SIZE * 0.35;
+    lines.forEach((line, index) => {
+        text.appendChild(svgElement('tspan', { x: round(x), y: round(firstBaseline + index * LINE_HEIGHT) }, line));
+    });
+    return text;
+}
+
+// Greedy word wrap; `\n` in a label forces a break.
+function wrapText(label) {
+    return String(label).split(/\\n|\n|<br\s*\/?>/i).flatMap((paragraph) => {
+        const lines = [];
+        paragraph.trim().split(/\s+/).forEach((word) => {
+            const current = lines[lines.length - 1];
+            if (current !== undefined && `${current} ${word}`.length <= MAX_LINE_CHARS) {
+                lines[lines.length - 1] = `${current} ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+        return lines.length ? lines : [''];
+    });
+}
+
+function svgElement(tag, attributes = {}, text = null) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        element.setAttribute(name, String(value));
+    });
+    if (text != null) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function formatPoints(points) {
+    return points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
@@ -73,6 +73,7 @@ function createDrawer(config) {
     onOpen,
     onClose,
     trapFocus: shouldTrapFocus = true,
+    isInsideClick = null,
   } = config;
 
   const element = elementRef || (typeof id === 'string' ? document.getElementById(id) : null);
@@ -91,6 +92,7 @@ function createDrawer(config) {
     onOpen,
     onClose,
     trapFocus: shouldTrapFocus,
+    isInsideClick,
     isOpen: element.classList.contains('is-open'),
     previousFocus: null,
     keydownHandler: null,
@@ -126,7 +128,8 @@ function openDrawer(drawer) {
 
   // Add click-outside-to-close handler
   drawer.clickOutsideHandler = (event) => {
-    if (!element.contains(event.target)) {
+    // isInsideClick lets a drawer treat parts of the page it edits as its own.
+    if (!element.contains(event.target) && !drawer.isInsideClick?.(event)) {
       closeDrawer(drawer, { restoreFocus: true });
     }
   };
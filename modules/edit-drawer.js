@@ -5,9 +5,12 @@
 // Houses the edit drawer UI and slide editing helpers.
 // - Renders the quick-edit form and JSON editor
 // - Synchronizes quick edits with slide JSON
+// - Lists schema problems in the slide JSON as you type
+// - Edits the deck details (title, author, tags...) in the Deck Details section
 // - Saves and duplicates slides, delegating to shared modules
 //
-// Dependencies: drawer-base.js, image-manager.js, base64-tokens.js, utils.js
+// Dependencies: drawer-base.js, image-manager.js, base64-tokens.js, utils.js,
+//               table-data.js, canvas-editor.js, validation.js
 // Used by: main.js
 //
 // ═══════════════════════════════════════════════════════════════════════════
@@ -37,6 +40,16 @@ import {
   getCurrentThemePath,
 } from './theme-manager.js';
 import { exportDeckToPdf } from './pdf-export.js';
+import {
+  clipboardToTable,
+  tableToDelimited,
+  applyTableToSlide,
+  normalizeTableHeader,
+} from './table-data.js';
+import { commitHistory } from './history.js';
+import { addCanvasElement, removeSelectedCanvasElement } from './canvas-editor.js';
+import { getSlideErrors } from './validation.js';
+import { DECK_META_FIELDS, getDeckTitle } from './deck-format.js';
 import {
   getRadioChannelList,
   getRadioState,
@@ -51,6 +64,18 @@ import {
 // ═══════════════════════════════════════════════════════════════════════════
 
 const AUTO_SAVE_DELAY_MS = 2000; // Auto-save after 2 seconds of idle typing
+const JSON_CHECK_DELAY_MS = 300;
+const DECK_META_SAVE_DELAY_MS = 500;
+
+const DECK_META_INPUTS = {
+  title: { label: 'Title', type: 'text' },
+  author: { label: 'Author', type: 'text', placeholder: 'Who is presenting' },
+  event: { label: 'Event', type: 'text', placeholder: 'Conference, meetup, class…' },
+  date: { label: 'Date', type: 'date' },
+  description: { label: 'Description', type: 'textarea', placeholder: 'Shown in share previews and PDF properties' },
+  tags: { label: 'Tags', type: 'text', placeholder: 'design, talks, 2026' },
+  language: { label: 'Language', type: 'text', placeholder: 'en' },
+};
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MODULE STATE - Event Listener Tracking
@@ -58,6 +83,9 @@ const AUTO_SAVE_DELAY_MS = 2000; // Auto-save after 2 seconds of idle typing
 
 let activeFormListeners = [];
 let autoSaveTimeout = null;
+let jsonCheckTimeout = null;
+let deckMetaSaveTimeout = null;
+let pendingDeckMetaSave = null;
 
 /**
  * Clean up all event listeners before re-rendering form
@@ -73,6 +101,7 @@ function cleanupFormListeners() {
     clearTimeout(autoSaveTimeout);
     autoSaveTimeout = null;
   }
+  flushDeckMetaSave();
 }
 
 /**
@@ -137,6 +166,14 @@ const LAYOUT_OPTIONS = [
   { value: 'gallery', label: 'Gallery', description: 'Image grid' },
   { value: 'image', label: 'Image', description: 'Hero visual' },
   { value: 'typeface', label: 'Typeface', description: 'Type specimen' },
+  { value: 'chart', label: 'Chart', description: 'Bar, line, pie, scatter' },
+  { value: 'code', label: 'Code', description: 'Highlighted snippet' },
+  { value: 'diagram', label: 'Diagram', description: 'Flowchart or sequence' },
+  { value: 'table', label: 'Table', description: 'Comparison grid' },
+  { value: 'timeline', label: 'Timeline', description: 'Roadmap milestones' },
+  { value: 'canvas', label: 'Canvas', description: 'Freeform layout' },
+  { value: 'video', label: 'Video', description: 'Demo clip' },
+  { value: 'audio', label: 'Audio', description: 'Sound clip' },
 ];
 
 const TYPE_NOTES = Object.fromEntries(
@@ -245,6 +282,8 @@ function buildMainSections(slide) {
     buildThemeSection(),
     buildLayoutControl(type, slide.layout),
     type === 'split' ? buildSplitContentSection(slide) : buildCombinedContentSection(slide, type),
+    type === 'table' ? buildTableDataSection(slide) : null,
+    type === 'canvas' ? buildCanvasSection() : null,
     buildImagesSection(slide),
   ].filter(Boolean);
   return sections.join('');
@@ -310,7 +349,7 @@ function applyLayoutToCurrentSlide(ctx, layout, variant) {
   }
 
   ctx.updateSlide(currentIndex, mergedSlide);
-  ctx.replaceSlideAt(currentIndex);
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Change layout' });
   renderEditForm(ctx);
 
   const label = getLayoutMeta(layout)?.label || layout;
@@ -407,14 +446,44 @@ function buildActionsSection() {
         Delete
       </button>
     </div>
-    <button type="button" class="edit-drawer__button edit-drawer__button--secondary" id="download-deck-btn">
-      Download PDF
+    <div style="display: flex; gap: 10px;">
+      <button type="button" class="edit-drawer__button edit-drawer__button--secondary" id="download-deck-btn" style="flex: 1;">
+        Download PDF
+      </button>
+      <button type="button" class="edit-drawer__button edit-drawer__button--secondary" id="download-markdown-btn" style="flex: 1;">
+        Download Markdown
+      </button>
+    </div>
+    <button type="button" class="edit-drawer__button edit-drawer__button--secondary" id="compare-deck-btn">
+      Compare Decks…
     </button>
   `;
 
   return buildAccordion('Actions', content, { modifier: ' accordion--actions', startOpen: false });
 }
 
+function buildDeckDetailsSection(meta, slides) {
+  const fields = DECK_META_FIELDS.map((field) => {
+    const { label, type, placeholder = '' } = DECK_META_INPUTS[field];
+    const id = `deck-meta-${field}`;
+    const rawValue = meta[field];
+    const value = Array.isArray(rawValue) ? rawValue.join(', ') : (rawValue ?? '');
+    // An untitled deck is named after its first slide; show that as the hint.
+    const hint = field === 'title' ? getDeckTitle({}, slides) : placeholder;
+    const control = type === 'textarea'
+      ? `<textarea class="edit-drawer__textarea" id="${id}" data-deck-meta="${field}" rows="3" placeholder="${escapeHtml(hint)}">${escapeHtml(value)}</textarea>`
+      : `<input type="${type}" class="edit-drawer__input" id="${id}" data-deck-meta="${field}" value="${escapeHtml(value)}" placeholder="${escapeHtml(hint)}"${field === 'language' ? ' spellcheck="false"' : ''} />`;
+    return `
+      <div class="accordion__group">
+        <label class="edit-drawer__label" for="${id}">${label}</label>
+        ${control}
+      </div>
+    `;
+  });
+
+  return buildAccordion('Deck Details', fields.join(''), { modifier: ' accordion--deck', startOpen: false });
+}
+
 function getLayoutDescription(value) {
   return getLayoutMeta(value)?.description || TYPE_NOTES[value] || '';
 }
@@ -582,6 +651,58 @@ function buildSplitContentSection(slide) {
   return buildAccordion('Split Content', content, { startOpen: true });
 }
 
+function buildTableDataSection(slide) {
+  const headerRows = normalizeTableHeader(slide.header).length;
+  const content = `
+    <div class="accordion__group">
+      <label class="edit-drawer__label" for="table-data-input">Cells (paste from a spreadsheet, or TSV/CSV)</label>
+      <textarea
+        class="edit-drawer__textarea"
+        id="table-data-input"
+        rows="6"
+        spellcheck="false"
+        placeholder="Plan&#9;Seats&#9;Price"
+        style="font-family: var(--font-mono); white-space: pre; overflow-x: auto;"
+      >${escapeHtml(tableToDelimited(slide))}</textarea>
+    </div>
+    <div style="display: flex; align-items: center; gap: 10px;">
+      <label class="edit-drawer__label" for="table-header-rows" style="margin: 0;">Header rows</label>
+      <input type="number" class="edit-drawer__input" id="table-header-rows" min="0" max="5" value="${headerRows}" style="width: 5em;">
+      <button type="button" class="edit-drawer__button edit-drawer__button--secondary" id="table-apply-btn" style="flex: 1;">
+        Update Table
+      </button>
+    </div>
+  `;
+
+  return buildAccordion('Table Data', content, { startOpen: true });
+}
+
+function buildCanvasSection() {
+  const addButtons = [
+    ['text', 'Text'],
+    ['image', 'Image'],
+    ['shape', 'Shape'],
+    ['arrow', 'Arrow'],
+  ].map(([type, label]) => `
+      <button type="button" class="edit-drawer__button edit-drawer__button--secondary" data-canvas-add="${type}" style="flex: 1;">
+        + ${label}
+      </button>`).join('');
+
+  const content = `
+    <p class="edit-drawer__label" style="margin-top: 0;">
+      Drag elements on the slide. Corners resize (Shift keeps proportions), the round handle rotates.
+      Hold Alt to skip snapping; arrow keys nudge.
+    </p>
+    <div style="display: flex; flex-wrap: wrap; gap: 10px;">${addButtons}
+    </div>
+    <button type="button" class="edit-drawer__button edit-drawer__button--delete" id="canvas-delete-btn">
+      Delete Selected Element
+    </button>
+  `;
+
+  return buildAccordion('Canvas', content, { startOpen: true });
+}
+
 function buildThemeSection() {
   // Build theme select options from library + defaults
   const library = loadThemeLibrary();
@@ -773,6 +894,7 @@ function buildAdvancedSection(slide) {
       rows="20"
       style="font-family: var(--font-mono); font-size: 0.9rem;"
     >${jsonString}</textarea>
+    <ul class="edit-drawer__json-errors" id="slide-json-errors" aria-live="polite" hidden></ul>
   `;
   return buildAccordion('Advanced JSON', content, { modifier: ' accordion--advanced', startOpen: false });
 }
@@ -788,6 +910,15 @@ function setupQuickEditSync(context) {
   // Use event delegation on the container instead of individual inputs
   const handleInput = (event) => {
     const input = event.target;
+    if (input instanceof Element && input.id === 'slide-json-editor') {
+      clearTimeout(jsonCheckTimeout);
+      jsonCheckTimeout = setTimeout(showSlideJsonErrors, JSON_CHECK_DELAY_MS);
+      return;
+    }
+    if (input instanceof Element && input.matches('[data-deck-meta]')) {
+      scheduleDeckMetaSave(context);
+      return;
+    }
     if (!(input instanceof Element) || !input.matches('[data-field]')) return;
 
     syncQuickEditToJSON();
@@ -818,6 +949,44 @@ function setupQuickEditSync(context) {
   }
 }
 
+// Deck details save on their own (not with the slide) once typing pauses.
+function scheduleDeckMetaSave(context) {
+  clearTimeout(deckMetaSaveTimeout);
+  pendingDeckMetaSave = () => context.updateDeckMeta?.(readDeckDetailsForm());
+  deckMetaSaveTimeout = setTimeout(flushDeckMetaSave, DECK_META_SAVE_DELAY_MS);
+}
+
+function flushDeckMetaSave() {
+  clearTimeout(deckMetaSaveTimeout);
+  deckMetaSaveTimeout = null;
+  const save = pendingDeckMetaSave;
+  pendingDeckMetaSave = null;
+  save?.();
+}
+
+function readDeckDetailsForm() {
+  const details = {};
+  document.querySelectorAll('#edit-drawer-content [data-deck-meta]').forEach((input) => {
+    if (!(input instanceof HTMLInputElement) && !(input instanceof HTMLTextAreaElement)) return;
+    details[input.dataset.deckMeta] = input.value;
+  });
+  return details;
+}
+
+/**
+ * Show deck details changed elsewhere (e.g. a rename from the HUD) in the open
+ * Deck Details section, leaving the focused field alone.
+ * @param {object} meta
+ */
+export function syncDeckDetailsForm(meta = {}) {
+  document.querySelectorAll('#edit-drawer-content [data-deck-meta]').forEach((input) => {
+    if (!(input instanceof HTMLInputElement) && !(input instanceof HTMLTextAreaElement)) return;
+    if (input === document.activeElement) return;
+    const value = meta[input.dataset.deckMeta];
+    input.value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+  });
+}
+
 function syncQuickEditToJSON() {
   const textarea = document.getElementById('slide-json-editor');
   if (!(textarea instanceof HTMLTextAreaElement)) return;
@@ -868,11 +1037,39 @@ function syncQuickEditToJSON() {
     });
 
     textarea.value = JSON.stringify(slide, null, 2);
+    showSlideJsonErrors();
   } catch {
     console.warn('Cannot sync quick-edit: invalid JSON');
   }
 }
 
+/**
+ * List every schema problem in the JSON editor under it, by JSON path
+ * (`$.milestones[1].status`), instead of failing on the first one at save.
+ * @returns {Array<{ path: string, message: string }>} The problems shown
+ */
+function showSlideJsonErrors() {
+  clearTimeout(jsonCheckTimeout);
+  const textarea = document.getElementById('slide-json-editor');
+  const list = document.getElementById('slide-json-errors');
+  if (!(textarea instanceof HTMLTextAreaElement) || !list) return [];
+
+  let errors;
+  try {
+    errors = getSlideErrors(JSON.parse(textarea.value));
+  } catch (error) {
+    errors = [{ path: '$', message: `is not valid JSON: ${error.message}` }];
+  }
+
+  list.innerHTML = errors
+    .map(({ path, message }) => `<li><code>${escapeHtml(path)}</code> ${escapeHtml(message)}</li>`)
+    .join('');
+  list.hidden = errors.length === 0;
+  textarea.classList.toggle('is-invalid', errors.length > 0);
+  textarea.setAttribute('aria-invalid', String(errors.length > 0));
+  return errors;
+}
+
 function autoSaveSlide(context) {
   const ctx = ensureContext(context);
   syncQuickEditToJSON();
@@ -1031,7 +1228,7 @@ function handleImageRemove(context, imageIndex) {
 
   const updatedSlide = removeImageByIndex(imageIndex, currentSlide);
   ctx.updateSlide(currentIndex, updatedSlide);
-  ctx.replaceSlideAt(currentIndex);
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Remove image' });
   renderEditForm(ctx);
   ctx.showHudStatus('🗑️ Image removed', 'success');
   setTimeout(() => ctx.hideHudStatus(), 1600);
@@ -1051,7 +1248,7 @@ function handleImageReplace(context, imageIndex) {
 
   const updatedSlide = replaceImageByIndex(imageIndex, currentSlide);
   ctx.updateSlide(currentIndex, updatedSlide);
-  ctx.replaceSlideAt(currentIndex);
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Swap image' });
   renderEditForm(ctx);
   ctx.showHudStatus('↻ Image cleared', 'success');
   setTimeout(() => ctx.hideHudStatus(), 1600);
@@ -1091,9 +1288,7 @@ function handleImageAltUpdate(context, imageIndex, altText) {
 
   const updatedSlide = updateImageAltText(imageIndex, altText, currentSlide);
   ctx.updateSlide(currentIndex, updatedSlide);
-  ctx.replaceSlideAt(currentIndex);
-  // Don't re-render form - that would lose focus on the input
-  // Just update the slide in the background
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Edit alt text' });
 }
 
 /**
@@ -1111,7 +1306,7 @@ function handleImageAdd(context) {
   const updatedSlide = addImageToSlide(currentSlide, emptyImage);
 
   ctx.updateSlide(currentIndex, updatedSlide);
-  ctx.replaceSlideAt(currentIndex);
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Add image' });
   renderEditForm(ctx);
 
   ctx.showHudStatus('📷 Empty image added - name it or drag & drop!', 'success');
@@ -1145,7 +1340,7 @@ async function handleImageFile(context, file) {
 
     const updatedSlide = addImageToSlide(currentSlide, imageData);
     ctx.updateSlide(currentIndex, updatedSlide);
-    ctx.replaceSlideAt(currentIndex);
+    ctx.replaceSlideAt(currentIndex, { historyLabel: 'Add image' });
     renderEditForm(ctx);
 
     ctx.showHudStatus('📷 Image added!', 'success');
@@ -1242,12 +1437,14 @@ export function renderEditForm(context) {
 
   const displaySlide = prepareSlideForEditing(currentSlide);
   const mainSections = buildMainSections(currentSlide);
+  const deckDetailsSection = ctx.getDeckMeta ? buildDeckDetailsSection(ctx.getDeckMeta(), slides) : '';
   const actionsSection = buildActionsSection();
   const advancedSection = buildAdvancedSection(displaySlide);
 
   content.innerHTML = `
     <form class="edit-drawer__form">
       ${mainSections}
+      ${deckDetailsSection}
       ${actionsSection}
       ${advancedSection}
     </form>
@@ -1285,6 +1482,7 @@ export function renderEditForm(context) {
         const normalizedTheme = applyTheme(theme);
         setCurrentTheme(normalizedTheme, { source: themePath });
       }
+      commitHistory('Change theme');
       showHudStatus('✨ Theme applied', 'success');
       setTimeout(hideHudStatus, 1600);
       // Re-render to update theme UI
@@ -1399,6 +1597,7 @@ Make the colors harmonious and ensure good contrast for readability.`;
       const normalizedTheme = applyTheme(mergedTheme);
 
       setCurrentTheme(normalizedTheme, { source: `ai:${prompt.slice(0, 30)}` });
+      commitHistory('AI theme');
 
       showHudStatus('✨ AI theme applied!', 'success');
       setTimeout(hideHudStatus, 1600);
@@ -1445,6 +1644,18 @@ Make the colors harmonious and ensure good contrast for readability.`;
     () => handleDownloadDeck(ctx)
   );
 
+  addTrackedListener(
+    document.getElementById('download-markdown-btn'),
+    'click',
+    () => ctx.downloadDeckMarkdown?.()
+  );
+
+  addTrackedListener(
+    document.getElementById('compare-deck-btn'),
+    'click',
+    () => ctx.openCompareModal?.()
+  );
+
   addTrackedListener(
     document.getElementById('layout-apply-btn'),
     'click',
@@ -1463,7 +1674,33 @@ Make the colors harmonious and ensure good contrast for readability.`;
     () => handleImageAdd(ctx)
   );
 
+  addTrackedListener(
+    document.getElementById('table-apply-btn'),
+    'click',
+    () => handleTableApply(ctx)
+  );
+
+  content.querySelectorAll('[data-canvas-add]').forEach((button) => {
+    addTrackedListener(button, 'click', () => addCanvasElement(button.dataset.canvasAdd));
+  });
+
+  addTrackedListener(
+    document.getElementById('canvas-delete-btn'),
+    'click',
+    () => removeSelectedCanvasElement()
+  );
+
+  addTrackedListener(document.getElementById('table-data-input'), 'paste', (event) => {
+    const text = event.clipboardData?.getData('text/plain');
+    if (!text || !(event.target instanceof HTMLTextAreaElement)) return;
+    // Pasting replaces the whole table, straight from the clipboard.
+    event.preventDefault();
+    event.target.value = text;
+    handleTableApply(ctx);
+  });
+
   setupQuickEditSync(ctx);
+  showSlideJsonErrors();
 
   setupImageRemoveButtons({
     root: content,
@@ -1569,8 +1806,9 @@ Make the colors harmonious and ensure good contrast for readability.`;
     addTrackedListener
   });
 
-  // Setup alt text input event listeners using event delegation
-  addTrackedListener(content, 'input', (event) => {
+  // Alt text saves on change (blur or Enter), so each edit is one undo step
+  // rather than one per keystroke.
+  addTrackedListener(content, 'change', (event) => {
     const input = event.target;
     if (!(input instanceof HTMLInputElement) || !input.matches('.edit-drawer__image-alt-input')) return;
 
@@ -1581,6 +1819,65 @@ Make the colors harmonious and ensure good contrast for readability.`;
   });
 }
 
+function handleTableApply(ctx) {
+  const input = document.getElementById('table-data-input');
+  const headerInput = document.getElementById('table-header-rows');
+  if (!(input instanceof HTMLTextAreaElement)) return;
+
+  const headerRows = headerInput instanceof HTMLInputElement ? Number.parseInt(headerInput.value, 10) : 1;
+  const table = clipboardToTable(input.value, { headerRows: Number.isNaN(headerRows) ? 1 : headerRows });
+  if (!table) {
+    ctx.showHudStatus('⚠️ Paste some rows first', 'warning');
+    setTimeout(() => ctx.hideHudStatus(), 1600);
+    return;
+  }
+
+  const slides = ctx.getSlides();
+  const currentIndex = ctx.getCurrentIndex();
+  const originalSlide = slides[currentIndex];
+  if (!originalSlide) return;
+
+  // Keep unsaved quick edits (headline, caption...) from the JSON editor.
+  let baseSlide = originalSlide;
+  syncQuickEditToJSON();
+  const textarea = document.getElementById('slide-json-editor');
+  if (textarea instanceof HTMLTextAreaElement) {
+    try {
+      baseSlide = restoreBase64FromTokens(JSON.parse(textarea.value), originalSlide);
+    } catch {
+      console.warn('Table update ignored invalid slide JSON');
+    }
+  }
+
+  ctx.updateSlide(currentIndex, applyTableToSlide(baseSlide, table));
+  ctx.replaceSlideAt(currentIndex, { historyLabel: 'Paste table' });
+  renderEditForm(ctx);
+
+  const columns = table.align.length;
+  ctx.showHudStatus(`📋 Table updated: ${table.rows.length} × ${columns}`, 'success');
+  setTimeout(() => ctx.hideHudStatus(), 1600);
+}
+
+/**
+ * Bring the open form up to date with a slide that was changed on the slide
+ * itself (canvas moves, inline text edits) without re-rendering it, so open
+ * accordions and the focused field stay put.
+ * @param {object} slide
+ */
+export function syncEditForm(slide) {
+  const textarea = document.getElementById('slide-json-editor');
+  if (!(textarea instanceof HTMLTextAreaElement) || !slide) return;
+  textarea.value = JSON.stringify(prepareSlideForEditing(slide), null, 2);
+
+  document.querySelectorAll('#edit-drawer-content [data-field]').forEach((input) => {
+    if (!(input instanceof HTMLInputElement) && !(input instanceof HTMLTextAreaElement)) return;
+    if (input === document.activeElement) return;
+    const value = input.dataset.field.split('.').reduce((node, key) => node?.[key], slide);
+    input.value = Array.isArray(value) ? value.join('\n') : (value ?? '');
+  });
+  showSlideJsonErrors();
+}
+
 /**
  * @param {object} context
  */
@@ -1591,6 +1888,14 @@ export function saveCurrentSlide(context) {
   const textarea = document.getElementById('slide-json-editor');
   if (!(textarea instanceof HTMLTextAreaElement)) return;
 
+  const errors = showSlideJsonErrors();
+  if (errors.length) {
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more in Advanced JSON)` : '';
+    ctx.showHudStatus(`⚠️ ${errors[0].path} ${errors[0].message}${more}`, 'warning');
+    setTimeout(() => ctx.hideHudStatus(), 3000);
+    return;
+  }
+
   try {
     const editedSlide = JSON.parse(textarea.value);
     const slides = ctx.getSlides();
@@ -1634,7 +1939,7 @@ export function duplicateCurrentSlide(context) {
 
   const duplicatedSlide = JSON.parse(JSON.stringify(currentSlide));
   const newIndex = currentIndex + 1;
-  ctx.insertSlideAt(newIndex, duplicatedSlide, { activate: true });
+  ctx.insertSlideAt(newIndex, duplicatedSlide, { activate: true, historyLabel: 'Duplicate slide' });
   ctx.closeDrawer();
   ctx.showHudStatus('✨ Slide duplicated', 'success');
   setTimeout(() => ctx.hideHudStatus(), 1600);
@@ -1654,12 +1959,12 @@ export function deleteCurrentSlide(context) {
     return;
   }
 
-  const confirmed = confirm('Delete this slide? This cannot be undone.');
+  const confirmed = confirm('Delete this slide? You can undo with Ctrl/Cmd+Z.');
   if (!confirmed) return;
 
   const success = ctx.deleteSlideAt(currentIndex);
   if (success) {
-    ctx.replaceSlideAt(ctx.getCurrentIndex());
+    ctx.replaceSlideAt(ctx.getCurrentIndex(), { historyLabel: 'Delete slide' });
     ctx.closeDrawer();
     ctx.showHudStatus('🗑️ Slide deleted', 'success');
     setTimeout(() => ctx.hideHudStatus(), 1600);
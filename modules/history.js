@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// History Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Undo/redo stack for deck mutations.
+// - Keeps a serialized baseline of the deck (slides + theme)
+// - Embedded images (long data: URLs) are kept once in a shared pool and
+//   snapshots refer to them, so 50 steps of an image-heavy deck don't hold 50
+//   copies of every picture
+// - commitHistory() pushes the previous baseline whenever the deck changes
+// - undo()/redo() hand snapshots back to main.js for restoring
+//
+// Mutation sites (slide-actions.js, theme controls) call commitHistory() after
+// they change state; it is a no-op when nothing actually changed.
+//
+// Dependencies: state.js
+// Used by: main.js, slide-actions.js, overview-selection.js, theme-drawer.js,
+//          edit-drawer.js, voice-modes.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { slides, currentIndex } from './state.js';
+
+const HISTORY_LIMIT = 50;
+// Shorter data: URLs (icons, tiny images) stay inline, as in deck-store.js.
+const MIN_POOLED_DATA_URL_LENGTH = 2048;
+const IMAGE_REF_PREFIX = 'history-image:';
+const IMAGE_REF_PATTERN = /history-image:(\d+)/g;
+
+const undoStack = [];
+const redoStack = [];
+let baseline = null;
+let isRestoring = false;
+let batchDepth = 0;
+// data URL → id and back, for the images the snapshots refer to.
+const imageIds = new Map();
+const imagesById = new Map();
+let nextImageId = 1;
+
+let getCurrentThemeHook = () => null;
+let restoreSnapshotHook = (_snapshot) => {};
+let historyChangeHook = (_status) => {};
+
+export function registerHistoryHooks(hooks = {}) {
+  if (typeof hooks.getCurrentTheme === 'function') {
+    getCurrentThemeHook = hooks.getCurrentTheme;
+  }
+  if (typeof hooks.restoreSnapshot === 'function') {
+    restoreSnapshotHook = hooks.restoreSnapshot;
+  }
+  if (typeof hooks.onHistoryChange === 'function') {
+    historyChangeHook = hooks.onHistoryChange;
+  }
+}
+
+function captureState(label) {
+  return {
+    label,
+    index: currentIndex,
+    data: JSON.stringify({ slides, theme: getCurrentThemeHook() }, poolImage),
+  };
+}
+
+function poolImage(_key, value) {
+  if (typeof value !== 'string' || value.length < MIN_POOLED_DATA_URL_LENGTH || !value.startsWith('data:')) {
+    return value;
+  }
+  let id = imageIds.get(value);
+  if (!id) {
+    id = nextImageId++;
+    imageIds.set(value, id);
+    imagesById.set(id, value);
+  }
+  return `${IMAGE_REF_PREFIX}${id}`;
+}
+
+function unpoolImage(_key, value) {
+  if (typeof value !== 'string' || !value.startsWith(IMAGE_REF_PREFIX)) return value;
+  return imagesById.get(Number(value.slice(IMAGE_REF_PREFIX.length))) ?? value;
+}
+
+// Forget pooled images that no snapshot refers to any more.
+function pruneImagePool() {
+  const inUse = new Set();
+  [baseline, ...undoStack, ...redoStack].forEach((snapshot) => {
+    for (const match of snapshot?.data.matchAll(IMAGE_REF_PATTERN) ?? []) {
+      inUse.add(Number(match[1]));
+    }
+  });
+  imagesById.forEach((dataUrl, id) => {
+    if (inUse.has(id)) return;
+    imagesById.delete(id);
+    imageIds.delete(dataUrl);
+  });
+}
+
+function notifyChange() {
+  historyChangeHook(getHistoryStatus());
+}
+
+/**
+ * Start a fresh history from the current deck (e.g. after load or upload).
+ */
+export function resetHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  baseline = captureState('Initial deck');
+  pruneImagePool();
+  notifyChange();
+}
+
+/**
+ * Record a change after it has been applied.
+ * @param {string} label - Short description shown in the HUD ("Delete slide")
+ * @returns {boolean} True if a new history entry was recorded
+ */
+export function commitHistory(label = 'Edit') {
+  if (isRestoring || batchDepth > 0) return false;
+  const next = captureState(label);
+  if (!baseline) {
+    baseline = next;
+    notifyChange();
+    return false;
+  }
+  if (next.data === baseline.data) return false;
+
+  undoStack.push({ ...baseline, label });
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+  baseline = next;
+  pruneImagePool();
+  notifyChange();
+  return true;
+}
+
+/**
+ * Run several mutations as a single undo step.
+ * @param {string} label
+ * @param {() => void} mutate
+ * @returns {boolean} True if the batch changed the deck
+ */
+export function runHistoryBatch(label, mutate) {
+  batchDepth += 1;
+  try {
+    mutate();
+  } finally {
+    batchDepth -= 1;
+  }
+  return commitHistory(label);
+}
+
+function restore(snapshot) {
+  const { slides: snapshotSlides, theme } = JSON.parse(snapshot.data, unpoolImage);
+  isRestoring = true;
+  try {
+    restoreSnapshotHook({ slides: snapshotSlides, theme, index: snapshot.index });
+  } finally {
+    isRestoring = false;
+  }
+}
+
+/**
+ * Step back one entry.
+ * @returns {string|null} Label of the undone change, or null if nothing to undo
+ */
+export function undo() {
+  if (!undoStack.length || !baseline) return null;
+  const previous = undoStack.pop();
+  redoStack.push({ ...baseline, label: previous.label });
+  baseline = { ...previous, label: 'Undo' };
+  restore(previous);
+  notifyChange();
+  return previous.label;
+}
+
+/**
+ * Re-apply the most recently undone entry.
+ * @returns {string|null} Label of the redone change, or null if nothing to redo
+ */
+export function redo() {
+  if (!redoStack.length || !baseline) return null;
+  const next = redoStack.pop();
+  undoStack.push({ ...baseline, label: next.label });
+  baseline = { ...next, label: 'Redo' };
+  restore(next);
+  notifyChange();
+  return next.label;
+}
+
+export function getHistoryStatus() {
+  return {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label ?? null,
+    redoLabel: redoStack[redoStack.length - 1]?.label ?? null,
+  };
+}
@@ -55,6 +55,22 @@ export function showHudStatus(message, type = '', options = {}) {
 
     toast.textContent = `${message} `;
     toast.appendChild(retryBtn);
+  } else if (options.action) {
+    // A toast with an action stays until it is used or clicked away.
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'toast__retry-btn';
+    actionBtn.textContent = options.action.label;
+    const actionHandler = (event) => {
+      event.stopPropagation();
+      hideToast(toastId);
+      options.action.onClick();
+    };
+    actionBtn.addEventListener('click', actionHandler);
+    handlers.action = actionHandler;
+
+    toast.textContent = `${message} `;
+    toast.appendChild(actionBtn);
+    lastFailedOperation = null;
   } else {
     toast.textContent = message;
     lastFailedOperation = null;
@@ -69,7 +85,7 @@ export function showHudStatus(message, type = '', options = {}) {
   
   toastHandlers.set(toast, handlers);
 
-  if (type !== 'processing' && !options.onRetry) {
+  if (type !== 'processing' && !options.onRetry && !options.action) {
     const duration = options.duration || TOAST_DURATION[type.toUpperCase()] || TOAST_DURATION.INFO;
     setTimeout(() => {
       if (activeToasts.has(toastId)) {
@@ -94,10 +110,10 @@ function hideToast(toastId) {
 
   const handlers = toastHandlers.get(toast);
   
-  if (handlers?.retry) {
-    const retryBtn = toast.querySelector('.toast__retry-btn');
-    if (retryBtn) {
-      retryBtn.removeEventListener('click', handlers.retry);
+  if (handlers?.retry || handlers?.action) {
+    const button = toast.querySelector('.toast__retry-btn');
+    if (button) {
+      button.removeEventListener('click', handlers.retry ?? handlers.action);
     }
   }
 
@@ -219,7 +219,7 @@ The image should be visually striking and support the slide content.`;
                 updateSlideImage(targetSlideIndex, imageData, placeholderElement);
             }
 
-            replaceSlideAt(targetSlideIndex, { focus: false });
+            replaceSlideAt(targetSlideIndex, { focus: false, historyLabel: 'Swap image' });
             if (!isOverview) {
                 setActiveSlide(targetSlideIndex);
             }
@@ -1,9 +1,12 @@
 import { CONFIG, debug } from './constants.js';
 import { showHudStatus, hideHudStatus } from './hud.js';
 import { formatBytes, fileToBase64 } from './utils.js';
-import { slideElements, isOverview, currentIndex } from './state.js';
-import { replaceSlideAt } from './slide-actions.js';
+import { slides, slideElements, isOverview, currentIndex } from './state.js';
+import { replaceSlideAt, pasteTable } from './slide-actions.js';
+import { isTabularText } from './table-data.js';
 import { setActiveSlide } from './navigation.js';
+import { isOffline, queueRequest, registerQueuedRequestHandler } from './offline.js';
+import { getDeckStorageKey } from './deck-persistence.js';
 import {
     updateSlideImage,
     findSlideIndexForPlaceholder,
@@ -56,23 +59,30 @@ export async function handleImageUpload(file, placeholderElement, imageConfig =
         }
 
         const dataUrl = await fileToBase64(compressedFile);
+        const asset = {
+            dataUrl,
+            mimeType: resolvedFormat,
+            filename: file.name,
+            size: sizeInBytes,
+        };
         let uploadResult = null;
         let usedInlineFallback = false;
+        let queuedUpload = false;
 
-        try {
-            text.textContent = 'Uploading...';
-            if (progressFill) progressFill.style.width = '80%';
-            uploadResult = await uploadOptimizedImage({
-                dataUrl,
-                mimeType: resolvedFormat,
-                filename: file.name,
-                size: sizeInBytes,
-            });
-        } catch (uploadError) {
+        if (isOffline()) {
             usedInlineFallback = true;
-            console.warn('Asset upload failed, falling back to inline data', uploadError);
-            showHudStatus('Using local image only — run `netlify dev` to enable sharing', 'warning');
-            setTimeout(hideHudStatus, 2800);
+            queuedUpload = await queueAssetUpload(asset);
+        } else {
+            try {
+                text.textContent = 'Uploading...';
+                if (progressFill) progressFill.style.width = '80%';
+                uploadResult = await uploadAsset(asset);
+            } catch (uploadError) {
+                usedInlineFallback = true;
+                console.warn('Asset upload failed, falling back to inline data', uploadError);
+                showHudStatus('Using local image only — run `netlify dev` to enable sharing', 'warning');
+                setTimeout(hideHudStatus, 2800);
+            }
         }
         
         if (progressFill) progressFill.style.width = '100%';
@@ -91,7 +101,7 @@ export async function handleImageUpload(file, placeholderElement, imageConfig =
             }, placeholderElement);
 
             debug('Image uploaded, re-rendering slide', slideIndex);
-            replaceSlideAt(slideIndex, { focus: false });
+            replaceSlideAt(slideIndex, { focus: false, historyLabel: 'Swap image' });
             if (!isOverview) {
                 setActiveSlide(slideIndex);
             }
@@ -101,9 +111,11 @@ export async function handleImageUpload(file, placeholderElement, imageConfig =
             const statusType = hitSoftLimit ? 'warning' : 'success';
             const statusMessage = hitSoftLimit
                 ? `Image added (${sizeLabel}) — hit quality floor`
-                : usedInlineFallback
-                    ? `Image added locally (${sizeLabel})`
-                    : `Image added (${sizeLabel})`;
+                : queuedUpload
+                    ? `Image added locally (${sizeLabel}) — uploads when you're back online`
+                    : usedInlineFallback
+                        ? `Image added locally (${sizeLabel})`
+                        : `Image added (${sizeLabel})`;
             showHudStatus(statusMessage, statusType);
             setTimeout(hideHudStatus, hitSoftLimit ? 3000 : 2000);
         }
@@ -197,7 +209,11 @@ export async function compressImage(file) {
     throw new Error('Could not shrink image under 500KB. Try exporting a smaller source.');
 }
 
-async function uploadOptimizedImage({ dataUrl, mimeType, filename, size }) {
+/**
+ * Store an asset through the upload-asset function.
+ * @returns {Promise<{assetId: string, url: string, bytes: number, mimeType: string}>}
+ */
+export async function uploadAsset({ dataUrl, mimeType, filename, size }) {
     try {
         const response = await fetch('/.netlify/functions/upload-asset', {
             method: 'POST',
@@ -215,7 +231,7 @@ async function uploadOptimizedImage({ dataUrl, mimeType, filename, size }) {
         }
 
         if (!response.ok) {
-            const message = payload?.error || 'Unable to upload image asset';
+            const message = payload?.error || 'Unable to upload asset';
             throw new Error(message);
         }
 
@@ -225,6 +241,60 @@ async function uploadOptimizedImage({ dataUrl, mimeType, filename, size }) {
     }
 }
 
+/**
+ * Upload an asset once the connection is back (see offline.js). The slide
+ * keeps the inline data until then.
+ * @returns {Promise<boolean>} Whether the upload was queued
+ */
+export async function queueAssetUpload({ dataUrl, mimeType, filename, size }) {
+    try {
+        await queueRequest('upload-asset', { dataUrl, mimeType, filename, size }, { deckKey: getDeckStorageKey() });
+        return true;
+    } catch (error) {
+        console.warn('Unable to queue asset upload:', error);
+        return false;
+    }
+}
+
+/**
+ * Send uploads queued while offline and point their slides at the uploaded
+ * copies. Uploads for another deck wait until that deck is open; ones no
+ * slide uses any more are dropped.
+ */
+export function registerAssetUploadQueue() {
+    registerQueuedRequestHandler('upload-asset', {
+        url: '/.netlify/functions/upload-asset',
+        prepare: (entry) => {
+            if (entry.details?.deckKey !== getDeckStorageKey()) return 'keep';
+            return findSlidesUsingSource(entry.body.dataUrl).length ? 'send' : 'drop';
+        },
+        onSent: (entry, payload) => {
+            if (!payload?.url) return;
+            findSlidesUsingSource(entry.body.dataUrl).forEach((index) => {
+                replaceAssetSource(slides[index], entry.body.dataUrl, payload);
+                replaceSlideAt(index, { focus: false, historyLabel: 'Upload asset' });
+            });
+            debug('Queued asset uploaded', payload.assetId);
+        },
+    });
+}
+
+function findSlidesUsingSource(src) {
+    return slides
+        .map((slide, index) => (JSON.stringify(slide).includes(src) ? index : -1))
+        .filter((index) => index !== -1);
+}
+
+function replaceAssetSource(value, src, { url, assetId }) {
+    if (!value || typeof value !== 'object') return;
+    if (value.src === src) {
+        value.src = url;
+        if ('assetId' in value) value.assetId = assetId ?? null;
+        if ('storage' in value) value.storage = 'netlify-asset';
+    }
+    Object.values(value).forEach((child) => replaceAssetSource(child, src, { url, assetId }));
+}
+
 export async function handleGlobalPaste(event) {
     const target = event.target;
     if (target && (target.matches('input, textarea') || target.isContentEditable)) {
@@ -234,6 +304,14 @@ export async function handleGlobalPaste(event) {
     const items = event.clipboardData?.items;
     if (!items) return;
 
+    // Spreadsheet cells (some apps also put a picture of them on the clipboard).
+    const text = event.clipboardData.getData('text/plain');
+    if (isTabularText(text)) {
+        event.preventDefault();
+        pasteTable(text);
+        return;
+    }
+
     for (let item of items) {
         if (item.type.startsWith('image/')) {
             event.preventDefault();
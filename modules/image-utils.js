@@ -105,6 +105,16 @@ function findAndUpdateImageInSlide(slide, targetImageRef, newImageData) {
         }
     }
 
+    if (Array.isArray(slide.elements)) {
+        for (const element of slide.elements) {
+            if (element?.image === targetImageRef) {
+                handleImageReplacement(element.image, newImageData);
+                Object.assign(element.image, newImageData);
+                return true;
+            }
+        }
+    }
+
     return false;
 }
 
@@ -158,6 +168,12 @@ export function collectImagePaths(slide) {
         });
     }
 
+    if (Array.isArray(slide.elements)) {
+        slide.elements.forEach((element, index) => {
+            checkAndPush(element, 'image', ['elements', index]);
+        });
+    }
+
     // Left/Right
     if (slide.left) checkAndPush(slide.left, 'image', ['left']);
     if (slide.right) checkAndPush(slide.right, 'image', ['right']);
@@ -257,6 +273,9 @@ export function cleanupSlideAssets(slide) {
     if (slide.left?.image) images.push(slide.left.image);
     if (slide.right?.image) images.push(slide.right.image);
     if (Array.isArray(slide.pillars)) slide.pillars.forEach(p => p.image && images.push(p.image));
+    if (Array.isArray(slide.elements)) slide.elements.forEach(e => e?.image && images.push(e.image));
+    if (slide.video) images.push(slide.video);
+    if (slide.audio) images.push(slide.audio);
 
     images.forEach(img => maybeScheduleAssetCleanup(img));
 }
@@ -265,6 +284,19 @@ export function cleanupAllSlideAssets() {
     slides.forEach(slide => cleanupSlideAssets(slide));
 }
 
+// Undo/redo can bring back slides whose uploaded assets are still queued for
+// deletion; drop those assets from the queue so they survive the flush.
+export function retainSlideAssets(slideList) {
+    if (!Array.isArray(slideList) || assetDeletionQueue.size === 0) return;
+    slideList.forEach((slide) => {
+        [...collectSlideImages(slide), slide?.video, slide?.audio].forEach((image) => {
+            if (image?.assetId) {
+                assetDeletionQueue.delete(image.assetId);
+            }
+        });
+    });
+}
+
 export function normalizeOrientation(val) {
     if (!val) return null;
     const lower = String(val).toLowerCase().trim();
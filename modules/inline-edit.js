@@ -0,0 +1,188 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Inline Edit Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Double-click text on the active slide to edit it in place.
+// - slide-rendering.js tags editable text with `data-edit-path`, the dotted
+//   JSON path of its field ("headline", "left.body.2", "pillars.0.title")
+// - While editing, the element shows its Markdown source; Enter or clicking
+//   away saves, Shift+Enter adds a line break, Escape cancels
+// - Fields holding numbers stay numbers; text that isn't a number is refused
+//   and the old value kept
+// - Saves go through replaceSlideAt() (persistSlides + history); the onChange
+//   hook lets main.js bring the edit drawer's fields up to date
+//
+// Dependencies: state.js, slide-actions.js, utils.js, hud.js
+// Used by: main.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { slides, slideElements, currentIndex, isOverview } from './state.js';
+import { replaceSlideAt } from './slide-actions.js';
+import { deepClone } from './utils.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
+
+let editing = null;
+let onChangeHook = (_slideIndex) => {};
+
+export function registerInlineEditHooks(hooks = {}) {
+  if (typeof hooks.onChange === 'function') {
+    onChangeHook = hooks.onChange;
+  }
+}
+
+/**
+ * @param {HTMLElement} root - Container holding the rendered slides
+ */
+export function initInlineEditing(root) {
+  if (!root) return;
+  root.addEventListener('dblclick', handleDoubleClick);
+  // Capture phase so Enter/Escape reach us before drawers and shortcuts.
+  document.addEventListener('keydown', handleKeydown, true);
+}
+
+function handleDoubleClick(event) {
+  if (isOverview || editing) return;
+  const target = event.target instanceof Element ? event.target.closest('[data-edit-path]') : null;
+  if (!(target instanceof HTMLElement) || target.closest('.slide') !== slideElements[currentIndex]) return;
+
+  const path = target.dataset.editPath;
+  const value = getValueAtPath(slides[currentIndex], path);
+  if (typeof value !== 'string' && typeof value !== 'number') return;
+
+  event.preventDefault();
+  beginEdit(target, currentIndex, path, String(value), typeof value === 'number');
+}
+
+function beginEdit(element, slideIndex, path, source, numeric) {
+  editing = { element, slideIndex, path, source, numeric, html: element.innerHTML };
+
+  element.textContent = source;
+  element.contentEditable = supportsPlaintextEditing() ? 'plaintext-only' : 'true';
+  element.classList.add('is-inline-editing');
+  element.addEventListener('blur', handleBlur);
+  element.addEventListener('paste', handlePaste);
+  element.focus({ preventScroll: true });
+
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  const selection = window.getSelection();
+  selection?.removeAllRanges();
+  selection?.addRange(range);
+}
+
+function finishEdit(save) {
+  if (!editing) return;
+  const { element, slideIndex, path, source, numeric, html } = editing;
+  editing = null;
+
+  element.removeEventListener('blur', handleBlur);
+  element.removeEventListener('paste', handlePaste);
+  const next = normalizeEditedText(element.innerText);
+  element.removeAttribute('contenteditable');
+  element.classList.remove('is-inline-editing');
+
+  if (!save || next === source || !slides[slideIndex]) {
+    element.innerHTML = html;
+    return;
+  }
+
+  const value = numeric ? Number(next) : next;
+  if (numeric && (!next || !Number.isFinite(value))) {
+    element.innerHTML = html;
+    showHudStatus('⚠️ That field needs a number', 'warning');
+    setTimeout(hideHudStatus, 2000);
+    return;
+  }
+
+  const slide = deepClone(slides[slideIndex]);
+  setValueAtPath(slide, path, value);
+  slides[slideIndex] = slide;
+  replaceSlideAt(slideIndex, { focus: false, historyLabel: 'Edit text' });
+  onChangeHook(slideIndex);
+}
+
+function handleBlur() {
+  finishEdit(true);
+}
+
+function handleKeydown(event) {
+  if (!editing || event.target !== editing.element || event.isComposing) return;
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    finishEdit(false);
+  } else if (event.key === 'Enter' && !event.shiftKey) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    finishEdit(true);
+  }
+}
+
+// Rich clipboard content would become stray markup; keep the plain text.
+function handlePaste(event) {
+  const text = event.clipboardData?.getData('text/plain');
+  if (text == null) return;
+  event.preventDefault();
+  const selection = window.getSelection();
+  if (!selection?.rangeCount) return;
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  const node = document.createTextNode(text);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+let plaintextSupport = null;
+
+function supportsPlaintextEditing() {
+  if (plaintextSupport === null) {
+    const probe = document.createElement('div');
+    try {
+      probe.contentEditable = 'plaintext-only';
+      plaintextSupport = probe.contentEditable === 'plaintext-only';
+    } catch {
+      plaintextSupport = false;
+    }
+  }
+  return plaintextSupport;
+}
+
+function normalizeEditedText(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\n+$/, '')
+    .trim();
+}
+
+function getValueAtPath(target, path) {
+  return String(path)
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), target);
+}
+
+// Empty text removes the field (or the line, for array entries such as body
+// copy). Numbers, zero included, are always written.
+function setValueAtPath(target, path, value) {
+  const keys = String(path).split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node == null ? undefined : node[key]), target);
+  if (!parent || typeof parent !== 'object') return;
+
+  if (Array.isArray(parent)) {
+    const index = Number(last);
+    if (value || typeof value === 'number') {
+      parent[index] = value;
+    } else {
+      parent.splice(index, 1);
+    }
+  } else if (value || typeof value === 'number') {
+    parent[last] = value;
+  } else {
+    delete parent[last];
+  }
+}
@@ -15,12 +15,23 @@
 const defaultContext = {
   isOverview: () => false,
   moveOverviewCursorBy: (_x, _y) => {},
+  moveOverviewSlideBy: (_delta) => {},
+  extendSelectionBy: (_delta) => {},
+  selectAllSlides: () => {},
+  clearSelection: () => {},
+  hasSelection: () => false,
+  deleteSelection: () => {},
   exitOverview: (_targetIndex) => {},
   getOverviewCursor: () => 0,
   toggleOverview: () => {},
   downloadDeck: () => {},
+  downloadDeckMarkdown: () => {},
   toggleSpeakerNotes: () => {},
+  openPresenterView: () => {},
+  undo: () => {},
+  redo: () => {},
   setActiveSlide: (_index) => {},
+  advanceSlide: (_direction) => {},
   getCurrentIndex: () => 0,
   getSlideCount: () => 0,
   toggleEditDrawer: () => {},
@@ -63,7 +74,46 @@ export function initKeyboardNav(partialContext = {}) {
     const { key } = event;
     const lowerKey = key.toLowerCase();
 
+    if ((event.metaKey || event.ctrlKey) && !event.altKey) {
+      if (lowerKey === 'z') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          context.redo();
+        } else {
+          context.undo();
+        }
+        return;
+      }
+      if (lowerKey === 'y') {
+        event.preventDefault();
+        context.redo();
+        return;
+      }
+    }
+
     if (context.isOverview()) {
+      if (event.altKey && key.startsWith('Arrow')) {
+        event.preventDefault();
+        const delta = key === 'ArrowRight' || key === 'ArrowDown' ? 1 : -1;
+        context.moveOverviewSlideBy(delta);
+        return;
+      }
+      if (event.shiftKey && key.startsWith('Arrow')) {
+        event.preventDefault();
+        const delta = key === 'ArrowRight' || key === 'ArrowDown' ? 1 : -1;
+        context.extendSelectionBy(delta);
+        return;
+      }
+      if ((event.metaKey || event.ctrlKey) && lowerKey === 'a') {
+        event.preventDefault();
+        context.selectAllSlides();
+        return;
+      }
+      if (key === 'Delete' || key === 'Backspace') {
+        event.preventDefault();
+        context.deleteSelection();
+        return;
+      }
       if (key === 'ArrowRight') {
         event.preventDefault();
         context.moveOverviewCursorBy(1, 0);
@@ -93,7 +143,11 @@ export function initKeyboardNav(partialContext = {}) {
       if (key === 'Escape') {
         event.preventDefault();
         flashKeyFeedback('ESC');
-        context.exitOverview();
+        if (context.hasSelection()) {
+          context.clearSelection();
+        } else {
+          context.exitOverview();
+        }
         return;
       }
     }
@@ -101,14 +155,14 @@ export function initKeyboardNav(partialContext = {}) {
     if (key === 'ArrowRight' || key === ' ') {
       event.preventDefault();
       flashKeyFeedback('→');
-      context.setActiveSlide(context.getCurrentIndex() + 1);
+      context.advanceSlide(1);
       return;
     }
 
     if (key === 'ArrowLeft') {
       event.preventDefault();
       flashKeyFeedback('←');
-      context.setActiveSlide(context.getCurrentIndex() - 1);
+      context.advanceSlide(-1);
       return;
     }
 
@@ -136,7 +190,11 @@ export function initKeyboardNav(partialContext = {}) {
     if (lowerKey === 'd') {
       event.preventDefault();
       flashKeyFeedback('D');
-      context.downloadDeck();
+      if (event.shiftKey) {
+        context.downloadDeckMarkdown();
+      } else {
+        context.downloadDeck();
+      }
       return;
     }
 
@@ -147,6 +205,13 @@ export function initKeyboardNav(partialContext = {}) {
       return;
     }
 
+    if (lowerKey === 'p') {
+      event.preventDefault();
+      flashKeyFeedback('P');
+      context.openPresenterView();
+      return;
+    }
+
     if (lowerKey === 'u') {
       event.preventDefault();
       flashKeyFeedback('U');
@@ -0,0 +1,645 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Markdown Deck Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Converts between Markdown documents and the slides array.
+// - Optional front matter (`---` block at the top) sets the deck details
+//   (`title`, `author`, `event`, `date`, `description`, comma-separated
+//   `tags`, `language`) and `theme` (a theme name/path, or nested
+//   `token: value` lines)
+// - A line containing only `---` starts a new slide (ignored inside code fences)
+// - `#` makes a title slide (text or one subheading is the subtitle), other
+//   headings become the headline; later headings join `body`
+// - Lists and paragraphs become `body`, nested items kept under their parent
+//   as Markdown; a lone `>` quote becomes a quote slide
+// - Images become image slides (one) or galleries (several); fenced code
+//   becomes a code slide (a `diagram` or `mermaid` fence becomes a diagram slide)
+// - A pipe table (`| a | b |` over `| --- | :-: |`) becomes a table slide
+// - Text around a fence, table or images goes into `body`; what no field can
+//   hold (a second fence, say) is listed in the parse result's `warnings`
+// - HTML comments and `Note:` blocks become speaker `notes`
+// - `<!-- slide: {...} -->` carries any fields Markdown cannot express, so an
+//   exported deck imports back unchanged
+//
+// Dependencies: deck-format.js
+// Used by: slide-actions.js, index.html
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { getDeckDetails } from './deck-format.js';
+
+const SLIDE_SEPARATOR = /^\s*---+\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+#-]*)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const IMAGE_PATTERN = /^!\[([^\]]*)\]\(\s*(\S*?)(?:\s+"((?:\\"|[^"])*)")?\s*\)$/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^>\s?(.*)$/;
+const NOTE_PATTERN = /^notes?:\s*(.*)$/i;
+const ATTRIBUTION_PATTERN = /^(?:—|–|--?)\s*(.+)$/;
+const OPTIONS_COMMENT_PATTERN = /^slide:\s*([\s\S]*)$/;
+const DIAGRAM_FENCES = ['diagram', 'mermaid'];
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Parse a Markdown document into slides.
+ * @param {string} text
+ * @returns {{ slides: Object[], theme: Object|string|null, title: string|null, meta: Object,
+ *   warnings: string[] }} `warnings` lists content no slide could hold
+ *   ("Slide 3: left out a table"), for the importer to show
+ */
+export function parseMarkdownDeck(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const { data, body } = splitFrontMatter(source);
+  const warnings = [];
+  const slides = splitSlideChunks(body).map((chunk, index) => parseSlideChunk(chunk, index, warnings));
+
+  if (!slides.length) {
+    throw new Error('Markdown deck has no slides.');
+  }
+
+  const meta = getDeckDetails(data);
+  return {
+    slides,
+    theme: data.theme ?? null,
+    title: meta.title ?? null,
+    meta,
+    warnings,
+  };
+}
+
+/**
+ * Write slides as a Markdown document that parseMarkdownDeck() reads back.
+ * @param {Object[]} slides
+ * @param {{ title?: string, theme?: Object|string }} [options] - Also takes the
+ *   other deck details (author, tags...) for the front matter
+ * @returns {string}
+ */
+export function serializeMarkdownDeck(slides, options = {}) {
+  const sections = [];
+  const frontMatter = serializeFrontMatter(options);
+  if (frontMatter) sections.push(frontMatter);
+
+  const chunks = (Array.isArray(slides) ? slides : []).map(serializeSlide);
+  sections.push(chunks.join('\n\n---\n\n'));
+  return `${sections.join('\n\n')}\n`;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Import
+// ───────────────────────────────────────────────────────────────────────────
+
+function splitFrontMatter(source) {
+  const match = source.match(/^---[ \t]*\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!match) return { data: {}, body: source };
+  const data = parseFrontMatter(match[1]);
+  // Not key/value lines, so it is an empty first slide rather than front matter.
+  if (!data) return { data: {}, body: source };
+  return { data, body: source.slice(match[0].length) };
+}
+
+function parseFrontMatter(block) {
+  const data = {};
+  let nested = null;
+
+  for (const line of block.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const match = line.match(/^(\s*)([\w.-]+):\s*(.*)$/);
+    if (!match) return null;
+    const [, indent, key, raw] = match;
+    if (indent) {
+      if (!nested) return null;
+      nested[key] = parseScalar(raw);
+    } else if (raw.trim() === '') {
+      nested = {};
+      data[key] = nested;
+    } else {
+      nested = null;
+      data[key] = parseScalar(raw);
+    }
+  }
+  return data;
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (_error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+function splitSlideChunks(body) {
+  const chunks = [[]];
+  let fence = null;
+
+  body.split('\n').forEach((line) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (fenceMatch && isClosingFence(line, fence)) fence = null;
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else if (SLIDE_SEPARATOR.test(line)) {
+      chunks.push([]);
+      return;
+    }
+    chunks[chunks.length - 1].push(line);
+  });
+
+  return chunks.map((lines) => lines.join('\n')).filter((chunk) => chunk.trim());
+}
+
+function isClosingFence(line, fence) {
+  const trimmed = line.trim();
+  return trimmed.startsWith(fence) && /^([`~])\1*$/.test(trimmed) && trimmed[0] === fence[0];
+}
+
+function parseBlocks(chunk) {
+  const lines = chunk.split('\n');
+  const blocks = [];
+  const notes = [];
+  let options = null;
+  let paragraph = null;
+  let list = null;
+  let quote = null;
+
+  const closeOpenBlocks = () => {
+    paragraph = null;
+    list = null;
+    quote = null;
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      closeOpenBlocks();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !isClosingFence(lines[index], fenceMatch[1])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', language: fenceMatch[2], lines: code });
+      continue;
+    }
+
+    if (trimmed.startsWith('<!--')) {
+      closeOpenBlocks();
+      const comment = [trimmed.slice(4)];
+      while (!comment[comment.length - 1].includes('-->') && index + 1 < lines.length) {
+        index += 1;
+        comment.push(lines[index]);
+      }
+      const content = comment.join('\n').replace(/-->[\s\S]*$/, '').trim();
+      const optionsMatch = content.match(OPTIONS_COMMENT_PATTERN);
+      if (optionsMatch) {
+        options = { ...options, ...parseSlideOptions(optionsMatch[1]) };
+      } else if (content) {
+        notes.push(content);
+      }
+      continue;
+    }
+
+    const noteMatch = trimmed.match(NOTE_PATTERN);
+    if (noteMatch && !list && !quote) {
+      closeOpenBlocks();
+      notes.push([noteMatch[1], ...lines.slice(index + 1)].join('\n').trim());
+      break;
+    }
+
+    if (!trimmed) {
+      closeOpenBlocks();
+      continue;
+    }
+
+    const headingMatch = trimmed.match(HEADING_PATTERN);
+    if (headingMatch) {
+      closeOpenBlocks();
+      blocks.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2] });
+      continue;
+    }
+
+    const imageMatch = trimmed.match(IMAGE_PATTERN);
+    if (imageMatch) {
+      closeOpenBlocks();
+      blocks.push({
+        type: 'image',
+        alt: imageMatch[1],
+        src: imageMatch[2],
+        title: imageMatch[3]?.replace(/\\"/g, '"') ?? null,
+      });
+      continue;
+    }
+
+    if (trimmed.includes('|') && isTableDelimiter(lines[index + 1])) {
+      closeOpenBlocks();
+      const header = splitTableRow(trimmed);
+      const align = splitTableRow(lines[index + 1]).map(parseTableAlignment);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+        const cells = splitTableRow(lines[index]);
+        rows.push(header.map((_, column) => cells[column] ?? ''));
+        index += 1;
+      }
+      index -= 1;
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    const quoteMatch = line.match(QUOTE_PATTERN);
+    if (quoteMatch) {
+      if (!quote) {
+        paragraph = null;
+        list = null;
+        quote = { type: 'quote', lines: [] };
+        blocks.push(quote);
+      }
+      quote.lines.push(quoteMatch[1].trim());
+      continue;
+    }
+
+    const itemMatch = line.match(LIST_ITEM_PATTERN);
+    if (itemMatch) {
+      const indent = line.match(/^\s*/)[0].length;
+      // Nested items stay with their parent item as Markdown, which the
+      // renderer draws as a nested list.
+      if (list && indent > list.indent) {
+        list.items[list.items.length - 1] += `\n${line.slice(list.indent).trimEnd()}`;
+        continue;
+      }
+      if (!list) {
+        paragraph = null;
+        quote = null;
+        list = { type: 'list', indent, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(itemMatch[1].trim());
+      continue;
+    }
+
+    if (list && /^\s/.test(line)) {
+      list.items[list.items.length - 1] += ` ${trimmed}`;
+      continue;
+    }
+
+    if (!paragraph) {
+      list = null;
+      quote = null;
+      paragraph = { type: 'paragraph', text: trimmed };
+      blocks.push(paragraph);
+    } else {
+      paragraph.text += ` ${trimmed}`;
+    }
+  }
+
+  return { blocks, notes, options };
+}
+
+function isTableDelimiter(line) {
+  return typeof line === 'string' && line.includes('|') && TABLE_DELIMITER_PATTERN.test(line);
+}
+
+function splitTableRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function parseTableAlignment(cell) {
+  if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+  if (cell.endsWith(':')) return 'right';
+  if (cell.startsWith(':')) return 'left';
+  return null;
+}
+
+function parseSlideOptions(json) {
+  try {
+    const parsed = JSON.parse(json);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (_error) {
+    // Reported below
+  }
+  throw new Error(`Invalid slide options: ${json.trim().slice(0, 60)}`);
+}
+
+function parseSlideChunk(chunk, index, warnings) {
+  let parsed;
+  try {
+    parsed = parseBlocks(chunk);
+  } catch (error) {
+    throw new Error(`Slide ${index + 1}: ${error.message}`);
+  }
+
+  const { blocks, notes, options } = parsed;
+  const leftOut = [];
+  const slide = buildSlide(blocks, leftOut);
+  if (leftOut.length) warnings.push(`Slide ${index + 1}: left out ${leftOut.join(', ')}`);
+  if (notes.length) slide.notes = notes.join('\n\n');
+  if (options) Object.assign(slide, options);
+  if (!slide.type) slide.type = 'standard';
+  return slide;
+}
+
+// Blocks the slide type can't hold are described in `leftOut` so the import
+// can say what it skipped.
+function buildSlide(blocks, leftOut = []) {
+  if (!blocks.length) return {};
+
+  const headings = blocks.filter((block) => block.type === 'heading');
+  const content = blocks.filter((block) => block.type !== 'heading');
+  const kinds = new Set(content.map((block) => block.type));
+  const titleHeading = headings.find((heading) => heading.level === 1);
+  const [headlineBlock] = headings;
+  const headline = headlineBlock?.text;
+  const paragraphs = content.filter((block) => block.type === 'paragraph').map((block) => block.text);
+  // Everything except the headline and the blocks the slide is built around
+  // goes into `body`, in document order.
+  const bodyWithout = (...used) => toBody(toBodyEntries(
+    blocks.filter((block) => block !== headlineBlock && !used.includes(block)),
+    leftOut
+  ));
+
+  if (!headings.length && content.length === 1 && kinds.has('quote')) {
+    return buildQuoteSlide(content[0].lines);
+  }
+
+  if (kinds.has('code')) {
+    const code = content.find((block) => block.type === 'code');
+    if (DIAGRAM_FENCES.includes(code.language)) {
+      return compact({
+        type: 'diagram',
+        headline,
+        body: bodyWithout(code),
+        source: code.lines,
+      });
+    }
+    return compact({
+      type: 'code',
+      headline,
+      body: bodyWithout(code),
+      language: code.language || undefined,
+      code: code.lines,
+    });
+  }
+
+  if (kinds.has('table')) {
+    const table = content.find((block) => block.type === 'table');
+    return compact({
+      type: 'table',
+      headline,
+      body: bodyWithout(table),
+      header: table.header,
+      rows: table.rows,
+      align: table.align.some(Boolean) ? table.align.map((value) => value ?? 'left') : undefined,
+    });
+  }
+
+  const images = content.filter((block) => block.type === 'image');
+  const imagesOnly = images.length && content.every((block) => block.type === 'image' || block.type === 'paragraph');
+
+  // An image slide has a caption but no body, so a titled image with text
+  // around it, or extra headings, make a gallery instead.
+  if (imagesOnly && images.length === 1 && headings.length < 2 && !(images[0].title && paragraphs.length)) {
+    const [image] = images;
+    return compact({
+      type: 'image',
+      headline,
+      image: { src: image.src, alt: image.alt },
+      caption: image.title ?? (paragraphs.length ? paragraphs.join(' ') : undefined),
+    });
+  }
+
+  if (imagesOnly) {
+    return compact({
+      type: 'gallery',
+      headline,
+      body: bodyWithout(...images),
+      items: images.map((image) => compact({
+        image: { src: image.src, alt: image.alt },
+        label: image.title ?? undefined,
+      })),
+    });
+  }
+
+  // A title slide holds paragraphs or one subheading as its subtitle; more
+  // than that makes a standard slide.
+  const subheadings = headings.filter((heading) => heading !== titleHeading);
+  const fitsTitle = content.every((block) => block.type === 'paragraph')
+    && (subheadings.length === 0 || (subheadings.length === 1 && !paragraphs.length));
+  if (titleHeading && fitsTitle) {
+    return compact({
+      type: 'title',
+      title: titleHeading.text,
+      subtitle: subheadings[0]?.text ?? (paragraphs.length ? paragraphs.join(' ') : undefined),
+    });
+  }
+
+  const firstImage = images[0];
+  const body = toBodyEntries(blocks.filter((block) => block !== headlineBlock && block !== firstImage), leftOut);
+  const onlyParagraphs = content.every((block) => block.type === 'paragraph' || block.type === 'image');
+  return compact({
+    type: 'standard',
+    headline,
+    body: onlyParagraphs && body.length === 1 ? body[0] : (body.length ? body : undefined),
+    image: firstImage ? { src: firstImage.src, alt: firstImage.alt } : undefined,
+  });
+}
+
+// Text blocks as `body` entries; images, code and tables can't be body text.
+function toBodyEntries(blocks, leftOut) {
+  const entries = [];
+  blocks.forEach((block) => {
+    if (block.type === 'heading' || block.type === 'paragraph') {
+      entries.push(block.text);
+    } else if (block.type === 'list') {
+      entries.push(...block.items);
+    } else if (block.type === 'quote') {
+      const { quote, attribution } = buildQuoteSlide(block.lines);
+      // Quote marks let the renderer turn it back into a quote block.
+      const quoted = /^["“]/.test(quote) ? quote : `“${quote}”`;
+      entries.push(attribution ? `${quoted} — ${attribution}` : quoted);
+    } else {
+      leftOut.push(describeBlock(block));
+    }
+  });
+  return entries;
+}
+
+function describeBlock(block) {
+  if (block.type === 'image') return `an image (${block.src || block.alt || 'no source'})`;
+  if (block.type === 'code') return block.language ? `a ${block.language} code block` : 'a code block';
+  if (block.type === 'table') return 'a table';
+  return `a ${block.type}`;
+}
+
+function buildQuoteSlide(lines) {
+  const quoteLines = lines.slice();
+  let attribution;
+  const lastLine = quoteLines[quoteLines.length - 1];
+  const attributionMatch = quoteLines.length > 1 ? lastLine.match(ATTRIBUTION_PATTERN) : null;
+  if (attributionMatch) {
+    attribution = attributionMatch[1].trim();
+    quoteLines.pop();
+  }
+  return compact({
+    type: 'quote',
+    quote: quoteLines.filter(Boolean).join(' '),
+    attribution,
+  });
+}
+
+function toBody(entries) {
+  if (!entries.length) return undefined;
+  return entries.length === 1 ? entries[0] : entries;
+}
+
+function compact(object) {
+  Object.keys(object).forEach((key) => {
+    if (object[key] === undefined) delete object[key];
+  });
+  return object;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Export
+// ───────────────────────────────────────────────────────────────────────────
+
+function serializeFrontMatter({ theme, ...details } = {}) {
+  const lines = [];
+  Object.entries(getDeckDetails(details)).forEach(([field, value]) => {
+    const text = Array.isArray(value) ? value.join(', ') : value;
+    lines.push(`${field}: ${JSON.stringify(text)}`);
+  });
+  if (typeof theme === 'string' && theme) {
+    lines.push(`theme: ${JSON.stringify(theme)}`);
+  } else if (theme && typeof theme === 'object') {
+    lines.push('theme:');
+    Object.entries(theme).forEach(([token, value]) => {
+      if (value == null) return;
+      lines.push(`  ${token}: ${JSON.stringify(String(value))}`);
+    });
+  }
+  return lines.length ? `---\n${lines.join('\n')}\n---` : '';
+}
+
+function serializeSlide(slide) {
+  if (!slide || typeof slide !== 'object') return '<!-- slide: {} -->';
+
+  const content = slideToMarkdown(slide);
+  const notes = typeof slide.notes === 'string' && slide.notes.trim() ? `Note: ${slide.notes}` : '';
+  const markdown = [content, notes].filter(Boolean).join('\n\n');
+  const reparsed = parseBlocks(markdown);
+  const rebuilt = buildSlide(reparsed.blocks);
+  if (reparsed.notes.length) rebuilt.notes = reparsed.notes.join('\n\n');
+
+  // Anything Markdown added that the slide doesn't have can't be undone by
+  // the options comment, so fall back to carrying the whole slide there.
+  const addsFields = Object.keys(rebuilt).some((key) => !(key in slide));
+  if (addsFields || splitSlideChunks(markdown).length > 1) {
+    return serializeOptions(slide);
+  }
+
+  const options = {};
+  Object.entries(slide).forEach(([key, value]) => {
+    if (JSON.stringify(rebuilt[key]) !== JSON.stringify(value)) options[key] = value;
+  });
+
+  // Notes go last: a `Note:` block runs to the end of the slide.
+  const parts = [content];
+  if (Object.keys(options).length) parts.push(serializeOptions(options));
+  parts.push(notes);
+  return parts.filter(Boolean).join('\n\n');
+}
+
+function serializeOptions(options) {
+  // `>` only appears inside JSON strings, so escaping it keeps `-->` out of the comment.
+  const json = JSON.stringify(options).replace(/>/g, '\\u003e');
+  return `<!-- slide: ${json} -->`;
+}
+
+function slideToMarkdown(slide) {
+  const parts = [];
+  const type = slide.type ?? 'standard';
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+  if (type === 'title') {
+    if (isText(slide.title)) parts.push(`# ${slide.title}`);
+    if (isText(slide.subtitle)) parts.push(slide.subtitle);
+  } else if (type === 'quote') {
+    if (isText(slide.quote)) {
+      const lines = slide.quote.split('\n').map((line) => `> ${line}`);
+      if (isText(slide.attribution)) lines.push(`> — ${slide.attribution}`);
+      parts.push(lines.join('\n'));
+    }
+  } else {
+    if (isText(slide.headline)) parts.push(`## ${slide.headline}`);
+
+    if (isText(slide.body)) {
+      parts.push(slide.body);
+    } else if (Array.isArray(slide.body) && slide.body.length) {
+      const listOrParagraphs = type === 'standard'
+        ? slide.body.map((item) => `- ${item}`).join('\n')
+        : slide.body.join('\n\n');
+      parts.push(listOrParagraphs);
+    }
+
+    if (type === 'image' && slide.image) {
+      parts.push(imageToMarkdown(slide.image));
+      if (isText(slide.caption)) parts.push(slide.caption);
+    }
+
+    if (type === 'gallery' && Array.isArray(slide.items)) {
+      parts.push(slide.items.map((item) => imageToMarkdown(item?.image ?? {}, item?.label)).join('\n'));
+    }
+
+    if (type === 'code' && (typeof slide.code === 'string' || Array.isArray(slide.code))) {
+      const code = Array.isArray(slide.code) ? slide.code.join('\n') : slide.code;
+      const longestRun = Math.max(2, ...(code.match(/`+/g) ?? []).map((run) => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      parts.push(`${fence}${slide.language ?? ''}\n${code}\n${fence}`);
+    }
+
+    if (type === 'diagram' && (typeof slide.source === 'string' || Array.isArray(slide.source))) {
+      const source = Array.isArray(slide.source) ? slide.source.join('\n') : slide.source;
+      parts.push(`\`\`\`diagram\n${source}\n\`\`\``);
+    }
+
+    if (type === 'table' && Array.isArray(slide.rows)) {
+      const table = tableToMarkdown(slide);
+      if (table) parts.push(table);
+    }
+  }
+
+  return parts.join('\n\n');
+}
+
+// Pipe tables have exactly one header row; other headers ride in the options comment.
+function tableToMarkdown(slide) {
+  const header = slide.header;
+  if (!Array.isArray(header) || !header.length || header.some(Array.isArray)) return '';
+
+  const toRow = (cells) => `| ${header.map((_, column) => {
+    const cell = Array.isArray(cells) ? cells[column] : '';
+    return String(cell ?? '').replace(/\n/g, ' ').replace(/\|/g, '\\|');
+  }).join(' | ')} |`;
+  const align = Array.isArray(slide.align) ? slide.align : [];
+  const delimiter = header.map((_, column) => ({ left: ':---', center: ':---:', right: '---:' }[align[column]] ?? '---'));
+
+  return [toRow(header), `| ${delimiter.join(' | ')} |`, ...slide.rows.map(toRow)].join('\n');
+}
+
+function imageToMarkdown(image, title) {
+  const alt = String(image.alt ?? '').replace(/[[\]]/g, '');
+  const src = String(image.src ?? '').replace(/\s/g, '%20');
+  const suffix = typeof title === 'string' && title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+  return `![${alt}](${src}${suffix})`;
+}
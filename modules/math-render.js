@@ -0,0 +1,85 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Math Render Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Typesets the `.math[data-tex]` placeholders produced by rich-text.js with
+// the vendored KaTeX build (modules/vendor/katex). KaTeX and its stylesheet
+// load lazily, the first time a slide actually contains math.
+// - Until typeset (or if loading fails) placeholders show the TeX source
+// - Typeset elements are marked `data-typeset`, so serialized slides (presenter
+//   window) only need the stylesheet
+//
+// Dependencies: vendor/katex
+// Used by: slide-rendering.js, pdf-export.js, presenter.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const KATEX_SRC = new URL('./vendor/katex/katex.mjs', import.meta.url).href;
+const KATEX_CSS = new URL('./vendor/katex/katex.min.css', import.meta.url).href;
+
+let katexPromise = null;
+let stylesheetPromise = null;
+
+function loadKatex() {
+  if (!katexPromise) {
+    katexPromise = import(KATEX_SRC)
+      .then((mod) => mod.default || mod)
+      .catch((error) => {
+        katexPromise = null;
+        throw error;
+      });
+  }
+  return katexPromise;
+}
+
+function loadStylesheet() {
+  if (!stylesheetPromise) {
+    stylesheetPromise = new Promise((resolve) => {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = KATEX_CSS;
+      link.dataset.katex = 'true';
+      // Resolve either way: unstyled math still beats a stuck export.
+      link.addEventListener('load', () => resolve(), { once: true });
+      link.addEventListener('error', () => resolve(), { once: true });
+      document.head.appendChild(link);
+    });
+  }
+  return stylesheetPromise;
+}
+
+/**
+ * Typeset every math placeholder inside a root element.
+ * @param {ParentNode} [root]
+ * @returns {Promise<void>} Resolves once math and its stylesheet are ready
+ */
+export async function typesetMath(root = document) {
+  const placeholders = root?.querySelectorAll?.('.math[data-tex]');
+  if (!placeholders?.length) return;
+
+  const stylesheetReady = loadStylesheet();
+  const pending = Array.from(placeholders).filter((element) => !element.dataset.typeset);
+  if (!pending.length) {
+    await stylesheetReady;
+    return;
+  }
+
+  let katex;
+  try {
+    katex = await loadKatex();
+  } catch (error) {
+    console.warn('Failed to load KaTeX, showing TeX source instead:', error);
+    return;
+  }
+
+  pending.forEach((element) => {
+    katex.render(element.dataset.tex, element, {
+      displayMode: element.classList.contains('math--display'),
+      throwOnError: false,
+      output: 'html',
+    });
+    element.dataset.typeset = 'true';
+  });
+
+  await stylesheetReady;
+}
@@ -0,0 +1,313 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Media Rendering Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Video and audio players for `video` / `audio` slides.
+// - `start` / `end` trim playback (seconds or "m:ss"); `loop` repeats the trim
+// - Players autoplay when their slide becomes active and pause when it leaves
+//   (navigation.js calls playSlideMedia / pauseSlideMedia)
+// - Audio shows an optional poster image; video uses `poster` as its frame
+// - PDF export swaps players for their poster (or the current frame)
+// - Placeholder uploads go through hooks (media-upload.js via main.js) so this
+//   module stays importable from scripts/validate.mjs
+//
+// Dependencies: constants.js
+// Used by: slide-rendering.js, navigation.js, pdf-export.js, deck-schema.js,
+//          validation.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { debug } from './constants.js';
+
+export const MEDIA_KINDS = ['video', 'audio'];
+
+const MEDIA_ACCEPT = { video: 'video/*', audio: 'audio/*' };
+const MEDIA_ICONS = { video: '🎬', audio: '🎧' };
+
+let uploadMediaHook = (_file, _placeholder, _kind, _media) => {};
+let setMediaSourceHook = (_placeholder, _kind, _media) => {};
+
+export function registerMediaHooks(hooks = {}) {
+    if (typeof hooks.uploadMedia === 'function') {
+        uploadMediaHook = hooks.uploadMedia;
+    }
+    if (typeof hooks.setMediaSource === 'function') {
+        setMediaSourceHook = hooks.setMediaSource;
+    }
+}
+
+/**
+ * Parse a trim time: seconds as a number, or "ss", "m:ss", "h:mm:ss".
+ * @param {number|string} value
+ * @returns {number|null} Seconds, or null when missing/invalid
+ */
+export function parseMediaTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string' || !/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(value.trim())) {
+        return null;
+    }
+    return value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Build a player (or an upload placeholder when there's no `src`).
+ * @param {object} media - `{ src, poster, start, end, autoplay, muted, loop, controls }`
+ * @param {'video'|'audio'} kind
+ * @returns {HTMLElement}
+ */
+export function createMedia(media, kind = 'video') {
+    if (!media || !media.src) {
+        return createMediaPlaceholder(media ?? {}, kind);
+    }
+
+    const figure = document.createElement('div');
+    figure.className = `slide__media slide__media--${kind}`;
+
+    if (kind === 'audio' && media.poster) {
+        const poster = document.createElement('img');
+        poster.className = 'slide__media-poster';
+        poster.src = media.poster;
+        poster.alt = media.alt ?? '';
+        figure.appendChild(poster);
+    }
+
+    const player = document.createElement(kind);
+    player.className = 'slide__media-player';
+    player.preload = 'metadata';
+    player.controls = media.controls !== false;
+    if (kind === 'video') {
+        player.playsInline = true;
+        if (media.poster) player.poster = media.poster;
+    }
+    if (media.muted) {
+        // Attribute as well as property, so clones (presenter view, PDF) stay muted.
+        player.muted = true;
+        player.setAttribute('muted', '');
+    }
+    if (media.alt) {
+        player.setAttribute('aria-label', media.alt);
+    }
+
+    const start = parseMediaTime(media.start) ?? 0;
+    const end = parseMediaTime(media.end);
+    player.dataset.mediaPlayer = kind;
+    player.dataset.autoplay = String(media.autoplay !== false);
+    player.dataset.start = String(start);
+    if (end !== null && end > start) {
+        player.dataset.end = String(end);
+    }
+    if (media.loop) {
+        player.dataset.loop = 'true';
+    }
+    bindTrim(player);
+    player.src = media.src;
+
+    figure.appendChild(player);
+    return figure;
+}
+
+/**
+ * Start the players on a slide that just became active.
+ * @param {HTMLElement} slide
+ */
+export function playSlideMedia(slide) {
+    getPlayers(slide).forEach((player) => {
+        if (player.dataset.autoplay === 'false') return;
+        seekToStart(player);
+        const attempt = player.play();
+        attempt?.catch?.((error) => {
+            // Browsers may block autoplay with sound until the first interaction.
+            debug('Media autoplay blocked:', error?.name);
+        });
+    });
+}
+
+/**
+ * Pause every player on a slide that is leaving (or on all slides).
+ * @param {ParentNode} [root]
+ */
+export function pauseSlideMedia(root = document) {
+    getPlayers(root).forEach((player) => {
+        if (!player.paused) player.pause();
+    });
+}
+
+/**
+ * Swap players in a cloned slide for still images (PDF export can't paint
+ * video). Uses `poster`, else the source player's current frame, else a label.
+ * @param {HTMLElement} source - Live slide
+ * @param {HTMLElement} clone - Its clone
+ */
+export function replaceMediaWithPosters(source, clone) {
+    const livePlayers = getPlayers(source);
+    getPlayers(clone).forEach((player, index) => {
+        const kind = player.dataset.mediaPlayer;
+        if (kind === 'audio') {
+            // Audio already shows its poster image; the player itself has no frame.
+            player.remove();
+            return;
+        }
+
+        const src = player.getAttribute('poster') || captureFrame(livePlayers[index]);
+        let still;
+        if (src) {
+            still = document.createElement('img');
+            still.src = src;
+            still.alt = player.getAttribute('aria-label') ?? '';
+        } else {
+            still = document.createElement('div');
+            still.className = 'slide__media-still--empty';
+            still.textContent = `${MEDIA_ICONS.video} Video`;
+        }
+        still.classList.add('slide__media-still');
+        player.replaceWith(still);
+    });
+}
+
+function getPlayers(root) {
+    return Array.from(root?.querySelectorAll?.('[data-media-player]') ?? []);
+}
+
+function getTrim(player) {
+    const start = Number(player.dataset.start) || 0;
+    const end = player.dataset.end ? Number(player.dataset.end) : null;
+    return { start, end };
+}
+
+// Before metadata loads, the `loadedmetadata` handler in bindTrim seeks instead.
+function seekToStart(player) {
+    if (player.readyState >= 1) {
+        player.currentTime = getTrim(player).start;
+    }
+}
+
+function bindTrim(player) {
+    player.addEventListener('loadedmetadata', () => {
+        const { start } = getTrim(player);
+        if (start && player.currentTime < start) {
+            player.currentTime = start;
+        }
+    });
+
+    player.addEventListener('play', () => {
+        const { start, end } = getTrim(player);
+        if (player.currentTime < start - 0.25 || (end !== null && player.currentTime >= end - 0.05)) {
+            player.currentTime = start;
+        }
+    });
+
+    player.addEventListener('timeupdate', () => {
+        const { start, end } = getTrim(player);
+        if (end === null || player.currentTime < end) return;
+        if (player.dataset.loop === 'true') {
+            player.currentTime = start;
+        } else {
+            player.pause();
+        }
+    });
+
+    // Without an `end`, looping falls back to the native `ended` event.
+    player.addEventListener('ended', () => {
+        if (player.dataset.loop !== 'true') return;
+        player.currentTime = getTrim(player).start;
+        player.play()?.catch?.(() => {});
+    });
+}
+
+function captureFrame(player) {
+    if (!player || player.readyState < 2 || !player.videoWidth) return null;
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = player.videoWidth;
+        canvas.height = player.videoHeight;
+        canvas.getContext('2d').drawImage(player, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.85);
+    } catch (error) {
+        // Cross-origin video without CORS headers taints the canvas.
+        debug('Could not capture video frame:', error);
+        return null;
+    }
+}
+
+function createMediaPlaceholder(media, kind) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `slide__media slide__media--${kind} image-placeholder-wrapper`;
+
+    const placeholder = document.createElement('button');
+    placeholder.type = 'button';
+    placeholder.className = 'image-placeholder';
+    placeholder.setAttribute('aria-label', `Choose, drop, or link a ${kind} file`);
+
+    const defaultText = `Click or drop a ${kind} file`;
+    const icon = document.createElement('span');
+    icon.className = 'image-placeholder__icon';
+    icon.textContent = MEDIA_ICONS[kind];
+
+    const text = document.createElement('span');
+    text.className = 'image-placeholder__text';
+    text.textContent = defaultText;
+
+    const progressBar = document.createElement('div');
+    progressBar.className = 'image-placeholder__progress';
+    const progressFill = document.createElement('div');
+    progressFill.className = 'image-placeholder__progress-fill';
+    progressBar.appendChild(progressFill);
+
+    placeholder.append(icon, text, progressBar);
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = MEDIA_ACCEPT[kind];
+    input.hidden = true;
+    input.addEventListener('change', () => {
+        const [file] = input.files ?? [];
+        input.value = '';
+        if (file) uploadMediaHook(file, placeholder, kind, media);
+    });
+
+    placeholder.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        input.click();
+    });
+    placeholder.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        placeholder.classList.add('image-placeholder--dragover');
+        text.textContent = `Drop to add ${kind}`;
+    });
+    placeholder.addEventListener('dragleave', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        placeholder.classList.remove('image-placeholder--dragover');
+        text.textContent = defaultText;
+    });
+    placeholder.addEventListener('drop', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        placeholder.classList.remove('image-placeholder--dragover');
+        text.textContent = defaultText;
+        const file = Array.from(event.dataTransfer?.files ?? []).find((candidate) => candidate.type.startsWith(`${kind}/`));
+        if (file) uploadMediaHook(file, placeholder, kind, media);
+    });
+
+    const linkBtn = document.createElement('button');
+    linkBtn.type = 'button';
+    linkBtn.className = 'image-placeholder__magic-btn';
+    linkBtn.textContent = '🔗';
+    linkBtn.title = `Use a ${kind} URL`;
+    linkBtn.setAttribute('aria-label', linkBtn.title);
+    linkBtn.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const url = window.prompt(`Paste a ${kind} URL:`, '');
+        if (url && url.trim()) {
+            setMediaSourceHook(placeholder, kind, { ...media, src: url.trim() });
+        }
+    });
+
+    wrapper.append(placeholder, input, linkBtn);
+    return wrapper;
+}
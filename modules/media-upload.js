@@ -0,0 +1,138 @@
+import { CONFIG, debug } from './constants.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
+import { formatBytes, fileToBase64 } from './utils.js';
+import { slides, isOverview } from './state.js';
+import { replaceSlideAt } from './slide-actions.js';
+import { setActiveSlide } from './navigation.js';
+import { uploadAsset, queueAssetUpload } from './image-upload.js';
+import { isOffline } from './offline.js';
+import {
+    findSlideIndexForPlaceholder,
+    maybeScheduleAssetCleanup,
+    showImageError
+} from './image-utils.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Media Upload Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Video/audio files from the `video` / `audio` slide placeholders. Clips are
+// stored as-is through the same upload-asset function as images (no
+// transcoding); small clips fall back to inline data when uploads are down,
+// and are uploaded later when they were added offline.
+//
+// Dependencies: constants.js, hud.js, utils.js, state.js, slide-actions.js,
+//               navigation.js, image-upload.js, image-utils.js, offline.js
+// Used by: main.js (registered as media-render.js hooks)
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_MEDIA_BYTES = CONFIG.MEDIA.MAX_BYTES;
+const INLINE_MAX_BYTES = CONFIG.MEDIA.INLINE_MAX_BYTES;
+
+export async function handleMediaUpload(file, placeholderElement, kind, media = {}) {
+    if (!file.type.startsWith(`${kind}/`)) {
+        showImageError(placeholderElement, `Please choose a ${kind} file`);
+        return;
+    }
+
+    const sizeLabel = formatBytes(file.size);
+    if (file.size > MAX_MEDIA_BYTES) {
+        showImageError(placeholderElement, `Clip is ${sizeLabel} (max ${formatBytes(MAX_MEDIA_BYTES)}) — trim it or use a URL`);
+        return;
+    }
+
+    const text = placeholderElement.querySelector('.image-placeholder__text');
+    const icon = placeholderElement.querySelector('.image-placeholder__icon');
+    const progressFill = placeholderElement.querySelector('.image-placeholder__progress-fill');
+    const progressBar = placeholderElement.querySelector('.image-placeholder__progress');
+    const originalText = text.textContent;
+    const originalIcon = icon.textContent;
+
+    text.textContent = 'Uploading...';
+    icon.textContent = '⏳';
+    placeholderElement.disabled = true;
+    if (progressBar) progressBar.classList.add('is-visible');
+    if (progressFill) progressFill.style.width = '20%';
+
+    try {
+        const dataUrl = await fileToBase64(file);
+        if (progressFill) progressFill.style.width = '50%';
+
+        const asset = {
+            dataUrl,
+            mimeType: file.type,
+            filename: file.name,
+            size: file.size,
+        };
+        let uploadResult = null;
+        let queuedUpload = false;
+        if (isOffline()) {
+            if (file.size > INLINE_MAX_BYTES) {
+                throw new Error(`You're offline; clips over ${formatBytes(INLINE_MAX_BYTES)} need a connection or a URL`);
+            }
+            queuedUpload = await queueAssetUpload(asset);
+        } else {
+            try {
+                uploadResult = await uploadAsset(asset);
+            } catch (uploadError) {
+                if (file.size > INLINE_MAX_BYTES) {
+                    throw new Error(`Upload unavailable; clips over ${formatBytes(INLINE_MAX_BYTES)} need \`netlify dev\` or a URL`);
+                }
+                console.warn('Asset upload failed, falling back to inline data', uploadError);
+                showHudStatus('Using local clip only — run `netlify dev` to enable sharing', 'warning');
+                setTimeout(hideHudStatus, 2800);
+            }
+        }
+        if (progressFill) progressFill.style.width = '100%';
+
+        setMediaSource(placeholderElement, kind, {
+            ...media,
+            src: uploadResult?.url ?? dataUrl,
+            originalFilename: file.name,
+            size: file.size,
+            mimeType: file.type,
+            uploadedAt: Date.now(),
+            assetId: uploadResult?.assetId ?? null,
+            storage: uploadResult ? 'netlify-asset' : 'inline',
+        });
+        const addedLocally = queuedUpload
+            ? `Added locally (${sizeLabel}) — uploads when you're back online`
+            : `Added locally (${sizeLabel})`;
+        showHudStatus(uploadResult ? `${kind === 'video' ? '🎬 Video' : '🎧 Audio'} added (${sizeLabel})` : addedLocally, 'success');
+        setTimeout(hideHudStatus, 2000);
+    } catch (error) {
+        console.error('Media upload failed:', error);
+        text.textContent = originalText;
+        icon.textContent = originalIcon;
+        showImageError(placeholderElement, error.message);
+    } finally {
+        placeholderElement.disabled = false;
+        setTimeout(() => {
+            if (progressBar) progressBar.classList.remove('is-visible');
+            if (progressFill) progressFill.style.width = '0%';
+        }, 500);
+    }
+}
+
+/**
+ * Store clip settings on the placeholder's slide and re-render it.
+ * @returns {boolean} Whether a slide was updated
+ */
+export function setMediaSource(placeholderElement, kind, media) {
+    const slideIndex = findSlideIndexForPlaceholder(placeholderElement);
+    if (slideIndex === -1 || !slides[slideIndex]) return false;
+
+    const slide = slides[slideIndex];
+    if (slide[kind]?.assetId && slide[kind].assetId !== media.assetId) {
+        maybeScheduleAssetCleanup(slide[kind]);
+    }
+    slide[kind] = media;
+
+    debug('Media added, re-rendering slide', slideIndex);
+    replaceSlideAt(slideIndex, { focus: false, historyLabel: kind === 'video' ? 'Add video' : 'Add audio' });
+    if (!isOverview) {
+        setActiveSlide(slideIndex);
+    }
+    return true;
+}
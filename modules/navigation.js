@@ -7,7 +7,9 @@
 // - Slide activation, counters, and HUD updates
 // - Resize and click handlers for overview mode
 //
-// Dependencies: state.js, utils.js, dom-refs.js, lazy-images.js, slide-index.js
+// Dependencies: state.js, utils.js, dom-refs.js, lazy-images.js, slide-index.js,
+//               slide-steps.js, slide-transitions.js, media-render.js,
+//               deck-persistence.js
 // Used by: main.js, keyboard-nav.js (via re-exported helpers)
 //
 // ═══════════════════════════════════════════════════════════════════════════
@@ -36,6 +38,10 @@ import { clamp } from './utils.js';
 import { slidesRoot, currentCounter, totalCounter, progressBar } from './dom-refs.js';
 import { loadLazyImage } from './lazy-images.js';
 import { closeSlideIndex, updateSlideIndexHighlight } from './slide-index.js';
+import { resetSlideSteps, stepSlide, getSlideStep, getSlideStepCount } from './slide-steps.js';
+import { resolveSlideTransition, getTransitionDuration, setSlideTransition } from './slide-transitions.js';
+import { playSlideMedia, pauseSlideMedia } from './media-render.js';
+import { flushPersistedSlides } from './deck-persistence.js';
 
 let closeThemeDrawerHook = () => {};
 let getEditDrawerContextHook = () => ({
@@ -44,6 +50,8 @@ let getEditDrawerContextHook = () => ({
 });
 let renderEditFormHook = (_context) => {};
 let toggleSpeakerNotesHook = () => {};
+let slideChangeHook = (_index) => {};
+let overviewChangeHook = (_isOverview) => {};
 
 const columnOverviewQuery = (typeof window !== 'undefined' && typeof window.matchMedia === 'function')
   ? window.matchMedia('(max-width: 640px)')
@@ -68,7 +76,7 @@ if (typeof columnOverviewQuery.addEventListener === 'function') {
   columnOverviewQuery.addListener(handleOrientationChange);
 }
 
-function isColumnOverview() {
+export function isColumnOverview() {
   return columnOverviewQuery.matches;
 }
 
@@ -158,6 +166,12 @@ export function registerNavigationHooks(hooks = {}) {
   if (typeof hooks.toggleSpeakerNotes === 'function') {
     toggleSpeakerNotesHook = hooks.toggleSpeakerNotes;
   }
+  if (typeof hooks.onSlideChange === 'function') {
+    slideChangeHook = hooks.onSlideChange;
+  }
+  if (typeof hooks.onOverviewChange === 'function') {
+    overviewChangeHook = hooks.onOverviewChange;
+  }
 }
 
 export function toggleOverview() {
@@ -172,6 +186,8 @@ export function enterOverview() {
   closeSlideIndex();
   closeThemeDrawerHook();
   document.body.dataset.mode = 'overview';
+  setSlideTransition(slidesRoot, null);
+  pauseSlideMedia(slidesRoot);
   updateOverviewLayout();
   slideElements.forEach((slide) => {
     slide.style.visibility = 'visible';
@@ -190,6 +206,7 @@ export function enterOverview() {
   slidesRoot?.addEventListener('scroll', updateScrollGradients, { passive: true });
   bindGlideInterruptions(true);
   updateOverviewButton();
+  overviewChangeHook(true);
 }
 
 export function exitOverview(targetIndex = currentIndex) {
@@ -211,6 +228,7 @@ export function exitOverview(targetIndex = currentIndex) {
   setOverviewCursor(currentIndex);
   setLastOverviewHighlight(overviewCursor);
   updateOverviewButton();
+  overviewChangeHook(false);
 }
 
 export function updateOverviewButton() {
@@ -316,11 +334,16 @@ export function setActiveSlide(nextIndex) {
   const clamped = clamp(nextIndex, 0, slideElements.length - 1);
   if (!isOverview && clamped === currentIndex && slideElements[currentIndex].classList.contains('is-active')) {
     updateHud();
+    slideChangeHook(currentIndex);
     return;
   }
 
+  const transition = isOverview ? null : resolveSlideTransition(slides[clamped]);
+  setSlideTransition(slidesRoot, transition, clamped < currentIndex ? 'backward' : 'forward');
+
   const oldSlide = slideElements[currentIndex];
   if (oldSlide) {
+    pauseSlideMedia(oldSlide);
     slideScrollPositions.set(currentIndex, oldSlide.scrollTop);
     oldSlide.classList.remove('is-active');
     oldSlide.classList.add('is-leaving');
@@ -332,12 +355,13 @@ export function setActiveSlide(nextIndex) {
       if (!oldSlide.classList.contains('is-active')) {
         oldSlide.style.visibility = 'hidden';
       }
-    }, 400);
+    }, getTransitionDuration(transition));
   }
 
   setCurrentIndex(clamped);
 
   const newSlide = slideElements[currentIndex];
+  resetSlideSteps(newSlide);
   newSlide.style.visibility = 'visible';
   newSlide.style.pointerEvents = isOverview ? 'none' : 'auto';
   newSlide.setAttribute('aria-hidden', 'false');
@@ -359,6 +383,32 @@ export function setActiveSlide(nextIndex) {
   preloadSlideImages(currentIndex);
   preloadSlideImages(currentIndex + 1);
   preloadSlideImages(currentIndex + 2);
+  if (!isOverview) {
+    playSlideMedia(newSlide);
+  }
+  slideChangeHook(currentIndex);
+}
+
+/**
+ * Next/previous while presenting: walks the active slide's steps (see
+ * slide-steps.js) before moving to the neighbouring slide.
+ * @param {1|-1} direction
+ */
+export function advanceSlide(direction) {
+  const activeSlide = slideElements[currentIndex];
+  if (!isOverview && activeSlide && stepSlide(activeSlide, direction)) {
+    updateHud();
+    slideChangeHook(currentIndex);
+    return;
+  }
+
+  const targetIndex = clamp(currentIndex + direction, 0, slideElements.length - 1);
+  if (targetIndex === currentIndex) return;
+  setActiveSlide(targetIndex);
+  if (direction < 0) {
+    resetSlideSteps(slideElements[currentIndex], 'end');
+    slideChangeHook(currentIndex);
+  }
 }
 
 export function updateTotalCounter(total) {
@@ -377,8 +427,20 @@ export function updateHud() {
     currentCounter.textContent = currentIndex + 1;
   }
 
+  const activeSlide = slideElements[currentIndex];
+  const stepCount = getSlideStepCount(activeSlide);
+  const step = getSlideStep(activeSlide);
+
+  const stepsIndicator = document.getElementById('hud-steps');
+  if (stepsIndicator) {
+    stepsIndicator.hidden = !stepCount;
+    stepsIndicator.textContent = stepCount ? `· ${step}/${stepCount}` : '';
+  }
+
   if (progressBar) {
-    const progress = ((currentIndex + 1) / slideElements.length) * 100;
+    // Steps fill in the slide's share of the bar gradually.
+    const slideProgress = stepCount ? (step + 1) / (stepCount + 1) : 1;
+    const progress = ((currentIndex + slideProgress) / slideElements.length) * 100;
     progressBar.style.width = `${progress}%`;
   }
 
@@ -425,6 +487,8 @@ function preloadSlideImages(index) {
   });
 }
 
-export function navigateToDeckHome() {
+// Leaving mid-save would drop the last edit, so let queued saves land first.
+export async function navigateToDeckHome() {
+  await flushPersistedSlides();
   window.location.href = 'index.html';
 }
@@ -0,0 +1,261 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Offline Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Keeps Slideomatic working without a connection.
+// - registerServiceWorker() installs sw.js, which precaches the app (pages,
+//   modules, CSS, fonts, vendor libraries, bundled themes) so saved decks open
+//   offline straight from the deck store. A new version waits until the page
+//   accepts it; then every open page saves and reloads together
+// - queueRequest() keeps requests that need the network (share links, asset
+//   uploads) in the deck store's outbox while offline. They are sent oldest
+//   first when the connection comes back; each kind registers a handler that
+//   decides whether an entry is still wanted and uses the response
+// - The HUD's offline indicator shows while offline, with how many requests
+//   are waiting
+//
+// Dependencies: deck-store.js, hud.js
+// Used by: main.js, index.html, image-upload.js, media-upload.js,
+//          share-modal.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { addOutboxEntry, listOutboxEntries, deleteOutboxEntry } from './deck-store.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
+
+// Hosts where sw.js stays off unless `?sw` is in the URL: while developing,
+// a precached app hides edits until the precache list is rewritten.
+const DEV_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * @typedef {Object} QueuedRequestHandler
+ * @property {string} url - Where the request is POSTed (as JSON)
+ * @property {(entry: object) => 'send'|'keep'|'drop'} [prepare] - Whether the
+ *   entry should be sent now, wait for later, or be forgotten
+ * @property {(entry: object, payload: object) => void} onSent - Gets the
+ *   parsed response
+ */
+
+/** @type {Map<string, QueuedRequestHandler>} */
+const queuedRequestHandlers = new Map();
+let waitingCount = 0;
+let sendingQueue = null;
+
+/**
+ * Install sw.js. A new version installs in the background and waits:
+ * `onUpdate(applyUpdate)` runs when one is ready, and calling `applyUpdate`
+ * switches every open page over. Each page runs `beforeReload` (to finish
+ * saving) and reloads, so no page mixes files from two versions.
+ * @param {{ onUpdate?: (applyUpdate: () => void) => void,
+ *   beforeReload?: () => Promise<void>|void }} [options]
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker({ onUpdate, beforeReload } = {}) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  if (DEV_HOSTS.has(location.hostname) && !new URLSearchParams(location.search).has('sw')) return null;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('sw.js');
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+
+  // The first install has nothing to replace.
+  if (!navigator.serviceWorker.controller) return registration;
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', async () => {
+    if (reloading) return;
+    reloading = true;
+    try {
+      await beforeReload?.();
+    } finally {
+      location.reload();
+    }
+  });
+
+  const offerUpdate = (worker) => {
+    if (typeof onUpdate === 'function') {
+      onUpdate(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+    }
+  };
+  if (registration.waiting) {
+    offerUpdate(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed') offerUpdate(worker);
+    });
+  });
+  return registration;
+}
+
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Say what to do with queued requests of one kind.
+ * @param {string} kind
+ * @param {QueuedRequestHandler} handler
+ */
+export function registerQueuedRequestHandler(kind, handler) {
+  queuedRequestHandlers.set(kind, handler);
+}
+
+/**
+ * Keep a request in the outbox until the connection is back.
+ * @param {string} kind - A kind with a registered handler
+ * @param {object} body - Sent as the JSON body
+ * @param {object} [details] - Kept with the entry for the handler (deck id...)
+ * @returns {Promise<number>} The entry's id
+ */
+export async function queueRequest(kind, body, details = {}) {
+  const id = await addOutboxEntry({ kind, body, details });
+  waitingCount += 1;
+  updateOfflineIndicator();
+  return id;
+}
+
+/**
+ * Forget waiting requests of one kind, e.g. an older copy of a request that is
+ * about to be queued again.
+ * @param {string} kind
+ * @param {(entry: object) => boolean} matches
+ * @returns {Promise<number>} How many entries were dropped
+ */
+export async function dropQueuedRequests(kind, matches) {
+  const entries = await listOutboxEntries();
+  const dropped = entries.filter((entry) => entry.kind === kind && matches(entry));
+  for (const entry of dropped) {
+    await deleteOutboxEntry(entry.id);
+  }
+  if (dropped.length) {
+    waitingCount = Math.max(0, waitingCount - dropped.length);
+    updateOfflineIndicator();
+  }
+  return dropped.length;
+}
+
+/**
+ * Follow the connection: update the HUD indicator and send waiting requests
+ * whenever it comes back.
+ */
+export function initOfflineMode() {
+  window.addEventListener('offline', () => {
+    updateOfflineIndicator();
+    showHudStatus('📴 Offline. Changes are still saved on this device.', 'warning');
+    setTimeout(hideHudStatus, 2600);
+  });
+  window.addEventListener('online', () => {
+    updateOfflineIndicator();
+    showHudStatus('🌐 Back online', 'success');
+    setTimeout(hideHudStatus, 1600);
+    sendQueuedRequests();
+  });
+
+  if (isOffline()) {
+    listOutboxEntries()
+      .then((entries) => {
+        waitingCount = entries.length;
+        updateOfflineIndicator();
+      })
+      .catch((error) => console.warn('Unable to read queued requests:', error));
+  } else {
+    sendQueuedRequests();
+  }
+  updateOfflineIndicator();
+}
+
+/**
+ * Send the outbox, oldest first. Stops at the first network failure; entries
+ * the server refuses are dropped.
+ * @returns {Promise<void>}
+ */
+export function sendQueuedRequests() {
+  if (!sendingQueue) {
+    sendingQueue = sendOutbox()
+      .catch((error) => console.warn('Unable to send queued requests:', error))
+      .finally(() => {
+        sendingQueue = null;
+      });
+  }
+  return sendingQueue;
+}
+
+async function sendOutbox() {
+  let entries;
+  try {
+    entries = await listOutboxEntries();
+  } catch (error) {
+    console.warn('Unable to read queued requests:', error);
+    return;
+  }
+
+  let remaining = entries.length;
+  for (const entry of entries) {
+    if (isOffline()) break;
+    const handler = queuedRequestHandlers.get(entry.kind);
+    if (!handler) continue;
+
+    const decision = handler.prepare ? handler.prepare(entry) : 'send';
+    if (decision === 'keep') continue;
+    if (decision === 'drop') {
+      await deleteOutboxEntry(entry.id);
+      remaining -= 1;
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetch(handler.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry.body),
+      });
+    } catch (error) {
+      console.warn('Queued request still cannot reach the server:', error);
+      break;
+    }
+    // Server trouble may pass; a refused request won't.
+    if (response.status >= 500) break;
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      // Ignore JSON parse failure; handled below
+    }
+    await deleteOutboxEntry(entry.id);
+    remaining -= 1;
+
+    if (!response.ok) {
+      console.warn(`Queued ${entry.kind} request was refused:`, payload?.error ?? response.status);
+      showHudStatus(`⚠️ ${payload?.error || 'A request saved while offline was refused'}`, 'error');
+      setTimeout(hideHudStatus, 3000);
+      continue;
+    }
+    handler.onSent(entry, payload);
+  }
+
+  waitingCount = remaining;
+  updateOfflineIndicator();
+}
+
+function updateOfflineIndicator() {
+  const indicator = document.getElementById('offline-indicator');
+  if (!indicator) return;
+
+  const offline = isOffline();
+  indicator.hidden = !offline;
+  const label = indicator.querySelector('.hud__offline-text');
+  if (label) {
+    label.textContent = waitingCount ? `Offline · ${waitingCount} waiting` : 'Offline';
+  }
+  indicator.title = waitingCount
+    ? `Offline. ${waitingCount} ${waitingCount === 1 ? 'upload or share waits' : 'uploads or shares wait'} for the connection.`
+    : 'Offline. Changes are saved on this device.';
+}
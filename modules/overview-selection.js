@@ -0,0 +1,382 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Overview Selection Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Multi-select and bulk actions for overview mode.
+// - Ctrl/Cmd-click toggles a slide, Shift-click selects a range
+// - Shift+arrows extend the range, Ctrl/Cmd+A selects everything
+// - A floating toolbar runs bulk delete, duplicate, move, font preset,
+//   auto-badge toggle, and "export selection" (via downloadDeck)
+//
+// Selection is tracked by slide element so it survives drag reordering;
+// elements that leave the deck (delete, undo, reload) drop out automatically.
+// Each bulk action is recorded as a single undo step.
+//
+// Dependencies: state.js, navigation.js, slide-actions.js, history.js,
+//               hud.js, utils.js, slide-rendering.js, deck-format.js
+// Used by: main.js, keyboard-nav.js (via context)
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import {
+  slides,
+  slideElements,
+  isOverview,
+  overviewCursor,
+  deckMeta,
+} from './state.js';
+import { highlightOverviewSlide } from './navigation.js';
+import {
+  insertSlideAt,
+  removeSlideAt,
+  replaceSlideAt,
+  applySlideOrder,
+  downloadDeck,
+} from './slide-actions.js';
+import { runHistoryBatch } from './history.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
+import { clamp, deepClone } from './utils.js';
+import { getDeckTitle } from './deck-format.js';
+import { FONT_PRESET_NAMES } from './slide-rendering.js';
+
+const selectedElements = new Set();
+let selectionAnchor = null;
+let toolbar = null;
+let countLabel = null;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Selection state
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Selected deck indices in ascending order (stale elements are pruned).
+ * @returns {number[]}
+ */
+export function getSelectedIndices() {
+  const indices = [];
+  selectedElements.forEach((element) => {
+    const index = slideElements.indexOf(element);
+    if (index === -1) {
+      selectedElements.delete(element);
+    } else {
+      indices.push(index);
+    }
+  });
+  return indices.sort((a, b) => a - b);
+}
+
+export function hasSlideSelection() {
+  return getSelectedIndices().length > 0;
+}
+
+function getAnchorIndex() {
+  const index = selectionAnchor ? slideElements.indexOf(selectionAnchor) : -1;
+  return index === -1 ? overviewCursor : index;
+}
+
+function selectIndices(indices, { additive = false } = {}) {
+  if (!additive) {
+    selectedElements.clear();
+  }
+  indices.forEach((index) => {
+    const element = slideElements[index];
+    if (element) selectedElements.add(element);
+  });
+  syncSelectionUI();
+}
+
+function rangeBetween(start, end) {
+  const from = Math.min(start, end);
+  const to = Math.max(start, end);
+  return Array.from({ length: to - from + 1 }, (_, offset) => from + offset);
+}
+
+export function toggleSlideSelection(index) {
+  const element = slideElements[index];
+  if (!element) return;
+  if (selectedElements.has(element)) {
+    selectedElements.delete(element);
+  } else {
+    selectedElements.add(element);
+  }
+  selectionAnchor = element;
+  syncSelectionUI();
+}
+
+export function selectSlideRange(fromIndex, toIndex, options = {}) {
+  selectIndices(rangeBetween(fromIndex, toIndex), options);
+}
+
+export function selectAllSlides() {
+  selectIndices(slideElements.map((_, index) => index));
+}
+
+export function clearSlideSelection() {
+  selectedElements.clear();
+  selectionAnchor = null;
+  syncSelectionUI();
+}
+
+/**
+ * Keyboard range selection: move the overview cursor and select from the
+ * anchor to the new cursor position.
+ * @param {number} delta
+ */
+export function extendSlideSelection(delta) {
+  if (!slideElements.length) return;
+  if (!selectionAnchor || !slideElements.includes(selectionAnchor)) {
+    selectionAnchor = slideElements[overviewCursor] ?? null;
+  }
+  const anchorIndex = getAnchorIndex();
+  const nextCursor = clamp(overviewCursor + delta, 0, slideElements.length - 1);
+  highlightOverviewSlide(nextCursor);
+  selectSlideRange(anchorIndex, nextCursor);
+}
+
+/**
+ * Capture-phase click handler for the overview filmstrip. Modifier clicks
+ * select instead of opening the slide.
+ * @param {MouseEvent} event
+ */
+export function handleSelectionClick(event) {
+  if (!isOverview) return;
+  const isToggle = event.metaKey || event.ctrlKey;
+  if (!isToggle && !event.shiftKey) return;
+
+  const target = event.target instanceof Element ? event.target.closest('.slide') : null;
+  if (!target) return;
+  const index = slideElements.indexOf(target);
+  if (index === -1) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (event.shiftKey) {
+    selectSlideRange(getAnchorIndex(), index, { additive: isToggle });
+  } else {
+    toggleSlideSelection(index);
+  }
+  highlightOverviewSlide(index, { scroll: false });
+}
+
+/**
+ * Selection only lives inside overview; entering or leaving starts fresh.
+ */
+export function handleOverviewSelectionChange() {
+  clearSlideSelection();
+}
+
+function syncSelectionUI() {
+  slideElements.forEach((element) => {
+    element.classList.toggle('is-selected', selectedElements.has(element));
+  });
+
+  ensureToolbar();
+  const count = getSelectedIndices().length;
+  toolbar.classList.toggle('is-visible', count > 0);
+  toolbar.setAttribute('aria-hidden', count > 0 ? 'false' : 'true');
+  countLabel.textContent = `${count} selected`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Bulk actions
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getTargetIndices() {
+  const selected = getSelectedIndices();
+  if (selected.length) return selected;
+  return slideElements[overviewCursor] ? [overviewCursor] : [];
+}
+
+function notify(message, type = 'success', duration = 1600) {
+  showHudStatus(message, type);
+  setTimeout(hideHudStatus, duration);
+}
+
+function pluralize(count) {
+  return `${count} slide${count === 1 ? '' : 's'}`;
+}
+
+export function deleteSelectedSlides() {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+  if (indices.length >= slideElements.length) {
+    notify('⚠️ Keep at least one slide in the deck', 'warning', 2000);
+    return;
+  }
+  if (!confirm(`Delete ${pluralize(indices.length)}? You can undo with Ctrl/Cmd+Z.`)) return;
+
+  runHistoryBatch(`Delete ${pluralize(indices.length)}`, () => {
+    [...indices].reverse().forEach((index) => removeSlideAt(index, { focus: false }));
+  });
+  clearSlideSelection();
+  highlightOverviewSlide(clamp(indices[0], 0, slideElements.length - 1));
+  notify(`🗑️ Deleted ${pluralize(indices.length)}`);
+}
+
+export function duplicateSelectedSlides() {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+
+  const copies = indices.map((index) => deepClone(slides[index]));
+  const insertAt = indices[indices.length - 1] + 1;
+  runHistoryBatch(`Duplicate ${pluralize(copies.length)}`, () => {
+    copies.forEach((copy, offset) => insertSlideAt(insertAt + offset, copy));
+  });
+  selectSlideRange(insertAt, insertAt + copies.length - 1);
+  highlightOverviewSlide(insertAt);
+  notify(`✨ Duplicated ${pluralize(copies.length)}`);
+}
+
+export function moveSelectedSlides() {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+
+  const maxPosition = slideElements.length - indices.length + 1;
+  const answer = prompt(`Move ${pluralize(indices.length)} to position (1–${maxPosition}):`, String(indices[0] + 1));
+  if (answer === null) return;
+  const position = Number.parseInt(answer, 10);
+  if (!Number.isFinite(position)) {
+    notify('⚠️ Enter a slide number', 'warning', 2000);
+    return;
+  }
+
+  const selectedSet = new Set(indices);
+  const remaining = slideElements.map((_, index) => index).filter((index) => !selectedSet.has(index));
+  const insertAt = clamp(position - 1, 0, remaining.length);
+  const order = [...remaining.slice(0, insertAt), ...indices, ...remaining.slice(insertAt)];
+
+  if (applySlideOrder(order, { historyLabel: `Move ${pluralize(indices.length)}` })) {
+    selectSlideRange(insertAt, insertAt + indices.length - 1);
+    highlightOverviewSlide(insertAt);
+    notify(`↔️ Moved ${pluralize(indices.length)} to position ${insertAt + 1}`);
+  }
+}
+
+function updateSlidesInPlace(indices, label, mutate) {
+  runHistoryBatch(label, () => {
+    indices.forEach((index) => {
+      mutate(slides[index]);
+      replaceSlideAt(index, { focus: false });
+    });
+  });
+  // replaceSlideAt swaps in fresh elements, so re-select by index.
+  selectIndices(indices);
+  highlightOverviewSlide(overviewCursor, { scroll: false });
+}
+
+/**
+ * @param {string} preset - One of FONT_PRESET_NAMES, or '' for the theme default
+ */
+export function applyFontToSelectedSlides(preset) {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+
+  updateSlidesInPlace(indices, `Font on ${pluralize(indices.length)}`, (slide) => {
+    if (preset) {
+      slide.font = preset;
+    } else {
+      delete slide.font;
+    }
+  });
+  notify(`🔤 ${preset || 'Theme'} font on ${pluralize(indices.length)}`);
+}
+
+export function toggleAutoBadgeForSelectedSlides() {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+
+  // Mixed selections switch badges off first; a second press turns them back on.
+  const enable = indices.every((index) => slides[index]?.autoBadge === false);
+  updateSlidesInPlace(indices, `Badges on ${pluralize(indices.length)}`, (slide) => {
+    if (enable) {
+      delete slide.autoBadge;
+    } else {
+      slide.autoBadge = false;
+    }
+  });
+  notify(`${enable ? '🏷️ Badges on' : '🚫 Badges off'} for ${pluralize(indices.length)}`);
+}
+
+export function exportSelectedSlides() {
+  const indices = getTargetIndices();
+  if (!indices.length) return;
+
+  const selection = indices.map((index) => deepClone(slides[index]));
+  const name = `${getDeckTitle(deckMeta, slides)} (selection)`;
+  downloadDeck(undefined, { slides: selection, name });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Toolbar
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createToolbarButton(label, action, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'selection-bar__btn';
+  button.dataset.bulkAction = action;
+  button.textContent = label;
+  button.title = title;
+  return button;
+}
+
+function ensureToolbar() {
+  if (toolbar) return;
+
+  toolbar = document.createElement('div');
+  toolbar.className = 'selection-bar';
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', 'Selected slides');
+  toolbar.setAttribute('aria-hidden', 'true');
+
+  countLabel = document.createElement('span');
+  countLabel.className = 'selection-bar__count';
+
+  const fontSelect = document.createElement('select');
+  fontSelect.className = 'selection-bar__select';
+  fontSelect.setAttribute('aria-label', 'Apply font preset');
+  [['__placeholder__', 'Font…'], ['', 'Theme default'], ...FONT_PRESET_NAMES.map((name) => [name, name])]
+    .forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      fontSelect.appendChild(option);
+    });
+  fontSelect.addEventListener('change', () => {
+    if (fontSelect.value !== '__placeholder__') {
+      applyFontToSelectedSlides(fontSelect.value);
+    }
+    fontSelect.value = '__placeholder__';
+  });
+
+  const clearBtn = createToolbarButton('×', 'clear', 'Clear selection (Esc)');
+  clearBtn.classList.add('selection-bar__btn--clear');
+
+  toolbar.append(
+    countLabel,
+    createToolbarButton('Duplicate', 'duplicate', 'Duplicate selected slides'),
+    createToolbarButton('Move to…', 'move', 'Move selected slides to a position'),
+    fontSelect,
+    createToolbarButton('Badges', 'badge', 'Toggle auto badges'),
+    createToolbarButton('Export', 'export', 'Download selected slides as a deck JSON'),
+    createToolbarButton('Delete', 'delete', 'Delete selected slides (Del)'),
+    clearBtn,
+  );
+
+  toolbar.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-bulk-action]') : null;
+    if (!button) return;
+    const actions = {
+      duplicate: duplicateSelectedSlides,
+      move: moveSelectedSlides,
+      badge: toggleAutoBadgeForSelectedSlides,
+      export: exportSelectedSlides,
+      delete: deleteSelectedSlides,
+      clear: clearSlideSelection,
+    };
+    actions[button.dataset.bulkAction]?.();
+  });
+
+  document.body.appendChild(toolbar);
+}
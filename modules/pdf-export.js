@@ -4,8 +4,16 @@
 // Converts every slide in the current deck into a single landscape PDF by
 // painting offscreen clones with html2canvas and piping them through jsPDF.
 // Both libraries are loaded lazily via ESM CDN so the main bundle stays lean.
+// The deck details become the PDF's document properties (title, author,
+// subject, keywords, language).
 // ═══════════════════════════════════════════════════════════════════════════
 
+import { revealAllSteps } from './slide-steps.js';
+import { typesetMath } from './math-render.js';
+import { replaceMediaWithPosters } from './media-render.js';
+import { slides as deckSlides, deckMeta } from './state.js';
+import { getDeckDetails, getDeckTitle } from './deck-format.js';
+
 const HTML2CANVAS_SRC = new URL('./vendor/html2canvas.esm.js', import.meta.url).href;
 const JSPDF_SRC = new URL('./vendor/jspdf.esm.min.js', import.meta.url).href;
 
@@ -43,16 +51,37 @@ function getDeckName() {
   return (text || 'slideomatic').trim() || 'slideomatic';
 }
 
+function applyDocumentProperties(pdf, meta) {
+  const details = getDeckDetails(meta);
+  const subject = [details.description, details.event, details.date].filter(Boolean).join(' — ');
+  pdf.setProperties({
+    title: getDeckTitle(details, deckSlides),
+    subject,
+    author: details.author ?? '',
+    keywords: (details.tags ?? []).join(', '),
+    creator: 'Slide-o-Matic',
+  });
+  if (details.language) {
+    pdf.setLanguage(details.language);
+  }
+}
+
 function prepareClone(node, width, height) {
   node.style.position = 'static';
   node.style.visibility = 'visible';
   node.style.opacity = '1';
   node.style.transform = 'none';
+  node.style.transition = 'none';
+  node.style.clipPath = 'none';
   node.style.left = 'auto';
   node.style.top = 'auto';
   node.style.width = `${width}px`;
   node.style.height = `${height}px`;
-  node.classList.remove('is-active');
+  node.classList.remove('is-active', 'is-leaving');
+  // Canvas editing handles and selection outlines aren't part of the slide.
+  node.querySelectorAll('[data-editor-ui]').forEach((el) => el.remove());
+  node.querySelectorAll('.is-selected').forEach((el) => el.classList.remove('is-selected'));
+  revealAllSteps(node);
   return node;
 }
 
@@ -62,6 +91,9 @@ export async function exportDeckToPdf(filename) {
     throw new Error('No slides to export');
   }
 
+  // Math typesets lazily; make sure it (and its fonts) are in place before painting.
+  await typesetMath(document);
+
   try {
     await document.fonts?.ready;
   } catch (error) {
@@ -72,6 +104,7 @@ export async function exportDeckToPdf(filename) {
   const { jsPDF } = await loadJsPdf();
 
   const pdf = new jsPDF({ orientation: 'landscape', unit: 'px', format: 'a4', compress: true });
+  applyDocumentProperties(pdf, deckMeta);
   const pageWidth = pdf.internal.pageSize.getWidth();
   const pageHeight = pdf.internal.pageSize.getHeight();
 
@@ -90,6 +123,7 @@ export async function exportDeckToPdf(filename) {
       const rect = slide.getBoundingClientRect();
       const clone = slide.cloneNode(true);
       prepareClone(clone, rect.width || 1920, rect.height || 1080);
+      replaceMediaWithPosters(slide, clone);
       tempHost.appendChild(clone);
       await new Promise((resolve) => requestAnimationFrame(resolve));
       const canvas = await html2canvas(clone, { backgroundColor: '#ffffff', scale: 2, useCORS: true });
@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Presenter View Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Audience-side half of the presenter view.
+// - Opens presenter.html in a separate window
+// - Broadcasts the current/next slide, notes, and theme over BroadcastChannel
+// - Applies navigation commands sent back from the presenter window
+//
+// Dependencies: state.js, theme-manager.js
+// Used by: main.js (presenter.js is the receiving window)
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { slides, slideElements, currentIndex } from './state.js';
+import { getCurrentTheme } from './theme-manager.js';
+
+export const PRESENTER_CHANNEL_PREFIX = 'slideomatic-presenter:';
+
+const defaultContext = {
+  setActiveSlide: (_index) => {},
+  advanceSlide: (direction) => presenterContext.setActiveSlide(currentIndex + direction),
+  getCurrentIndex: () => currentIndex,
+  getDeckName: () => '',
+  showHudStatus: (_message, _type) => {},
+  hideHudStatus: () => {},
+};
+
+let presenterContext = { ...defaultContext };
+let presenterChannel = null;
+let presenterWindow = null;
+let channelId = null;
+
+function ensureChannel() {
+  if (presenterChannel) return presenterChannel;
+  if (typeof BroadcastChannel !== 'function') return null;
+
+  channelId = channelId || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  presenterChannel = new BroadcastChannel(`${PRESENTER_CHANNEL_PREFIX}${channelId}`);
+  presenterChannel.addEventListener('message', handlePresenterMessage);
+  return presenterChannel;
+}
+
+function handlePresenterMessage(event) {
+  const message = event.data;
+  if (!message || typeof message !== 'object') return;
+
+  switch (message.type) {
+    case 'ready':
+      broadcastPresenterState();
+      break;
+    case 'goto':
+      if (Number.isInteger(message.index)) {
+        presenterContext.setActiveSlide(message.index);
+      }
+      break;
+    case 'step':
+      if (Math.abs(message.delta) === 1) {
+        presenterContext.advanceSlide(message.delta);
+      } else if (Number.isInteger(message.delta)) {
+        presenterContext.setActiveSlide(presenterContext.getCurrentIndex() + message.delta);
+      }
+      break;
+    case 'closed':
+      presenterWindow = null;
+      break;
+    default:
+      break;
+  }
+}
+
+function serializeSlide(index) {
+  const element = slideElements[index];
+  if (!element) return null;
+  const slide = slides[index] || {};
+  return {
+    index,
+    type: slide.type || 'standard',
+    html: element.outerHTML,
+    notes: slide.notes || slide.speaker_notes || '',
+  };
+}
+
+export function initPresenterView(partialContext = {}) {
+  presenterContext = { ...defaultContext, ...partialContext };
+  window.addEventListener('beforeunload', () => {
+    presenterChannel?.postMessage({ type: 'audience-closed' });
+  });
+}
+
+export function isPresenterViewOpen() {
+  return Boolean(presenterWindow && !presenterWindow.closed);
+}
+
+export function openPresenterView() {
+  const channel = ensureChannel();
+  if (!channel) {
+    presenterContext.showHudStatus('⚠️ Presenter view needs BroadcastChannel support', 'error');
+    setTimeout(presenterContext.hideHudStatus, 2400);
+    return null;
+  }
+
+  if (isPresenterViewOpen()) {
+    presenterWindow.focus();
+    broadcastPresenterState();
+    return presenterWindow;
+  }
+
+  const url = new URL('presenter.html', window.location.href);
+  url.searchParams.set('channel', channelId);
+  presenterWindow = window.open(url.toString(), `slideomatic-presenter-${channelId}`, 'popup,width=1280,height=800');
+
+  if (!presenterWindow) {
+    presenterContext.showHudStatus('⚠️ Allow pop-ups to open presenter view', 'warning');
+    setTimeout(presenterContext.hideHudStatus, 2400);
+    return null;
+  }
+
+  presenterContext.showHudStatus('🎤 Presenter view opened', 'success');
+  setTimeout(presenterContext.hideHudStatus, 1600);
+  return presenterWindow;
+}
+
+export function broadcastPresenterState() {
+  if (!presenterChannel) return;
+  const index = presenterContext.getCurrentIndex();
+  presenterChannel.postMessage({
+    type: 'state',
+    deckName: presenterContext.getDeckName(),
+    total: slideElements.length,
+    current: serializeSlide(index),
+    next: serializeSlide(index + 1),
+    theme: getCurrentTheme(),
+  });
+}
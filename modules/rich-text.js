@@ -0,0 +1,253 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Rich Text Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Markdown → HTML for slide text fields. Input is always HTML-escaped first.
+// - Inline: **bold**, *italic*, `code`, [links](url), ~~strike~~,
+//   ==highlight==, footnote references [^1], math $x^2$ / $$\sum x$$ (`\$` for
+//   a literal dollar)
+// - Block (body/copy fields only): headings, nested bullet/numbered lists,
+//   blockquotes, paragraphs, footnote definitions `[^1]: text`, `$$` math blocks
+// - Math becomes `.math[data-tex]` placeholders that math-render.js typesets
+// - Single-line text renders inline only, exactly as before
+//
+// Dependencies: utils.js
+// Used by: slide-rendering.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { escapeHtml } from './utils.js';
+
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const FOOTNOTE_PATTERN = /^\s{0,3}\[\^([\w-]+)\]:\s*(.*)$/;
+const MATH_BLOCK_PATTERN = /^\s{0,3}\$\$/;
+// `\$`, `$$display$$`, or `$inline$` (no space inside the dollars, no digit
+// after the closing one, so "$5 and $10" stays plain text).
+const MATH_PATTERN = /\\\$|\$\$([\s\S]+?)\$\$|\$(?=\S)((?:\\.|[^$\\\n])+?)(?<=\S)\$(?!\d)/g;
+const MATH_TOKEN_PATTERN = /\uE000(\d+)\uE000/g;
+const CODE_SPAN_PATTERN = /`([^`]+)`/g;
+const CODE_TOKEN_PATTERN = /\uE001(\d+)\uE001/g;
+
+/**
+ * Render inline Markdown (no block elements).
+ * @param {string} text
+ * @returns {string} Safe HTML
+ */
+export function renderInlineMarkdown(text) {
+    if (typeof text !== 'string') return text;
+
+    // Code spans are set aside first so `$x$` in backticks stays code, then
+    // math, so emphasis/link rules never touch either.
+    const code = [];
+    const withoutCode = text.replace(CODE_SPAN_PATTERN, (match, source) => {
+        code.push(source);
+        return `\uE001${code.length - 1}\uE001`;
+    });
+    const math = [];
+    const withoutMath = withoutCode.replace(MATH_PATTERN, (match, display, inline) => {
+        math.push(match === '\\$' ? null : { tex: display ?? inline, display: display !== undefined });
+        return `\uE000${math.length - 1}\uE000`;
+    });
+
+    let safe = escapeHtml(withoutMath);
+
+    safe = safe
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(?<!\w)\*([^*]+?)\*(?!\w)/g, '<em>$1</em>')
+        .replace(/(?<!\w)_([^_]+?)_(?!\w)/g, '<em>$1</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>')
+        .replace(/==(?=\S)(.+?)(?<=\S)==/g, '<mark>$1</mark>')
+        .replace(/\[\^([\w-]+)\]/g, '<sup class="footnote-ref">$1</sup>');
+
+    safe = safe.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
+        const sanitizedUrl = sanitizeUrl(url);
+        if (!sanitizedUrl) {
+            return linkText;
+        }
+        return `<a href="${sanitizedUrl}" rel="noopener noreferrer">${linkText}</a>`;
+    });
+
+    return safe
+        .replace(MATH_TOKEN_PATTERN, (match, index) => {
+            const entry = math[Number(index)];
+            return entry ? renderMathPlaceholder(entry.tex, entry.display) : '$';
+        })
+        .replace(CODE_TOKEN_PATTERN, (match, index) => `<code>${escapeHtml(code[Number(index)])}</code>`);
+}
+
+function renderMathPlaceholder(tex, display, tag = 'span') {
+    const source = escapeHtml(tex.trim());
+    const kind = display ? 'display' : 'inline';
+    return `<${tag} class="math math--${kind}" data-tex="${source}">${source}</${tag}>`;
+}
+
+/**
+ * Whether multi-line text uses block syntax (lists, headings, quotes,
+ * footnotes, or several paragraphs). Single lines always stay inline, so a
+ * body item like "1. Ship it" keeps rendering as plain text.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasBlockMarkdown(text) {
+    if (typeof text !== 'string' || !text.includes('\n')) return false;
+    return text.split('\n').some(isBlockStart) || /\n\s*\n/.test(text.trim());
+}
+
+/**
+ * Render block-level Markdown.
+ * @param {string} text
+ * @returns {string} Safe HTML
+ */
+export function renderBlockMarkdown(text) {
+    if (typeof text !== 'string') return text;
+    const footnotes = [];
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const html = renderBlocks(lines, footnotes);
+    if (!footnotes.length) return html;
+
+    const items = footnotes
+        .map(({ id, text: note }) => `<li><sup>${escapeHtml(id)}</sup> ${renderInlineMarkdown(note)}</li>`)
+        .join('');
+    return `${html}<ol class="rich-text__footnotes">${items}</ol>`;
+}
+
+function isBlockStart(line) {
+    return HEADING_PATTERN.test(line)
+        || LIST_ITEM_PATTERN.test(line)
+        || QUOTE_PATTERN.test(line)
+        || FOOTNOTE_PATTERN.test(line)
+        || MATH_BLOCK_PATTERN.test(line);
+}
+
+function renderBlocks(lines, footnotes) {
+    const output = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index += 1;
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            // Slide titles use h2/h3, so body headings start at h4.
+            const level = Math.min(heading[1].length + 3, 6);
+            output.push(`<h${level} class="rich-text__heading">${renderInlineMarkdown(heading[2])}</h${level}>`);
+            index += 1;
+            continue;
+        }
+
+        if (MATH_BLOCK_PATTERN.test(line)) {
+            const tex = [line.replace(MATH_BLOCK_PATTERN, '')];
+            index += 1;
+            while (!tex[tex.length - 1].includes('$$') && index < lines.length) {
+                tex.push(lines[index]);
+                index += 1;
+            }
+            const source = tex.join('\n').replace(/\$\$[\s\S]*$/, '');
+            output.push(renderMathPlaceholder(source, true, 'div'));
+            continue;
+        }
+
+        const footnote = line.match(FOOTNOTE_PATTERN);
+        if (footnote) {
+            footnotes.push({ id: footnote[1], text: footnote[2] });
+            index += 1;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+                quoted.push(lines[index].match(QUOTE_PATTERN)[1]);
+                index += 1;
+            }
+            output.push(`<blockquote class="rich-text__quote">${renderBlocks(quoted, footnotes)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, index);
+            output.push(list.html);
+            index = list.end;
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && !isBlockStart(lines[index])) {
+            paragraph.push(lines[index].trim());
+            index += 1;
+        }
+        output.push(`<p>${renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+    }
+
+    return output.join('');
+}
+
+function renderList(lines, start) {
+    const [, indent, marker] = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = indent.length;
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const item = line.match(LIST_ITEM_PATTERN);
+
+        if (item && item[1].length === baseIndent) {
+            if (/\d/.test(item[2]) !== ordered) break;
+            items.push({ text: item[3], children: [] });
+            index += 1;
+            continue;
+        }
+
+        const current = items[items.length - 1];
+        const lineIndent = line.match(/^\s*/)[0].length;
+        if (!line.trim() || lineIndent <= baseIndent) break;
+
+        if (item) {
+            const nested = renderList(lines, index);
+            current.children.push(nested.html);
+            index = nested.end;
+        } else {
+            current.text += `\n${line.trim()}`;
+            index += 1;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? Number.parseInt(marker, 10) : 1;
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const body = items
+        .map(({ text, children }) => `<li>${renderInlineMarkdown(text)}${children.join('')}</li>`)
+        .join('');
+    return { html: `<${tag} class="rich-text__list"${startAttr}>${body}</${tag}>`, end: index };
+}
+
+function sanitizeUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    const trimmed = url.trim();
+    if (!trimmed) return null;
+
+    try {
+        const parsed = new URL(trimmed, window.location.href);
+        const safeProtocols = ['http:', 'https:', 'mailto:', 'tel:'];
+        if (safeProtocols.includes(parsed.protocol)) {
+            return parsed.href;
+        }
+        return null;
+    } catch (_error) {
+        if (trimmed.startsWith('/') || trimmed.startsWith('./') || trimmed.startsWith('../')) {
+            return trimmed;
+        }
+        return null;
+    }
+}
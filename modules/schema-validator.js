@@ -0,0 +1,205 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Schema Validator Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// A small JSON Schema checker, enough for deck-schema.js without shipping a
+// validator library to the browser.
+// - Supports type, enum, const, properties, required, additionalProperties,
+//   items, minItems, minLength, minimum, maximum, anyOf, allOf, if/then/else,
+//   local $ref ("#/$defs/...") and custom formats
+// - Reports every problem as { path, message } with a JSON path such as
+//   `$[3].milestones[1].status`, rather than stopping at the first one
+//
+// Dependencies: None
+// Used by: validation.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null',
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Check a value against a schema.
+ * @param {*} value
+ * @param {object|boolean} schema
+ * @param {object} [options]
+ * @param {object} [options.root=schema] - Document that `$ref`s resolve against
+ * @param {string} [options.path='$'] - JSON path of `value`
+ * @param {Object<string, { test: (value: *) => boolean, message: string }>} [options.formats]
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function validateAgainstSchema(value, schema, { root = schema, path = '$', formats = {} } = {}) {
+  const errors = [];
+  check(value, schema, path, { root, formats }, errors);
+  return errors;
+}
+
+/**
+ * Extend a JSON path with an object key or array index.
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+export function joinJsonPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER_PATTERN.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function check(value, schema, path, context, errors) {
+  if (schema === true || schema == null) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    check(value, resolveRef(schema.$ref, context.root), path, context, errors);
+  }
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    // Everything below assumes the right type, so stop at this one message.
+    errors.push({ path, message: `must be ${describeType(schema.type)}` });
+    return;
+  }
+
+  if ('const' in schema && !isEqual(value, schema.const)) {
+    errors.push({ path, message: `must be ${formatValue(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.some((option) => isEqual(value, option))) {
+    errors.push({ path, message: `has unknown value ${formatValue(value)}. Use one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.format && context.formats[schema.format] && !context.formats[schema.format].test(value)) {
+    errors.push({ path, message: context.formats[schema.format].message });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => check(item, schema.items, joinJsonPath(path, index), context, errors));
+    }
+  }
+
+  if (isObject(value)) {
+    (schema.required ?? []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinJsonPath(path, key), message: 'is required' });
+      }
+    });
+    const properties = schema.properties ?? {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(child, properties[key], joinJsonPath(path, key), context, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        check(child, schema.additionalProperties, joinJsonPath(path, key), context, errors);
+      }
+    });
+  }
+
+  (schema.allOf ?? []).forEach((part) => check(value, part, path, context, errors));
+
+  if (schema.anyOf) {
+    checkAnyOf(value, schema.anyOf, path, context, errors);
+  }
+
+  if (schema.if !== undefined) {
+    const matches = validateAgainstSchema(value, schema.if, { root: context.root, path, formats: context.formats }).length === 0;
+    const branch = matches ? schema.then : schema.else;
+    if (branch !== undefined) check(value, branch, path, context, errors);
+  }
+}
+
+// When exactly one option has the right type, its own errors are the most
+// useful; otherwise say which types would have been accepted.
+function checkAnyOf(value, options, path, context, errors) {
+  const results = options.map((option) => validateAgainstSchema(value, option, { root: context.root, path, formats: context.formats }));
+  if (results.some((result) => result.length === 0)) return;
+
+  const typed = options
+    .map((option, index) => ({ option: option.$ref ? resolveRef(option.$ref, context.root) : option, index }))
+    .filter(({ option }) => option.type !== undefined && matchesType(value, option.type));
+  if (typed.length === 1) {
+    errors.push(...results[typed[0].index]);
+    return;
+  }
+
+  const accepted = options.map((option) => describeOption(option.$ref ? resolveRef(option.$ref, context.root) : option));
+  errors.push({ path, message: `must be ${accepted.join(' or ')}` });
+}
+
+function describeOption(option) {
+  if (option.enum) return `one of: ${option.enum.join(', ')}`;
+  if (option.type === 'array' && option.items?.type) return `an array of ${describeType(option.items.type).replace(/^an? /, '')}s`;
+  if (option.type !== undefined) return describeType(option.type);
+  return 'a valid value';
+}
+
+function describeType(type) {
+  return (Array.isArray(type) ? type : [type]).map((name) => TYPE_NAMES[name] ?? name).join(' or ');
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some((name) => matchesType(value, name));
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported (got "${ref}").`);
+  }
+  const resolved = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+  if (resolved === undefined) {
+    throw new Error(`Unknown schema reference "${ref}".`);
+  }
+  return resolved;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
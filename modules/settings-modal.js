@@ -3,13 +3,17 @@
 // ═══════════════════════════════════════════════════════════════════════════
 //
 // Encapsulates logic for the Gemini API settings modal (open/close, listeners,
-// save/test/clear actions, and status updates).
+// save/test/clear actions, and status updates), plus the deck's version
+// history (version-history.js) and a readout of how much browser storage saved
+// decks use.
 //
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { STORAGE_KEY_API, getGeminiApiKey } from './voice-modes.js';
 
-import { trapFocus, focusFirstElement } from './utils.js';
+import { trapFocus, focusFirstElement, formatBytes } from './utils.js';
+import { getStorageUsage } from './deck-store.js';
+import { renderVersionHistory } from './version-history.js';
 
 let previousFocus = null;
 let keydownHandler = null;
@@ -23,6 +27,8 @@ export function openSettingsModal() {
     modal.classList.add('is-open');
     modal.setAttribute('aria-hidden', 'false');
     setupSettingsModalListeners();
+    renderVersionHistory();
+    updateStorageUsage();
     
     // Focus management
     focusFirstElement(modal);
@@ -59,13 +65,13 @@ export function closeSettingsModal() {
 }
 
 export function setupSettingsModalListeners() {
-  const closeBtn = /** @type {HTMLElement} */ (document.querySelector('.settings-modal__close'));
+  const closeBtn = /** @type {HTMLElement} */ (document.querySelector('#settings-modal .settings-modal__close'));
   if (closeBtn && !closeBtn.dataset.listenerAttached) {
     closeBtn.addEventListener('click', closeSettingsModal);
     closeBtn.dataset.listenerAttached = 'true';
   }
 
-  const backdrop = /** @type {HTMLElement} */ (document.querySelector('.settings-modal__backdrop'));
+  const backdrop = /** @type {HTMLElement} */ (document.querySelector('#settings-modal .settings-modal__backdrop'));
   if (backdrop && !backdrop.dataset.listenerAttached) {
     backdrop.addEventListener('click', closeSettingsModal);
     backdrop.dataset.listenerAttached = 'true';
@@ -194,3 +200,39 @@ export function showApiKeyStatus(type, message) {
     }, 3000);
   }
 }
+
+async function updateStorageUsage() {
+  const summary = document.getElementById('storage-usage-summary');
+  const meter = /** @type {HTMLProgressElement} */ (document.getElementById('storage-usage-meter'));
+  if (!summary) return;
+
+  summary.textContent = 'Checking storage…';
+  try {
+    const usage = await getStorageUsage();
+    const decks = `${usage.decks} saved ${usage.decks === 1 ? 'deck' : 'decks'}`;
+
+    if (usage.backend === 'localstorage') {
+      summary.textContent = `${decks} using ${formatBytes(usage.usage)} of localStorage (about 5 MB). This browser blocks IndexedDB, so large images may not save.`;
+      if (meter) meter.hidden = true;
+      return;
+    }
+
+    const images = `${usage.versions} ${usage.versions === 1 ? 'version' : 'versions'} and ${usage.images} ${usage.images === 1 ? 'image' : 'images'} (${formatBytes(usage.imageBytes)})`;
+    if (usage.usage === null || !usage.quota) {
+      summary.textContent = `${decks} with ${images}.`;
+      if (meter) meter.hidden = true;
+      return;
+    }
+
+    const percent = (usage.usage / usage.quota) * 100;
+    summary.textContent = `${decks} with ${images}. Using ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} available (${percent < 1 ? '<1' : Math.round(percent)}%).`;
+    if (meter) {
+      meter.value = Math.min(usage.usage / usage.quota, 1);
+      meter.hidden = false;
+    }
+  } catch (error) {
+    console.warn('Unable to read storage usage:', error);
+    summary.textContent = 'Storage usage is not available in this browser.';
+    if (meter) meter.hidden = true;
+  }
+}
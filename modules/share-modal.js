@@ -1,6 +1,10 @@
-import { slides } from './state.js';
+import { slides, deckMeta } from './state.js';
 import { getCurrentTheme } from './theme-manager.js';
-import { deriveDeckName, trapFocus, focusFirstElement } from './utils.js';
+import { trapFocus, focusFirstElement } from './utils.js';
+import { createDeckEnvelope, getDeckDetails } from './deck-format.js';
+import { getDeckStorageKey } from './deck-persistence.js';
+import { isOffline, queueRequest, dropQueuedRequests, registerQueuedRequestHandler } from './offline.js';
+import { showHudStatus, hideHudStatus } from './hud.js';
 
 /** @type {any} */
 var QRCodeStyling;
@@ -25,6 +29,32 @@ export function initShareModal() {
 
   if (!shareBtn || !shareModal) return;
 
+  // A link asked for while offline, made once the connection came back.
+  let queuedShareResult = null;
+
+  registerQueuedRequestHandler('share', {
+    url: '/.netlify/functions/share',
+    // A link belongs to the deck it was asked for in (by deck store key); it
+    // waits until that deck is open again.
+    prepare: (entry) => (entry.details?.deckKey === getDeckStorageKey() ? 'send' : 'keep'),
+    onSent: (_entry, payload) => {
+      let result;
+      try {
+        result = readShareResponse(payload);
+      } catch (error) {
+        console.error('Queued share failed:', error);
+        return;
+      }
+      if (shareModal.classList.contains('is-open')) {
+        showShareResult(result, "✓ Link made now that you're back online");
+        return;
+      }
+      queuedShareResult = result;
+      showHudStatus('🔗 Share link ready. Press Share to copy it.', 'success');
+      setTimeout(hideHudStatus, 3000);
+    },
+  });
+
   shareBtn.addEventListener('click', async () => {
     await openShareModal();
   });
@@ -80,19 +110,36 @@ export function initShareModal() {
     };
     document.addEventListener('keydown', keydownHandler);
 
+    if (queuedShareResult) {
+      showShareResult(queuedShareResult, '✓ Link made when you came back online');
+      queuedShareResult = null;
+      return;
+    }
+
     try {
-      const { shareUrl, bytes, optimization } = await generateShareUrl();
-      if (urlInput) urlInput.value = shareUrl;
-      generateQRCode(shareUrl);
-      displayShareStats(bytes, optimization);
-      showShareStatus('✓ Ready to share!', 'success');
-      setTimeout(() => hideShareStatus(), 3000);
+      if (isOffline()) {
+        // Pressing Share again replaces the waiting link with the latest deck.
+        const deckKey = getDeckStorageKey();
+        await dropQueuedRequests('share', (entry) => entry.details?.deckKey === deckKey);
+        await queueRequest('share', createSharePayload(), { deckKey });
+        showShareStatus("📴 You're offline. The link will be made when you reconnect.", 'loading');
+        return;
+      }
+      showShareResult(await generateShareUrl(), '✓ Ready to share!');
     } catch (error) {
       console.error('Share failed:', error);
       showShareStatus(`❌ ${error.message}`, 'error');
     }
   }
 
+  function showShareResult({ shareUrl, bytes, optimization }, message) {
+    if (urlInput) urlInput.value = shareUrl;
+    generateQRCode(shareUrl);
+    displayShareStats(bytes, optimization);
+    showShareStatus(message, 'success');
+    setTimeout(() => hideShareStatus(), 3000);
+  }
+
   function closeShareModal() {
     // Restore focus BEFORE hiding the modal
     if (previousFocus && typeof previousFocus.focus === 'function') {
@@ -110,16 +157,18 @@ export function initShareModal() {
     }
   }
 
-  async function generateShareUrl() {
-    const deckPayload = {
-      version: 1,
-      slides,
-      theme: getCurrentTheme(),
+  function createSharePayload() {
+    return createDeckEnvelope(slides, {
       meta: {
-        title: deriveDeckName(slides),
+        ...getDeckDetails(deckMeta),
         createdAt: Date.now(),
       },
-    };
+      theme: getCurrentTheme(),
+    });
+  }
+
+  async function generateShareUrl() {
+    const deckPayload = createSharePayload();
 
     let response;
     try {
@@ -146,6 +195,10 @@ export function initShareModal() {
       throw new Error(message);
     }
 
+    return readShareResponse(payload);
+  }
+
+  function readShareResponse(payload) {
     if (!payload?.shareUrl && !payload?.id) {
       throw new Error('Share link response missing id');
     }
@@ -2,13 +2,16 @@
 // Slide Actions Module
 // ═══════════════════════════════════════════════════════════════════════════
 //
-// Manages slide mutations (insert, remove, replace) and keeps DOM/state in sync.
+// Manages slide mutations (insert, remove, replace, move) and keeps DOM/state in sync.
 // Centralizing these helpers avoids duplicating logic across the edit drawer,
 // keyboard shortcuts, and other controllers.
 //
 // Dependencies: state.js, utils.js, navigation.js, deck-persistence.js,
-//                slide-rendering.js, dom-refs.js, slide-index.js
-// Used by: main.js, edit-drawer.js, keyboard-nav.js
+//                slide-rendering.js, dom-refs.js, slide-index.js, history.js,
+//                slide-steps.js, markdown-deck.js, table-data.js, slide-templates.js,
+//                deck-format.js
+// Used by: main.js, edit-drawer.js, keyboard-nav.js, image-upload.js,
+//          compare-modal.js
 //
 // ═══════════════════════════════════════════════════════════════════════════
 
@@ -19,10 +22,14 @@ import {
   isOverview,
   slideScrollPositions,
   overviewCursor,
+  lastOverviewHighlight,
+  setLastOverviewHighlight,
   setSlides,
   setSlideElements,
   setCurrentIndex,
   setOverviewCursor,
+  deckMeta,
+  setDeckMeta,
 } from './state.js';
 import { validateSlides } from './validation.js';
 import { persistSlides } from './deck-persistence.js';
@@ -39,6 +46,13 @@ import {
   updateSlideIndexHighlight,
 } from './slide-index.js';
 import { slidesRoot } from './dom-refs.js';
+import { commitHistory } from './history.js';
+import { getSlideStep, setSlideStep } from './slide-steps.js';
+import { pauseSlideMedia } from './media-render.js';
+import { parseMarkdownDeck, serializeMarkdownDeck } from './markdown-deck.js';
+import { clipboardToTable, applyTableToSlide } from './table-data.js';
+import { getSlideTemplate } from './slide-templates.js';
+import { createDeckEnvelope, readDeckEnvelope, normalizeDeckMeta, getDeckDetails } from './deck-format.js';
 
 let showHudStatusHook = () => {};
 let hideHudStatusHook = () => {};
@@ -52,6 +66,8 @@ let getCurrentThemeHook = () => null;
 let deriveDeckNameHook = () => 'Untitled Deck';
 let applyThemeHook = () => {};
 let setCurrentThemeHook = () => {};
+let loadThemeHook = async (_reference) => null;
+let retainSlideAssetsHook = (_slides) => {};
 
 export function registerSlideActionHooks(hooks = {}) {
   if (typeof hooks.showHudStatus === 'function') {
@@ -84,6 +100,12 @@ export function registerSlideActionHooks(hooks = {}) {
   if (typeof hooks.setCurrentTheme === 'function') {
     setCurrentThemeHook = hooks.setCurrentTheme;
   }
+  if (typeof hooks.loadTheme === 'function') {
+    loadThemeHook = hooks.loadTheme;
+  }
+  if (typeof hooks.retainSlideAssets === 'function') {
+    retainSlideAssetsHook = hooks.retainSlideAssets;
+  }
 }
 
 function shiftScrollPositions(startIndex, delta) {
@@ -116,7 +138,7 @@ function reindexSlides(startIndex = 0) {
 }
 
 export function insertSlideAt(index, slideData, options = {}) {
-  const { activate = false } = options;
+  const { activate = false, historyLabel = 'Insert slide' } = options;
   if (index < 0) index = 0;
   if (index > slides.length) index = slides.length;
 
@@ -174,18 +196,91 @@ export function insertSlideAt(index, slideData, options = {}) {
 
   updateSlideIndexHighlight(isOverview ? overviewCursor : currentIndex);
   persistSlides();
+  commitHistory(historyLabel);
 
   return newSlideElement;
 }
 
+/**
+ * Move a slide so it ends up at toIndex.
+ * @param {number} fromIndex
+ * @param {number} toIndex - Final position of the moved slide
+ * @param {object} [options]
+ * @param {string} [options.historyLabel]
+ * @returns {boolean} True if the deck changed
+ */
+export function moveSlide(fromIndex, toIndex, options = {}) {
+  const total = slideElements.length;
+  if (fromIndex < 0 || fromIndex >= total) return false;
+  const targetIndex = clamp(toIndex, 0, total - 1);
+  if (targetIndex === fromIndex) return false;
+
+  const order = Array.from({ length: total }, (_, index) => index);
+  order.splice(fromIndex, 1);
+  order.splice(targetIndex, 0, fromIndex);
+  return applySlideOrder(order, options);
+}
+
+/**
+ * Reorder the whole deck in one step, keeping DOM order, scroll memory,
+ * auto badges, the active slide, and the overview cursor in step.
+ * @param {number[]} order - Old indices listed in their new order
+ * @param {object} [options]
+ * @param {string} [options.historyLabel]
+ * @returns {boolean} True if the deck changed
+ */
+export function applySlideOrder(order, options = {}) {
+  const { historyLabel = 'Reorder slides' } = options;
+  const total = slideElements.length;
+  if (!Array.isArray(order) || order.length !== total) return false;
+  const isPermutation = new Set(order).size === total
+    && order.every((index) => Number.isInteger(index) && index >= 0 && index < total);
+  if (!isPermutation) return false;
+  if (order.every((oldIndex, newIndex) => oldIndex === newIndex)) return false;
+
+  const newIndexOf = new Map(order.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+  const remap = (index) => newIndexOf.get(index) ?? index;
+
+  const reorderedSlides = order.map((index) => slides[index]);
+  const reorderedElements = order.map((index) => slideElements[index]);
+  slides.splice(0, total, ...reorderedSlides);
+  slideElements.splice(0, total, ...reorderedElements);
+  reorderedElements.forEach((element) => slidesRoot?.appendChild(element));
+
+  const previousScroll = new Map(slideScrollPositions);
+  slideScrollPositions.clear();
+  previousScroll.forEach((value, key) => slideScrollPositions.set(remap(key), value));
+  reindexSlides(0);
+
+  setCurrentIndex(remap(currentIndex));
+  refreshSlideIndex();
+
+  if (isOverview) {
+    setOverviewCursor(remap(overviewCursor));
+    setLastOverviewHighlight(remap(lastOverviewHighlight));
+    updateOverviewLayout();
+    highlightOverviewSlide(overviewCursor);
+    updateSlideIndexHighlight(overviewCursor);
+  } else {
+    updateOverviewLayout();
+    updateHud();
+    updateSlideIndexHighlight(currentIndex);
+  }
+
+  persistSlides();
+  commitHistory(historyLabel);
+  return true;
+}
+
 export function removeSlideAt(index, options = {}) {
-  const { focus = true } = options;
+  const { focus = true, historyLabel = 'Delete slide' } = options;
   if (index < 0 || index >= slides.length) return;
 
   cleanupSlideAssetsHook(slides[index]);
 
   slides.splice(index, 1);
   persistSlides();
+  commitHistory(historyLabel);
   slideScrollPositions.delete(index);
   shiftScrollPositions(index + 1, -1);
 
@@ -229,19 +324,23 @@ export function removeSlideAt(index, options = {}) {
 }
 
 export function replaceSlideAt(index, options = {}) {
-  const { focus = true } = options;
+  const { focus = true, historyLabel = 'Edit slide' } = options;
   if (index < 0 || index >= slides.length) return;
 
   const existing = slideElements[index];
   if (!existing || !existing.parentElement) {
     reloadDeck({ targetIndex: index, focus });
     persistSlides();
+    commitHistory(historyLabel);
     return;
   }
 
   const previousScroll = existing.scrollTop;
   slideScrollPositions.set(index, previousScroll);
 
+  // Detached players keep playing, so stop them before the swap.
+  pauseSlideMedia(existing);
+
   const oldPlaceholders = existing.querySelectorAll('.image-placeholder');
   oldPlaceholders.forEach((placeholder) => {
     delete placeholder._imageRef;
@@ -259,6 +358,8 @@ export function replaceSlideAt(index, options = {}) {
 
   const wasActive = index === currentIndex && !isOverview;
   if (wasActive) {
+    // Keep the presenter's place in build steps while the slide is edited.
+    setSlideStep(newSlide, getSlideStep(existing));
     newSlide.classList.add('is-active');
     newSlide.style.visibility = 'visible';
     newSlide.style.pointerEvents = 'auto';
@@ -287,42 +388,113 @@ export function replaceSlideAt(index, options = {}) {
     updateHud();
   }
   persistSlides();
+  commitHistory(historyLabel);
+}
+
+/**
+ * Turn cells pasted from a spreadsheet into table data: fills the current
+ * slide when it is a table, otherwise adds a table slide after it.
+ * @param {string} text - TSV or CSV clipboard text
+ * @param {object} [options] - Passed to clipboardToTable (`headerRows`)
+ * @returns {boolean} True if the deck changed
+ */
+export function pasteTable(text, options = {}) {
+  const table = clipboardToTable(text, options);
+  if (!table) return false;
+
+  const index = isOverview ? overviewCursor : currentIndex;
+  const target = slides[index];
+  if (target?.type === 'table') {
+    slides[index] = applyTableToSlide(target, table);
+    replaceSlideAt(index, { historyLabel: 'Paste table' });
+    showHudStatusHook('📋 Table updated from clipboard', 'success');
+  } else {
+    const template = getSlideTemplate('table');
+    delete template.caption;
+    insertSlideAt(index + 1, applyTableToSlide(template, table), { activate: true, historyLabel: 'Paste table' });
+    showHudStatusHook(`📋 Table slide added (${table.rows.length} rows)`, 'success');
+  }
+  setTimeout(hideHudStatusHook, 1800);
+  return true;
 }
 
-export function downloadDeck(filename) {
+export function downloadDeck(filename, options = {}) {
+  const { slides: exportSlides = slides } = options;
   const currentTheme = getCurrentThemeHook();
-  const deckName = deriveDeckNameHook(slides);
+  const deckName = options.name || deckMeta.title || deriveDeckNameHook(exportSlides);
   
-  const payload = {
-    version: 1,
+  const payload = createDeckEnvelope(exportSlides, {
     meta: {
-      name: deckName,
+      ...getDeckDetails(deckMeta),
+      title: deckName,
       exportedAt: Date.now(),
     },
     theme: currentTheme,
-    slides: slides,
-  };
+  });
 
   const json = JSON.stringify(payload, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
+  saveTextFile(json, filename || `${toFileSlug(deckName)}.json`, 'application/json');
+  showHudStatusHook('💾 Deck downloaded', 'success');
+  setTimeout(hideHudStatusHook, 1600);
+}
+
+/**
+ * Download the deck as Markdown (see markdown-deck.js for the format).
+ * Takes the same options as downloadDeck().
+ */
+export function downloadDeckMarkdown(filename, options = {}) {
+  const { slides: exportSlides = slides } = options;
+  const deckName = options.name || deckMeta.title || deriveDeckNameHook(exportSlides);
+  const markdown = serializeMarkdownDeck(exportSlides, {
+    ...getDeckDetails(deckMeta),
+    title: deckName,
+    theme: getCurrentThemeHook(),
+  });
+
+  saveTextFile(markdown, filename || `${toFileSlug(deckName)}.md`, 'text/markdown');
+  showHudStatusHook('📝 Markdown downloaded', 'success');
+  setTimeout(hideHudStatusHook, 1600);
+}
+
+function toFileSlug(name) {
+  const safeName = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  return safeName || 'slides';
+}
+
+function saveTextFile(text, filename, type) {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
-  
-  // Use provided filename or derive from deck name
-  let finalFilename = filename;
-  if (!finalFilename) {
-    const safeName = deckName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
-    finalFilename = `${safeName || 'slides'}.json`;
-  }
-  
-  link.download = finalFilename;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
-  showHudStatusHook('💾 Deck downloaded', 'success');
-  setTimeout(hideHudStatusHook, 1600);
+}
+
+function isMarkdownFile(file, text) {
+  if (/\.(md|markdown|mdown|txt)$/i.test(file.name)) return true;
+  return !/^\s*[[{]/.test(text);
+}
+
+/**
+ * Read an uploaded deck file (JSON in any deck format, or Markdown).
+ * @param {File} file
+ * @param {string} text - The file's contents
+ * @returns {Promise<{ slides: object[], theme: object|null, meta: object, warnings: string[] }>}
+ *   `warnings` lists Markdown content that no slide could hold
+ */
+export async function readDeckFile(file, text) {
+  if (!isMarkdownFile(file, text)) {
+    const deck = readDeckEnvelope(JSON.parse(text));
+    return { slides: deck.slides, theme: deck.theme, meta: deck.meta, warnings: [] };
+  }
+
+  const { slides: markdownSlides, theme, meta, warnings } = parseMarkdownDeck(text);
+  // Front matter can name a theme file instead of listing tokens.
+  const resolvedTheme = typeof theme === 'string' ? await loadThemeHook(theme) : theme;
+  return { slides: markdownSlides, theme: resolvedTheme, meta, warnings };
 }
 
 export function handleDeckUpload(event) {
@@ -330,27 +502,21 @@ export function handleDeckUpload(event) {
   if (!file) return;
 
   const reader = new FileReader();
-  reader.onload = (e) => {
+  reader.onload = async (e) => {
     try {
-      const parsed = JSON.parse(e.target.result);
-      let newSlides = null;
-      let theme = null;
-
-      if (Array.isArray(parsed)) {
-        newSlides = parsed;
-      } else if (parsed && typeof parsed === 'object') {
-        newSlides = Array.isArray(parsed.slides) ? parsed.slides : null;
-        theme = parsed.theme;
-      }
+      const { slides: newSlides, theme, meta, warnings } = await readDeckFile(file, e.target.result);
 
       if (!newSlides) {
-        throw new Error('File must contain a JSON array of slides.');
+        throw new Error('File must contain a JSON array of slides or a Markdown deck.');
       }
 
       validateSlides(newSlides);
 
       cleanupAllSlideAssetsHook();
       setSlides(newSlides);
+      // Keep this deck's id and star; the details come from the file.
+      const { deckId, starred, createdAt } = deckMeta;
+      setDeckMeta(normalizeDeckMeta({ ...getDeckDetails(meta), deckId, starred, createdAt }));
       
       if (theme) {
         applyThemeHook(theme);
@@ -359,8 +525,13 @@ export function handleDeckUpload(event) {
 
       reloadDeck({ targetIndex: 0 });
       const persisted = persistSlides();
+      commitHistory('Upload deck');
 
-      if (persisted) {
+      if (warnings.length) {
+        console.warn('Markdown import left content out:', warnings);
+        showHudStatusHook(`⚠️ Loaded ${newSlides.length} slides. ${warnings.join('. ')}`, 'warning');
+        setTimeout(hideHudStatusHook, 6000);
+      } else if (await persisted) {
         showHudStatusHook(`📂 Loaded ${newSlides.length} slides`, 'success');
         setTimeout(hideHudStatusHook, 1600);
       }
@@ -375,8 +546,29 @@ export function handleDeckUpload(event) {
   event.target.value = '';
 }
 
+/**
+ * Swap in a deck snapshot from the undo/redo history.
+ * History bookkeeping is handled by history.js, so this does not commit.
+ */
+export function restoreDeckSnapshot(snapshot = {}) {
+  const { slides: nextSlides, theme, index = currentIndex } = snapshot;
+  if (!Array.isArray(nextSlides)) return;
+
+  setSlides(nextSlides);
+  retainSlideAssetsHook(nextSlides);
+
+  if (theme) {
+    applyThemeHook(theme);
+    setCurrentThemeHook(theme, { source: '__history__' });
+  }
+
+  reloadDeck({ targetIndex: index });
+  persistSlides();
+}
+
 export function reloadDeck(options = {}) {
   const { targetIndex = currentIndex, focus = true } = options;
+  pauseSlideMedia(slidesRoot);
   slidesRoot.innerHTML = '';
   slideScrollPositions.clear();
 
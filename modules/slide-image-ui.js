@@ -15,6 +15,7 @@
 
 import { formatBytes, escapeHtml, deepClone } from './utils.js';
 import { collectImagePaths, collectSlideImages, getContainerAtPath } from './image-utils.js';
+import { createCanvasElementData } from './canvas-layout.js';
 
 function cloneSlide(slide) {
   return deepClone(slide);
@@ -359,6 +360,11 @@ function addImageToSlide(slide, imageData) {
     updatedSlide.items.push({ image: imageData });
   } else if (type === 'pillars' && Array.isArray(updatedSlide.pillars)) {
     updatedSlide.pillars.push({ image: imageData });
+  } else if (type === 'canvas') {
+    updatedSlide.elements = [
+      ...(Array.isArray(updatedSlide.elements) ? updatedSlide.elements : []),
+      { ...createCanvasElementData('image'), image: imageData },
+    ];
   } else if (type === 'split') {
     // Add to left if empty, otherwise right
     if (!updatedSlide.left) updatedSlide.left = {};
@@ -1,3 +1,5 @@
+import { initPointerReorder } from './slide-reorder.js';
+
 const FOCUSABLE_SELECTORS = [
   'a[href]',
   'area[href]',
@@ -11,6 +13,7 @@ const FOCUSABLE_SELECTORS = [
 let getSlides = () => [];
 let getCurrentIndex = () => 0;
 let setActiveSlide = () => {};
+let moveSlide = (_fromIndex, _toIndex) => false;
 
 let panel = null;
 let panelContent = null;
@@ -19,10 +22,11 @@ let entries = [];
 let isOpen = false;
 let previousFocus = null;
 
-export function initSlideIndex({ getSlides: gs, getCurrentIndex: gci, setActiveSlide: sas }) {
+export function initSlideIndex({ getSlides: gs, getCurrentIndex: gci, setActiveSlide: sas, moveSlide: ms }) {
   getSlides = typeof gs === 'function' ? gs : getSlides;
   getCurrentIndex = typeof gci === 'function' ? gci : getCurrentIndex;
   setActiveSlide = typeof sas === 'function' ? sas : setActiveSlide;
+  moveSlide = typeof ms === 'function' ? ms : moveSlide;
   ensurePanel();
 }
 
@@ -48,6 +52,12 @@ export function refreshSlideIndex() {
     item.className = 'slide-index__item';
     item.dataset.slideIndex = String(index);
 
+    const handle = document.createElement('span');
+    handle.className = 'slide-index__handle';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.title = 'Drag to reorder (or Alt+↑/↓)';
+    handle.textContent = '⋮⋮';
+
     const button = document.createElement('button');
     button.type = 'button';
     button.className = 'slide-index__button';
@@ -66,7 +76,7 @@ export function refreshSlideIndex() {
       setActiveSlide(index);
     });
 
-    item.appendChild(button);
+    item.append(handle, button);
     listEl.appendChild(item);
   });
 
@@ -136,11 +146,29 @@ function handleKeydown(event) {
     closeSlideIndex();
     return;
   }
+  if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+    const item = document.activeElement?.closest?.('.slide-index__item');
+    if (!item || !listEl?.contains(item)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const fromIndex = Number.parseInt(item.dataset.slideIndex, 10);
+    const toIndex = fromIndex + (event.key === 'ArrowUp' ? -1 : 1);
+    if (toIndex < 0 || toIndex >= entries.length) return;
+    moveIndexEntry(fromIndex, toIndex);
+    return;
+  }
   if (event.key === 'Tab') {
     trapFocus(event, panelContent);
   }
 }
 
+function moveIndexEntry(fromIndex, toIndex) {
+  if (!moveSlide(fromIndex, toIndex)) return;
+  const movedButton = listEl?.querySelector(`.slide-index__item[data-slide-index="${toIndex}"] button`);
+  movedButton?.focus({ preventScroll: true });
+  movedButton?.scrollIntoView({ block: 'nearest' });
+}
+
 function ensurePanel() {
   if (panel) return;
 
@@ -186,6 +214,14 @@ function ensurePanel() {
   panel.append(backdrop, panelContent);
   document.body.appendChild(panel);
 
+  initPointerReorder({
+    container: listEl,
+    itemSelector: '.slide-index__item',
+    handleSelector: '.slide-index__handle',
+    getIndex: (item) => Number.parseInt(item.dataset.slideIndex, 10),
+    onDrop: moveIndexEntry,
+  });
+
   panel.addEventListener('click', (event) => {
     const target = event.target;
     if (target instanceof HTMLElement && target.dataset.indexClose === 'true') {
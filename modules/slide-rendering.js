@@ -2,8 +2,18 @@ import { debug } from './constants.js';
 import { autoLinkConfigs } from './state.js';
 import { slidesRoot } from './dom-refs.js';
 import { createImage, createImagePlaceholder, normalizeOrientation, generateGraphImage } from './image-render.js';
+import { createChart } from './chart-render.js';
+import { createDiagram } from './diagram-render.js';
+import { createMedia } from './media-render.js';
+import { normalizeTableHeader, TABLE_ALIGNMENTS } from './table-data.js';
+import { TIMELINE_STATUSES, resolveTimelineToday, locateTimelineToday } from './timeline-data.js';
+import { CANVAS_SHAPES, getCanvasBox, applyCanvasBox, resolveCanvasColor } from './canvas-layout.js';
+import { tokenizeCode, parseLineRanges, getLanguageLabel } from './code-highlight.js';
 import { escapeHtml } from './utils.js';
+import { renderInlineMarkdown, renderBlockMarkdown, hasBlockMarkdown } from './rich-text.js';
 import { navigateToDeckHome } from './navigation.js';
+import { applyBuildSteps } from './slide-steps.js';
+import { typesetMath } from './math-render.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // Slide Rendering Module
@@ -70,6 +80,14 @@ export const renderers = {
     typeface: renderTypefaceSlide,
     image: renderImageSlide,
     graph: renderGraphSlide,
+    chart: renderChartSlide,
+    code: renderCodeSlide,
+    diagram: renderDiagramSlide,
+    table: renderTableSlide,
+    timeline: renderTimelineSlide,
+    canvas: renderCanvasSlide,
+    video: renderMediaSlide,
+    audio: renderMediaSlide,
 };
 
 export function createSlide(slide, index, rendererMap = renderers) {
@@ -98,6 +116,8 @@ export function createSlide(slide, index, rendererMap = renderers) {
 
     const renderer = rendererMap[type] ?? renderStandardSlide;
     renderer(section, slide);
+    applyBuildSteps(section, slide.build);
+    typesetMath(section);
 
     const directBadge = Array.from(section.children).some((child) =>
         child.classList?.contains('badge')
@@ -150,19 +170,21 @@ export function createSlide(slide, index, rendererMap = renderers) {
     return section;
 }
 
-function resolveFontFamily(font) {
-    const presets = {
-        sans: '"Inter", "Helvetica Neue", Arial, sans-serif',
-        mono: '"Space Mono", "IBM Plex Mono", monospace',
-        grotesk: '"Space Grotesk", sans-serif',
-        jetbrains: '"JetBrains Mono", monospace',
-        pixel: '"Press Start 2P", monospace',
-    };
+const FONT_PRESETS = {
+    sans: '"Inter", "Helvetica Neue", Arial, sans-serif',
+    mono: '"Space Mono", "IBM Plex Mono", monospace',
+    grotesk: '"Space Grotesk", sans-serif',
+    jetbrains: '"JetBrains Mono", monospace',
+    pixel: '"Press Start 2P", monospace',
+};
 
+export const FONT_PRESET_NAMES = Object.keys(FONT_PRESETS);
+
+function resolveFontFamily(font) {
     // Check if it's a preset
     const lowerFont = font.toLowerCase();
-    if (presets[lowerFont]) {
-        return presets[lowerFont];
+    if (FONT_PRESETS[lowerFont]) {
+        return FONT_PRESETS[lowerFont];
     }
 
     // Otherwise use as custom font (wrap in quotes if not already)
@@ -184,6 +206,7 @@ export function renderTitleSlide(section, slide) {
     if (slide.title) {
         const title = document.createElement('h1');
         title.textContent = slide.title;
+        markEditable(title, 'title');
         section.appendChild(title);
     }
 
@@ -191,6 +214,7 @@ export function renderTitleSlide(section, slide) {
         const subtitle = document.createElement('p');
         subtitle.className = 'title__subtitle';
         setRichContent(subtitle, slide.subtitle);
+        markEditable(subtitle, 'subtitle');
         section.appendChild(subtitle);
     }
 
@@ -215,10 +239,11 @@ export function renderStandardSlide(section, slide) {
     if (slide.headline) {
         const headline = document.createElement('h2');
         setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
         textGroup.appendChild(headline);
     }
 
-    appendBody(textGroup, slide.body);
+    appendBody(textGroup, slide.body, 'body');
 
     if (textGroup.childNodes.length > 0) {
         section.appendChild(textGroup);
@@ -262,6 +287,7 @@ export function renderImageSlide(section, slide) {
         const caption = document.createElement('div');
         caption.className = 'slide__image-caption';
         setRichContent(caption, slide.caption);
+        markEditable(caption, 'caption');
         wrapper.appendChild(caption);
     }
 
@@ -277,12 +303,16 @@ export function renderQuoteSlide(section, slide) {
     const quoteText = slide.quote ?? slide.headline ?? '';
     const quote = document.createElement('blockquote');
     setRichContent(quote, quoteText);
+    markEditable(quote, slide.quote != null ? 'quote' : 'headline');
     section.appendChild(quote);
 
     const attributionText = slide.attribution ?? slide.body;
     if (attributionText) {
         const cite = document.createElement('cite');
         setRichContent(cite, attributionText);
+        if (typeof attributionText === 'string') {
+            markEditable(cite, slide.attribution != null ? 'attribution' : 'body');
+        }
         section.appendChild(cite);
     }
 }
@@ -304,8 +334,8 @@ export function renderSplitSlide(section, slide) {
     const rightColumn = document.createElement('div');
     rightColumn.className = 'slide__column slide__column--right';
 
-    renderColumn(leftColumn, slide.left);
-    renderColumn(rightColumn, slide.right);
+    renderColumn(leftColumn, slide.left, 'left');
+    renderColumn(rightColumn, slide.right, 'right');
 
     section.append(leftColumn, rightColumn);
 }
@@ -316,16 +346,17 @@ export function renderGridSlide(section, slide) {
     if (slide.headline) {
         const headline = document.createElement('h2');
         setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
         section.appendChild(headline);
     }
 
-    appendBody(section, slide.body);
+    appendBody(section, slide.body, 'body');
 
     if (Array.isArray(slide.items)) {
         const grid = document.createElement('div');
         grid.className = 'grid';
 
-        slide.items.forEach((item) => {
+        slide.items.forEach((item, index) => {
             const figure = document.createElement('figure');
             if (item.image) {
                 figure.appendChild(createImage(item.image));
@@ -336,8 +367,10 @@ export function renderGridSlide(section, slide) {
             if (item.label) {
                 const caption = document.createElement('figcaption');
                 setRichContent(caption, item.label);
+                markEditable(caption, `items.${index}.label`);
                 figure.appendChild(caption);
             }
+            markBuildItem(figure, 'item', item.step);
             grid.appendChild(figure);
         });
 
@@ -355,10 +388,11 @@ export function renderPillarsSlide(section, slide) {
     if (slide.headline) {
         const headline = document.createElement('h2');
         setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
         section.appendChild(headline);
     }
 
-    appendBody(section, slide.body);
+    appendBody(section, slide.body, 'body');
 
     if (slide.image) {
         section.appendChild(createImage(slide.image));
@@ -368,7 +402,7 @@ export function renderPillarsSlide(section, slide) {
         const wrapper = document.createElement('div');
         wrapper.className = 'pillars';
 
-        slide.pillars.forEach((pillar) => {
+        slide.pillars.forEach((pillar, index) => {
             const card = document.createElement('article');
             card.className = 'pillar';
 
@@ -384,26 +418,25 @@ export function renderPillarsSlide(section, slide) {
             if (pillar.title) {
                 const heading = document.createElement('h3');
                 setRichContent(heading, pillar.title);
+                markEditable(heading, `pillars.${index}.title`);
                 card.appendChild(heading);
             }
 
-            const pillarCopy =
-                pillar.copy ??
-                pillar.text ??
-                pillar.body ??
-                pillar.description ??
-                null;
+            const copyField = ['copy', 'text', 'body', 'description'].find((field) => pillar[field] != null);
+            const pillarCopy = copyField ? pillar[copyField] : null;
 
             if (pillarCopy) {
                 const copyLines = Array.isArray(pillarCopy) ? pillarCopy : [pillarCopy];
-                copyLines.forEach((line) => {
+                copyLines.forEach((line, lineIndex) => {
                     if (!line) return;
-                    const text = document.createElement('p');
-                    setRichContent(text, line);
-                    card.appendChild(text);
+                    const copy = createRichTextElement(line);
+                    const copyPath = `pillars.${index}.${copyField}`;
+                    markEditable(copy, Array.isArray(pillarCopy) ? `${copyPath}.${lineIndex}` : copyPath);
+                    card.appendChild(copy);
                 });
             }
 
+            markBuildItem(card, 'item', pillar.step);
             wrapper.appendChild(card);
         });
 
@@ -421,16 +454,17 @@ export function renderGallerySlide(section, slide) {
     if (slide.headline) {
         const headline = document.createElement('h2');
         setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
         section.appendChild(headline);
     }
 
-    appendBody(section, slide.body);
+    appendBody(section, slide.body, 'body');
 
     if (Array.isArray(slide.items)) {
         const gallery = document.createElement('div');
         gallery.className = 'gallery';
 
-        slide.items.forEach((item) => {
+        slide.items.forEach((item, index) => {
             const card = document.createElement('article');
             card.className = 'gallery__item';
 
@@ -444,6 +478,7 @@ export function renderGallerySlide(section, slide) {
                 const label = document.createElement('span');
                 label.className = 'gallery__label';
                 setRichContent(label, item.label);
+                markEditable(label, `items.${index}.label`);
                 card.appendChild(label);
             }
 
@@ -451,13 +486,11 @@ export function renderGallerySlide(section, slide) {
                 const copyLines = Array.isArray(item.copy) ? item.copy : [item.copy];
                 copyLines.forEach((line) => {
                     if (!line) return;
-                    const text = document.createElement('p');
-                    text.className = 'gallery__copy';
-                    setRichContent(text, line);
-                    card.appendChild(text);
+                    card.appendChild(createRichTextElement(line, 'gallery__copy'));
                 });
             }
 
+            markBuildItem(card, 'item', item.step);
             gallery.appendChild(card);
         });
 
@@ -520,12 +553,481 @@ export function renderGraphSlide(section, slide) {
     return section;
 }
 
+export function renderChartSlide(section, slide) {
+    const content = document.createElement('div');
+    content.className = 'slide__chart';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+    content.appendChild(createChart(slide));
+    section.appendChild(content);
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+export function renderCodeSlide(section, slide) {
+    const content = document.createElement('div');
+    content.className = 'slide__code';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+
+    const source = Array.isArray(slide.code) ? slide.code.join('\n') : (slide.code ?? '');
+    const startLine = Number.isInteger(slide.startLine) ? slide.startLine : 1;
+    const highlighted = parseLineRanges(slide.highlight);
+    // Each entry in `steps` is a line range focused on one press of the next key.
+    const steps = (Array.isArray(slide.steps) ? slide.steps : [])
+        .map(parseLineRanges)
+        .filter((lines) => lines.size > 0);
+
+    const block = document.createElement('figure');
+    block.className = 'code-block';
+    if (slide.lineNumbers === false) {
+        block.classList.add('code-block--no-numbers');
+    }
+
+    if (slide.language) {
+        const language = document.createElement('span');
+        language.className = 'code-block__language';
+        language.textContent = getLanguageLabel(slide.language);
+        block.appendChild(language);
+    }
+
+    const pre = document.createElement('pre');
+    pre.className = 'code-block__body';
+    const code = document.createElement('code');
+
+    tokenizeCode(source, slide.language).forEach((tokens, index) => {
+        const lineNumber = startLine + index;
+        const line = document.createElement('span');
+        line.className = 'code-line';
+        line.dataset.line = String(lineNumber);
+        if (highlighted.has(lineNumber)) {
+            line.classList.add('is-highlighted');
+        }
+
+        const focusSteps = steps
+            .map((lines, stepIndex) => (lines.has(lineNumber) ? stepIndex + 1 : null))
+            .filter(Boolean);
+        if (focusSteps.length) {
+            line.dataset.focusSteps = focusSteps.join(' ');
+        }
+
+        tokens.forEach(({ type, text }) => {
+            if (!type) {
+                line.appendChild(document.createTextNode(text));
+                return;
+            }
+            const token = document.createElement('span');
+            token.className = `code-token code-token--${type}`;
+            token.textContent = text;
+            line.appendChild(token);
+        });
+        code.appendChild(line);
+    });
+
+    pre.appendChild(code);
+    block.appendChild(pre);
+
+    if (slide.caption) {
+        const caption = document.createElement('figcaption');
+        caption.className = 'code-block__caption';
+        setRichContent(caption, slide.caption);
+        block.appendChild(caption);
+    }
+
+    content.appendChild(block);
+    section.appendChild(content);
+
+    if (steps.length) {
+        section.dataset.steps = String(steps.length);
+    }
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+export function renderDiagramSlide(section, slide) {
+    const content = document.createElement('div');
+    content.className = 'slide__diagram';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+    content.appendChild(createDiagram(slide));
+    section.appendChild(content);
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+export function renderTableSlide(section, slide) {
+    const content = document.createElement('div');
+    content.className = 'slide__table';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+
+    const block = document.createElement('figure');
+    block.className = 'table-block';
+
+    const scroller = document.createElement('div');
+    scroller.className = 'table-block__scroll';
+
+    const table = document.createElement('table');
+    table.className = 'table';
+    if (slide.striped !== false) {
+        table.classList.add('table--striped');
+    }
+
+    const align = Array.isArray(slide.align) ? slide.align : [];
+    const headerRows = normalizeTableHeader(slide.header);
+    if (headerRows.length) {
+        const thead = document.createElement('thead');
+        headerRows.forEach((cells, rowIndex) => {
+            // Upper header rows group columns: blank cells (merged cells in a
+            // spreadsheet) widen the group to their left.
+            const isGroupRow = rowIndex < headerRows.length - 1;
+            thead.appendChild(createTableRow(cells, align, () => 'col', isGroupRow));
+        });
+        table.appendChild(thead);
+    }
+
+    const tbody = document.createElement('tbody');
+    (Array.isArray(slide.rows) ? slide.rows : []).forEach((cells) => {
+        if (!Array.isArray(cells)) return;
+        const row = createTableRow(cells, align, (column) => (slide.rowHeaders && column === 0 ? 'row' : null));
+        // `build: "items"` reveals the table a row at a time.
+        markBuildItem(row, 'item');
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    scroller.appendChild(table);
+    block.appendChild(scroller);
+
+    if (slide.caption) {
+        const caption = document.createElement('figcaption');
+        caption.className = 'table-block__caption';
+        setRichContent(caption, slide.caption);
+        block.appendChild(caption);
+    }
+
+    content.appendChild(block);
+    section.appendChild(content);
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+function createTableRow(cells, align, getHeaderScope, mergeBlankCells = false) {
+    const row = document.createElement('tr');
+    cells.forEach((value, column) => {
+        const previous = row.lastElementChild;
+        if (mergeBlankCells && previous && (value == null || value === '')) {
+            previous.colSpan += 1;
+            previous.scope = 'colgroup';
+            return;
+        }
+
+        const scope = getHeaderScope(column);
+        const cell = document.createElement(scope ? 'th' : 'td');
+        if (scope) {
+            cell.scope = scope;
+        }
+        if (TABLE_ALIGNMENTS.includes(align[column]) && align[column] !== 'left') {
+            cell.classList.add(`table__cell--${align[column]}`);
+        }
+        setRichContent(cell, value == null ? '' : String(value));
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+const TIMELINE_STATUS_LABELS = { done: 'Done', active: 'In progress', planned: 'Planned' };
+
+export function renderTimelineSlide(section, slide) {
+    const content = document.createElement('div');
+    content.className = 'slide__timeline';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+
+    const milestones = Array.isArray(slide.milestones) ? slide.milestones.filter(Boolean) : [];
+    const orientation = slide.orientation === 'vertical' ? 'vertical' : 'horizontal';
+    const timeline = document.createElement('div');
+    timeline.className = `timeline timeline--${orientation}`;
+
+    const list = document.createElement('ol');
+    list.className = 'timeline__list';
+
+    milestones.forEach((milestone) => {
+        const item = document.createElement('li');
+        item.className = 'timeline__item';
+        const status = TIMELINE_STATUSES.includes(milestone.status) ? milestone.status : null;
+        if (status) {
+            item.classList.add(`timeline__item--${status}`);
+        }
+
+        const date = document.createElement('span');
+        date.className = 'timeline__date';
+        setRichContent(date, milestone.date == null ? '' : String(milestone.date));
+
+        const axis = document.createElement('span');
+        axis.className = 'timeline__axis';
+        const dot = document.createElement('span');
+        dot.className = 'timeline__dot';
+        if (status) {
+            dot.setAttribute('role', 'img');
+            dot.setAttribute('aria-label', TIMELINE_STATUS_LABELS[status]);
+            dot.title = TIMELINE_STATUS_LABELS[status];
+        }
+        axis.appendChild(dot);
+
+        const body = document.createElement('div');
+        body.className = 'timeline__content';
+        if (milestone.label) {
+            const label = document.createElement('h3');
+            label.className = 'timeline__label';
+            setRichContent(label, milestone.label);
+            body.appendChild(label);
+        }
+        const copy = milestone.copy ?? milestone.body;
+        (Array.isArray(copy) ? copy : [copy]).forEach((line) => {
+            if (line) body.appendChild(createRichTextElement(line, 'timeline__copy'));
+        });
+
+        item.append(date, axis, body);
+        markBuildItem(item, 'item', milestone.step);
+        list.appendChild(item);
+    });
+
+    // The track scrolls sideways when horizontal milestones run out of room.
+    const track = document.createElement('div');
+    track.className = 'timeline__track';
+    track.style.setProperty('--timeline-count', String(Math.max(milestones.length, 1)));
+    track.appendChild(list);
+    timeline.appendChild(track);
+
+    const todayPosition = slide.today
+        ? locateTimelineToday(milestones, resolveTimelineToday(slide.today))
+        : null;
+    if (todayPosition !== null) {
+        timeline.classList.add('timeline--has-today');
+        appendTimelineToday(track, list, orientation, todayPosition, milestones.length, slide.todayLabel);
+    }
+
+    content.appendChild(timeline);
+
+    if (slide.caption) {
+        const caption = document.createElement('div');
+        caption.className = 'timeline__caption';
+        setRichContent(caption, slide.caption);
+        content.appendChild(caption);
+    }
+
+    section.appendChild(content);
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+function appendTimelineToday(track, list, orientation, position, count, labelText = 'Today') {
+    const label = document.createElement('span');
+    label.className = 'timeline__today-label';
+    setRichContent(label, labelText);
+
+    if (orientation === 'vertical') {
+        // Vertical milestones have their own heights, so the marker sits in the
+        // flow between the two milestones around today.
+        const marker = document.createElement('li');
+        marker.className = 'timeline__today';
+        const axis = document.createElement('span');
+        axis.className = 'timeline__axis';
+        const rule = document.createElement('span');
+        rule.className = 'timeline__today-rule';
+        marker.append(label, axis, rule);
+        list.insertBefore(marker, list.children[Math.floor(position) + 1] ?? null);
+        return;
+    }
+
+    // Horizontal milestones share the width equally; milestone i is centred at (i + 0.5) / count.
+    const marker = document.createElement('div');
+    marker.className = 'timeline__today';
+    marker.style.left = `${((position + 0.5) / count) * 100}%`;
+    marker.appendChild(label);
+    track.appendChild(marker);
+}
+
+export function renderCanvasSlide(section, slide) {
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        section.appendChild(headline);
+    }
+
+    const canvas = document.createElement('div');
+    canvas.className = 'canvas';
+
+    (Array.isArray(slide.elements) ? slide.elements : []).forEach((element, index) => {
+        if (!element || typeof element !== 'object') return;
+        canvas.appendChild(createCanvasNode(element, index));
+    });
+
+    section.appendChild(canvas);
+
+    if (slide.footnote) {
+        section.appendChild(createFootnote(slide.footnote));
+    }
+}
+
+/**
+ * One positioned canvas element. canvas-editor.js finds it again by
+ * `data-canvas-index`, the element's position in `slide.elements`.
+ */
+function createCanvasNode(element, index) {
+    const type = element.type ?? 'text';
+    const node = document.createElement('div');
+    node.className = `canvas__element canvas__element--${type}`;
+    node.dataset.canvasIndex = String(index);
+
+    const body = document.createElement('div');
+    body.className = 'canvas__body';
+    node.appendChild(body);
+
+    const color = resolveCanvasColor(element.color);
+    if (color) {
+        body.style.setProperty('--canvas-color', color);
+    }
+    const fill = resolveCanvasColor(element.fill);
+    if (fill) {
+        body.style.setProperty('--canvas-fill', fill);
+    }
+
+    if (type === 'image') {
+        const image = createImage(element.image ?? {}, 'canvas__image');
+        if (element.fit && image.tagName === 'IMG') {
+            image.style.objectFit = element.fit;
+        }
+        body.appendChild(image);
+    } else if (type === 'shape') {
+        const shape = CANVAS_SHAPES.includes(element.shape) ? element.shape : 'rect';
+        body.classList.add('canvas__shape', `canvas__shape--${shape}`);
+        if (shape === 'triangle') {
+            // Borders can't follow a clip-path, so the triangle is drawn as SVG.
+            body.insertAdjacentHTML('beforeend', '<svg class="canvas__triangle" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true"><polygon points="50,2 98,98 2,98" vector-effect="non-scaling-stroke"/></svg>');
+        }
+        if (element.text) {
+            body.appendChild(createCanvasText(element, index));
+        }
+    } else if (type === 'arrow') {
+        const head = element.head ?? 'end';
+        body.classList.add('canvas__arrow', `canvas__arrow--${head}`);
+        if (Number.isFinite(Number(element.thickness))) {
+            body.style.setProperty('--canvas-stroke', `${Number(element.thickness)}cqh`);
+        }
+        const line = document.createElement('span');
+        line.className = 'canvas__arrow-line';
+        body.appendChild(line);
+        ['start', 'end'].forEach((end) => {
+            if (head !== end && head !== 'both') return;
+            const tip = document.createElement('span');
+            tip.className = `canvas__arrow-head canvas__arrow-head--${end}`;
+            body.appendChild(tip);
+        });
+    } else {
+        body.appendChild(createCanvasText(element, index));
+    }
+
+    applyCanvasBox(node, getCanvasBox(element));
+    markBuildItem(node, 'item', element.step);
+    return node;
+}
+
+function createCanvasText(element, index) {
+    const isBlock = hasBlockMarkdown(element.text);
+    const text = document.createElement('div');
+    text.className = `canvas__text${isBlock ? ' rich-text' : ''}`;
+    setRichContent(text, element.text ?? '', { block: isBlock });
+    markEditable(text, `elements.${index}.text`);
+    // `size` is a percentage of the canvas height, so text scales with the slide.
+    if (Number.isFinite(Number(element.size)) && element.size !== '') {
+        text.style.fontSize = `${Number(element.size)}cqh`;
+    }
+    if (['left', 'center', 'right'].includes(element.align)) {
+        text.style.textAlign = element.align;
+    }
+    return text;
+}
+
+export function renderMediaSlide(section, slide) {
+    const kind = slide.type === 'audio' ? 'audio' : 'video';
+    const content = document.createElement('div');
+    content.className = 'slide__media-content';
+
+    if (slide.headline) {
+        const headline = document.createElement('h2');
+        setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
+        content.appendChild(headline);
+    }
+
+    appendBody(content, slide.body, 'body');
+    content.appendChild(createMedia(slide[kind], kind));
+
+    if (slide.caption) {
+        const caption = document.createElement('div');
+        caption.className = 'slide__media-caption';
+        setRichContent(caption, slide.caption);
+        content.appendChild(caption);
+    }
+
+    section.appendChild(content);
+}
+
 export function renderTypefaceSlide(section, slide) {
     section.classList.add('slide--typeface');
 
     if (slide.headline) {
         const headline = document.createElement('h2');
         setRichContent(headline, slide.headline);
+        markEditable(headline, 'headline');
         section.appendChild(headline);
     }
 
@@ -572,7 +1074,7 @@ export function renderTypefaceSlide(section, slide) {
         section.appendChild(wrapper);
     }
 
-    appendBody(section, slide.body);
+    appendBody(section, slide.body, 'body');
 
     if (slide.footnote) {
         section.appendChild(createFootnote(slide.footnote));
@@ -583,7 +1085,7 @@ export function renderTypefaceSlide(section, slide) {
 // Helpers
 // ═══════════════════════════════════════════════════════════════════════════
 
-export function renderColumn(column, data = {}) {
+export function renderColumn(column, data = {}, path = null) {
     if (!data) return;
     const imageNode = data.image ? createImage(data.image) : null;
     const imageFirst = Boolean(data.imageFirst || data.imagePosition === 'top');
@@ -594,6 +1096,7 @@ export function renderColumn(column, data = {}) {
     if (data.headline) {
         const headline = document.createElement('h3');
         setRichContent(headline, data.headline);
+        markEditable(headline, path && `${path}.headline`);
         column.appendChild(headline);
     }
 
@@ -601,7 +1104,7 @@ export function renderColumn(column, data = {}) {
         column.appendChild(imageNode);
     }
 
-    appendBody(column, data.body);
+    appendBody(column, data.body, path && `${path}.body`);
 
     if (!imageFirst && imageNode) {
         column.appendChild(imageNode);
@@ -612,22 +1115,47 @@ export function renderColumn(column, data = {}) {
     }
 }
 
-export function appendBody(container, body) {
+/**
+ * @param {HTMLElement} container
+ * @param {string|string[]} body
+ * @param {string|null} [path] - JSON path of `body`, for inline editing
+ */
+export function appendBody(container, body, path = null) {
     if (!body) return;
     const copy = Array.isArray(body) ? body : [body];
-    copy.forEach((text) => {
+    copy.forEach((text, index) => {
         if (!text) return;
+        const itemPath = path && (Array.isArray(body) ? `${path}.${index}` : path);
         const quoteElement = maybeCreateQuoteElement(text);
         if (quoteElement) {
+            markBuildItem(quoteElement, 'bullet');
+            markEditable(quoteElement, itemPath);
             container.appendChild(quoteElement);
             return;
         }
-        const paragraph = document.createElement('p');
-        setRichContent(paragraph, text);
+        const paragraph = createRichTextElement(text);
+        markBuildItem(paragraph, 'bullet');
+        markEditable(paragraph, itemPath);
         container.appendChild(paragraph);
     });
 }
 
+// Candidates for incremental reveal; see applyBuildSteps() in slide-steps.js.
+function markBuildItem(element, kind, step) {
+    element.dataset.buildItem = kind;
+    if (Number.isInteger(step) && step > 0) {
+        element.dataset.buildStep = String(step);
+    }
+}
+
+// Maps rendered text back to its slide JSON field for inline-edit.js
+// (dotted path, e.g. "left.body.2").
+function markEditable(element, path) {
+    if (path) {
+        element.dataset.editPath = path;
+    }
+}
+
 export function createBadge(label) {
     const badge = document.createElement('span');
     badge.className = 'badge';
@@ -667,54 +1195,30 @@ export function createColorBlock(item, className = 'gallery__color') {
     return block;
 }
 
-export function setRichContent(element, html) {
+/**
+ * @param {HTMLElement} element
+ * @param {string} html - Markdown source (escaped before rendering)
+ * @param {{ block?: boolean }} [options] - Allow block-level Markdown (lists, headings, quotes)
+ */
+export function setRichContent(element, html, options = {}) {
     if (html == null) return;
-    element.innerHTML = parseMarkdown(html);
+    element.innerHTML = options.block ? renderBlockMarkdown(html) : renderInlineMarkdown(html);
     applyAutoLinksToElement(element);
 }
 
-function parseMarkdown(text) {
-    if (typeof text !== 'string') return text;
-
-    let safe = escapeHtml(text);
-
-    safe = safe
-        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-        .replace(/__(.+?)__/g, '<strong>$1</strong>')
-        .replace(/(?<!\w)\*([^*]+?)\*(?!\w)/g, '<em>$1</em>')
-        .replace(/(?<!\w)_([^_]+?)_(?!\w)/g, '<em>$1</em>')
-        .replace(/`([^`]+)`/g, '<code>$1</code>');
-
-    safe = safe.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-        const sanitizedUrl = sanitizeUrl(url);
-        if (!sanitizedUrl) {
-            return linkText;
-        }
-        return `<a href="${sanitizedUrl}" rel="noopener noreferrer">${linkText}</a>`;
-    });
-
-    return safe;
-}
-
-function sanitizeUrl(url) {
-    if (!url || typeof url !== 'string') return null;
-
-    const trimmed = url.trim();
-    if (!trimmed) return null;
-
-    try {
-        const parsed = new URL(trimmed, window.location.href);
-        const safeProtocols = ['http:', 'https:', 'mailto:', 'tel:'];
-        if (safeProtocols.includes(parsed.protocol)) {
-            return parsed.href;
-        }
-        return null;
-  } catch (_error) {
-        if (trimmed.startsWith('/') || trimmed.startsWith('./') || trimmed.startsWith('../')) {
-            return trimmed;
-        }
-        return null;
-    }
+/**
+ * Paragraph for body/copy text, or a `.rich-text` block when the text uses
+ * block-level Markdown.
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+export function createRichTextElement(text, className = '') {
+    const isBlock = hasBlockMarkdown(text);
+    const element = document.createElement(isBlock ? 'div' : 'p');
+    element.className = [isBlock ? 'rich-text' : '', className].filter(Boolean).join(' ');
+    setRichContent(element, text, { block: isBlock });
+    return element;
 }
 
 function maybeCreateQuoteElement(raw) {
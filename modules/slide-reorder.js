@@ -0,0 +1,233 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Slide Reorder Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Pointer-driven drag-and-drop reordering shared by overview mode and the
+// slide index.
+// - Mouse/pen drags start after a small movement threshold
+// - Touch drags start after a long press so normal swipes still scroll
+// - Shows before/after drop markers and auto-scrolls near container edges
+//
+// The caller decides what a move means via onDrop(fromIndex, toIndex); both
+// are deck indices (via getIndex) and toIndex is the moved item's final slot.
+//
+// Dependencies: None
+// Used by: main.js (overview), slide-index.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DRAG_THRESHOLD_PX = 8;
+const LONG_PRESS_MS = 350;
+const EDGE_SCROLL_PX = 64;
+const EDGE_SCROLL_STEP = 18;
+
+/**
+ * Wire pointer drag-and-drop reordering onto a container.
+ * @param {object} options
+ * @param {HTMLElement} options.container - Element holding the items (also scrolled near edges)
+ * @param {string} options.itemSelector - Selector for draggable items
+ * @param {string} [options.handleSelector] - Optional selector limiting where drags may start
+ * @param {(item: HTMLElement) => number} options.getIndex - Resolve an item's deck index
+ * @param {(fromIndex: number, toIndex: number) => void} options.onDrop
+ * @param {() => boolean} [options.isEnabled] - Gate drags (e.g. only in overview)
+ * @param {() => 'x'|'y'} [options.getAxis] - Main axis of the list
+ * @returns {() => void} Teardown function
+ */
+export function initPointerReorder(options) {
+  const {
+    container,
+    itemSelector,
+    handleSelector = null,
+    getIndex,
+    onDrop,
+    isEnabled = () => true,
+    getAxis = () => 'y',
+  } = options;
+  if (!container) return () => {};
+
+  let pending = null;
+  let drag = null;
+  let longPressTimer = null;
+
+  const getItems = () => Array.from(container.querySelectorAll(itemSelector));
+
+  const clearMarkers = () => {
+    container.querySelectorAll('.is-drop-before, .is-drop-after').forEach((el) => {
+      el.classList.remove('is-drop-before', 'is-drop-after');
+    });
+  };
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  };
+
+  const startDrag = () => {
+    if (!pending) return;
+    cancelLongPress();
+    drag = { ...pending, others: [], position: null };
+    pending = null;
+    drag.item.classList.add('is-dragging');
+    container.classList.add('is-reordering');
+    try {
+      drag.item.setPointerCapture(drag.pointerId);
+    } catch (_error) {
+      // Pointer may already be released; the drag will end on the next pointerup.
+    }
+  };
+
+  const updateTarget = (clientX, clientY) => {
+    const axis = getAxis();
+    const coordinate = axis === 'x' ? clientX : clientY;
+    const others = getItems().filter((item) => item !== drag.item);
+
+    let position = others.length;
+    for (let index = 0; index < others.length; index += 1) {
+      const rect = others[index].getBoundingClientRect();
+      const midpoint = axis === 'x' ? rect.left + rect.width / 2 : rect.top + rect.height / 2;
+      if (coordinate < midpoint) {
+        position = index;
+        break;
+      }
+    }
+
+    clearMarkers();
+    if (others.length) {
+      if (position < others.length) {
+        others[position].classList.add('is-drop-before');
+      } else {
+        others[others.length - 1].classList.add('is-drop-after');
+      }
+    }
+    drag.others = others;
+    drag.position = position;
+
+    const rect = container.getBoundingClientRect();
+    const start = axis === 'x' ? rect.left : rect.top;
+    const end = axis === 'x' ? rect.right : rect.bottom;
+    let delta = 0;
+    if (coordinate - start < EDGE_SCROLL_PX) delta = -EDGE_SCROLL_STEP;
+    if (end - coordinate < EDGE_SCROLL_PX) delta = EDGE_SCROLL_STEP;
+    if (delta) {
+      container.scrollBy(axis === 'x' ? { left: delta } : { top: delta });
+    }
+  };
+
+  const finishDrag = (commit) => {
+    cancelLongPress();
+    pending = null;
+    if (!drag) return;
+
+    const { item, others, position } = drag;
+    drag = null;
+    item.classList.remove('is-dragging');
+    container.classList.remove('is-reordering');
+    clearMarkers();
+
+    // The click that follows a drag would otherwise activate the slide.
+    const swallowClick = (event) => {
+      event.stopPropagation();
+      event.preventDefault();
+    };
+    container.addEventListener('click', swallowClick, { capture: true, once: true });
+    setTimeout(() => container.removeEventListener('click', swallowClick, { capture: true }), 0);
+
+    if (!commit || position === null || !others.length) return;
+    const fromIndex = getIndex(item);
+    let toIndex;
+    if (position < others.length) {
+      const anchor = getIndex(others[position]);
+      toIndex = anchor > fromIndex ? anchor - 1 : anchor;
+    } else {
+      const anchor = getIndex(others[others.length - 1]);
+      toIndex = anchor > fromIndex ? anchor : anchor + 1;
+    }
+    if (toIndex !== fromIndex) {
+      onDrop(fromIndex, toIndex);
+    }
+  };
+
+  const handlePointerDown = (event) => {
+    if (!isEnabled() || event.button !== 0) return;
+    const target = event.target;
+    if (!(target instanceof Element)) return;
+    if (handleSelector && !target.closest(handleSelector)) return;
+    const item = target.closest(itemSelector);
+    if (!item || !container.contains(item)) return;
+
+    if (!Number.isInteger(getIndex(item))) return;
+
+    pending = {
+      item,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      isTouch: event.pointerType === 'touch',
+    };
+
+    if (pending.isTouch && !handleSelector) {
+      longPressTimer = setTimeout(startDrag, LONG_PRESS_MS);
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (drag) {
+      if (event.pointerId !== drag.pointerId) return;
+      event.preventDefault();
+      updateTarget(event.clientX, event.clientY);
+      return;
+    }
+    if (!pending || event.pointerId !== pending.pointerId) return;
+
+    const distance = Math.hypot(event.clientX - pending.startX, event.clientY - pending.startY);
+    if (distance < DRAG_THRESHOLD_PX) return;
+
+    if (pending.isTouch && !handleSelector) {
+      // Moved before the long press fired: treat it as a scroll/swipe.
+      cancelLongPress();
+      pending = null;
+      return;
+    }
+    startDrag();
+    updateTarget(event.clientX, event.clientY);
+  };
+
+  const handlePointerUp = () => finishDrag(true);
+  const handlePointerCancel = () => finishDrag(false);
+
+  // Touch scrolling has to be blocked explicitly once a drag is live.
+  const handleTouchMove = (event) => {
+    if (drag) event.preventDefault();
+  };
+
+  // Native image/link drags would steal the pointer stream mid-gesture.
+  const handleDragStart = (event) => {
+    if (isEnabled()) event.preventDefault();
+  };
+
+  const handleKeydown = (event) => {
+    if (drag && event.key === 'Escape') {
+      event.stopPropagation();
+      finishDrag(false);
+    }
+  };
+
+  container.addEventListener('pointerdown', handlePointerDown);
+  container.addEventListener('pointermove', handlePointerMove);
+  container.addEventListener('pointerup', handlePointerUp);
+  container.addEventListener('pointercancel', handlePointerCancel);
+  container.addEventListener('touchmove', handleTouchMove, { passive: false });
+  container.addEventListener('dragstart', handleDragStart);
+  document.addEventListener('keydown', handleKeydown, true);
+
+  return () => {
+    finishDrag(false);
+    container.removeEventListener('pointerdown', handlePointerDown);
+    container.removeEventListener('pointermove', handlePointerMove);
+    container.removeEventListener('pointerup', handlePointerUp);
+    container.removeEventListener('pointercancel', handlePointerCancel);
+    container.removeEventListener('touchmove', handleTouchMove, { passive: false });
+    container.removeEventListener('dragstart', handleDragStart);
+    document.removeEventListener('keydown', handleKeydown, true);
+  };
+}
@@ -0,0 +1,131 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Slide Steps Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// In-slide steps that the next/previous keys walk through before changing
+// slides (code line focus, incremental "build" reveals).
+// - Renderers declare the step count with `data-steps` on the slide element
+// - Elements opt in with `data-focus-steps="1 3"` and get `.is-step-focus`
+//   while one of those steps is current; the slide gets `.has-step-focus`
+// - Build fragments (`data-fragment="2"`) get `.is-revealed` from their step on
+// - Step 0 is the slide's resting state
+//
+// State lives on the DOM (`data-step`), so the presenter view mirrors it via
+// the serialized slide HTML.
+//
+// Dependencies: None
+// Used by: navigation.js, slide-rendering.js, slide-actions.js, pdf-export.js,
+//          deck-schema.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+const BUILD_KINDS = {
+  bullets: ['bullet'],
+  items: ['item'],
+  all: ['bullet', 'item'],
+};
+
+/** Accepted string values for a slide's `build` option (`true` means "all"). */
+export const BUILD_MODES = Object.keys(BUILD_KINDS);
+
+/**
+ * Turn `data-build-item` elements into numbered fragments for a slide's
+ * `build` option. Items with an explicit `data-build-step` always build;
+ * the rest are numbered in document order when their kind is enabled.
+ * @param {HTMLElement} slideElement
+ * @param {string|boolean} [build] - "bullets", "items", "all" (or true)
+ */
+export function applyBuildSteps(slideElement, build) {
+  const kinds = build === true ? BUILD_KINDS.all : (BUILD_KINDS[build] ?? []);
+  let nextAuto = 1;
+  let lastStep = 0;
+
+  slideElement.querySelectorAll('[data-build-item]').forEach((element) => {
+    let step = Number.parseInt(element.dataset.buildStep ?? '', 10);
+    if (!Number.isInteger(step) || step < 1) {
+      if (!kinds.includes(element.dataset.buildItem)) return;
+      step = nextAuto;
+      nextAuto += 1;
+    }
+    element.classList.add('fragment');
+    element.dataset.fragment = String(step);
+    lastStep = Math.max(lastStep, step);
+  });
+
+  if (lastStep > getSlideStepCount(slideElement)) {
+    slideElement.dataset.steps = String(lastStep);
+  }
+}
+
+/**
+ * Final state for static output (PDF, print): every fragment shown, no focus dimming.
+ * @param {HTMLElement} slideElement
+ */
+export function revealAllSteps(slideElement) {
+  slideElement.querySelectorAll('.fragment').forEach((element) => element.classList.add('is-revealed'));
+  slideElement.querySelectorAll('.is-step-focus').forEach((element) => element.classList.remove('is-step-focus'));
+  slideElement.classList.remove('has-step-focus');
+}
+
+export function getSlideStepCount(slideElement) {
+  const count = Number.parseInt(slideElement?.dataset.steps ?? '', 10);
+  return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+export function getSlideStep(slideElement) {
+  const step = Number.parseInt(slideElement?.dataset.step ?? '', 10);
+  return Number.isFinite(step) ? step : 0;
+}
+
+/**
+ * Show a given step on a slide.
+ * @param {HTMLElement} slideElement
+ * @param {number} step - 0 (resting) through getSlideStepCount()
+ */
+export function setSlideStep(slideElement, step) {
+  if (!slideElement) return;
+  const total = getSlideStepCount(slideElement);
+  const next = Math.min(Math.max(step, 0), total);
+  slideElement.dataset.step = String(next);
+
+  let firstFocused = null;
+  slideElement.querySelectorAll('[data-focus-steps]').forEach((element) => {
+    const steps = element.dataset.focusSteps.split(/\s+/).map(Number);
+    const isFocused = next > 0 && steps.includes(next);
+    element.classList.toggle('is-step-focus', isFocused);
+    if (isFocused && !firstFocused) firstFocused = element;
+  });
+  slideElement.classList.toggle('has-step-focus', Boolean(firstFocused));
+
+  slideElement.querySelectorAll('[data-fragment]').forEach((element) => {
+    element.classList.toggle('is-revealed', Number(element.dataset.fragment) <= next);
+  });
+
+  firstFocused?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Move one step forward or back within a slide.
+ * @param {HTMLElement} slideElement
+ * @param {1|-1} direction
+ * @returns {boolean} True if the step changed (false means the caller should change slides)
+ */
+export function stepSlide(slideElement, direction) {
+  const total = getSlideStepCount(slideElement);
+  if (!total) return false;
+  const current = getSlideStep(slideElement);
+  const next = current + direction;
+  if (next < 0 || next > total) return false;
+  setSlideStep(slideElement, next);
+  return true;
+}
+
+/**
+ * Reset a slide to its first step, or jump to its last (when arriving backwards).
+ * @param {HTMLElement} slideElement
+ * @param {'start'|'end'} [position]
+ */
+export function resetSlideSteps(slideElement, position = 'start') {
+  if (!getSlideStepCount(slideElement)) return;
+  setSlideStep(slideElement, position === 'end' ? getSlideStepCount(slideElement) : 0);
+}
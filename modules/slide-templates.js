@@ -110,6 +110,106 @@ export function getSlideTemplate(type) {
       ],
       body: ['Describe how these typefaces support the system.'],
       font: 'sans'
+    },
+    chart: {
+      type: 'chart',
+      headline: 'Chart Headline',
+      chart: 'bar',
+      data: [
+        { label: 'Q1', value: 12 },
+        { label: 'Q2', value: 18 },
+        { label: 'Q3', value: 9 },
+        { label: 'Q4', value: 24 }
+      ],
+      caption: 'Optional caption or data source.',
+      font: 'sans'
+    },
+    code: {
+      type: 'code',
+      headline: 'Code Headline',
+      language: 'js',
+      code: [
+        'export function greet(name) {',
+        '  const message = `Hello, ${name}!`;',
+        '  console.log(message);',
+        '  return message;',
+        '}'
+      ],
+      highlight: '2',
+      steps: ['1', '2-3', '4'],
+      font: 'sans'
+    },
+    diagram: {
+      type: 'diagram',
+      headline: 'Diagram Headline',
+      diagram: 'flowchart',
+      direction: 'LR',
+      source: [
+        'idea[Idea] --> draft(Draft)',
+        'draft --> review{Review?}',
+        'review -->|approved| ship((Ship))',
+        'review -->|changes| draft'
+      ],
+      caption: 'Optional caption.',
+      font: 'sans'
+    },
+    table: {
+      type: 'table',
+      headline: 'Table Headline',
+      header: ['Plan', 'Seats', 'Price'],
+      rows: [
+        ['Starter', '1', '$0'],
+        ['Team', '10', '$49'],
+        ['**Studio**', 'Unlimited', '$199']
+      ],
+      align: ['left', 'center', 'right'],
+      caption: 'Optional caption.',
+      font: 'sans'
+    },
+    timeline: {
+      type: 'timeline',
+      headline: 'Timeline Headline',
+      orientation: 'horizontal',
+      milestones: [
+        { date: 'Q1 2026', label: 'Kickoff', copy: 'Research and scoping', status: 'done' },
+        { date: 'Q2 2026', label: 'Beta', copy: 'First customers onboard', status: 'active' },
+        { date: 'Q3 2026', label: 'Launch', copy: 'Public release', status: 'planned' },
+        { date: 'Q4 2026', label: 'Scale', copy: 'New regions', status: 'planned' }
+      ],
+      today: true,
+      font: 'sans'
+    },
+    canvas: {
+      type: 'canvas',
+      elements: [
+        { type: 'text', x: 6, y: 6, width: 60, height: 18, text: 'Canvas Headline', size: 9 },
+        { type: 'shape', shape: 'ellipse', x: 8, y: 36, width: 26, height: 46, fill: 'accent', text: 'Idea' },
+        { type: 'arrow', x: 38, y: 54, width: 20, height: 10 },
+        { type: 'shape', shape: 'rect', x: 62, y: 36, width: 30, height: 46, fill: 'surface', text: 'Outcome' }
+      ],
+      font: 'sans'
+    },
+    video: {
+      type: 'video',
+      headline: 'Video Headline',
+      video: {
+        src: '',
+        poster: '',
+        start: 0,
+        muted: false
+      },
+      caption: 'Optional caption.',
+      font: 'sans'
+    },
+    audio: {
+      type: 'audio',
+      headline: 'Audio Headline',
+      audio: {
+        src: '',
+        poster: ''
+      },
+      caption: 'Optional caption.',
+      font: 'sans'
     }
   };
 
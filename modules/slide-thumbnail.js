@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Slide Thumbnail Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Scaled-down copies of real slides for the index page's deck cards.
+// - renderSlideThumbnail() renders a slide with the deck renderer
+//   (slide-rendering.js) into a script-less iframe that loads the deck
+//   stylesheets and the deck's theme, so the landing page's styles and the
+//   deck's never meet
+// - Images saved in the deck store are swapped for object URLs and lazy
+//   images load at once, as in the presenter window
+// - The iframe is sized like the presenter's stage; CSS scales it down
+// - Each slide object renders once; redrawing a card moves the same slide
+//   into its new iframe
+//
+// Dependencies: slide-rendering.js, lazy-images.js, deck-store.js,
+//               theme-manager.js, utils.js
+// Used by: index.html
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { createSlide } from './slide-rendering.js';
+import { loadLazyImage } from './lazy-images.js';
+import { isStoredImageRef, getStoredImageUrl } from './deck-store.js';
+import { getThemeProperties } from './theme-manager.js';
+import { escapeHtml } from './utils.js';
+
+const STAGE_WIDTH = 1280;
+const STAGE_HEIGHT = 720;
+const STYLESHEETS = ['css/main.css'];
+const KATEX_STYLESHEET = 'modules/vendor/katex/katex.min.css';
+
+// Mirrors .presenter-stage__frame .slide: one still slide filling the stage.
+const STAGE_STYLE = `
+  html, body { margin: 0; width: ${STAGE_WIDTH}px; height: ${STAGE_HEIGHT}px; overflow: hidden; }
+  body::before { display: none; }
+  .slide {
+    position: absolute; inset: 0; width: 100%; height: 100%;
+    opacity: 1; transform: none; transition: none; visibility: visible;
+    overflow: hidden; box-shadow: none;
+  }
+`;
+
+const renderedSlides = new WeakMap();
+
+/**
+ * Add an iframe showing a slide as the deck page would.
+ * @param {HTMLElement} container - Must be in the document, or the iframe
+ *   never loads
+ * @param {object} slide
+ * @param {{ theme?: object|null, className?: string }} [options] - Theme
+ *   tokens from the deck envelope; without them the stylesheet defaults apply
+ * @returns {Promise<HTMLIFrameElement>} Resolves once the slide is in place
+ */
+export async function renderSlideThumbnail(container, slide, { theme = null, className = '' } = {}) {
+  const section = await getRenderedSlide(slide);
+
+  const frame = document.createElement('iframe');
+  frame.className = className;
+  frame.width = String(STAGE_WIDTH);
+  frame.height = String(STAGE_HEIGHT);
+  frame.tabIndex = -1;
+  frame.loading = 'lazy';
+  frame.setAttribute('aria-hidden', 'true');
+  // Same origin (for object URLs and the stylesheets) but no scripts.
+  frame.setAttribute('sandbox', 'allow-same-origin');
+  frame.srcdoc = buildStageDocument(theme, section.querySelector('.math') !== null);
+
+  const loaded = new Promise((resolve) => frame.addEventListener('load', resolve, { once: true }));
+  container.append(frame);
+  await loaded;
+  // Moving the live node keeps charts and diagrams that finish rendering later.
+  frame.contentDocument?.body.append(frame.contentDocument.adoptNode(section));
+  return frame;
+}
+
+function getRenderedSlide(slide) {
+  if (!renderedSlides.has(slide)) {
+    renderedSlides.set(slide, resolveStoredImages(slide).then((resolved) => {
+      const section = createSlide(resolved, 0);
+      section.classList.add('is-active');
+      section.removeAttribute('aria-hidden');
+      section.querySelectorAll('img[data-src]').forEach((img) => loadLazyImage(img));
+      return section;
+    }));
+  }
+  return renderedSlides.get(slide);
+}
+
+function buildStageDocument(theme, hasMath) {
+  const themeStyle = theme
+    ? Object.entries(getThemeProperties(theme))
+      .map(([property, value]) => `${property}: ${value};`)
+      .join(' ')
+    : '';
+  const links = [...STYLESHEETS, ...(hasMath ? [KATEX_STYLESHEET] : [])]
+    .map((href) => `<link rel="stylesheet" href="${new URL(href, document.baseURI).href}">`)
+    .join('');
+  return `<!doctype html><html style="${escapeHtml(themeStyle)}"><head>${links}`
+    + `<style>${STAGE_STYLE}</style></head><body></body></html>`;
+}
+
+// A copy of the slide with `idb-image:` references swapped for object URLs.
+async function resolveStoredImages(value) {
+  if (isStoredImageRef(value)) {
+    return (await getStoredImageUrl(value)) ?? '';
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => resolveStoredImages(item)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, child]) => [key, await resolveStoredImages(child)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
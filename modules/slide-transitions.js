@@ -0,0 +1,75 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Slide Transitions Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Named transitions between slides while presenting.
+// - Per slide via a `transition` field, per deck via the `slide-transition`
+//   theme token (and `slide-transition-duration`)
+// - The incoming slide's transition is written to the slides root as
+//   `data-transition` / `data-transition-direction`; css/slides.css animates it
+// - Without either setting, slides keep the classic rise-and-fade
+// - Reduced motion, overview mode, and print/PDF never animate
+//
+// Dependencies: None
+// Used by: navigation.js, deck-schema.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TRANSITION_NAMES = ['fade', 'slide', 'zoom', 'flip', 'wipe', 'none'];
+
+const DEFAULT_DURATION_MS = 400;
+
+const reducedMotionQuery = (typeof window !== 'undefined' && typeof window.matchMedia === 'function')
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : { matches: false };
+
+export function isTransitionName(value) {
+  return TRANSITION_NAMES.includes(value);
+}
+
+function readRootToken(token) {
+  if (typeof document === 'undefined') return '';
+  return getComputedStyle(document.documentElement).getPropertyValue(`--${token}`).trim();
+}
+
+/**
+ * Transition used when arriving at a slide.
+ * @param {Object} [slide] - Slide data
+ * @returns {string|null} A TRANSITION_NAMES entry, or null for the default
+ */
+export function resolveSlideTransition(slide) {
+  if (reducedMotionQuery.matches) return 'none';
+  if (isTransitionName(slide?.transition)) return slide.transition;
+  const deckTransition = readRootToken('slide-transition').replace(/^["']|["']$/g, '');
+  return isTransitionName(deckTransition) ? deckTransition : null;
+}
+
+/**
+ * How long the outgoing slide stays visible, in milliseconds.
+ * @param {string|null} name - Result of resolveSlideTransition()
+ * @returns {number}
+ */
+export function getTransitionDuration(name) {
+  if (name === 'none') return 0;
+  const match = readRootToken('slide-transition-duration').match(/^(\d*\.?\d+)(ms|s)$/);
+  if (!match) return DEFAULT_DURATION_MS;
+  const value = Number.parseFloat(match[1]);
+  return match[2] === 's' ? value * 1000 : value;
+}
+
+/**
+ * Point the slide CSS at a transition before toggling `is-active`.
+ * @param {HTMLElement} root - The `.slides` container
+ * @param {string|null} name - Transition name (null clears it)
+ * @param {'forward'|'backward'} [direction]
+ */
+export function setSlideTransition(root, name, direction = 'forward') {
+  if (!root) return;
+  if (name) {
+    root.dataset.transition = name;
+    root.dataset.transitionDirection = direction;
+  } else {
+    delete root.dataset.transition;
+    delete root.dataset.transitionDirection;
+  }
+}
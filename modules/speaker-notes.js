@@ -1,4 +1,5 @@
 import { slides, currentIndex } from './state.js';
+import { openPresenterView } from './presenter-view.js';
 
 export function toggleSpeakerNotes() {
   const modal = document.getElementById('notes-modal');
@@ -36,6 +37,7 @@ export function initSpeakerNotes() {
   if (notesModal) {
     const closeBtn = notesModal.querySelector('.notes-modal__close');
     const backdrop = notesModal.querySelector('.notes-modal__backdrop');
+    const presenterBtn = document.getElementById('notes-presenter-btn');
 
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
@@ -49,6 +51,13 @@ export function initSpeakerNotes() {
       });
     }
 
+    if (presenterBtn) {
+      presenterBtn.addEventListener('click', () => {
+        notesModal.classList.remove('is-open');
+        openPresenterView();
+      });
+    }
+
     // Close on Escape
     document.addEventListener('keydown', (event) => {
       if (event.key === 'Escape' && notesModal.classList.contains('is-open')) {
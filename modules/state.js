@@ -47,6 +47,7 @@ export const LAST_DECK_KEY = 'slideomatic:last-deck';
 export let deckStorageKey = null;
 export let deckPersistFailureNotified = false;
 export let activeDeckId = null;
+export let deckMeta = {};
 export let isNewDeckRequest = false;
 export let isEditDrawerOpen = false;
 export let editDrawerInstance = null;
@@ -107,6 +108,10 @@ export function setActiveDeckId(deckId) {
   activeDeckId = deckId;
 }
 
+export function setDeckMeta(meta) {
+  deckMeta = meta;
+}
+
 export function setNewDeckRequest(flag) {
   isNewDeckRequest = flag;
 }
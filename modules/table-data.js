@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Table Data Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Converts spreadsheet clipboard text (TSV from Sheets/Excel/Numbers, or CSV)
+// into `table` slide JSON, and back again for editing.
+// - Quoted cells ("a, b", "multi\nline", "say ""hi""") follow RFC 4180
+// - Numeric columns are right-aligned automatically
+// - `header` may be one row or an array of rows; normalizeTableHeader() gives
+//   renderers and validators a single shape
+//
+// Dependencies: None
+// Used by: slide-rendering.js, edit-drawer.js, slide-actions.js,
+//          image-upload.js, deck-schema.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TABLE_ALIGNMENTS = ['left', 'center', 'right'];
+
+const NUMERIC_CELL_PATTERN = /^[-+]?[$€£¥]?\s?\d[\d,.\s]*(?:%|[kKmMbB])?$/;
+
+/**
+ * Split delimited text into rows of cells.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line when omitted
+ * @returns {string[][]}
+ */
+export function parseDelimitedText(text, delimiter = detectDelimiter(text)) {
+    if (typeof text !== 'string') return [];
+    const source = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+    if (!source) return [];
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n') {
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell.trim());
+    rows.push(row);
+    return rows;
+}
+
+/**
+ * Pick the delimiter for pasted text: tabs win (spreadsheets copy TSV),
+ * otherwise whichever of `;` or `,` splits the first line more often.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const firstLine = String(text ?? '').split(/\r?\n/, 1)[0];
+    if (firstLine.includes('\t')) return '\t';
+    const semicolons = firstLine.split(';').length;
+    const commas = firstLine.split(',').length;
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Whether clipboard text looks like cells copied from a spreadsheet: at least
+ * two tab-separated rows with the same number of columns. Only TSV counts, so
+ * pasting ordinary prose with commas never turns into a table.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isTabularText(text) {
+    if (typeof text !== 'string' || !text.includes('\t')) return false;
+    const rows = parseDelimitedText(text, '\t');
+    if (rows.length < 2) return false;
+    const width = rows[0].length;
+    return width > 1 && rows.every((row) => row.length === width);
+}
+
+/**
+ * Turn clipboard text into table slide fields.
+ * @param {string} text - TSV or CSV
+ * @param {object} [options]
+ * @param {number} [options.headerRows=1] - Leading rows that form the header
+ * @returns {{ header?: string[]|string[][], rows: string[][], align: string[] }|null}
+ */
+export function clipboardToTable(text, { headerRows = 1 } = {}) {
+    const parsed = parseDelimitedText(text).filter((row) => row.some((cell) => cell !== ''));
+    if (!parsed.length) return null;
+
+    const width = Math.max(...parsed.map((row) => row.length));
+    const padded = parsed.map((row) => [...row, ...Array(width - row.length).fill('')]);
+    // Always leave at least one body row.
+    const headerCount = Math.max(0, Math.min(Math.floor(headerRows) || 0, padded.length - 1));
+    const header = padded.splice(0, headerCount);
+
+    const table = {};
+    if (header.length) table.header = header.length === 1 ? header[0] : header;
+    table.rows = padded;
+    table.align = Array.from({ length: width }, (_, column) => (isNumericColumn(padded, column) ? 'right' : 'left'));
+    return table;
+}
+
+/**
+ * Replace a slide's table fields with freshly pasted ones, keeping everything
+ * else (headline, caption, striping...). Column alignment is recomputed since
+ * the columns may have changed.
+ * @param {object} slide
+ * @param {{ header?: string[]|string[][], rows: string[][], align: string[] }} table
+ * @returns {object} A new slide object
+ */
+export function applyTableToSlide(slide, table) {
+    const next = { ...slide, type: 'table', ...table };
+    if (!table.header) {
+        delete next.header;
+    }
+    return next;
+}
+
+/**
+ * Serialize a table slide back to TSV (header rows first) for editing.
+ * @param {object} slide
+ * @param {string} [delimiter='\t']
+ * @returns {string}
+ */
+export function tableToDelimited(slide, delimiter = '\t') {
+    const rows = [...normalizeTableHeader(slide?.header), ...(Array.isArray(slide?.rows) ? slide.rows : [])];
+    return rows
+        .filter(Array.isArray)
+        .map((row) => row.map((cell) => formatDelimitedCell(cell, delimiter)).join(delimiter))
+        .join('\n');
+}
+
+/**
+ * `header` as an array of rows, whether it was written as one row or several.
+ * @param {string[]|string[][]|undefined} header
+ * @returns {string[][]}
+ */
+export function normalizeTableHeader(header) {
+    if (!Array.isArray(header) || !header.length) return [];
+    return header.every(Array.isArray) ? header : [header];
+}
+
+function isNumericColumn(rows, column) {
+    const values = rows.map((row) => row[column]).filter((cell) => cell !== '');
+    return values.length > 0 && values.every((cell) => NUMERIC_CELL_PATTERN.test(cell));
+}
+
+function formatDelimitedCell(cell, delimiter) {
+    const text = cell == null ? '' : String(cell);
+    if (!text.includes(delimiter) && !text.includes('\n') && !text.includes('"')) {
+        return text;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
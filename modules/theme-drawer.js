@@ -37,6 +37,7 @@ import {
 import { showHudStatus, hideHudStatus } from './hud.js';
 import { clamp } from './utils.js';
 import { getGeminiApiKey } from './voice-modes.js';
+import { commitHistory } from './history.js';
 
 function ensureThemeDrawerInstance() {
   if (!themeDrawerInstance) {
@@ -155,6 +156,7 @@ function setupThemeSelectDropdown() {
           const normalizedTheme = applyTheme(theme);
           setCurrentTheme(normalizedTheme, { source: themePath });
         }
+        commitHistory('Change theme');
         showHudStatus('✨ Theme applied', 'success');
         setTimeout(hideHudStatus, 1600);
       } catch (error) {
@@ -204,6 +206,7 @@ async function handleAiTheme(aiBtn) {
     const theme = await generateThemeWithAI(description);
     const normalizedTheme = applyTheme(theme);
     setCurrentTheme(normalizedTheme, { source: '__ai__' });
+    commitHistory('AI theme');
     loadThemeIntoEditor();
 
     showHudStatus('✨ Theme generated!', 'success');
@@ -223,6 +226,7 @@ function handleRandomTheme() {
 
     const normalizedTheme = applyTheme(theme);
     setCurrentTheme(normalizedTheme, { source: `random:${baseSource}` });
+    commitHistory('Random theme');
     loadThemeIntoEditor();
 
     showHudStatus('✨ Random theme applied!', 'success');
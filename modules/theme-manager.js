@@ -204,6 +204,18 @@ function getCurrentTheme() {
   }
 }
 
+/**
+ * Map a theme reference (`?theme=` value, Markdown front matter) to a file path.
+ * "noir" → themes/noir.json, "themes/noir" → themes/noir.json, "x.json" as-is.
+ */
+function resolveThemeReference(reference) {
+  const value = String(reference ?? '').trim();
+  if (!value) return 'theme.json';
+  if (value.endsWith('.json')) return value;
+  if (value.includes('/')) return `${value}.json`;
+  return `themes/${value}.json`;
+}
+
 async function loadTheme(themePath) {
   const response = await fetch(themePath, { cache: 'no-store' });
   if (!response.ok) {
@@ -217,9 +229,26 @@ function applyTheme(themeData) {
   if (!themeData || typeof themeData !== 'object') return null;
   const normalized = normalizeThemeTokens(themeData);
   const root = document.documentElement;
+  Object.entries(getThemeProperties(normalized)).forEach(([property, value]) => {
+    root.style.setProperty(property, value);
+  });
+  currentTheme = normalized;
+  return normalized;
+}
+
+/**
+ * The CSS custom properties a theme sets, including the `-rgb` variants of
+ * colours used with alpha. For styling something other than this document
+ * (deck thumbnails on the index page).
+ * @param {object} themeData
+ * @returns {Record<string, string>}
+ */
+function getThemeProperties(themeData) {
+  const normalized = normalizeThemeTokens(themeData);
+  const properties = {};
   Object.entries(normalized).forEach(([token, value]) => {
     if (value == null) return;
-    root.style.setProperty(`--${token}`, value);
+    properties[`--${token}`] = value;
   });
   const derivedColorTokens = [
     'color-accent',
@@ -230,11 +259,10 @@ function applyTheme(themeData) {
   derivedColorTokens.forEach((token) => {
     const rgb = toRgb(normalized[token]);
     if (rgb) {
-      root.style.setProperty(`--${token}-rgb`, `${rgb.r}, ${rgb.g}, ${rgb.b}`);
+      properties[`--${token}-rgb`] = `${rgb.r}, ${rgb.g}, ${rgb.b}`;
     }
   });
-  currentTheme = normalized;
-  return normalized;
+  return properties;
 }
 
 function toRgb(color) {
@@ -390,7 +418,9 @@ export function getAccessibleTextColor(backgroundHex) {
 
 export {
   loadTheme,
+  resolveThemeReference,
   applyTheme,
+  getThemeProperties,
   validateTheme,
   saveThemeToLibrary,
   loadThemeLibrary,
@@ -0,0 +1,93 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Timeline Data Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Date handling for `timeline` slides.
+// - Milestone dates stay display strings ("Q3 2026", "Mar 2026", "2026-03-14");
+//   parseTimelineDate() turns them into timestamps for the "today" marker
+// - Milestones are evenly spaced, so the marker is placed between its two
+//   neighbouring milestones by date rather than on a true time scale
+//
+// Dependencies: None
+// Used by: slide-rendering.js, deck-schema.js, validation.js,
+//          scripts/validate.mjs
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TIMELINE_ORIENTATIONS = ['horizontal', 'vertical'];
+export const TIMELINE_STATUSES = ['done', 'active', 'planned'];
+
+const ISO_DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+const QUARTER_PATTERN = /^(?:([QH])([1-4])\s*(\d{4})|(\d{4})\s*([QH])([1-4]))$/i;
+
+/**
+ * Parse a milestone date: "2026", "2026-03", "2026-03-14", "Q3 2026",
+ * "2026 Q3", "H2 2026", or anything Date.parse() understands ("Mar 2026").
+ * @param {string|number} value
+ * @returns {number|null} UTC timestamp, or null when unreadable
+ */
+export function parseTimelineDate(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? Date.UTC(value, 0, 1) : null;
+    }
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim();
+
+    const iso = text.match(ISO_DATE_PATTERN);
+    if (iso) {
+        const month = iso[2] ? Number(iso[2]) - 1 : 0;
+        const day = iso[3] ? Number(iso[3]) : 1;
+        return month <= 11 && day <= 31 ? Date.UTC(Number(iso[1]), month, day) : null;
+    }
+
+    const period = text.match(QUARTER_PATTERN);
+    if (period) {
+        const unit = (period[1] ?? period[5]).toUpperCase();
+        const index = Number(period[2] ?? period[6]);
+        const year = Number(period[3] ?? period[4]);
+        if (unit === 'H' && index > 2) return null;
+        return Date.UTC(year, (index - 1) * (unit === 'H' ? 6 : 3), 1);
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * The slide's `today` value as a timestamp (`true` means the current date).
+ * @param {boolean|string} today
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+export function resolveTimelineToday(today, now = Date.now()) {
+    if (today === true) return now;
+    return parseTimelineDate(today);
+}
+
+/**
+ * Where the "today" marker sits, in milestone units: 0 is on the first
+ * milestone, 1.5 halfway between the second and third. Before the first
+ * milestone it is -0.5, after the last it is `count - 0.5`.
+ * @param {Array<{ date: string }>} milestones
+ * @param {number} today - Timestamp
+ * @returns {number|null} Null when a milestone date can't be read
+ */
+export function locateTimelineToday(milestones, today) {
+    if (!Array.isArray(milestones) || !milestones.length || today == null) return null;
+    const dates = milestones.map((milestone) => parseTimelineDate(milestone?.date));
+    if (dates.some((date) => date === null)) return null;
+
+    const last = dates.length - 1;
+    if (today < dates[0]) return -0.5;
+    if (today > dates[last]) return last + 0.5;
+
+    for (let index = 0; index < last; index += 1) {
+        const start = dates[index];
+        const end = dates[index + 1];
+        if (today >= start && today <= end) {
+            return end > start ? index + (today - start) / (end - start) : index;
+        }
+    }
+    // Out-of-order dates: park the marker on the last milestone it passed.
+    return dates.reduce((position, date, index) => (date <= today ? index : position), 0);
+}
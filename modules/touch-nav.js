@@ -5,6 +5,7 @@
 // Handles touch gestures for mobile navigation:
 // - Swipe left/right to change slides
 // - Respects overview mode (disables swipe when active)
+// - Skips touches the caller claims (isGestureBlocked), e.g. canvas editing
 //
 // Dependencies: None (expects callbacks from main.js)
 // Used by: main.js
@@ -17,10 +18,13 @@ const SWIPE_THRESHOLD = 50; // Minimum distance to trigger swipe
 
 let touchStartX = 0;
 let touchStartY = 0;
+let touchBlocked = false;
 let touchContext = {
   setActiveSlide: (_) => {},
+  advanceSlide: (direction) => touchContext.setActiveSlide(touchContext.getCurrentIndex() + direction),
   getCurrentIndex: () => 0,
   isOverview: () => false,
+  isGestureBlocked: (_target) => false,
 };
 
 export function initTouchNav(partialContext = {}, targetElement = document.body) {
@@ -43,12 +47,13 @@ function handleTouchStart(event) {
   // Ignore multi-touch gestures
   if (event.touches.length > 1) return;
 
+  touchBlocked = touchContext.isGestureBlocked(event.target);
   touchStartX = event.changedTouches[0].screenX;
   touchStartY = event.changedTouches[0].screenY;
 }
 
 function handleTouchEnd(event) {
-  if (touchContext.isOverview()) return;
+  if (touchContext.isOverview() || touchBlocked) return;
 
   const touchEndX = event.changedTouches[0].screenX;
   const touchEndY = event.changedTouches[0].screenY;
@@ -67,10 +72,10 @@ function handleSwipeGesture(startX, startY, endX, endY) {
       vibrate('medium');
       if (deltaX > 0) {
         // Swipe Right -> Previous Slide
-        touchContext.setActiveSlide(touchContext.getCurrentIndex() - 1);
+        touchContext.advanceSlide(-1);
       } else {
         // Swipe Left -> Next Slide
-        touchContext.setActiveSlide(touchContext.getCurrentIndex() + 1);
+        touchContext.advanceSlide(1);
       }
     }
   } else {
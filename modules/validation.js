@@ -1,26 +1,82 @@
+import { DECK_SCHEMA, SLIDE_TYPES } from './deck-schema.js';
+import { validateAgainstSchema, joinJsonPath } from './schema-validator.js';
+import { MEDIA_KINDS, parseMediaTime } from './media-render.js';
+import { parseTimelineDate } from './timeline-data.js';
+
+const SCHEMA_FORMATS = {
+  'media-time': {
+    test: (value) => parseMediaTime(value) !== null,
+    message: 'must be seconds or "m:ss"',
+  },
+  'timeline-date': {
+    test: (value) => parseTimelineDate(value) !== null,
+    message: 'must be a date like "2026-03-14", "Mar 2026" or "Q3 2026"',
+  },
+};
+
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * Every schema problem in one slide.
+ * @param {object} slide
+ * @param {string} [path='$'] - JSON path of the slide, e.g. `$[3]` within a deck
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function getSlideErrors(slide, path = '$') {
+  const errors = checkSchema(slide, DECK_SCHEMA.$defs.slide, path);
+  return errors.length ? errors : getSlideRuleErrors(slide, path);
+}
+
+/**
+ * Every schema problem in a deck, with paths like `$[3].milestones[1].status`
+ * (or `$.slides[3]...` for a deck envelope).
+ * @param {*} data - Parsed deck JSON: a slides array or an envelope
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function getDeckErrors(data) {
+  const errors = checkSchema(data, DECK_SCHEMA, '$');
+  if (errors.length) return errors;
+
+  const isEnvelope = !Array.isArray(data);
+  const slides = isEnvelope ? data.slides : data;
+  return slides.flatMap((slide, index) => getSlideRuleErrors(slide, joinJsonPath(isEnvelope ? '$.slides' : '$', index)));
+}
+
+/**
+ * Every schema problem in a theme.
+ * @param {*} theme - Parsed theme JSON
+ * @returns {Array<{ path: string, message: string }>}
+ */
+export function getThemeErrors(theme) {
+  return checkSchema(theme, DECK_SCHEMA.$defs.theme, '$');
+}
+
+/**
+ * One line per problem, for error screens and the console.
+ * @param {Array<{ path: string, message: string }>} errors
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map(({ path, message }) => `${path} ${message}`);
+  if (errors.length > MAX_LISTED_ERRORS) {
+    listed.push(`…and ${errors.length - MAX_LISTED_ERRORS} more`);
+  }
+  return listed.join('\n');
+}
+
+/**
+ * Check slides before rendering. Unknown types fall back to "standard" (with a
+ * warning) so older decks still open; anything else the schema rejects throws
+ * one error listing every problem (also available as `error.errors`).
+ * @param {*} data
+ */
 export function validateSlides(data) {
   if (!Array.isArray(data)) {
     throw new Error('Slides data must be an array.');
   }
 
-  const allowedTypes = new Set([
-    'title',
-    'standard',
-    'quote',
-    'split',
-    'grid',
-    'pillars',
-    'gallery',
-    'graph',
-    'typeface',
-    'image',
-    '_schema'
-  ]);
-
   data.forEach((slide, index) => {
-    if (!slide || typeof slide !== 'object') {
-      throw new Error(`Slide ${index} is not an object.`);
-    }
+    if (!slide || typeof slide !== 'object') return;
 
     const originalType = slide.type;
     const normalizedType =
@@ -28,7 +84,7 @@ export function validateSlides(data) {
         ? originalType.trim()
         : 'standard';
 
-    if (!allowedTypes.has(normalizedType)) {
+    if (!SLIDE_TYPES.includes(normalizedType)) {
       console.warn(
         `Slide ${index} has unsupported type "${normalizedType}". Falling back to "standard".`
       );
@@ -36,29 +92,28 @@ export function validateSlides(data) {
     } else {
       slide.type = normalizedType;
     }
+  });
 
-    if (slide.type === 'split') {
-      if (!slide.left || !slide.right) {
-        throw new Error(`Slide ${index} (${slide.badge ?? slide.headline ?? 'Split slide'}) is missing left/right content.`);
-      }
-    }
-
-    if (slide.type === 'pillars') {
-      if (!Array.isArray(slide.pillars) || slide.pillars.length === 0) {
-        throw new Error(`Slide ${index} (${slide.badge ?? slide.headline ?? 'Pillars slide'}) requires a non-empty pillars array.`);
-      }
-    }
+  const errors = getDeckErrors(data);
+  if (errors.length) {
+    const error = new Error(`${errors.length === 1 ? '1 problem' : `${errors.length} problems`} in slides:\n${formatSchemaErrors(errors)}`);
+    error.errors = errors;
+    throw error;
+  }
+}
 
-    if (slide.type === 'gallery') {
-      if (!Array.isArray(slide.items) || slide.items.length === 0) {
-        throw new Error(`Slide ${index} (${slide.badge ?? slide.headline ?? 'Gallery slide'}) requires a non-empty items array.`);
-      }
+// Rules a schema can't express; only run on slides that pass the schema.
+function getSlideRuleErrors(slide, path) {
+  const errors = [];
+  if (MEDIA_KINDS.includes(slide.type)) {
+    const media = slide[slide.type];
+    if (media?.end !== undefined && parseMediaTime(media.end) <= (parseMediaTime(media.start) ?? 0)) {
+      errors.push({ path: joinJsonPath(joinJsonPath(path, slide.type), 'end'), message: 'must come after start' });
     }
+  }
+  return errors;
+}
 
-    if (slide.type === 'image') {
-      if (!slide.image || typeof slide.image !== 'object' || !slide.image.src) {
-        throw new Error(`Slide ${index} (${slide.badge ?? slide.headline ?? 'Image slide'}) requires an image.src value.`);
-      }
-    }
-  });
+function checkSchema(value, schema, path) {
+  return validateAgainstSchema(value, schema, { root: DECK_SCHEMA, path, formats: SCHEMA_FORMATS });
 }
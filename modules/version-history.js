@@ -0,0 +1,284 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Version History Module
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The Version History section of the settings modal.
+// - Lists the loaded deck's versions (autosnapshots and named checkpoints)
+//   newest first, and saves a named checkpoint of the current deck
+// - Picking a version previews it slide by slide under its entry (title, type
+//   and first image of each slide, from getSlideThumbnail())
+// - Restore swaps the version in (after keeping the current deck as a
+//   "Before restore" version, so it can be undone); "Restore as new deck"
+//   goes through saveAsNewDeck() and leaves this deck alone; "Compare" opens
+//   the version next to the current deck in the Compare Decks modal
+//
+// Dependencies: deck-persistence.js, deck-store.js, deck-library.js,
+//               deck-format.js, state.js
+// Used by: settings-modal.js, main.js (hooks)
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import {
+  saveDeckVersion,
+  listDeckVersions,
+  readDeckVersion,
+  deleteDeckVersion,
+  saveAsNewDeck,
+} from './deck-persistence.js';
+import { getStoredImageUrl } from './deck-store.js';
+import { getSlideThumbnail } from './deck-library.js';
+import { getDeckTitle } from './deck-format.js';
+import { activeDeckId } from './state.js';
+
+/** @type {(deck: { meta: object, slides: object[] }) => void} */
+let restoreVersionHook = () => {};
+/** @type {(id: number) => void} */
+let compareVersionHook = () => {};
+
+let selectedVersionId = null;
+
+const timestampFormatter = typeof Intl !== 'undefined'
+  ? new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+  : null;
+
+export function registerVersionHistoryHooks(hooks = {}) {
+  if (typeof hooks.restoreVersion === 'function') restoreVersionHook = hooks.restoreVersion;
+  if (typeof hooks.compareVersion === 'function') compareVersionHook = hooks.compareVersion;
+}
+
+/**
+ * Fill the Version History section for the loaded deck.
+ * @returns {Promise<void>}
+ */
+export async function renderVersionHistory() {
+  const list = document.getElementById('version-history-list');
+  const form = document.getElementById('version-checkpoint-form');
+  if (!list) return;
+  bindVersionHistory();
+
+  if (!activeDeckId) {
+    if (form) form.hidden = true;
+    list.replaceChildren();
+    setEmptyMessage('Save this deck as a copy to start keeping versions.');
+    return;
+  }
+  if (form) form.hidden = false;
+
+  let versions;
+  try {
+    versions = await listDeckVersions();
+  } catch (error) {
+    console.warn('Unable to read version history:', error);
+    versions = [];
+  }
+
+  if (!versions.some((version) => version.id === selectedVersionId)) {
+    selectedVersionId = null;
+  }
+  setEmptyMessage(versions.length ? '' : 'No versions yet. One is kept every few minutes while you edit.');
+  list.replaceChildren(...versions.map(createVersionItem));
+}
+
+function bindVersionHistory() {
+  const form = document.getElementById('version-checkpoint-form');
+  if (form && !form.dataset.listenerAttached) {
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      saveCheckpoint();
+    });
+    form.dataset.listenerAttached = 'true';
+  }
+
+  const list = document.getElementById('version-history-list');
+  if (list && !list.dataset.listenerAttached) {
+    list.addEventListener('click', (event) => {
+      const actionButton = event.target.closest('[data-version-action]');
+      if (actionButton && selectedVersionId !== null) {
+        handleVersionAction(actionButton.dataset.versionAction, selectedVersionId);
+        return;
+      }
+      const item = event.target.closest('[data-version-id]');
+      if (!item) return;
+      const id = Number(item.dataset.versionId);
+      selectedVersionId = selectedVersionId === id ? null : id;
+      renderVersionHistory();
+    });
+    list.dataset.listenerAttached = 'true';
+  }
+}
+
+async function saveCheckpoint() {
+  const input = /** @type {HTMLInputElement} */ (document.getElementById('version-checkpoint-name'));
+  const name = input?.value.trim() || `Checkpoint ${formatTimestamp(Date.now())}`;
+  try {
+    const id = await saveDeckVersion({ name });
+    if (id === null) {
+      showVersionStatus('error', 'Version history needs IndexedDB, which this browser has turned off.');
+      return;
+    }
+    if (input) input.value = '';
+    selectedVersionId = id;
+    showVersionStatus('success', `✓ Saved "${name}"`);
+    await renderVersionHistory();
+  } catch (error) {
+    console.error('Failed to save checkpoint:', error);
+    showVersionStatus('error', 'Unable to save a checkpoint. Storage may be full.');
+  }
+}
+
+async function handleVersionAction(action, id) {
+  try {
+    if (action === 'delete') {
+      if (!window.confirm('Delete this version?')) return;
+      await deleteDeckVersion(id);
+      selectedVersionId = null;
+      showVersionStatus('info', 'Version deleted');
+      await renderVersionHistory();
+      return;
+    }
+
+    if (action === 'compare') {
+      compareVersionHook(id);
+      return;
+    }
+
+    const deck = await readDeckVersion(id);
+    if (!deck) {
+      showVersionStatus('error', 'That version could not be read.');
+      return;
+    }
+
+    if (action === 'restore-new') {
+      await saveAsNewDeck({ slides: deck.slides, meta: deck.meta, title: `${getDeckTitle(deck.meta, deck.slides)} (restored)` });
+      return;
+    }
+
+    if (action === 'restore') {
+      await saveDeckVersion({ name: 'Before restore', auto: true });
+      restoreVersionHook(deck);
+      showVersionStatus('success', `✓ Restored ${deck.slides.length} ${deck.slides.length === 1 ? 'slide' : 'slides'}. Undo brings the previous slides back.`);
+      selectedVersionId = null;
+      await renderVersionHistory();
+    }
+  } catch (error) {
+    console.error('Version history action failed:', error);
+    showVersionStatus('error', 'Something went wrong. Try again.');
+  }
+}
+
+function createVersionItem(version) {
+  const item = document.createElement('li');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'version-history__item';
+  button.dataset.versionId = String(version.id);
+  button.setAttribute('aria-pressed', String(version.id === selectedVersionId));
+
+  const name = document.createElement('span');
+  name.className = 'version-history__name';
+  name.textContent = version.auto ? `🕒 ${version.name || 'Autosave'}` : `📌 ${version.name}`;
+
+  const slideCount = version.payload?.slides?.length ?? 0;
+  const details = document.createElement('span');
+  details.className = 'version-history__details';
+  details.textContent = `${formatTimestamp(version.createdAt)} • ${slideCount} ${slideCount === 1 ? 'slide' : 'slides'}`;
+
+  button.append(name, details);
+  item.append(button);
+  if (version.id === selectedVersionId) {
+    item.append(createPreview(version));
+  }
+  return item;
+}
+
+// The picked version, slide by slide, with what can be done with it.
+function createPreview(version) {
+  const preview = document.createElement('div');
+  preview.className = 'version-history__preview';
+
+  const slides = (version.payload?.slides ?? []).filter((slide) => slide?.type !== '_schema');
+  const strip = document.createElement('ol');
+  strip.className = 'version-history__slides';
+  strip.setAttribute('aria-label', 'Slides in this version');
+  strip.append(...slides.map((slide, index) => createSlidePreview(slide, index)));
+
+  const actions = document.createElement('div');
+  actions.className = 'settings-field__actions';
+  actions.append(
+    createActionButton('restore', 'Restore', 'primary'),
+    createActionButton('restore-new', 'Restore as New Deck', 'secondary'),
+    createActionButton('compare', 'Compare with Current', 'secondary'),
+    createActionButton('delete', 'Delete', 'danger')
+  );
+
+  preview.append(strip, actions);
+  return preview;
+}
+
+function createSlidePreview(slide, index) {
+  const thumbnail = getSlideThumbnail(slide);
+  const item = document.createElement('li');
+  item.className = 'version-history__slide';
+
+  if (thumbnail.image) {
+    const image = document.createElement('img');
+    image.alt = '';
+    image.loading = 'lazy';
+    image.addEventListener('error', () => image.remove());
+    getStoredImageUrl(thumbnail.image)
+      .then((url) => {
+        if (url) {
+          image.src = url;
+        } else {
+          image.remove();
+        }
+      })
+      .catch(() => image.remove());
+    item.append(image);
+  }
+
+  const number = document.createElement('span');
+  number.className = 'version-history__slide-number';
+  number.textContent = `${index + 1} · ${thumbnail.type}`;
+
+  const title = document.createElement('span');
+  title.className = 'version-history__slide-title';
+  title.textContent = thumbnail.title || 'Untitled';
+
+  item.append(number, title);
+  return item;
+}
+
+function createActionButton(action, label, variant) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `settings-btn settings-btn--${variant}`;
+  button.dataset.versionAction = action;
+  button.textContent = label;
+  return button;
+}
+
+function setEmptyMessage(message) {
+  const empty = document.getElementById('version-history-empty');
+  if (!empty) return;
+  empty.textContent = message;
+  empty.hidden = !message;
+}
+
+function showVersionStatus(type, message) {
+  const status = document.getElementById('version-history-status');
+  if (!status) return;
+
+  status.className = `settings-field__status is-visible is-${type}`;
+  status.textContent = message;
+
+  if (type !== 'error') {
+    setTimeout(() => {
+      status.classList.remove('is-visible');
+    }, 3000);
+  }
+}
+
+function formatTimestamp(timestamp) {
+  return timestampFormatter ? timestampFormatter.format(timestamp) : new Date(timestamp).toLocaleString();
+}
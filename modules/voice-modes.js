@@ -13,6 +13,7 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 import { applyTheme, setCurrentTheme, downloadTheme } from './theme-manager.js';
+import { commitHistory } from './history.js';
 
 export const STORAGE_KEY_API = 'slideomatic_gemini_api_key';
 
@@ -499,6 +500,7 @@ export async function processVoiceToTheme(audioBlob) {
 
     downloadTheme(normalizedTheme);
     setCurrentTheme(normalizedTheme, { source: '__ai__' });
+    commitHistory('Voice theme');
 
     await ensureMinimumDelay(uiStart, 1500);
     context.showHudStatus('🎨 Theme created!', 'success');
@@ -718,6 +720,14 @@ AVAILABLE SLIDE TYPES:
 8. "image" - Full-bleed image
 9. "graph" - AI-generated infographic/graph
 10. "typeface" - Font showcase
+11. "chart" - Data chart: "chart" ("bar" | "line" | "pie" | "donut" | "scatter"), "data" array of { "label", "value" } (scatter: { "x", "y" }), optional "unit" and "caption". Prefer this over "graph" when the user gives numbers
+12. "code" - Code snippet: "language" (js, ts, python, json, bash, html, css), "code" as an array of lines, optional "highlight" ("2,4-5") and "steps" (array of line ranges revealed one per key press)
+13. "diagram" - Flowchart or sequence diagram drawn from text: "diagram" ("flowchart" | "sequence"), "source" as an array of lines. Flowchart lines look like "a[Box] --> b{Decision}", "b -->|yes| c((Done))" with optional "direction" ("TD" | "LR"); sequence lines look like "participant a as Alice", "a -> b: request", "b --> a: reply", "note over a,b: text"
+14. "video" - Video clip: "video" object { "src": "" } (leave src empty so the user can upload), optional "poster", "start"/"end" trim ("0:05"), "muted", "loop", "autoplay": false, and "caption"
+15. "audio" - Audio clip: "audio" object { "src": "" }, optional "poster" cover image, "start"/"end", "caption"
+16. "table" - Comparison table: "header" (array of column titles), "rows" (array of arrays of cell strings; cells accept **bold** and *italic* Markdown), optional "align" (array of "left" | "center" | "right" per column, right for numbers) and "caption". Prefer this over "split" or "grid" for side-by-side comparisons
+17. "timeline" - Roadmap: "milestones" array of { "date" ("Q3 2026", "2026-03"), "label", optional "copy" and "status" ("done" | "active" | "planned") }, optional "orientation" ("horizontal" | "vertical"; vertical for more than 6 milestones) and "today": true to mark the current date. Prefer this over "pillars" for plans and histories
+18. "canvas" - Freeform layout: "elements" array of { "type" ("text" | "image" | "shape" | "arrow"), "x", "y", "width", "height" (percent of the slide, 0-100), optional "rotation" (degrees) }. Text uses "text" and "size" (percent of slide height); shapes use "shape" ("rect" | "ellipse" | "triangle"), "fill" and optional "text"; arrows use "head" ("end" | "start" | "both" | "none"); images use "image" like other slides. Only use when the user asks for a custom arrangement
 
 `;
 
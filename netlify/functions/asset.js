@@ -52,15 +52,42 @@ export async function handler(event) {
     const { data, metadata = {}, etag } = result;
     const mimeType = metadata.mimeType || 'application/octet-stream';
     const buffer = Buffer.from(data);
+    const headers = {
+      'Content-Type': mimeType,
+      'Cache-Control': CACHE_HEADERS.IMMUTABLE,
+      'Accept-Ranges': 'bytes',
+      ...(etag ? { ETag: etag } : {}),
+      'Access-Control-Allow-Origin': '*',
+    };
+
+    // Video/audio players seek with byte ranges (Safari refuses to play without them).
+    const range = parseRange(event.headers?.range || event.headers?.Range, buffer.length);
+    if (range === 'invalid') {
+      return {
+        statusCode: 416,
+        headers: { ...headers, 'Content-Range': `bytes */${buffer.length}` },
+        body: '',
+      };
+    }
+    if (range) {
+      const chunk = buffer.subarray(range.start, range.end + 1);
+      return {
+        statusCode: 206,
+        headers: {
+          ...headers,
+          'Content-Range': `bytes ${range.start}-${range.end}/${buffer.length}`,
+          'Content-Length': String(chunk.length),
+        },
+        body: chunk.toString('base64'),
+        isBase64Encoded: true,
+      };
+    }
 
     return {
       statusCode: 200,
       headers: {
-        'Content-Type': mimeType,
-        'Cache-Control': CACHE_HEADERS.IMMUTABLE,
+        ...headers,
         'Content-Length': String(buffer.length),
-        ...(etag ? { ETag: etag } : {}),
-        'Access-Control-Allow-Origin': '*',
       },
       body: buffer.toString('base64'),
       isBase64Encoded: true,
@@ -75,6 +102,24 @@ export async function handler(event) {
   }
 }
 
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes.
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return 'invalid';
+  return { start, end };
+}
+
 async function handleHead(assetId) {
   const store = getStore(STORE_NAMES.ASSETS);
   const metadata = await store.getMetadata(assetId);
@@ -92,6 +137,7 @@ async function handleHead(assetId) {
     headers: {
       'Content-Type': meta.mimeType || 'application/octet-stream',
       'Cache-Control': CACHE_HEADERS.IMMUTABLE,
+      'Accept-Ranges': 'bytes',
       ...(bytes ? { 'Content-Length': String(bytes) } : {}),
       ...(etag ? { ETag: etag } : {}),
       'Access-Control-Allow-Origin': '*',
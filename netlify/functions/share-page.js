@@ -0,0 +1,107 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { connectLambda, getStore } from '@netlify/blobs';
+import { STORE_NAMES, CACHE_HEADERS } from './utils/common.js';
+import { readDeckEnvelope, getDeckDetails, getDeckTitle } from '../../modules/deck-format.js';
+import { escapeHtml } from '../../modules/utils.js';
+
+// Serves deck.html for share links (see the redirect in netlify.toml) with the
+// shared deck's details in <title>, the description and the og:/twitter: tags,
+// so link previews show the deck instead of the generic app blurb.
+
+const DEFAULT_DESCRIPTION = 'Check out this presentation made with Slide-o-Matic';
+
+// deck.html ships inside the function bundle (`included_files` in
+// netlify.toml), so the page never depends on a request header or a second
+// HTTP request. Read once per warm instance.
+let deckPageTemplate = null;
+
+export async function handler(event) {
+  connectLambda(event);
+
+  let html;
+  try {
+    html = await readDeckPage();
+  } catch (error) {
+    console.error('Share page template unavailable', error);
+    return {
+      statusCode: 502,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Cache-Control': CACHE_HEADERS.NO_STORE,
+      },
+      body: 'Unable to load the deck page',
+    };
+  }
+
+  const id = (event.queryStringParameters?.share || '').trim();
+  if (id) {
+    try {
+      const record = await getStore(STORE_NAMES.SHARES).get(id, { type: 'json' });
+      if (record) {
+        html = applyDeckDetails(html, readDeckEnvelope(record));
+      }
+    } catch (error) {
+      // The deck still loads client-side; only the preview stays generic.
+      console.warn(`Share page details unavailable for ${id}`, error);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=300',
+    },
+    body: html,
+  };
+}
+
+// Included files keep their repo-relative path under the bundle root;
+// `netlify dev` runs from the repo root.
+async function readDeckPage() {
+  if (!deckPageTemplate) {
+    const root = process.env.LAMBDA_TASK_ROOT || process.cwd();
+    deckPageTemplate = await readFile(join(root, 'deck.html'), 'utf8');
+  }
+  return deckPageTemplate;
+}
+
+function applyDeckDetails(html, deck) {
+  const details = getDeckDetails(deck.meta);
+  const title = getDeckTitle(details, deck.slides);
+  const byline = [details.author, details.event, details.date].filter(Boolean).join(' · ');
+  const description = details.description || byline || DEFAULT_DESCRIPTION;
+
+  let page = html
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)} — Slide-o-Matic</title>`);
+  page = setMetaContent(page, 'name', 'description', description);
+  page = setMetaContent(page, 'property', 'og:title', title);
+  page = setMetaContent(page, 'property', 'og:description', description);
+  page = setMetaContent(page, 'property', 'og:image:alt', title);
+  page = setMetaContent(page, 'property', 'twitter:title', title);
+  page = setMetaContent(page, 'property', 'twitter:description', description);
+  page = setMetaContent(page, 'property', 'twitter:image:alt', title);
+
+  if (details.language) {
+    page = page.replace(/<html lang="[^"]*"/, `<html lang="${escapeHtml(details.language)}"`);
+  }
+
+  const extraTags = [
+    details.author ? `<meta name="author" content="${escapeHtml(details.author)}" />` : '',
+    details.tags ? `<meta name="keywords" content="${escapeHtml(details.tags.join(', '))}" />` : '',
+  ].filter(Boolean);
+  if (extraTags.length) {
+    page = page.replace(/\n([ \t]*)<\/head>/, (_match, indent) => {
+      const lines = extraTags.map((tag) => `${indent}  ${tag}`).join('\n');
+      return `\n${lines}\n${indent}</head>`;
+    });
+  }
+
+  return page;
+}
+
+function setMetaContent(html, attribute, key, value) {
+  const pattern = new RegExp(`(<meta\\s+${attribute}="${key.replace(/[.:]/g, '\\$&')}"\\s+content=")[^"]*(")`);
+  return html.replace(pattern, (_match, start, end) => `${start}${escapeHtml(value)}${end}`);
+}
@@ -10,6 +10,7 @@ import {
   hashImageContent,
   recompressForShare
 } from './utils/common.js';
+import { createDeckEnvelope, readDeckEnvelope, getDeckDetails } from '../../modules/deck-format.js';
 
 export async function handler(event) {
   connectLambda(event);
@@ -65,24 +66,26 @@ async function handlePost(event) {
     };
   }
 
-  if (!Array.isArray(payload.slides)) {
+  // Older clients post version 1 payloads; upgrade them before storing.
+  let deck;
+  try {
+    deck = readDeckEnvelope(payload);
+  } catch (error) {
     return {
       statusCode: 400,
       headers: BASE_HEADERS,
-      body: JSON.stringify({ error: 'Missing slides array' }),
+      body: JSON.stringify({ error: error.message }),
     };
   }
 
-  const slidesClone = JSON.parse(JSON.stringify(payload.slides));
-  const shareRecord = {
-    version: 1,
-    slides: slidesClone,
-    theme: payload.theme ? JSON.parse(JSON.stringify(payload.theme)) : null,
+  const slidesClone = JSON.parse(JSON.stringify(deck.slides));
+  const shareRecord = createDeckEnvelope(slidesClone, {
     meta: {
-      title: payload.meta?.title ?? 'Untitled Deck',
-      createdAt: payload.meta?.createdAt ?? Date.now(),
+      ...getDeckDetails(deck.meta),
+      createdAt: deck.meta.createdAt ?? Date.now(),
     },
-  };
+    theme: deck.theme ? JSON.parse(JSON.stringify(deck.theme)) : null,
+  });
 
   const { assetIds, stats } = await externalizeInlineAssets(slidesClone, event);
   if (assetIds.length) {
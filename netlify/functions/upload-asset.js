@@ -59,19 +59,20 @@ export async function handler(event) {
     const { buffer, detectedMime } = decodeDataUrl(dataUrl, mimeType);
     const bytes = buffer.byteLength;
 
-    if (!detectedMime.startsWith('image/')) {
+    const isMedia = detectedMime.startsWith('video/') || detectedMime.startsWith('audio/');
+    if (!detectedMime.startsWith('image/') && !isMedia) {
       return {
         statusCode: 400,
         headers: BASE_HEADERS,
-        body: JSON.stringify({ error: 'Only image uploads are supported' }),
+        body: JSON.stringify({ error: 'Only image, video, and audio uploads are supported' }),
       };
     }
 
-    if (bytes > LIMITS.MAX_ASSET_BYTES) {
+    if (bytes > (isMedia ? LIMITS.MAX_MEDIA_BYTES : LIMITS.MAX_ASSET_BYTES)) {
       return {
         statusCode: 413,
         headers: BASE_HEADERS,
-        body: JSON.stringify({ error: 'Image exceeds 512KB limit' }),
+        body: JSON.stringify({ error: isMedia ? 'Clip exceeds 4MB limit' : 'Image exceeds 512KB limit' }),
       };
     }
 
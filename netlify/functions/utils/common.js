@@ -11,6 +11,7 @@ export const STORE_NAMES = {
 export const LIMITS = {
   MAX_DECK_BYTES: 500 * 1024,        // 500KB - JSON should be small
   MAX_ASSET_BYTES: 500 * 1024,       // 500KB - matches client compression
+  MAX_MEDIA_BYTES: 4 * 1024 * 1024,  // 4MB - video/audio clips (base64 body stays under 6MB)
   SHARE_ASSET_BYTES: 200 * 1024,     // 200KB - aggressive for sharing
   THUMBNAIL_BYTES: 50 * 1024,        // 50KB - for overview mode
 };
@@ -0,0 +1,294 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Presenter Window
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Entry point for presenter.html, opened from the audience window (P key).
+// - Mirrors the current + next slide and speaker notes sent over BroadcastChannel
+// - Tracks elapsed / remaining time against a target duration
+// - Sends navigation commands back so the audience window stays in charge
+//
+// See modules/presenter-view.js for the sending side.
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { applyTheme } from './modules/theme-manager.js';
+import { PRESENTER_CHANNEL_PREFIX } from './modules/presenter-view.js';
+import { typesetMath } from './modules/math-render.js';
+
+const DURATION_STORAGE_KEY = 'slideomatic_presenter_duration';
+const DEFAULT_DURATION_MINUTES = 20;
+const STAGE_WIDTH = 1280;
+const STAGE_HEIGHT = 720;
+
+const channelId = new URLSearchParams(window.location.search).get('channel');
+const channel = channelId && typeof BroadcastChannel === 'function'
+  ? new BroadcastChannel(`${PRESENTER_CHANNEL_PREFIX}${channelId}`)
+  : null;
+
+const currentStage = document.getElementById('presenter-current-stage');
+const nextStage = document.getElementById('presenter-next-stage');
+const notesEl = document.getElementById('presenter-notes');
+const deckNameEl = document.getElementById('presenter-deck-name');
+const currentEl = document.getElementById('presenter-current');
+const totalEl = document.getElementById('presenter-total');
+const elapsedEl = document.getElementById('presenter-elapsed');
+const remainingEl = document.getElementById('presenter-remaining');
+const durationInput = document.getElementById('presenter-duration');
+const pauseBtn = document.getElementById('presenter-pause');
+const resetBtn = document.getElementById('presenter-reset');
+const statusEl = document.getElementById('presenter-status');
+
+let latestState = null;
+let elapsedMs = 0;
+let runningSince = null;
+let durationMinutes = loadDuration();
+
+init();
+
+function init() {
+  if (!channel) {
+    setStatus('⚠️ Open presenter view from a deck (press P).');
+    return;
+  }
+
+  channel.addEventListener('message', handleMessage);
+  channel.postMessage({ type: 'ready' });
+
+  document.getElementById('presenter-prev')?.addEventListener('click', () => step(-1));
+  document.getElementById('presenter-next')?.addEventListener('click', () => step(1));
+  nextStage?.addEventListener('click', () => step(1));
+  pauseBtn?.addEventListener('click', toggleTimer);
+  resetBtn?.addEventListener('click', resetTimer);
+
+  if (durationInput) {
+    durationInput.value = durationMinutes;
+    durationInput.addEventListener('change', () => {
+      const parsed = Number.parseInt(durationInput.value, 10);
+      durationMinutes = Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_DURATION_MINUTES;
+      durationInput.value = durationMinutes;
+      try {
+        localStorage.setItem(DURATION_STORAGE_KEY, String(durationMinutes));
+      } catch (_error) {
+        // Storage may be unavailable (private mode); keep the in-memory value.
+      }
+      renderTimers();
+    });
+  }
+
+  document.addEventListener('keydown', handleKeydown);
+  window.addEventListener('resize', fitStages);
+  window.addEventListener('beforeunload', () => {
+    channel.postMessage({ type: 'closed' });
+  });
+
+  runningSince = Date.now();
+  renderTimers();
+  setInterval(renderTimers, 500);
+}
+
+function handleMessage(event) {
+  const message = event.data;
+  if (!message || typeof message !== 'object') return;
+
+  if (message.type === 'state') {
+    latestState = message;
+    renderState();
+    setStatus('');
+    return;
+  }
+
+  if (message.type === 'audience-closed') {
+    setStatus('⚠️ Audience window closed.');
+  }
+}
+
+function handleKeydown(event) {
+  const target = event.target;
+  if (target instanceof HTMLElement && target.matches('input, textarea, select')) return;
+
+  const { key } = event;
+  if (key === 'ArrowRight' || key === 'PageDown' || key === ' ') {
+    event.preventDefault();
+    step(1);
+    return;
+  }
+  if (key === 'ArrowLeft' || key === 'PageUp') {
+    event.preventDefault();
+    step(-1);
+    return;
+  }
+  if (key === 'Home') {
+    event.preventDefault();
+    goTo(0);
+    return;
+  }
+  if (key === 'End' && latestState) {
+    event.preventDefault();
+    goTo(Math.max(0, latestState.total - 1));
+    return;
+  }
+  if (key.toLowerCase() === 'k') {
+    event.preventDefault();
+    toggleTimer();
+  }
+}
+
+function step(delta) {
+  channel?.postMessage({ type: 'step', delta });
+}
+
+function goTo(index) {
+  channel?.postMessage({ type: 'goto', index });
+}
+
+function renderState() {
+  const { deckName, total, current, next, theme } = latestState;
+
+  if (theme) {
+    applyTheme(theme);
+  }
+
+  if (deckNameEl) {
+    deckNameEl.textContent = deckName || 'Untitled deck';
+  }
+  if (deckName) {
+    document.title = `Presenter · ${deckName}`;
+  }
+  if (currentEl) {
+    currentEl.textContent = current ? current.index + 1 : '–';
+  }
+  if (totalEl) {
+    totalEl.textContent = total;
+  }
+
+  renderStage(currentStage, current, 'Waiting for the audience window…');
+  renderStage(nextStage, next, 'End of deck');
+  if (nextStage) {
+    nextStage.disabled = !next;
+  }
+
+  if (notesEl) {
+    const notes = current?.notes;
+    notesEl.textContent = notes || 'No speaker notes for this slide.';
+    notesEl.classList.toggle('is-empty', !notes);
+  }
+}
+
+function renderStage(stage, slideState, emptyLabel) {
+  if (!stage) return;
+  stage.replaceChildren();
+
+  if (!slideState?.html) {
+    const empty = document.createElement('span');
+    empty.className = 'presenter-stage__empty';
+    empty.textContent = emptyLabel;
+    stage.appendChild(empty);
+    return;
+  }
+
+  const frame = document.createElement('div');
+  frame.className = 'presenter-stage__frame';
+  frame.innerHTML = slideState.html;
+
+  const slide = frame.firstElementChild;
+  if (slide) {
+    slide.classList.add('is-active');
+    slide.classList.remove('is-leaving');
+    slide.removeAttribute('style');
+    slide.removeAttribute('tabindex');
+    slide.setAttribute('aria-hidden', 'true');
+    slide.inert = true;
+    slide.querySelectorAll('img[data-src]').forEach((img) => {
+      img.src = img.dataset.src;
+      img.removeAttribute('data-src');
+    });
+  }
+
+  stage.appendChild(frame);
+  typesetMath(frame);
+  fitStage(stage);
+}
+
+function fitStages() {
+  fitStage(currentStage);
+  fitStage(nextStage);
+}
+
+function fitStage(stage) {
+  const frame = stage?.querySelector('.presenter-stage__frame');
+  if (!frame) return;
+  const { width, height } = stage.getBoundingClientRect();
+  const scale = Math.min(width / STAGE_WIDTH, height / STAGE_HEIGHT) || 1;
+  frame.style.setProperty('--presenter-scale', scale);
+}
+
+function getElapsedMs() {
+  return elapsedMs + (runningSince ? Date.now() - runningSince : 0);
+}
+
+function toggleTimer() {
+  if (runningSince) {
+    elapsedMs += Date.now() - runningSince;
+    runningSince = null;
+  } else {
+    runningSince = Date.now();
+  }
+  renderTimers();
+}
+
+function resetTimer() {
+  elapsedMs = 0;
+  runningSince = runningSince ? Date.now() : null;
+  renderTimers();
+}
+
+function renderTimers() {
+  const elapsed = getElapsedMs();
+  if (elapsedEl) {
+    elapsedEl.textContent = formatDuration(elapsed);
+  }
+
+  if (remainingEl) {
+    if (durationMinutes > 0) {
+      const remaining = durationMinutes * 60 * 1000 - elapsed;
+      remainingEl.textContent = remaining < 0
+        ? `-${formatDuration(-remaining)}`
+        : formatDuration(remaining);
+      remainingEl.classList.toggle('is-overtime', remaining < 0);
+      remainingEl.classList.toggle('is-warning', remaining >= 0 && remaining < 2 * 60 * 1000);
+    } else {
+      remainingEl.textContent = '--:--';
+      remainingEl.classList.remove('is-overtime', 'is-warning');
+    }
+  }
+
+  if (pauseBtn) {
+    pauseBtn.textContent = runningSince ? 'Pause' : 'Resume';
+  }
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+function loadDuration() {
+  try {
+    const stored = Number.parseInt(localStorage.getItem(DURATION_STORAGE_KEY), 10);
+    return Number.isFinite(stored) && stored >= 0 ? stored : DEFAULT_DURATION_MINUTES;
+  } catch (_error) {
+    return DEFAULT_DURATION_MINUTES;
+  }
+}
+
+function setStatus(message) {
+  if (statusEl) {
+    statusEl.textContent = message;
+  }
+}
@@ -0,0 +1,74 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+
+// What sw.js keeps for offline use: the pages, their scripts and styles,
+// vendor libraries, KaTeX fonts (woff2 is enough for browsers with service
+// workers), bundled themes and the bundled decks. Images are cached as decks
+// use them instead.
+const PRECACHE_FILES = [
+  'index.html',
+  'deck.html',
+  'presenter.html',
+  'collections.html',
+  'main.js',
+  'presenter.js',
+  'manifest.webmanifest',
+  'slides.json',
+  'guide.json',
+  'theme.json',
+  'catalog.json',
+  'autolinks.json',
+  'deck-collections.json',
+  'design-resources.json',
+];
+const PRECACHE_DIRECTORIES = [
+  { dir: 'css', pattern: /\.css$/ },
+  { dir: 'modules', pattern: /\.(?:js|mjs|css|woff2)$/ },
+  { dir: 'js/vendor', pattern: /\.js$/ },
+  { dir: 'themes', pattern: /\.json$/ },
+  { dir: 'icons', pattern: /\.(?:svg|png)$/ },
+];
+
+export const PRECACHE_OUTPUT = 'sw-precache.js';
+
+/**
+ * Precached paths, sorted, relative to the site root.
+ * @param {string} root
+ * @returns {string[]}
+ */
+export function listPrecacheFiles(root) {
+  const files = [...PRECACHE_FILES];
+  PRECACHE_DIRECTORIES.forEach(({ dir, pattern }) => {
+    readdirSync(join(root, dir), { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile() && pattern.test(entry.name))
+      .forEach((entry) => {
+        const relative = join(entry.parentPath ?? entry.path, entry.name).slice(root.length + 1);
+        files.push(relative.split('\\').join('/'));
+      });
+  });
+  return files.sort();
+}
+
+/**
+ * The contents of sw-precache.js: the file list, and a revision that changes
+ * whenever one of the files does (so browsers fetch the new app).
+ * @param {string} root
+ * @returns {string}
+ */
+export function buildPrecacheScript(root) {
+  const files = listPrecacheFiles(root);
+  const hash = createHash('sha256');
+  files.forEach((file) => {
+    hash.update(file);
+    hash.update(readFileSync(join(root, file)));
+  });
+  const revision = hash.digest('hex').slice(0, 12);
+
+  return [
+    '// Generated by scripts/write-precache.mjs ("npm run precache"). Do not edit.',
+    `self.PRECACHE_REVISION = '${revision}';`,
+    `self.PRECACHE_URLS = ${JSON.stringify(files, null, 2).replace(/"/g, '\'')};`,
+    '',
+  ].join('\n');
+}
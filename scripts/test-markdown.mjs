@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import { isDeepStrictEqual } from 'node:util';
+import { parseMarkdownDeck, serializeMarkdownDeck } from '../modules/markdown-deck.js';
+
+// Markdown import cases that used to lose content: each must parse to the
+// expected slide, report what it leaves out, and survive export + re-import.
+const CASES = [
+  {
+    name: 'list beside a code fence',
+    markdown: '## Setup\n\n1. Install\n2. Run\n\n```js\nstart();\n```',
+    slide: { type: 'code', headline: 'Setup', body: ['Install', 'Run'], language: 'js', code: ['start();'] },
+  },
+  {
+    name: 'quote and subheading beside a diagram',
+    markdown: '## Flow\n\n### Today\n\n> Keep it simple\n\n```diagram\nA -> B\n```',
+    slide: { type: 'diagram', headline: 'Flow', body: ['Today', '“Keep it simple”'], source: ['A -> B'] },
+  },
+  {
+    name: 'list beside a table',
+    markdown: '## Plans\n\n| Plan | Price |\n| --- | ---: |\n| Pro | 9 |\n\n- Billed monthly',
+    slide: { type: 'table', headline: 'Plans', body: 'Billed monthly', header: ['Plan', 'Price'], rows: [['Pro', '9']], align: ['left', 'right'] },
+  },
+  {
+    name: 'subheading under a title',
+    markdown: '# Launch\n\n## Q3 review',
+    slide: { type: 'title', title: 'Launch', subtitle: 'Q3 review' },
+  },
+  {
+    name: 'subheading and text under a title',
+    markdown: '# Launch\n\n## Q3 review\n\nWhat shipped',
+    slide: { type: 'standard', headline: 'Launch', body: ['Q3 review', 'What shipped'] },
+  },
+  {
+    name: 'nested list',
+    markdown: '## Stack\n\n- Front end\n  - Vanilla JS\n    1. No build\n- Netlify',
+    slide: { type: 'standard', headline: 'Stack', body: ['Front end\n  - Vanilla JS\n    1. No build', 'Netlify'] },
+  },
+  {
+    name: 'second code fence',
+    markdown: '## Two\n\n```js\na();\n```\n\n```py\nb()\n```',
+    slide: { type: 'code', headline: 'Two', language: 'js', code: ['a();'] },
+    warnings: ['Slide 1: left out a py code block'],
+  },
+];
+
+const failures = [];
+
+CASES.forEach(({ name, markdown, slide, warnings = [] }) => {
+  const imported = parseMarkdownDeck(markdown);
+  if (!isDeepStrictEqual(imported.slides, [slide])) {
+    failures.push(`${name} imports as ${JSON.stringify(imported.slides)}`);
+    return;
+  }
+  if (!isDeepStrictEqual(imported.warnings, warnings)) {
+    failures.push(`${name} reports ${JSON.stringify(imported.warnings)}`);
+    return;
+  }
+  const reimported = parseMarkdownDeck(serializeMarkdownDeck(imported.slides)).slides;
+  if (!isDeepStrictEqual(reimported, imported.slides)) {
+    failures.push(`${name} changes after export and re-import: ${JSON.stringify(reimported)}`);
+  }
+});
+
+if (failures.length) {
+  console.error(`✖ Markdown import: ${failures.length} of ${CASES.length} cases failed:\n  ${failures.join('\n  ')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`✔ Markdown import: ${CASES.length} cases passed.`);
+}
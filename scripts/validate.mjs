@@ -1,31 +1,32 @@
 import { readFileSync, statSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { DECK_SCHEMA } from '../modules/deck-schema.js';
+import { getDeckErrors, getThemeErrors } from '../modules/validation.js';
+import { parseDiagram } from '../modules/diagram-render.js';
+import { parseTimelineDate } from '../modules/timeline-data.js';
+import { PRECACHE_OUTPUT, buildPrecacheScript } from './precache-manifest.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const root = join(__dirname, '..');
 
-const allowedTypes = new Set([
-  'title',
-  'standard',
-  'quote',
-  'split',
-  'grid',
-  'pillars',
-  'gallery',
-  'image',
-  'typeface',
-  '_schema'  // Documentation slide type (ignored during render)
-]);
-
-const mandatoryFiles = ['slides.json', 'theme.json', 'catalog.json'];
+const mandatoryFiles = ['slides.json', 'theme.json', 'catalog.json', 'slideomatic.schema.json'];
+
+// Schema problems are collected across every file and reported together.
+const problems = [];
+const checkedFiles = new Set();
 
 try {
   mandatoryFiles.forEach(assertFileExists);
+  validatePublishedSchema('slideomatic.schema.json');
+  validatePrecache(PRECACHE_OUTPUT);
   validateSlides('slides.json');
   validateTheme('theme.json');
   validateCatalog('catalog.json');
   validateOptional('autolinks.json', validateAutolinks);
+  if (problems.length) {
+    throw new Error(`${problems.length === 1 ? '1 problem' : `${problems.length} problems`}:\n  ${problems.join('\n  ')}`);
+  }
   console.log('✔ Validation passed for slides, themes, and catalog.');
 } catch (error) {
   console.error('✖ Validation failed:', error.message);
@@ -50,54 +51,63 @@ function assertFileExists(relativePath) {
   }
 }
 
-function validateSlides(relativePath) {
-  const slides = readJson(relativePath);
-  if (!Array.isArray(slides)) {
-    throw new Error(`${relativePath} must export an array`);
+function report(relativePath, errors) {
+  errors.forEach(({ path, message }) => problems.push(`${relativePath}: ${path} ${message}`));
+}
+
+function validatePublishedSchema(relativePath) {
+  const published = readFileSync(join(root, relativePath), 'utf8');
+  if (published !== `${JSON.stringify(DECK_SCHEMA, null, 2)}\n`) {
+    throw new Error(`${relativePath} is out of date with modules/deck-schema.js. Run "npm run schema".`);
   }
+}
 
-  slides.forEach((slide, index) => {
-    const label = `slide ${index + 1}`;
-    if (!slide || typeof slide !== 'object') {
-      throw new Error(`${relativePath}: ${label} is not an object`);
-    }
+// sw.js serves these files offline; a stale list keeps old copies around.
+function validatePrecache(relativePath) {
+  assertFileExists(relativePath);
+  const published = readFileSync(join(root, relativePath), 'utf8');
+  if (published !== buildPrecacheScript(root)) {
+    throw new Error(`${relativePath} is out of date with the app's files. Run "npm run precache".`);
+  }
+}
 
-    const type = slide.type ?? 'standard';
-    if (!allowedTypes.has(type)) {
-      throw new Error(`${relativePath}: ${label} has unsupported type "${type}"`);
-    }
+function validateSlides(relativePath) {
+  if (checkedFiles.has(relativePath)) return;
+  checkedFiles.add(relativePath);
 
-    if (type === 'split') {
-      if (!slide.left || !slide.right) {
-        throw new Error(`${relativePath}: ${label} requires both left and right columns`);
-      }
-    }
+  const data = readJson(relativePath);
+  const errors = getDeckErrors(data);
+  report(relativePath, errors);
+  if (errors.length) return;
 
-    if (type === 'gallery') {
-      if (!Array.isArray(slide.items) || !slide.items.length) {
-        throw new Error(`${relativePath}: ${label} requires a non-empty items array`);
-      }
-    }
+  // Checks that need the full parsers, so they only run here.
+  const slides = Array.isArray(data) ? data : data.slides;
+  slides.forEach((slide, index) => {
+    const path = Array.isArray(data) ? `$[${index}]` : `$.slides[${index}]`;
 
-    if (type === 'pillars') {
-      if (!Array.isArray(slide.pillars) || !slide.pillars.length) {
-        throw new Error(`${relativePath}: ${label} requires a non-empty pillars array`);
+    if (slide.type === 'diagram') {
+      const { skipped } = parseDiagram(slide.source, slide.diagram);
+      if (skipped.length) {
+        report(relativePath, [{ path: `${path}.source`, message: `has lines that could not be read: ${skipped.map((line) => `"${line}"`).join(', ')}` }]);
       }
     }
 
-    if (type === 'image') {
-      if (!slide.image || typeof slide.image !== 'object' || !slide.image.src) {
-        throw new Error(`${relativePath}: ${label} requires an image object with a "src"`);
-      }
+    if (slide.type === 'timeline' && slide.today !== undefined && slide.today !== false) {
+      // The marker is placed by milestone dates, so they all need to be readable.
+      slide.milestones.forEach((milestone, milestoneIndex) => {
+        if (parseTimelineDate(milestone.date) === null) {
+          report(relativePath, [{ path: `${path}.milestones[${milestoneIndex}].date`, message: "can't be placed for the today marker" }]);
+        }
+      });
     }
   });
 }
 
 function validateTheme(relativePath) {
-  const theme = readJson(relativePath);
-  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
-    throw new Error(`${relativePath} must export an object of CSS variables`);
-  }
+  if (checkedFiles.has(relativePath)) return;
+  checkedFiles.add(relativePath);
+
+  report(relativePath, getThemeErrors(readJson(relativePath)));
 }
 
 function validateCatalog(relativePath) {
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+import { writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PRECACHE_OUTPUT, buildPrecacheScript } from './precache-manifest.mjs';
+
+// Lists the app's files for sw.js. Run after changing any of them, or
+// browsers that have the app keep the old copies.
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = join(__dirname, '..');
+
+writeFileSync(join(root, PRECACHE_OUTPUT), buildPrecacheScript(root));
+console.log(`✔ Wrote ${PRECACHE_OUTPUT}`);
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DECK_SCHEMA } from '../modules/deck-schema.js';
+
+// Publishes modules/deck-schema.js as plain JSON for editors and other tools.
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const outputPath = join(__dirname, '..', 'slideomatic.schema.json');
+
+writeFileSync(outputPath, `${JSON.stringify(DECK_SCHEMA, null, 2)}\n`);
+console.log('✔ Wrote slideomatic.schema.json');
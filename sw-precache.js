@@ -0,0 +1,131 @@
+// Generated by scripts/write-precache.mjs ("npm run precache"). Do not edit.
+self.PRECACHE_REVISION = 'ed5a52db5da3';
+self.PRECACHE_URLS = [
+  'autolinks.json',
+  'catalog.json',
+  'collections.html',
+  'css/accordion.css',
+  'css/animations.css',
+  'css/base.css',
+  'css/collections.css',
+  'css/custom-select.css',
+  'css/drawers.css',
+  'css/landing.css',
+  'css/layout.css',
+  'css/main.css',
+  'css/modals.css',
+  'css/presenter.css',
+  'css/print.css',
+  'css/slides.css',
+  'css/ui.css',
+  'css/variables.css',
+  'deck-collections.json',
+  'deck.html',
+  'design-resources.json',
+  'guide.json',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/icon.svg',
+  'index.html',
+  'js/vendor/browser-image-compression.js',
+  'js/vendor/qr-code-styling.js',
+  'main.js',
+  'manifest.webmanifest',
+  'modules/accordion.js',
+  'modules/base64-tokens.js',
+  'modules/canvas-editor.js',
+  'modules/canvas-layout.js',
+  'modules/chart-render.js',
+  'modules/cheat-codes.js',
+  'modules/code-highlight.js',
+  'modules/compare-modal.js',
+  'modules/constants.js',
+  'modules/custom-select.js',
+  'modules/deck-diff.js',
+  'modules/deck-format.js',
+  'modules/deck-library.js',
+  'modules/deck-persistence.js',
+  'modules/deck-schema.js',
+  'modules/deck-store.js',
+  'modules/diagram-render.js',
+  'modules/dom-refs.js',
+  'modules/drawer-base.js',
+  'modules/edit-drawer.js',
+  'modules/haptics.js',
+  'modules/history.js',
+  'modules/hud.js',
+  'modules/image-ai.js',
+  'modules/image-render.js',
+  'modules/image-upload.js',
+  'modules/image-utils.js',
+  'modules/inline-edit.js',
+  'modules/keyboard-nav.js',
+  'modules/lazy-images.js',
+  'modules/markdown-deck.js',
+  'modules/math-render.js',
+  'modules/media-render.js',
+  'modules/media-upload.js',
+  'modules/navigation.js',
+  'modules/offline.js',
+  'modules/onboarding.js',
+  'modules/overview-selection.js',
+  'modules/pdf-export.js',
+  'modules/presenter-view.js',
+  'modules/radio.js',
+  'modules/rich-text.js',
+  'modules/schema-validator.js',
+  'modules/settings-modal.js',
+  'modules/share-modal.js',
+  'modules/slide-actions.js',
+  'modules/slide-image-ui.js',
+  'modules/slide-index.js',
+  'modules/slide-rendering.js',
+  'modules/slide-reorder.js',
+  'modules/slide-steps.js',
+  'modules/slide-templates.js',
+  'modules/slide-thumbnail.js',
+  'modules/slide-transitions.js',
+  'modules/speaker-notes.js',
+  'modules/state.js',
+  'modules/table-data.js',
+  'modules/theme-drawer.js',
+  'modules/theme-manager.js',
+  'modules/timeline-data.js',
+  'modules/touch-nav.js',
+  'modules/utils.js',
+  'modules/validation.js',
+  'modules/vendor/html2canvas.esm.js',
+  'modules/vendor/jspdf.esm.min.js',
+  'modules/vendor/katex/fonts/KaTeX_AMS-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Caligraphic-Bold.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Caligraphic-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Fraktur-Bold.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Fraktur-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Main-Bold.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Main-BoldItalic.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Main-Italic.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Main-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Math-BoldItalic.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Math-Italic.woff2',
+  'modules/vendor/katex/fonts/KaTeX_SansSerif-Bold.woff2',
+  'modules/vendor/katex/fonts/KaTeX_SansSerif-Italic.woff2',
+  'modules/vendor/katex/fonts/KaTeX_SansSerif-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Script-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Size1-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Size2-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Size3-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Size4-Regular.woff2',
+  'modules/vendor/katex/fonts/KaTeX_Typewriter-Regular.woff2',
+  'modules/vendor/katex/katex.min.css',
+  'modules/vendor/katex/katex.mjs',
+  'modules/version-history.js',
+  'modules/voice-modes.js',
+  'presenter.html',
+  'presenter.js',
+  'slides.json',
+  'theme.json',
+  'themes/gameboy.json',
+  'themes/slack.json',
+  'themes/vaporwave.json'
+];
@@ -0,0 +1,123 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Service Worker
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Makes Slideomatic work offline.
+// - Precaches the files listed in sw-precache.js (written by
+//   "npm run precache") and serves them from the cache. A new list means a
+//   new revision: the new worker fills its cache and waits. Open pages keep
+//   the files they started with until the user accepts the update
+//   (offline.js posts SKIP_WAITING); then old caches go and every page reloads
+// - Shared decks (/.netlify/functions/share GETs) come from the network when
+//   possible and from the last copy otherwise
+// - Other same-origin files (images, deck JSON) are cached as they load and
+//   used while offline; Google Fonts are served stale while revalidating
+// - Everything else (uploads, share POSTs, AI calls) goes to the network;
+//   offline.js queues what can wait
+//
+// Registered by: modules/offline.js
+//
+// ═══════════════════════════════════════════════════════════════════════════
+
+self.importScripts('sw-precache.js');
+
+const PRECACHE_PREFIX = 'slideomatic-precache-';
+const PRECACHE = `${PRECACHE_PREFIX}${self.PRECACHE_REVISION}`;
+const RUNTIME_CACHE = 'slideomatic-runtime';
+const SHARE_PATH = '/.netlify/functions/share';
+const FONT_HOSTS = new Set(['fonts.googleapis.com', 'fonts.gstatic.com']);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      // Skip the HTTP cache so a new revision never stores stale files.
+      .then((cache) => cache.addAll(self.PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+// Taking over mid-session would hand pages modules from another revision
+// (lazily imported ones included), so only the app decides when.
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(PRECACHE_PREFIX) && key !== PRECACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (FONT_HOSTS.has(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === SHARE_PATH) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  // Other functions (uploads, AI) need the network.
+  if (url.pathname.startsWith('/.netlify/')) return;
+
+  event.respondWith(fromPrecache(request, url).then((cached) => cached || networkFirst(request)));
+});
+
+/**
+ * The precached copy of a request, if any. Pages are matched without their
+ * query (deck.html?share=...), and "/" is the landing page.
+ */
+async function fromPrecache(request, url) {
+  const cache = await caches.open(PRECACHE);
+  if (request.mode === 'navigate') {
+    const page = url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname;
+    return cache.match(new URL(page, url), { ignoreSearch: true });
+  }
+  return cache.match(request);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then((response) => {
+      // Font files come back opaque (no-cors); they are still worth keeping.
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (cached) return cached;
+      throw error;
+    });
+  return cached || update;
+}